@@ -23,10 +23,13 @@
         document.getElementById('applyThemeBtn').addEventListener('click', async function(e) {
             e.preventDefault();
             const theme = getCurrentTheme();
+            const target = getTarget('themeTarget');
 
             try {
-                await window.SettingsAPI.save('customTheme', theme);
-                showToast('Theme saved to server! All displays will update automatically.', 'success');
+                await window.SettingsAPI.save('customTheme', theme, target);
+                showToast(target
+                    ? 'Theme saved for the selected group or display!'
+                    : 'Theme saved to server! All displays will update automatically.', 'success');
             } catch (error) {
                 showToast('Error saving theme: ' + error.message, 'error');
             }
@@ -97,9 +100,16 @@
                 autoDetect: document.getElementById('autoDetectLivestream').checked,
                 checkInterval: parseInt(document.getElementById('livestreamCheckInterval').value) * 1000
             };
+            const target = getTarget('livestreamTarget');
 
             try {
-                await window.SettingsAPI.save('livestreamConfig', livestreamConfig);
+                await window.SettingsAPI.save('livestreamConfig', livestreamConfig, target);
+
+                if (target) {
+                    document.getElementById('clearLivestreamOverrideBtn').style.display = '';
+                    showToast('Livestream settings saved for the selected group or display!', 'success');
+                    return;
+                }
 
                 // Update CONFIG for backward compatibility
                 window.CONFIG.LIVESTREAM_URL = livestreamConfig.enabled ? livestreamConfig.url : null;
@@ -113,6 +123,77 @@
         }, true);
     }
 
+    /**
+     * Remove the livestream settings of the selected group or display
+     */
+    if (document.getElementById('clearLivestreamOverrideBtn')) {
+        document.getElementById('clearLivestreamOverrideBtn').addEventListener('click', async function() {
+            const target = getTarget('livestreamTarget');
+            if (!target) return;
+
+            try {
+                await window.SettingsAPI.save('livestreamConfig', null, target);
+                showToast('Livestream settings removed. The default settings apply again.', 'success');
+                loadTargetLivestream();
+            } catch (error) {
+                showToast('Error removing livestream settings: ' + error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * Group or display selected in a target picker ('' = all displays)
+     */
+    function getTarget(selectId) {
+        const select = document.getElementById(selectId);
+        return select ? select.value : '';
+    }
+
+    /**
+     * Settings as stored for a target: its override if it has one, else the default
+     */
+    async function getTargetSetting(key, target) {
+        const settings = await window.SettingsAPI.getAll();
+        const overrides = target && settings.displayOverrides && settings.displayOverrides[target];
+        return {
+            value: overrides && overrides[key] !== undefined ? overrides[key] : settings[key],
+            isOverride: !!(overrides && overrides[key] !== undefined)
+        };
+    }
+
+    /**
+     * Show the theme of the selected target in the editor
+     */
+    if (document.getElementById('themeTarget')) {
+        document.getElementById('themeTarget').addEventListener('change', async function() {
+            const { value } = await getTargetSetting('customTheme', getTarget('themeTarget'));
+            applyThemeToInputs(value || PRESET_THEMES.default);
+        });
+    }
+
+    /**
+     * Show the livestream settings of the selected target in the form
+     */
+    async function loadTargetLivestream() {
+        const target = getTarget('livestreamTarget');
+        const { value, isOverride } = await getTargetSetting('livestreamConfig', target);
+        const config = value || {};
+
+        document.getElementById('enableLivestream').checked = config.enabled || false;
+        document.getElementById('livestreamUrl').value = config.url || '';
+        document.getElementById('autoDetectLivestream').checked = config.autoDetect || false;
+        document.getElementById('livestreamCheckInterval').value = (config.checkInterval || 60000) / 1000;
+
+        const clearBtn = document.getElementById('clearLivestreamOverrideBtn');
+        if (clearBtn) {
+            clearBtn.style.display = isOverride ? '' : 'none';
+        }
+    }
+
+    if (document.getElementById('livestreamTarget')) {
+        document.getElementById('livestreamTarget').addEventListener('change', loadTargetLivestream);
+    }
+
     /**
      * Override save general settings
      */
@@ -183,6 +264,7 @@
             const migrateBtn = document.createElement('button');
             migrateBtn.className = 'btn btn-secondary';
             migrateBtn.textContent = 'Migrate from localStorage';
+            migrateBtn.setAttribute('data-roles', 'content_editor');
             migrateBtn.style.marginRight = '10px';
             migrateBtn.addEventListener('click', async function() {
                 if (confirm('Migrate all localStorage settings to server? This will overwrite server settings.')) {
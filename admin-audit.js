@@ -0,0 +1,244 @@
+/**
+ * Admin Panel - Audit Log
+ * Searches the server's audit log (who did what, from where and when), pages through
+ * the results newest first and downloads them as CSV or JSON (administrators only)
+ */
+
+(function() {
+    'use strict';
+
+    const PAGE_SIZE = 100;
+    const DEFAULT_DAYS = 7;
+
+    // State
+    let offset = 0;
+
+    /**
+     * Initialize the audit log viewer
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('admin')) {
+            return;
+        }
+
+        // Default to the last week
+        const weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - (DEFAULT_DAYS - 1));
+        document.getElementById('auditFrom').value = toDateInputValue(weekAgo);
+        document.getElementById('auditTo').value = toDateInputValue(new Date());
+
+        document.getElementById('auditSearchBtn').addEventListener('click', () => search(0));
+        document.getElementById('auditExportCsvBtn').addEventListener('click', () => exportLog('csv'));
+        document.getElementById('auditExportJsonBtn').addEventListener('click', () => exportLog('json'));
+        document.getElementById('auditPrevBtn').addEventListener('click', () => search(Math.max(0, offset - PAGE_SIZE)));
+        document.getElementById('auditNextBtn').addEventListener('click', () => search(offset + PAGE_SIZE));
+        ['auditAction', 'auditUser', 'auditIp'].forEach(id => {
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') search(0);
+            });
+        });
+
+        loadActions();
+        search(0);
+    }
+
+    /**
+     * Fill the action suggestions with the actions the server has recorded
+     */
+    async function loadActions() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/audit/actions', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            document.getElementById('auditActionList').innerHTML = data.actions
+                .map(action => `<option value="${escapeHtml(action)}">`)
+                .join('');
+        } catch (error) {
+            console.error('Failed to load audit actions:', error);
+        }
+    }
+
+    /**
+     * Build the query string from the search form
+     * @param {Object} [extra] - Additional parameters (e.g. offset, format)
+     */
+    function getQuery(extra = {}) {
+        const params = new URLSearchParams();
+        const fields = {
+            from: document.getElementById('auditFrom').value,
+            to: document.getElementById('auditTo').value,
+            action: document.getElementById('auditAction').value.trim(),
+            user: document.getElementById('auditUser').value.trim(),
+            ip: document.getElementById('auditIp').value.trim(),
+            ...extra
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== '' && value !== undefined) params.set(key, value);
+        });
+        return params.toString();
+    }
+
+    /**
+     * Search the audit log and show one page of results
+     * @param {number} newOffset - Index of the first entry to show (0 = newest)
+     */
+    async function search(newOffset) {
+        try {
+            const query = getQuery({ limit: PAGE_SIZE, offset: newOffset });
+            const response = await window.SettingsAPI.handleResponse(await fetch(`/api/audit?${query}`, {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            offset = data.offset;
+            renderResults(data);
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            showToast('Failed to load audit log: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the entries table and the pager
+     * @param {Object} data - {hasMore, offset, logs} from the API
+     */
+    function renderResults(data) {
+        const summary = document.getElementById('auditSummary');
+        const container = document.getElementById('auditResults');
+
+        document.getElementById('auditPrevBtn').disabled = offset === 0;
+        document.getElementById('auditNextBtn').disabled = !data.hasMore;
+
+        if (data.logs.length === 0) {
+            summary.textContent = '';
+            container.innerHTML = '<p class="no-alerts">No audit entries match this search.</p>';
+            return;
+        }
+
+        // The server stops reading once it has this page, so the full count isn't known
+        summary.textContent = `Showing entries ${offset + 1}-${offset + data.logs.length}` +
+            `${data.hasMore ? ' (more on the next page)' : ''}, newest first`;
+
+        container.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Action</th>
+                        <th>User</th>
+                        <th>IP Address</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.logs.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+                            <td>${escapeHtml(entry.action)}</td>
+                            <td>${escapeHtml(entry.user || '')}</td>
+                            <td>${escapeHtml(entry.ip || '')}</td>
+                            <td class="audit-details">${escapeHtml(formatDetails(entry))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Everything recorded besides time, action, user and IP, as compact JSON
+     */
+    function formatDetails(entry) {
+        const { timestamp, action, user, ip, details, ...other } = entry;
+        const info = { ...other, ...(details || {}) };
+        return Object.keys(info).length > 0 ? JSON.stringify(info) : '';
+    }
+
+    /**
+     * Download every entry matching the search
+     * @param {string} format - 'csv' or 'json'
+     */
+    async function exportLog(format) {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(`/api/audit?${getQuery({ format: format })}`, {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || data.error);
+            }
+
+            // Use the server's file name (audit-log_<from>_<to>.csv)
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : `audit-log.${format}`;
+            a.click();
+            URL.revokeObjectURL(url);
+            showToast('Audit log downloaded', 'success');
+        } catch (error) {
+            console.error('Failed to export audit log:', error);
+            showToast('Failed to export audit log: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD for a date input (local time)
+     */
+    function toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.AuditLog = {
+        search: () => search(0)
+    };
+
+})();
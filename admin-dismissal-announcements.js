@@ -0,0 +1,187 @@
+/**
+ * Admin Panel - Dismissal Announcements
+ * Sets whether each group or display reads out called students, and with which
+ * voice and speed, in the Display Manager. Test plays the real announcer
+ * (js/dismissal-announcer.js) on this computer.
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_CONFIG = { enabled: false, voice: '', rate: 1, chime: true };
+
+    /**
+     * Initialize the announcements card (content editors only)
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('content_editor')) {
+            return;
+        }
+
+        document.getElementById('dismissalAnnounceTarget').addEventListener('change', loadConfig);
+        document.getElementById('dismissalAnnounceRate').addEventListener('input', showRate);
+        document.getElementById('testDismissalAnnounceBtn').addEventListener('click', testAnnouncement);
+        document.getElementById('saveDismissalAnnounceBtn').addEventListener('click', saveConfig);
+        document.getElementById('clearDismissalAnnounceOverrideBtn').addEventListener('click', clearOverride);
+
+        // Voices load asynchronously in most browsers
+        if ('speechSynthesis' in window) {
+            listVoices();
+            window.speechSynthesis.addEventListener('voiceschanged', listVoices);
+        }
+
+        loadConfig();
+    }
+
+    /**
+     * Offer this computer's voices, keeping a saved voice it doesn't have
+     */
+    function listVoices() {
+        const select = document.getElementById('dismissalAnnounceVoice');
+        const selected = select.value;
+        const names = [...new Set(window.speechSynthesis.getVoices().map(voice => voice.name))];
+        if (selected && !names.includes(selected)) {
+            names.unshift(selected);
+        }
+
+        select.innerHTML = '<option value="">Display\'s default voice</option>' +
+            names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        select.value = selected;
+    }
+
+    /**
+     * Show the settings of the selected group or display
+     */
+    async function loadConfig() {
+        const target = document.getElementById('dismissalAnnounceTarget').value;
+
+        try {
+            const settings = await window.SettingsAPI.getAll();
+            const overrides = target && settings.displayOverrides && settings.displayOverrides[target];
+            const isOverride = !!(overrides && overrides.dismissalAnnouncements);
+            setForm({ ...DEFAULT_CONFIG, ...(isOverride ? overrides.dismissalAnnouncements : settings.dismissalAnnouncements) });
+            document.getElementById('clearDismissalAnnounceOverrideBtn').style.display = isOverride ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load dismissal announcement settings:', error);
+        }
+    }
+
+    /**
+     * Fill the form from a dismissalAnnouncements setting
+     */
+    function setForm(config) {
+        const voiceSelect = document.getElementById('dismissalAnnounceVoice');
+        if (config.voice && ![...voiceSelect.options].some(option => option.value === config.voice)) {
+            voiceSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(config.voice)}">${escapeHtml(config.voice)}</option>`);
+        }
+
+        document.getElementById('dismissalAnnounceEnabled').checked = !!config.enabled;
+        voiceSelect.value = config.voice || '';
+        document.getElementById('dismissalAnnounceRate').value = config.rate;
+        document.getElementById('dismissalAnnounceChime').checked = config.chime !== false;
+        showRate();
+    }
+
+    /**
+     * dismissalAnnouncements setting from the form
+     */
+    function getForm() {
+        return {
+            enabled: document.getElementById('dismissalAnnounceEnabled').checked,
+            voice: document.getElementById('dismissalAnnounceVoice').value,
+            rate: parseFloat(document.getElementById('dismissalAnnounceRate').value),
+            chime: document.getElementById('dismissalAnnounceChime').checked
+        };
+    }
+
+    /**
+     * Show the speed next to its slider
+     */
+    function showRate() {
+        const rate = parseFloat(document.getElementById('dismissalAnnounceRate').value);
+        document.getElementById('dismissalAnnounceRateValue').textContent = `${rate.toFixed(1)}×`;
+    }
+
+    /**
+     * Read two sample names here with the chosen voice, speed and chime
+     */
+    function testAnnouncement() {
+        if (!('speechSynthesis' in window) || !window.DismissalAnnouncer) {
+            showToast('This browser cannot speak announcements', 'error');
+            return;
+        }
+
+        window.DismissalAnnouncer.configure({ ...getForm(), enabled: true });
+        window.DismissalAnnouncer.announce([
+            { id: 'test-1', name: 'Emma Johnson', grade: '3' },
+            { id: 'test-2', name: 'Liam Smith', grade: 'K' }
+        ]);
+    }
+
+    /**
+     * Save the form for the selected group or display
+     */
+    async function saveConfig() {
+        const target = document.getElementById('dismissalAnnounceTarget').value;
+
+        try {
+            await window.SettingsAPI.save('dismissalAnnouncements', getForm(), target);
+            showToast('Dismissal announcements saved', 'success');
+            loadConfig();
+        } catch (error) {
+            showToast('Error saving dismissal announcements: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove the selected group's or display's own settings so the default applies again
+     */
+    async function clearOverride() {
+        const target = document.getElementById('dismissalAnnounceTarget').value;
+        if (!target) return;
+
+        try {
+            await window.SettingsAPI.save('dismissalAnnouncements', null, target);
+            showToast('Announcement settings removed. The default applies again.', 'success');
+            loadConfig();
+        } catch (error) {
+            showToast('Error removing announcement settings: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.DismissalAnnouncements = {
+        load: loadConfig
+    };
+
+})();
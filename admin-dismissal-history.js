@@ -0,0 +1,212 @@
+/**
+ * Admin Panel - Dismissal History
+ * Searches the recorded dismissal calls (who was called, when, by whom, when cleared)
+ * and downloads them as a CSV report
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Initialize the history view
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('dismissal_operator')) {
+            return;
+        }
+
+        // Default to today
+        const today = toDateInputValue(new Date());
+        document.getElementById('historyFrom').value = today;
+        document.getElementById('historyTo').value = today;
+
+        document.getElementById('historySearchBtn').addEventListener('click', search);
+        document.getElementById('historyExportBtn').addEventListener('click', exportCsv);
+        ['historyStudent', 'historyGrade'].forEach(id => {
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') search();
+            });
+        });
+    }
+
+    /**
+     * Build the query string from the search form
+     * @param {Object} [extra] - Additional parameters (e.g. format)
+     */
+    function getQuery(extra = {}) {
+        const params = new URLSearchParams();
+        const fields = {
+            from: document.getElementById('historyFrom').value,
+            to: document.getElementById('historyTo').value,
+            student: document.getElementById('historyStudent').value.trim(),
+            grade: document.getElementById('historyGrade').value.trim(),
+            ...extra
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params.toString();
+    }
+
+    /**
+     * Search the history and show the results
+     */
+    async function search() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(`/api/dismissal/history?${getQuery()}`, {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            renderResults(data);
+        } catch (error) {
+            console.error('Failed to load dismissal history:', error);
+            showToast('Failed to load dismissal history: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the calls table
+     * @param {Object} data - {from, to, sessions, calls} from the API
+     */
+    function renderResults(data) {
+        const summary = document.getElementById('historySummary');
+        const container = document.getElementById('historyResults');
+
+        const range = data.from === data.to ? data.from : `${data.from} to ${data.to}`;
+        summary.textContent = `${data.calls.length} call${data.calls.length === 1 ? '' : 's'} in ` +
+            `${data.sessions.length} dismissal session${data.sessions.length === 1 ? '' : 's'} (${range})`;
+
+        if (data.calls.length === 0) {
+            container.innerHTML = '<p class="no-alerts">No students were called for this search.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Student</th>
+                        <th>Grade</th>
+                        <th>Called</th>
+                        <th>Called By</th>
+                        <th>Cleared</th>
+                        <th>Cleared By</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.calls.map(call => `
+                        <tr>
+                            <td>${escapeHtml(call.date)}</td>
+                            <td>${escapeHtml(call.name)}</td>
+                            <td>${escapeHtml(call.grade)}</td>
+                            <td>${formatTime(call.calledAt)}</td>
+                            <td>${escapeHtml(call.calledBy)}</td>
+                            <td>${call.clearedAt ? `${formatTime(call.clearedAt)} (${formatDuration(call.clearedAt - call.calledAt)})` : 'On screen'}</td>
+                            <td>${escapeHtml(call.clearedBy || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Download the current search as a CSV file
+     */
+    async function exportCsv() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(`/api/dismissal/history?${getQuery({ format: 'csv' })}`, {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || data.error);
+            }
+
+            // Use the server's file name (dismissal-history_<from>_<to>.csv)
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : 'dismissal-history.csv';
+            a.click();
+            URL.revokeObjectURL(url);
+            showToast('Report downloaded', 'success');
+        } catch (error) {
+            console.error('Failed to export dismissal history:', error);
+            showToast('Failed to export report: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD for a date input (local time)
+     */
+    function toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Format a timestamp as a time of day
+     */
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString();
+    }
+
+    /**
+     * Format how long a student was on screen
+     */
+    function formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        return minutes > 0 ? `${minutes} min ${seconds} s` : `${seconds} s`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.DismissalHistory = {
+        search,
+        exportCsv
+    };
+
+})();
@@ -0,0 +1,222 @@
+/**
+ * Admin Panel - Dismissal Lanes
+ * Edits the lane list (car line, bus loop, walkers, ...) in the roster tab and
+ * which lanes each group or display shows in the Display Manager
+ */
+
+(function() {
+    'use strict';
+
+    let lanes = {}; // laneId -> {name, icon}, in display order
+
+    /**
+     * Initialize the lane editor and the dismissal screen picker (each only for roles that can use it)
+     */
+    async function init() {
+        const canEditLanes = window.SettingsAPI.hasRole('dismissal_operator');
+        const canEditScreens = window.SettingsAPI.hasRole('content_editor');
+        if (!canEditLanes && !canEditScreens) {
+            return;
+        }
+
+        if (canEditLanes) {
+            document.getElementById('addLaneBtn').addEventListener('click', () => addLaneRow('', { name: '', icon: '' }));
+            document.getElementById('saveLanesBtn').addEventListener('click', saveLanes);
+        }
+        if (canEditScreens) {
+            document.getElementById('dismissalViewTarget').addEventListener('change', loadView);
+            document.getElementById('saveDismissalViewBtn').addEventListener('click', saveView);
+            document.getElementById('clearDismissalViewOverrideBtn').addEventListener('click', clearViewOverride);
+        }
+
+        await loadLanes();
+    }
+
+    /**
+     * Load the lane definitions and redraw everything built from them
+     */
+    async function loadLanes() {
+        try {
+            const response = await fetch('/api/dismissal/lanes');
+            const data = await response.json();
+            setLanes(data.lanes || {});
+        } catch (error) {
+            console.error('Failed to load dismissal lanes:', error);
+            showToast('Failed to load dismissal lanes', 'error');
+        }
+    }
+
+    /**
+     * Use a new set of lanes (from a load or a save)
+     */
+    function setLanes(newLanes) {
+        lanes = newLanes;
+
+        if (window.SettingsAPI.hasRole('dismissal_operator')) {
+            document.getElementById('laneEditorList').innerHTML = '';
+            Object.entries(lanes).forEach(([laneId, lane]) => addLaneRow(laneId, lane));
+        }
+        if (window.SettingsAPI.hasRole('content_editor')) {
+            loadView();
+        }
+    }
+
+    // ========================================
+    // Lane Editor
+    // ========================================
+
+    /**
+     * Add an editable row for one lane
+     * @param {string} laneId - Existing lane ID ('' for a new lane)
+     * @param {Object} lane - {name, icon}
+     */
+    function addLaneRow(laneId, lane) {
+        const row = document.createElement('div');
+        row.className = 'lane-editor-row';
+        row.dataset.laneId = laneId;
+        row.innerHTML = `
+            <input type="text" class="form-input lane-icon-input" maxlength="8" placeholder="🚗" value="${escapeHtml(lane.icon)}">
+            <input type="text" class="form-input lane-name-input" maxlength="40" placeholder="e.g., Car Riders" value="${escapeHtml(lane.name)}">
+            <button class="btn btn-danger btn-sm">Remove</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+
+        document.getElementById('laneEditorList').appendChild(row);
+        if (!laneId) {
+            row.querySelector('.lane-name-input').focus();
+        }
+    }
+
+    /**
+     * Save the lane list in the order shown
+     */
+    async function saveLanes() {
+        const list = [...document.querySelectorAll('#laneEditorList .lane-editor-row')].map(row => ({
+            id: row.dataset.laneId || undefined,
+            name: row.querySelector('.lane-name-input').value.trim(),
+            icon: row.querySelector('.lane-icon-input').value.trim()
+        }));
+
+        if (list.some(lane => !lane.name)) {
+            showToast('Every lane needs a name', 'error');
+            return;
+        }
+
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/dismissal/lanes', {
+                method: 'POST',
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: JSON.stringify({ lanes: list })
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            setLanes(data.lanes);
+            showToast('Lanes saved. Dismissal tablets and displays update automatically.', 'success');
+        } catch (error) {
+            console.error('Failed to save dismissal lanes:', error);
+            showToast('Failed to save lanes: ' + error.message, 'error');
+        }
+    }
+
+    // ========================================
+    // Dismissal Screens
+    // ========================================
+
+    /**
+     * Show the lanes of the selected group or display
+     */
+    async function loadView() {
+        const target = document.getElementById('dismissalViewTarget').value;
+
+        try {
+            const settings = await window.SettingsAPI.getAll();
+            const overrides = target && settings.displayOverrides && settings.displayOverrides[target];
+            const isOverride = !!(overrides && overrides.dismissalView);
+            const view = isOverride ? overrides.dismissalView : settings.dismissalView;
+            const shown = view && Array.isArray(view.lanes) ? view.lanes : [];
+
+            document.getElementById('dismissalViewLanes').innerHTML = Object.entries(lanes).map(([laneId, lane]) => `
+                <label class="target-checkbox">
+                    <input type="checkbox" value="${escapeHtml(laneId)}"${shown.includes(laneId) ? ' checked' : ''}>
+                    ${escapeHtml(`${lane.icon} ${lane.name}`.trim())}
+                </label>
+            `).join('');
+            document.getElementById('clearDismissalViewOverrideBtn').style.display = isOverride ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to load dismissal screen settings:', error);
+        }
+    }
+
+    /**
+     * Save the checked lanes for the selected group or display
+     */
+    async function saveView() {
+        const target = document.getElementById('dismissalViewTarget').value;
+        const shown = [...document.querySelectorAll('#dismissalViewLanes input:checked')].map(input => input.value);
+
+        try {
+            await window.SettingsAPI.save('dismissalView', { lanes: shown }, target);
+            showToast('Dismissal screen saved', 'success');
+            loadView();
+        } catch (error) {
+            showToast('Error saving dismissal screen: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove the selected group's or display's own lanes so the default applies again
+     */
+    async function clearViewOverride() {
+        const target = document.getElementById('dismissalViewTarget').value;
+        if (!target) return;
+
+        try {
+            await window.SettingsAPI.save('dismissalView', null, target);
+            showToast('Dismissal screen removed. The default lanes apply again.', 'success');
+            loadView();
+        } catch (error) {
+            showToast('Error removing dismissal screen: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.DismissalLanes = {
+        load: loadLanes,
+        getLanes: () => lanes
+    };
+
+})();
@@ -0,0 +1,119 @@
+/**
+ * Admin Panel - Dismissal Time Limit and Schedule
+ * Edits how long a dismissal may run, when operators are warned, and the daily
+ * window that starts and ends dismissal automatically (roster tab)
+ */
+
+(function() {
+    'use strict';
+
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    /**
+     * Initialize the schedule card (dismissal operators only)
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('dismissal_operator')) {
+            return;
+        }
+
+        document.getElementById('saveDismissalScheduleBtn').addEventListener('click', saveSchedule);
+        loadSchedule();
+    }
+
+    /**
+     * Load the current schedule into the form
+     */
+    async function loadSchedule() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/dismissal/schedule', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+            setForm(data.schedule);
+        } catch (error) {
+            console.error('Failed to load dismissal schedule:', error);
+        }
+    }
+
+    /**
+     * Fill the form from a dismissalSchedule setting
+     */
+    function setForm(schedule) {
+        document.getElementById('dismissalTimeoutMinutes').value = schedule.timeoutMinutes;
+        document.getElementById('dismissalWarningMinutes').value = schedule.warningMinutes;
+        document.getElementById('dismissalWindowStart').value = schedule.start;
+        document.getElementById('dismissalWindowEnd').value = schedule.end;
+        document.getElementById('dismissalAutoStart').checked = schedule.autoStart;
+        document.getElementById('dismissalAutoEnd').checked = schedule.autoEnd;
+        document.getElementById('dismissalWindowDays').innerHTML = DAY_NAMES.map((day, i) => `
+            <label class="day-checkbox">
+                <input type="checkbox" value="${i}" ${schedule.days.includes(i) ? 'checked' : ''}>
+                <span>${day}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Save the form
+     */
+    async function saveSchedule() {
+        const schedule = {
+            timeoutMinutes: parseInt(document.getElementById('dismissalTimeoutMinutes').value, 10),
+            warningMinutes: parseInt(document.getElementById('dismissalWarningMinutes').value, 10) || 0,
+            start: document.getElementById('dismissalWindowStart').value,
+            end: document.getElementById('dismissalWindowEnd').value,
+            days: [...document.querySelectorAll('#dismissalWindowDays input:checked')].map(input => parseInt(input.value, 10)),
+            autoStart: document.getElementById('dismissalAutoStart').checked,
+            autoEnd: document.getElementById('dismissalAutoEnd').checked
+        };
+
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/dismissal/schedule', {
+                method: 'POST',
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: JSON.stringify(schedule)
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            setForm(data.schedule);
+            showToast('Schedule saved. A dismissal in progress follows it straight away.', 'success');
+        } catch (error) {
+            console.error('Failed to save dismissal schedule:', error);
+            showToast('Failed to save schedule: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.DismissalSchedule = {
+        load: loadSchedule
+    };
+
+})();
@@ -1,15 +1,35 @@
 /**
  * Display Manager Module for Admin Panel
- * Handles display tracking, heartbeat monitoring, and remote commands
+ * Handles display tracking, heartbeat monitoring, remote commands and display groups
  */
 
 (function() {
     'use strict';
 
+    // Commands a display understands (see js/display-commands.js)
+    const DISPLAY_COMMANDS = {
+        identify: 'Identify',
+        refresh: 'Refresh settings',
+        reload: 'Full reload',
+        goto: 'Go to slide...',
+        pause: 'Pause slideshow',
+        resume: 'Resume slideshow',
+        toggleLivestream: 'Toggle livestream',
+        enterFullscreen: 'Enter fullscreen',
+        exitFullscreen: 'Exit fullscreen',
+        clearCache: 'Clear cache'
+    };
+
+    const COMMAND_POLL_INTERVAL_MS = 1000;
+    const COMMAND_POLL_MAX_MS = 20000;
+
     // State
     let displays = [];
+    let groups = [];
+    let targetOptionsKey = null;
     let updateInterval = null;
     let editingDisplayId = null;
+    let commandPollTimer = null;
 
     /**
      * Initialize the Display Manager
@@ -59,6 +79,12 @@
             deleteInactiveBtn.addEventListener('click', deleteAllInactive);
         }
 
+        // Display groups
+        const createGroupBtn = document.getElementById('createGroupBtn');
+        if (createGroupBtn) {
+            createGroupBtn.addEventListener('click', createGroup);
+        }
+
         // Broadcast commands
         const cmdRefreshAll = document.getElementById('cmdRefreshAll');
         if (cmdRefreshAll) {
@@ -75,6 +101,29 @@
             cmdClearCache.addEventListener('click', () => broadcastCommand('clearCache'));
         }
 
+        const cmdIdentifyAll = document.getElementById('cmdIdentifyAll');
+        if (cmdIdentifyAll) {
+            cmdIdentifyAll.addEventListener('click', () => broadcastCommand('identify'));
+        }
+
+        const cmdPauseAll = document.getElementById('cmdPauseAll');
+        if (cmdPauseAll) {
+            cmdPauseAll.addEventListener('click', () => broadcastCommand('pause'));
+        }
+
+        const cmdResumeAll = document.getElementById('cmdResumeAll');
+        if (cmdResumeAll) {
+            cmdResumeAll.addEventListener('click', () => broadcastCommand('resume'));
+        }
+
+        const cmdGotoAll = document.getElementById('cmdGotoAll');
+        if (cmdGotoAll) {
+            cmdGotoAll.addEventListener('click', () => {
+                const params = promptSlideNumber();
+                if (params) broadcastCommand('goto', params);
+            });
+        }
+
         const cmdTestAlert = document.getElementById('cmdTestAlert');
         if (cmdTestAlert) {
             cmdTestAlert.addEventListener('click', () => broadcastCommand('testAlert', {
@@ -89,16 +138,23 @@
      */
     async function loadDisplays() {
         try {
-            const response = await fetch('/api/displays');
+            const [response, groupsResponse] = await Promise.all([
+                fetch('/api/displays'),
+                fetch('/api/displays/groups')
+            ]);
             const data = await response.json();
+            const groupsData = await groupsResponse.json();
 
             displays = data.displays || [];
+            groups = groupsData.groups || [];
 
             // Update stats
             updateStats(data.total, data.online, data.offline);
 
-            // Render display list
+            // Render display and group lists
             renderDisplayList();
+            renderGroupList();
+            updateTargetSelects();
 
             return data;
         } catch (error) {
@@ -137,12 +193,19 @@
             return;
         }
 
+        // Keep any command the user has picked across the 10-second refresh
+        const selectedCommands = {};
+        container.querySelectorAll('.display-command-select').forEach(select => {
+            selectedCommands[select.id] = select.value;
+        });
+
         container.innerHTML = displays.map(display => `
             <div class="display-card ${display.status}" data-id="${display.id}">
                 <div class="display-status-dot ${display.status}"></div>
                 <div class="display-info">
                     <div class="display-name">${escapeHtml(display.name)}</div>
                     <div class="display-location">${escapeHtml(display.location)} &bull; ${display.currentPage || 'Unknown page'}</div>
+                    ${display.groupName ? `<span class="display-group-badge">${escapeHtml(display.groupName)}</span>` : ''}
                 </div>
                 <div class="display-meta">
                     <div class="display-meta-item">
@@ -161,12 +224,177 @@
                 <div class="display-actions">
                     <button class="btn btn-primary btn-edit" onclick="window.DisplayManager.editDisplay('${display.id}')">Edit</button>
                     ${display.status === 'online' ? `
-                        <button class="btn btn-secondary btn-command" onclick="window.DisplayManager.sendCommand('${display.id}', 'refresh')">Refresh</button>
+                        <select class="form-input display-command-select" id="cmdSelect-${display.id}">
+                            ${Object.entries(DISPLAY_COMMANDS).map(([cmd, label]) => `<option value="${cmd}">${label}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-secondary btn-command" onclick="window.DisplayManager.sendSelectedCommand('${display.id}')">Send</button>
                     ` : ''}
                     <button class="btn btn-danger btn-delete" onclick="window.DisplayManager.deleteDisplay('${display.id}')">Delete</button>
                 </div>
             </div>
         `).join('');
+
+        Object.entries(selectedCommands).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = value;
+        });
+    }
+
+    /**
+     * Render the display group list
+     */
+    function renderGroupList() {
+        const container = document.getElementById('displayGroupsList');
+        if (!container) return;
+
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="help-text">No groups yet. Every display shows the default content.</p>';
+            return;
+        }
+
+        container.innerHTML = groups.map(group => `
+            <div class="display-group-item">
+                <div>
+                    <div class="display-group-name">${escapeHtml(group.name)}</div>
+                    <div class="display-group-meta">${group.displayCount} display(s), ${group.onlineCount} online</div>
+                </div>
+                <div class="display-group-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="window.DisplayManager.renameGroup('${group.id}')">Rename</button>
+                    <button class="btn btn-danger btn-sm" onclick="window.DisplayManager.deleteGroup('${group.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Content targets: every group and every display
+     * @returns {Array} [{value: 'group:<id>' | 'display:<id>', label}]
+     */
+    function getTargetOptions() {
+        return [
+            ...groups.map(group => ({ value: `group:${group.id}`, label: `Group: ${group.name}` })),
+            ...displays.map(display => ({ value: `display:${display.id}`, label: `Display: ${display.name}` }))
+        ];
+    }
+
+    /**
+     * Human-readable name for a target
+     */
+    function getTargetLabel(target) {
+        if (!target) return 'All displays';
+        const option = getTargetOptions().find(o => o.value === target);
+        return option ? option.label : target;
+    }
+
+    /**
+     * Fill every target picker (select.display-target-select) with the current
+     * groups and displays, keeping the selection and the leading "all displays" option
+     */
+    function updateTargetSelects() {
+        const options = getTargetOptions();
+        const key = JSON.stringify(options);
+        if (key === targetOptionsKey) return;
+        targetOptionsKey = key;
+
+        const groupOptions = options.filter(o => o.value.startsWith('group:'));
+        const displayOptions = options.filter(o => o.value.startsWith('display:'));
+        const renderOptions = list => list.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label.replace(/^(Group|Display): /, ''))}</option>`).join('');
+
+        document.querySelectorAll('select.display-target-select').forEach(select => {
+            const selected = select.value;
+            const allOption = select.options[0] && select.options[0].value === '' ? select.options[0].outerHTML : '';
+
+            select.innerHTML = allOption +
+                (groupOptions.length ? `<optgroup label="Groups">${renderOptions(groupOptions)}</optgroup>` : '') +
+                (displayOptions.length ? `<optgroup label="Displays">${renderOptions(displayOptions)}</optgroup>` : '');
+            select.value = options.some(o => o.value === selected) ? selected : '';
+        });
+
+        // Let other admin modules (e.g. the slide editor) refresh their own pickers
+        document.dispatchEvent(new CustomEvent('displaytargetschange'));
+    }
+
+    /**
+     * Create a group from the form
+     */
+    async function createGroup() {
+        const input = document.getElementById('newGroupName');
+        const name = input.value.trim();
+
+        if (!name) {
+            showToast('Please enter a group name', 'error');
+            return;
+        }
+
+        const data = await groupRequest('/api/displays/groups', 'POST', { name });
+        if (data) {
+            showToast(data.message, 'success');
+            input.value = '';
+            loadDisplays();
+        }
+    }
+
+    /**
+     * Rename a group
+     */
+    async function renameGroup(groupId) {
+        const group = groups.find(g => g.id === groupId);
+        if (!group) return;
+
+        const name = prompt('Group name:', group.name);
+        if (name === null || !name.trim()) return;
+
+        const data = await groupRequest(`/api/displays/groups/${groupId}/update`, 'POST', { name: name.trim() });
+        if (data) {
+            showToast(data.message, 'success');
+            loadDisplays();
+        }
+    }
+
+    /**
+     * Delete a group
+     */
+    async function deleteGroup(groupId) {
+        const group = groups.find(g => g.id === groupId);
+        if (!group) return;
+
+        if (!confirm(`Delete the group "${group.name}"?\n\nIts ${group.displayCount} display(s) will go back to the default slides, theme and livestream, and slides shown only on this group will show on every display.`)) {
+            return;
+        }
+
+        const data = await groupRequest(`/api/displays/groups/${groupId}`, 'DELETE');
+        if (data) {
+            showToast(data.message, 'success');
+            loadDisplays();
+        }
+    }
+
+    /**
+     * Send an authenticated group request and report errors as toasts
+     * @returns {Promise<Object|null>} Response body, or null on failure
+     */
+    async function groupRequest(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method: method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': window.SettingsAPI?.getSessionToken() || ''
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showToast(data.error || data.message || 'Request failed', 'error');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error(`Group request failed (${method} ${url}):`, error);
+            showToast('Group request failed', 'error');
+            return null;
+        }
     }
 
     /**
@@ -223,6 +451,10 @@
                         <label for="editDisplayLocation">Location</label>
                         <input type="text" id="editDisplayLocation" class="form-input" placeholder="e.g., Main Office">
                     </div>
+                    <div class="form-group">
+                        <label for="editDisplayGroup">Group</label>
+                        <select id="editDisplayGroup" class="form-input"></select>
+                    </div>
                     <div class="form-group">
                         <label>Display ID</label>
                         <input type="text" id="editDisplayId" class="form-input" readonly style="background: #f3f4f6;">
@@ -257,6 +489,11 @@
         document.getElementById('editDisplayLocation').value = display.location || '';
         document.getElementById('editDisplayId').value = displayId;
 
+        const groupSelect = document.getElementById('editDisplayGroup');
+        groupSelect.innerHTML = '<option value="">No group (default content)</option>' +
+            groups.map(group => `<option value="${group.id}">${escapeHtml(group.name)}</option>`).join('');
+        groupSelect.value = display.groupId || '';
+
         document.getElementById('displayEditModal').classList.add('active');
     }
 
@@ -276,6 +513,7 @@
 
         const name = document.getElementById('editDisplayName').value.trim();
         const location = document.getElementById('editDisplayLocation').value.trim();
+        const groupId = document.getElementById('editDisplayGroup').value || null;
 
         if (!name) {
             showToast('Please enter a display name', 'error');
@@ -289,7 +527,7 @@
                     'Content-Type': 'application/json',
                     'X-Session-Token': window.SettingsAPI?.getSessionToken() || ''
                 },
-                body: JSON.stringify({ name, location })
+                body: JSON.stringify({ name, location, groupId })
             });
 
             const data = await response.json();
@@ -401,6 +639,7 @@
 
             if (data.success) {
                 showToast(`Command '${command}' sent successfully`, 'success');
+                trackCommand(data.command);
             } else {
                 showToast('Failed to send command: ' + (data.error || 'Unknown error'), 'error');
             }
@@ -410,6 +649,118 @@
         }
     }
 
+    /**
+     * Send the command chosen in a display card's dropdown
+     */
+    function sendSelectedCommand(displayId) {
+        const select = document.getElementById(`cmdSelect-${displayId}`);
+        if (!select) return;
+
+        if (select.value === 'goto') {
+            const params = promptSlideNumber();
+            if (params) sendCommand(displayId, 'goto', params);
+            return;
+        }
+        sendCommand(displayId, select.value);
+    }
+
+    /**
+     * Ask for a slide number for the 'goto' command
+     * @returns {Object|null} Command params, or null if cancelled/invalid
+     */
+    function promptSlideNumber() {
+        const value = prompt('Go to slide number:', '1');
+        if (value === null) return null;
+
+        const slide = parseInt(value, 10);
+        if (!slide || slide < 1) {
+            showToast('Please enter a slide number of 1 or more', 'error');
+            return null;
+        }
+        return { slide };
+    }
+
+    /**
+     * Show per-display results for a command and poll until every display
+     * has acknowledged or timed out
+     * @param {Object} command - Command summary from the API
+     */
+    function trackCommand(command) {
+        if (!command) return;
+
+        clearTimeout(commandPollTimer);
+        renderCommandResults(command);
+
+        const startedAt = Date.now();
+        const poll = async () => {
+            try {
+                const response = await fetch(`/api/displays/commands/${command.id}`, {
+                    headers: { 'X-Session-Token': window.SettingsAPI?.getSessionToken() || '' }
+                });
+                if (!response.ok) return;
+
+                const latest = await response.json();
+                renderCommandResults(latest);
+
+                if (latest.pending > 0 && Date.now() - startedAt < COMMAND_POLL_MAX_MS) {
+                    commandPollTimer = setTimeout(poll, COMMAND_POLL_INTERVAL_MS);
+                }
+            } catch (error) {
+                console.error('Failed to check command status:', error);
+            }
+        };
+
+        if (command.pending > 0) {
+            commandPollTimer = setTimeout(poll, COMMAND_POLL_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Render the results of the last command
+     */
+    function renderCommandResults(command) {
+        const card = document.getElementById('commandResultsCard');
+        const container = document.getElementById('commandResults');
+        if (!card || !container) return;
+
+        const statusIcons = {
+            pending: '⏳',
+            success: '✅',
+            error: '❌',
+            timeout: '⌛'
+        };
+        const statusLabels = {
+            pending: 'Waiting...',
+            success: 'Done',
+            error: 'Failed',
+            timeout: 'No response'
+        };
+
+        card.style.display = 'block';
+
+        const label = DISPLAY_COMMANDS[command.command] || command.command;
+        const header = `
+            <p class="help-text">
+                <strong>${escapeHtml(label)}</strong> sent to ${command.target === '*' ? 'all displays' : '1 display'}
+                at ${new Date(command.sentAt).toLocaleTimeString()}
+            </p>
+        `;
+
+        if (command.results.length === 0) {
+            container.innerHTML = header + '<p class="help-text">No displays were connected to receive it.</p>';
+            return;
+        }
+
+        container.innerHTML = header + command.results.map(result => `
+            <div class="command-result ${result.status}">
+                <span>${statusIcons[result.status] || ''}</span>
+                <span class="command-result-name">${escapeHtml(result.name)}</span>
+                <span class="command-result-status">${statusLabels[result.status] || result.status}</span>
+                <span class="command-result-message">${escapeHtml(result.message)}</span>
+            </div>
+        `).join('');
+    }
+
     /**
      * Broadcast command to all displays
      */
@@ -428,6 +779,7 @@
 
             if (data.success) {
                 showToast(`Command '${command}' broadcast to all displays`, 'success');
+                trackCommand(data.command);
             } else {
                 showToast('Failed to broadcast command: ' + (data.error || 'Unknown error'), 'error');
             }
@@ -486,7 +838,12 @@
         deleteDisplay,
         deleteAllInactive,
         sendCommand,
-        broadcastCommand
+        sendSelectedCommand,
+        broadcastCommand,
+        renameGroup,
+        deleteGroup,
+        getTargetOptions,
+        getTargetLabel
     };
 
 })();
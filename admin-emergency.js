@@ -9,79 +9,23 @@
     // Alert history for current session
     const alertHistory = [];
 
-    // Alert types configuration (matches the display side)
-    const ALERT_TYPES = {
-        lockdown: {
-            name: 'Lockdown',
-            icon: '🔒',
-            color: '#dc2626',
-            bgColor: '#7f1d1d',
-            message: 'LOCKDOWN IN EFFECT',
-            subMessage: 'Lock doors, turn off lights, stay silent',
-            sound: true,
-            flash: true
-        },
-        evacuation: {
-            name: 'Evacuation',
-            icon: '🚨',
-            color: '#ea580c',
-            bgColor: '#7c2d12',
-            message: 'EVACUATE IMMEDIATELY',
-            subMessage: 'Proceed to designated evacuation points',
-            sound: true,
-            flash: true
-        },
-        shelter: {
-            name: 'Shelter in Place',
-            icon: '🏠',
-            color: '#2563eb',
-            bgColor: '#1e3a8a',
-            message: 'SHELTER IN PLACE',
-            subMessage: 'Stay in current location until further notice',
-            sound: true,
-            flash: false
-        },
-        weather: {
-            name: 'Severe Weather',
-            icon: '⛈️',
-            color: '#7c3aed',
-            bgColor: '#4c1d95',
-            message: 'SEVERE WEATHER ALERT',
-            subMessage: 'Move to interior rooms away from windows',
-            sound: true,
-            flash: false
-        },
-        medical: {
-            name: 'Medical Emergency',
-            icon: '🏥',
-            color: '#dc2626',
-            bgColor: '#7f1d1d',
-            message: 'MEDICAL EMERGENCY',
-            subMessage: 'Clear the area, medical personnel en route',
-            sound: false,
-            flash: false
-        },
-        custom: {
-            name: 'Custom Alert',
-            icon: '⚠️',
-            color: '#f59e0b',
-            bgColor: '#78350f',
-            message: 'EMERGENCY ALERT',
-            subMessage: '',
-            sound: true,
-            flash: false
-        }
-    };
+    // Alert types from the server (GET /api/emergency/types), shared with the displays
+    let alertTypes = {};
+    let editingTypeId = null;
 
     let isAlertActive = false;
+    let rosterPollTimer = null;
+    let activeAlertId = null;
+
+    const ROSTER_POLL_INTERVAL_MS = 2000;
 
     /**
-     * Send an emergency alert to all displays
+     * Send an emergency alert to all displays, or to the zones/displays ticked in the tab
      * @param {string} type - Alert type (lockdown, evacuation, etc.)
      * @param {Object} customData - Optional custom data for the alert
      */
     async function sendAlert(type, customData = {}) {
-        const alertConfig = ALERT_TYPES[type] || ALERT_TYPES.custom;
+        const alertConfig = alertTypes[type] || alertTypes.custom || {};
 
         const alertData = {
             type: type,
@@ -95,12 +39,23 @@
             timestamp: Date.now()
         };
 
+        const targets = getSelectedTargets();
+        const targetLabel = targets.map(getTargetLabel).join(', ');
+
+        const timing = getAlertTiming();
+        if (!timing) {
+            return;
+        }
+
         // Confirmation for emergency alerts
         const confirmed = confirm(
             `⚠️ EMERGENCY ALERT ⚠️\n\n` +
             `You are about to broadcast:\n` +
             `"${alertData.message}"\n\n` +
-            `This will override ALL connected displays immediately.\n\n` +
+            (targets.length > 0
+                ? `This will override displays in: ${targetLabel}\n\n`
+                : `This will override ALL connected displays immediately.\n\n`) +
+            describeTiming(timing) +
             `Are you sure you want to proceed?`
         );
 
@@ -112,7 +67,7 @@
             const response = await fetch('/api/emergency/alert', {
                 method: 'POST',
                 headers: window.SettingsAPI.getAuthHeaders(),
-                body: JSON.stringify(alertData)
+                body: JSON.stringify({ ...alertData, ...timing, targets })
             });
 
             if (!response.ok) {
@@ -122,16 +77,20 @@
             const result = await response.json();
 
             isAlertActive = true;
+            activeAlertId = result.alertId;
 
             // Add to history
             alertHistory.unshift({
                 ...alertData,
+                targetLabel: targets.length > 0 ? targetLabel : null,
                 sentAt: new Date().toLocaleTimeString()
             });
 
             // Update UI
-            updateAlertStatus(true, alertData);
+            updateAlertStatus(true, result.alert || alertData, targets);
             updateAlertHistory();
+            renderRoster(result);
+            startRosterPolling();
 
             window.showToast(`Emergency alert sent to ${result.clients} displays!`, 'success');
 
@@ -144,21 +103,29 @@
 
     /**
      * Cancel the active emergency alert
+     * @param {boolean} withAllClear - Show the All Clear screen before returning to normal
      */
-    async function cancelAlert() {
+    async function cancelAlert(withAllClear = false) {
         const confirmed = confirm(
             `Cancel the active emergency alert?\n\n` +
-            `All displays will return to normal content.`
+            (withAllClear
+                ? `Displays will show ALL CLEAR, then return to normal content.`
+                : `All displays will return to normal content.`)
         );
 
         if (!confirmed) {
             return;
         }
 
+        const allClearSeconds = parseInt(document.getElementById('alertAllClearSeconds').value, 10);
+
         try {
             const response = await fetch('/api/emergency/cancel', {
                 method: 'POST',
-                headers: window.SettingsAPI.getAuthHeaders()
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: JSON.stringify(withAllClear
+                    ? { allClear: true, allClearSeconds: allClearSeconds > 0 ? allClearSeconds : undefined }
+                    : {})
             });
 
             if (!response.ok) {
@@ -167,18 +134,27 @@
 
             const result = await response.json();
 
-            isAlertActive = false;
-
             // Add cancellation to history
             alertHistory.unshift({
                 type: 'cancelled',
-                message: 'Alert Cancelled',
+                message: result.allClear ? 'Alert Cancelled - All Clear' : 'Alert Cancelled',
                 sentAt: new Date().toLocaleTimeString()
             });
+            updateAlertHistory();
+
+            if (result.allClear) {
+                // The All Clear is an alert of its own until it times out
+                checkAlertStatus();
+                window.showToast('Alert cancelled. Displays are showing All Clear.', 'success');
+                return;
+            }
+
+            isAlertActive = false;
+            activeAlertId = null;
 
             // Update UI
             updateAlertStatus(false);
-            updateAlertHistory();
+            stopRosterPolling();
 
             window.showToast(`Alert cancelled. ${result.clients} displays returned to normal.`, 'success');
 
@@ -191,7 +167,7 @@
     /**
      * Update the alert status banner
      */
-    function updateAlertStatus(active, alertData = null) {
+    function updateAlertStatus(active, alertData = null, targets = []) {
         const banner = document.getElementById('alertStatusBanner');
         const cancelSection = document.getElementById('cancelAlertSection');
 
@@ -200,10 +176,13 @@
         if (active && alertData) {
             banner.className = 'alert-status-banner active';
             banner.innerHTML = `
-                <div class="alert-status-icon">${alertData.icon}</div>
+                <div class="alert-status-icon">${escapeHtml(alertData.icon)}</div>
                 <div class="alert-status-text">
-                    <strong>ACTIVE: ${alertData.message}</strong>
-                    <span>All displays showing emergency alert</span>
+                    <strong>ACTIVE: ${escapeHtml(alertData.message)}</strong>
+                    <span>${targets.length > 0
+                        ? `Showing on: ${escapeHtml(targets.map(getTargetLabel).join(', '))}`
+                        : 'All displays showing emergency alert'}</span>
+                    ${describeSchedule(alertData) ? `<span>${escapeHtml(describeSchedule(alertData))}</span>` : ''}
                 </div>
             `;
             banner.style.background = alertData.bgColor;
@@ -242,8 +221,8 @@
 
         historyEl.innerHTML = alertHistory.slice(0, 10).map(alert => `
             <div class="alert-history-item ${alert.type === 'cancelled' ? 'cancelled' : ''}">
-                <span class="alert-history-icon">${alert.icon || '✓'}</span>
-                <span class="alert-history-message">${alert.message}</span>
+                <span class="alert-history-icon">${escapeHtml(alert.icon || '✓')}</span>
+                <span class="alert-history-message">${escapeHtml(alert.message)}${alert.targetLabel ? ` (${escapeHtml(alert.targetLabel)})` : ''}</span>
                 <span class="alert-history-time">${alert.sentAt}</span>
             </div>
         `).join('');
@@ -258,24 +237,461 @@
             const data = await response.json();
 
             isAlertActive = data.active;
-            updateAlertStatus(data.active, data.alert);
+            activeAlertId = data.active && data.alert ? data.alert.id : null;
+            updateAlertStatus(data.active, data.alert, data.targets || []);
+
+            if (data.active) {
+                startRosterPolling();
+            }
 
         } catch (error) {
             console.error('Failed to check alert status:', error);
         }
     }
 
+    /**
+     * Render the zone/display checkboxes, keeping what is already ticked
+     */
+    function renderTargetOptions() {
+        const container = document.getElementById('emergencyTargets');
+        if (!container) return;
+
+        const selected = getSelectedTargets();
+        const options = window.DisplayManager ? window.DisplayManager.getTargetOptions() : [];
+
+        if (options.length === 0) {
+            container.innerHTML = '<p class="help-text">No displays or groups yet.</p>';
+            return;
+        }
+
+        container.innerHTML = options.map(option => `
+            <label class="target-checkbox">
+                <input type="checkbox" value="${escapeHtml(option.value)}" ${selected.includes(option.value) ? 'checked' : ''}>
+                <span>${escapeHtml(option.label)}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Targets ticked in the tab (empty = all displays)
+     */
+    function getSelectedTargets() {
+        const container = document.getElementById('emergencyTargets');
+        if (!container) return [];
+        return Array.from(container.querySelectorAll('input:checked')).map(cb => cb.value);
+    }
+
+    /**
+     * Poll the delivery roster while an alert is active
+     */
+    function startRosterPolling() {
+        stopRosterPolling();
+
+        const poll = async () => {
+            try {
+                const response = await fetch('/api/emergency/roster', {
+                    headers: window.SettingsAPI.getAuthHeaders()
+                });
+                if (!response.ok) return;
+
+                const data = await response.json();
+                if (!data.active) {
+                    // Expired on the server (or cancelled elsewhere)
+                    isAlertActive = false;
+                    activeAlertId = null;
+                    updateAlertStatus(false);
+                    stopRosterPolling();
+                    return;
+                }
+
+                if (data.alert.id !== activeAlertId) {
+                    // The server escalated the alert or moved on to the All Clear
+                    activeAlertId = data.alert.id;
+                    alertHistory.unshift({
+                        ...data.alert,
+                        targetLabel: data.targets.length > 0 ? data.targets.map(getTargetLabel).join(', ') : null,
+                        sentAt: new Date().toLocaleTimeString()
+                    });
+                    updateAlertHistory();
+                }
+
+                updateAlertStatus(true, data.alert, data.targets);
+                renderRoster(data);
+            } catch (error) {
+                console.error('Failed to load alert roster:', error);
+            }
+            rosterPollTimer = setTimeout(poll, ROSTER_POLL_INTERVAL_MS);
+        };
+
+        poll();
+    }
+
+    /**
+     * Stop polling and hide the roster
+     */
+    function stopRosterPolling() {
+        clearTimeout(rosterPollTimer);
+        rosterPollTimer = null;
+
+        const card = document.getElementById('alertRosterCard');
+        if (card) {
+            card.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render which displays confirmed the alert
+     * @param {Object} data - {roster} from the alert or roster endpoint
+     */
+    function renderRoster(data) {
+        const card = document.getElementById('alertRosterCard');
+        const summaryEl = document.getElementById('alertRosterSummary');
+        const listEl = document.getElementById('alertRoster');
+        if (!card || !summaryEl || !listEl || !data.roster) return;
+
+        card.style.display = 'block';
+
+        const counts = { confirmed: 0, failed: 0, unconfirmed: 0, offline: 0 };
+        data.roster.forEach(entry => counts[entry.status]++);
+
+        summaryEl.innerHTML = `
+            <span class="roster-count confirmed">✅ ${counts.confirmed} confirmed</span>
+            <span class="roster-count unconfirmed">⏳ ${counts.unconfirmed} not confirmed</span>
+            <span class="roster-count failed">❌ ${counts.failed} problem</span>
+            <span class="roster-count offline">🔴 ${counts.offline} offline</span>
+        `;
+
+        if (data.roster.length === 0) {
+            listEl.innerHTML = '<p class="no-alerts">No registered displays are in the selected zones.</p>';
+            return;
+        }
+
+        listEl.innerHTML = data.roster.map(entry => `
+            <div class="alert-roster-item ${entry.status}">
+                <span class="alert-roster-name">${escapeHtml(entry.name)}</span>
+                <span class="alert-roster-location">${escapeHtml(entry.groupName || entry.location)}</span>
+                <span class="alert-roster-detail">${escapeHtml(describeRosterEntry(entry))}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * One-line delivery description for a roster entry
+     */
+    function describeRosterEntry(entry) {
+        switch (entry.status) {
+            case 'confirmed': {
+                const time = new Date(entry.acknowledgedAt).toLocaleTimeString();
+                if (!entry.soundRequested) return `On screen at ${time}`;
+                return entry.soundPlayed
+                    ? `On screen with sound at ${time}`
+                    : `On screen at ${time}, no sound (${entry.message || 'sound did not play'})`;
+            }
+            case 'failed':
+                return entry.message || 'Display could not show the alert';
+            case 'offline':
+                return 'Offline - did not receive the alert';
+            default:
+                return 'Waiting for confirmation...';
+        }
+    }
+
+    /**
+     * Read the optional expiry/escalation fields
+     * @returns {Object|null} Timing fields for the alert request, or null if invalid
+     */
+    function getAlertTiming() {
+        const expiresInMinutes = parseInt(document.getElementById('alertExpiresIn').value, 10);
+        const allClearSeconds = parseInt(document.getElementById('alertAllClearSeconds').value, 10);
+        const escalateType = document.getElementById('alertEscalateType').value;
+        const escalateAfter = parseInt(document.getElementById('alertEscalateAfter').value, 10);
+
+        const timing = {
+            expiresInMinutes: expiresInMinutes > 0 ? expiresInMinutes : undefined,
+            allClearSeconds: allClearSeconds >= 0 ? allClearSeconds : undefined
+        };
+
+        if (escalateType) {
+            if (!(escalateAfter > 0)) {
+                window.showToast('Enter how many minutes until the alert escalates', 'error');
+                return null;
+            }
+            if (timing.expiresInMinutes && escalateAfter >= timing.expiresInMinutes) {
+                window.showToast('Escalation must happen before the alert auto-clears', 'error');
+                return null;
+            }
+
+            const config = alertTypes[escalateType];
+            timing.escalation = {
+                afterMinutes: escalateAfter,
+                type: escalateType,
+                icon: config.icon,
+                message: config.message,
+                subMessage: config.subMessage,
+                color: config.color,
+                bgColor: config.bgColor,
+                flash: config.flash,
+                sound: config.sound
+            };
+        }
+
+        return timing;
+    }
+
+    /**
+     * Timing summary for the confirmation dialog
+     */
+    function describeTiming(timing) {
+        let text = '';
+        if (timing.escalation) {
+            text += `Escalates to "${timing.escalation.message}" after ${timing.escalation.afterMinutes} min.\n`;
+        }
+        if (timing.expiresInMinutes) {
+            text += `Auto-clears after ${timing.expiresInMinutes} min` +
+                (timing.allClearSeconds === 0 ? '.\n' : ', then shows ALL CLEAR.\n');
+        }
+        return text ? text + '\n' : '';
+    }
+
+    /**
+     * Upcoming escalation/expiry of an active alert, for the status banner
+     */
+    function describeSchedule(alert) {
+        const parts = [];
+        if (alert.escalation) {
+            parts.push(`Escalates to ${alert.escalation.message} at ${new Date(alert.escalation.at).toLocaleTimeString()}`);
+        }
+        if (alert.expiresAt) {
+            parts.push(`${alert.type === 'all_clear' ? 'Returns to normal' : 'Auto-clears'} at ${new Date(alert.expiresAt).toLocaleTimeString()}`);
+        }
+        return parts.join(' • ');
+    }
+
+    /**
+     * Load the alert type definitions and redraw everything built from them
+     */
+    async function loadAlertTypes() {
+        try {
+            const response = await fetch('/api/emergency/types');
+            const data = await response.json();
+            setAlertTypes(data.types || {});
+        } catch (error) {
+            console.error('Failed to load alert types:', error);
+            window.showToast('Failed to load alert types', 'error');
+        }
+    }
+
+    /**
+     * Use a new set of alert types (from a load or an editor response)
+     */
+    function setAlertTypes(types) {
+        alertTypes = types;
+        renderQuickButtons();
+        renderEscalationOptions();
+        renderAlertTypeList();
+    }
+
+    /**
+     * Draw one quick alert button per type (the custom type has its own form)
+     */
+    function renderQuickButtons() {
+        const container = document.getElementById('emergencyButtons');
+        if (!container) return;
+
+        container.innerHTML = Object.entries(alertTypes)
+            .filter(([type]) => type !== 'custom')
+            .map(([type, config]) => `
+                <button class="emergency-btn" data-type="${escapeHtml(type)}"
+                    style="background: linear-gradient(135deg, ${escapeHtml(config.color)}, ${escapeHtml(config.bgColor)});">
+                    <span class="emergency-btn-icon">${escapeHtml(config.icon)}</span>
+                    <span class="emergency-btn-text">${escapeHtml(config.name)}</span>
+                </button>
+            `).join('');
+    }
+
+    /**
+     * Fill the escalation picker with the alert types, keeping the selection
+     */
+    function renderEscalationOptions() {
+        const select = document.getElementById('alertEscalateType');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">No escalation</option>';
+
+        Object.entries(alertTypes).forEach(([type, config]) => {
+            if (type === 'custom') return;
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = `${config.icon} ${config.name}`;
+            select.appendChild(option);
+        });
+
+        select.value = alertTypes[selected] ? selected : '';
+    }
+
+    /**
+     * Render the alert type editor list
+     */
+    function renderAlertTypeList() {
+        const container = document.getElementById('alertTypesList');
+        if (!container) return;
+
+        container.innerHTML = Object.entries(alertTypes).map(([type, config]) => `
+            <div class="alert-type-item">
+                <span class="alert-type-swatch" style="background: ${escapeHtml(config.bgColor)};">${escapeHtml(config.icon)}</span>
+                <div class="alert-type-info">
+                    <div class="alert-type-name">${escapeHtml(config.name)}</div>
+                    <div class="alert-type-meta">${escapeHtml(config.message)}${config.subMessage ? ' - ' + escapeHtml(config.subMessage) : ''}</div>
+                </div>
+                <div class="alert-type-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="window.AdminEmergency.editAlertType('${escapeHtml(type)}')">Edit</button>
+                    ${type === 'custom' ? '' : `<button class="btn btn-danger btn-sm" onclick="window.AdminEmergency.deleteAlertType('${escapeHtml(type)}')">Delete</button>`}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Load an alert type into the editor form
+     */
+    function editAlertType(typeId) {
+        const config = alertTypes[typeId];
+        if (!config) return;
+
+        editingTypeId = typeId;
+        document.getElementById('alertTypeName').value = config.name;
+        document.getElementById('alertTypeIcon').value = config.icon;
+        document.getElementById('alertTypeMessage').value = config.message;
+        document.getElementById('alertTypeSubMessage').value = config.subMessage || '';
+        document.getElementById('alertTypeColor').value = config.color;
+        document.getElementById('alertTypeBgColor').value = config.bgColor;
+        document.getElementById('alertTypeFlash').checked = !!config.flash;
+        document.getElementById('alertTypeSound').checked = !!config.sound;
+
+        document.getElementById('alertTypeFormTitle').textContent = `Edit Alert Type: ${config.name}`;
+        document.getElementById('saveAlertTypeBtn').textContent = 'Save Changes';
+        document.getElementById('cancelAlertTypeEditBtn').style.display = '';
+        document.getElementById('alertTypeName').focus();
+    }
+
+    /**
+     * Clear the editor form back to "add"
+     */
+    function resetAlertTypeForm() {
+        editingTypeId = null;
+        ['alertTypeName', 'alertTypeIcon', 'alertTypeMessage', 'alertTypeSubMessage'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('alertTypeColor').value = '#f59e0b';
+        document.getElementById('alertTypeBgColor').value = '#78350f';
+        document.getElementById('alertTypeFlash').checked = false;
+        document.getElementById('alertTypeSound').checked = true;
+
+        document.getElementById('alertTypeFormTitle').textContent = 'Add Alert Type';
+        document.getElementById('saveAlertTypeBtn').textContent = 'Add Alert Type';
+        document.getElementById('cancelAlertTypeEditBtn').style.display = 'none';
+    }
+
+    /**
+     * Create or update an alert type from the editor form
+     */
+    async function saveAlertType() {
+        const alertType = {
+            name: document.getElementById('alertTypeName').value.trim(),
+            icon: document.getElementById('alertTypeIcon').value.trim(),
+            message: document.getElementById('alertTypeMessage').value.trim().toUpperCase(),
+            subMessage: document.getElementById('alertTypeSubMessage').value.trim(),
+            color: document.getElementById('alertTypeColor').value,
+            bgColor: document.getElementById('alertTypeBgColor').value,
+            flash: document.getElementById('alertTypeFlash').checked,
+            sound: document.getElementById('alertTypeSound').checked
+        };
+
+        if (!alertType.name || !alertType.icon || !alertType.message) {
+            window.showToast('Name, icon and alert message are required', 'error');
+            return;
+        }
+
+        const data = editingTypeId
+            ? await typeRequest(`/api/emergency/types/${encodeURIComponent(editingTypeId)}/update`, 'POST', alertType)
+            : await typeRequest('/api/emergency/types', 'POST', alertType);
+
+        if (data) {
+            setAlertTypes(data.types);
+            resetAlertTypeForm();
+            window.showToast(data.message, 'success');
+        }
+    }
+
+    /**
+     * Delete an alert type
+     */
+    async function deleteAlertType(typeId) {
+        const config = alertTypes[typeId];
+        if (!config || !confirm(`Delete the "${config.name}" alert type?\n\nIts quick alert button will be removed.`)) {
+            return;
+        }
+
+        const data = await typeRequest(`/api/emergency/types/${encodeURIComponent(typeId)}`, 'DELETE');
+        if (data) {
+            if (editingTypeId === typeId) {
+                resetAlertTypeForm();
+            }
+            setAlertTypes(data.types);
+            window.showToast(data.message, 'success');
+        }
+    }
+
+    /**
+     * Send an authenticated alert type request and report errors as toasts
+     * @returns {Promise<Object|null>} Response body, or null on failure
+     */
+    async function typeRequest(url, method, body) {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(url, {
+                method: method,
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: body ? JSON.stringify(body) : undefined
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                window.showToast(data.message || data.error || 'Request failed', 'error');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error(`Alert type request failed (${method} ${url}):`, error);
+            window.showToast(error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Initialize emergency alert module
      */
     function init() {
-        // Quick alert buttons
-        document.querySelectorAll('.emergency-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const alertType = btn.dataset.type;
-                sendAlert(alertType);
+        // Quick alert buttons (drawn from the alert types)
+        const quickButtons = document.getElementById('emergencyButtons');
+        if (quickButtons) {
+            quickButtons.addEventListener('click', (e) => {
+                const btn = e.target.closest('.emergency-btn');
+                if (btn) {
+                    sendAlert(btn.dataset.type);
+                }
             });
-        });
+        }
 
         // Custom alert button
         const sendCustomBtn = document.getElementById('sendCustomAlertBtn');
@@ -309,8 +725,29 @@
         // Cancel alert button
         const cancelBtn = document.getElementById('cancelAlertBtn');
         if (cancelBtn) {
-            cancelBtn.addEventListener('click', cancelAlert);
+            cancelBtn.addEventListener('click', () => cancelAlert(false));
+        }
+
+        const allClearBtn = document.getElementById('allClearBtn');
+        if (allClearBtn) {
+            allClearBtn.addEventListener('click', () => cancelAlert(true));
+        }
+
+        // Alert type editor
+        const saveTypeBtn = document.getElementById('saveAlertTypeBtn');
+        if (saveTypeBtn) {
+            saveTypeBtn.addEventListener('click', saveAlertType);
         }
+        const cancelTypeEditBtn = document.getElementById('cancelAlertTypeEditBtn');
+        if (cancelTypeEditBtn) {
+            cancelTypeEditBtn.addEventListener('click', resetAlertTypeForm);
+        }
+
+        loadAlertTypes();
+
+        // Zone picker follows the groups and displays known to the Display Manager
+        renderTargetOptions();
+        document.addEventListener('displaytargetschange', renderTargetOptions);
 
         // Check initial status
         checkAlertStatus();
@@ -318,6 +755,16 @@
         console.log('Admin Emergency module initialized');
     }
 
+    /**
+     * Name of an alert target, as shown in the Display Manager
+     */
+    function getTargetLabel(target) {
+        if (window.DisplayManager && window.DisplayManager.getTargetLabel) {
+            return window.DisplayManager.getTargetLabel(target);
+        }
+        return target || 'All displays';
+    }
+
     /**
      * Darken a hex color
      */
@@ -340,7 +787,9 @@
     window.AdminEmergency = {
         sendAlert,
         cancelAlert,
-        checkStatus: checkAlertStatus
+        checkStatus: checkAlertStatus,
+        editAlertType,
+        deleteAlertType
     };
 
 })();
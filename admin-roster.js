@@ -1,6 +1,8 @@
 /**
  * Admin Panel - Student Roster Management
- * Handles CSV upload, roster display, and student search
+ * Handles CSV import (with column mapping and preview), roster display, student search and editing,
+ * and how names appear on the hallway screens during dismissal
+ * The roster lives behind the authenticated /api/roster endpoints, not in the settings
  */
 
 (function() {
@@ -14,46 +16,154 @@
     const rosterList = document.getElementById('rosterList');
     const rosterCount = document.getElementById('rosterCount');
     const rosterSearch = document.getElementById('rosterSearch');
+    const saveStudentBtn = document.getElementById('saveRosterStudentBtn');
+    const cancelStudentEditBtn = document.getElementById('cancelRosterStudentEditBtn');
+
+    // Student form fields, keyed by API field name
+    const studentFields = {
+        name: document.getElementById('rosterStudentName'),
+        grade: document.getElementById('rosterStudentGrade'),
+        homeroom: document.getElementById('rosterStudentHomeroom'),
+        teacher: document.getElementById('rosterStudentTeacher'),
+        familyId: document.getElementById('rosterStudentFamily'),
+        carpoolNumber: document.getElementById('rosterStudentCarpool'),
+        studentNumber: document.getElementById('rosterStudentNumber'),
+        displayFormat: document.getElementById('rosterStudentDisplayFormat')
+    };
+    const doNotDisplayToggle = document.getElementById('rosterStudentDoNotDisplay');
+
+    // How names can appear on the hallway screens (same IDs as the server's DISMISSAL_NAME_FORMATS)
+    const NAME_FORMATS = {
+        full: 'Full name (Emma Johnson)',
+        first_initial: 'First name and last initial (Emma J.)',
+        initials: 'Initials (E.J.)',
+        carpool: 'Carpool number only (Carpool 142)',
+        hidden: 'Hidden'
+    };
 
     let currentRoster = [];
+    let editingStudentId = null;
 
     // ========================================
-    // CSV Upload
+    // CSV Import
     // ========================================
 
-    uploadRosterBtn.addEventListener('click', async () => {
+    // Roster fields a CSV column can be mapped to, with header names SIS exports commonly use
+    const IMPORT_FIELDS = [
+        { field: 'firstName', label: 'First Name', headers: ['first name', 'firstname', 'first', 'given name', 'student first name', 'legal first name'] },
+        { field: 'lastName', label: 'Last Name', headers: ['last name', 'lastname', 'last', 'surname', 'family name', 'student last name', 'legal last name'] },
+        { field: 'fullName', label: 'Full Name', headers: ['name', 'full name', 'student name', 'student', 'student full name'] },
+        { field: 'grade', label: 'Grade', headers: ['grade', 'grade level', 'gr', 'grd', 'current grade'] },
+        { field: 'homeroom', label: 'Homeroom', headers: ['homeroom', 'home room', 'hr', 'room', 'homeroom number'] },
+        { field: 'teacher', label: 'Teacher', headers: ['teacher', 'homeroom teacher', 'hr teacher'] },
+        { field: 'familyId', label: 'Family ID', headers: ['family id', 'family', 'family number', 'household id', 'household'] },
+        { field: 'carpoolNumber', label: 'Carpool Number', headers: ['carpool', 'carpool number', 'carpool #', 'car tag', 'tag', 'tag number', 'car number'] },
+        { field: 'studentNumber', label: 'Student ID', headers: ['student id', 'student number', 'student #', 'id', 'sis id', 'local id'] },
+        { field: 'doNotDisplay', label: 'Do Not Display', headers: ['do not display', 'donotdisplay', 'directory opt out', 'directory restriction', 'privacy', 'hide name'] }
+    ];
+
+    // Cell values that turn Do Not Display on; anything else (including blank) is off
+    const YES_VALUES = ['yes', 'y', 'true', '1', 'x'];
+
+    // Column order of files without a header row (the original Name,Grade,... template)
+    const HEADERLESS_COLUMNS = ['fullName', 'grade', 'homeroom', 'teacher', 'familyId', 'carpoolNumber'];
+
+    const importOptions = document.getElementById('rosterImportOptions');
+    const hasHeaderToggle = document.getElementById('rosterHasHeader');
+    const columnMap = document.getElementById('rosterColumnMap');
+    const importMode = document.getElementById('rosterImportMode');
+    const previewRosterBtn = document.getElementById('previewRosterBtn');
+    const importPreview = document.getElementById('rosterImportPreview');
+
+    let importRows = [];
+    let previewedImport = null;
+
+    rosterFile.addEventListener('change', async () => {
         const file = rosterFile.files[0];
+        clearPreview();
         if (!file) {
-            showToast('Please select a CSV file first', 'error');
+            importOptions.style.display = 'none';
             return;
         }
 
         try {
-            const text = await file.text();
-            const students = parseCSV(text);
-
-            if (students.length === 0) {
-                showToast('No valid students found in CSV', 'error');
+            importRows = parseCSV(await file.text());
+            if (importRows.length === 0) {
+                showToast('The file is empty', 'error');
+                importOptions.style.display = 'none';
                 return;
             }
 
-            // Save to API
-            await window.SettingsAPI.save('studentRoster', students);
+            hasHeaderToggle.checked = looksLikeHeader(importRows[0]);
+            renderColumnMap();
+            importOptions.style.display = '';
+        } catch (error) {
+            console.error('Error reading roster file:', error);
+            showToast('Failed to read file: ' + error.message, 'error');
+        }
+    });
+
+    hasHeaderToggle.addEventListener('change', () => {
+        clearPreview();
+        renderColumnMap();
+    });
+    columnMap.addEventListener('change', clearPreview);
+    importMode.addEventListener('change', clearPreview);
 
-            currentRoster = students;
-            updateRosterDisplay();
-            showToast(`Uploaded ${students.length} students successfully!`, 'success');
+    previewRosterBtn.addEventListener('click', async () => {
+        const data = buildImportStudents();
+        if (!data) return;
+
+        try {
+            const result = await rosterRequest('/api/roster/import', 'POST', {
+                students: data.students,
+                mode: importMode.value,
+                dryRun: true
+            });
+
+            previewedImport = { ...data, mode: importMode.value };
+            renderPreview(result, data.rowNumbers);
+        } catch (error) {
+            console.error('Error previewing roster import:', error);
+            showToast('Failed to preview import: ' + error.message, 'error');
+        }
+    });
+
+    uploadRosterBtn.addEventListener('click', async () => {
+        if (!previewedImport) return;
+
+        const { summary } = previewedImport;
+        if (previewedImport.mode === 'replace' && summary.removed > 0 &&
+            !confirm(`Remove ${summary.removed} students who are not in the file?`)) {
+            return;
+        }
+
+        try {
+            const result = await rosterRequest('/api/roster/import', 'POST', {
+                students: previewedImport.students,
+                mode: previewedImport.mode
+            });
+
+            currentRoster = result.students;
+            updateRosterDisplay(rosterSearch.value);
+            showToast(result.message, 'success');
 
-            // Clear file input
             rosterFile.value = '';
+            importRows = [];
+            clearPreview();
+            importOptions.style.display = 'none';
         } catch (error) {
-            console.error('Error uploading roster:', error);
-            showToast('Failed to upload roster: ' + error.message, 'error');
+            console.error('Error importing roster:', error);
+            showToast('Failed to import roster: ' + error.message, 'error');
         }
     });
 
     downloadTemplateBtn.addEventListener('click', () => {
-        const template = 'Name,Grade\nJohn Smith,3\nSarah Johnson,5\nMike Brown,K\nEmily Davis,12\n';
+        const template = 'Student ID,First Name,Last Name,Grade,Homeroom,Teacher,Family ID,Carpool,Do Not Display\r\n' +
+            '100234,John,Smith,3,3B,Ms. Lee,SMITH1,142,\r\n' +
+            '100235,Sarah,Smith,5,5A,"Ortiz, Maria",SMITH1,142,\r\n' +
+            '100311,Mike,Brown,K,,,,87,yes\r\n' +
+            '100402,Emily,Davis,12,,,,,\r\n';
         const blob = new Blob([template], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -70,7 +180,7 @@
         }
 
         try {
-            await window.SettingsAPI.save('studentRoster', []);
+            await rosterRequest('/api/roster', 'DELETE');
             currentRoster = [];
             updateRosterDisplay();
             showToast('Roster cleared', 'success');
@@ -84,31 +194,240 @@
     // CSV Parsing
     // ========================================
 
+    /**
+     * Parse CSV text (RFC 4180): quoted fields may hold delimiters, line breaks and "" for a quote.
+     * Handles the byte order mark and CRLF line endings Excel writes, and semicolon or tab
+     * separated exports.
+     * @returns {Array<Array<string>>} Rows of trimmed cells (blank rows included, so row numbers match the file)
+     */
     function parseCSV(text) {
-        const lines = text.trim().split('\n');
-        const students = [];
+        text = text.replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
+        if (field !== '' || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        return rows;
+    }
 
-            // Skip header row if it looks like headers
-            if (i === 0 && (line.toLowerCase().includes('name') || line.toLowerCase().includes('grade'))) {
-                continue;
+    /**
+     * Pick the delimiter used most often (outside quotes) on the first line
+     */
+    function detectDelimiter(text) {
+        const counts = { ',': 0, ';': 0, '\t': 0 };
+        let inQuotes = false;
+
+        for (const char of text) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && char in counts) {
+                counts[char]++;
             }
+        }
+
+        return Object.keys(counts).reduce((best, d) => counts[d] > counts[best] ? d : best, ',');
+    }
+
+    function normalizeHeader(header) {
+        return header.toLowerCase().replace(/[_.]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
 
-            const parts = line.split(',').map(p => p.trim());
-            if (parts.length < 2) continue;
+    function looksLikeHeader(row) {
+        return row.some(cell => IMPORT_FIELDS.some(f => f.headers.includes(normalizeHeader(cell))));
+    }
 
-            const name = parts[0];
-            const grade = normalizeGrade(parts[1]);
+    /**
+     * Show a column picker for each roster field, pre-selected from the header names
+     */
+    function renderColumnMap() {
+        const hasHeader = hasHeaderToggle.checked;
+        const columnCount = Math.max(...importRows.map(row => row.length));
+        const sample = importRows[hasHeader ? 1 : 0] || [];
+
+        const columns = [];
+        for (let i = 0; i < columnCount; i++) {
+            const header = hasHeader ? importRows[0][i] || '' : '';
+            const example = sample[i] ? ` (${sample[i]})` : '';
+            columns.push(`${header || `Column ${i + 1}`}${example}`);
+        }
 
-            if (name && grade) {
-                students.push({ name, grade });
+        const guess = {};
+        IMPORT_FIELDS.forEach(({ field, headers }) => {
+            const index = hasHeader
+                ? importRows[0].findIndex(cell => headers.includes(normalizeHeader(cell)))
+                : HEADERLESS_COLUMNS.indexOf(field);
+            if (index !== -1 && index < columnCount) {
+                guess[field] = index;
             }
+        });
+
+        columnMap.innerHTML = IMPORT_FIELDS.map(({ field, label }) => `
+            <div class="form-group">
+                <label for="rosterMap_${field}">${label}</label>
+                <select id="rosterMap_${field}" class="form-input" data-field="${field}">
+                    <option value="">Not in file</option>
+                    ${columns.map((column, index) => `
+                        <option value="${index}" ${guess[field] === index ? 'selected' : ''}>${escapeHtml(column)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Turn the file rows into students using the chosen column mapping
+     * @returns {Object|null} {students, rowNumbers} or null if the mapping is incomplete
+     */
+    function buildImportStudents() {
+        const mapping = {};
+        columnMap.querySelectorAll('select').forEach(select => {
+            if (select.value !== '') {
+                mapping[select.dataset.field] = parseInt(select.value, 10);
+            }
+        });
+
+        const hasName = mapping.fullName !== undefined ||
+            (mapping.firstName !== undefined && mapping.lastName !== undefined);
+        if (!hasName || mapping.grade === undefined) {
+            showToast('Choose the name column(s) and the grade column', 'error');
+            return null;
         }
 
-        return students;
+        const students = [];
+        const rowNumbers = [];
+        const cell = (row, field) => (row[mapping[field]] || '').trim();
+
+        importRows.forEach((row, index) => {
+            if ((hasHeaderToggle.checked && index === 0) || row.every(value => value === '')) {
+                return;
+            }
+
+            let name;
+            if (mapping.firstName !== undefined && mapping.lastName !== undefined) {
+                name = `${cell(row, 'firstName')} ${cell(row, 'lastName')}`.trim();
+            } else {
+                // "Smith, John" is how many SIS exports write names
+                name = cell(row, 'fullName');
+                const parts = name.split(',');
+                if (parts.length === 2) {
+                    name = `${parts[1].trim()} ${parts[0].trim()}`.trim();
+                }
+            }
+
+            const grade = cell(row, 'grade');
+            const student = { name, grade: grade ? normalizeGrade(grade) : '' };
+            ['homeroom', 'teacher', 'familyId', 'carpoolNumber', 'studentNumber'].forEach(field => {
+                if (mapping[field] !== undefined) {
+                    student[field] = cell(row, field);
+                }
+            });
+            if (mapping.doNotDisplay !== undefined) {
+                student.doNotDisplay = YES_VALUES.includes(cell(row, 'doNotDisplay').toLowerCase());
+            }
+
+            students.push(student);
+            rowNumbers.push(index + 1);
+        });
+
+        if (students.length === 0) {
+            showToast('No students found in the file', 'error');
+            return null;
+        }
+        return { students, rowNumbers };
+    }
+
+    /**
+     * Show what the import will do, row by row
+     * @param {Object} result - Dry-run response from /api/roster/import
+     * @param {Array<number>} rowNumbers - File row of each student sent
+     */
+    function renderPreview(result, rowNumbers) {
+        const { summary } = result;
+        previewedImport.summary = summary;
+
+        const fieldLabels = { name: 'Name', grade: 'Grade', ...Object.fromEntries(IMPORT_FIELDS.map(f => [f.field, f.label])) };
+        const rows = [
+            ...result.added.map(s => ({ ...s, status: 'added', label: 'New', detail: '' })),
+            ...result.updated.map(s => ({
+                ...s, status: 'updated', label: 'Update', detail: s.changes.map(c => fieldLabels[c] || c).join(', ')
+            })),
+            ...result.rejected.map(s => ({
+                ...s, status: 'rejected', label: 'Rejected',
+                detail: s.duplicateOf !== undefined ? `Same student as row ${rowNumbers[s.duplicateOf]}` : s.reason
+            }))
+        ].sort((a, b) => a.index - b.index);
+        const removedRows = result.removed.map(s => ({ ...s, status: 'removed', label: 'Remove', detail: 'Not in the file' }));
+
+        const changes = summary.added + summary.updated + summary.removed;
+        uploadRosterBtn.style.display = changes > 0 ? '' : 'none';
+
+        importPreview.innerHTML = `
+            <p class="help-text">
+                ${summary.added} new, ${summary.updated} updated, ${summary.unchanged} unchanged,
+                ${summary.rejected} rejected${result.mode === 'replace' ? `, ${summary.removed} removed` : ''}.
+                ${changes > 0 ? 'Rejected rows are skipped.' : 'Nothing to import.'}
+            </p>
+            ${rows.length + removedRows.length > 0 ? `
+                <table class="roster-preview-table">
+                    <thead>
+                        <tr><th>Row</th><th>Student</th><th>Grade</th><th>Result</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${[...rows, ...removedRows].map(row => `
+                            <tr class="preview-${row.status}">
+                                <td>${row.index !== undefined ? rowNumbers[row.index] : ''}</td>
+                                <td>${escapeHtml(row.name)}</td>
+                                <td>${escapeHtml(row.grade)}</td>
+                                <td>${row.label}</td>
+                                <td>${escapeHtml(row.detail)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    function clearPreview() {
+        previewedImport = null;
+        importPreview.innerHTML = '';
+        uploadRosterBtn.style.display = 'none';
     }
 
     function normalizeGrade(gradeStr) {
@@ -152,7 +471,10 @@
         const filteredStudents = filter ?
             currentRoster.filter(s =>
                 s.name.toLowerCase().includes(filter.toLowerCase()) ||
-                s.grade.toLowerCase().includes(filter.toLowerCase())
+                s.grade.toLowerCase().includes(filter.toLowerCase()) ||
+                (s.carpoolNumber || '').toLowerCase() === filter.toLowerCase() ||
+                (s.familyId || '').toLowerCase() === filter.toLowerCase() ||
+                (s.studentNumber || '').toLowerCase() === filter.toLowerCase()
             ) : currentRoster;
 
         if (filteredStudents.length === 0) {
@@ -160,17 +482,41 @@
             return;
         }
 
-        rosterList.innerHTML = filteredStudents.map((student, index) => `
+        rosterList.innerHTML = filteredStudents.map(student => `
             <div class="roster-item">
                 <div>
                     <div class="roster-item-name">${escapeHtml(student.name)}</div>
-                    <div class="roster-item-grade">Grade ${escapeHtml(student.grade)}</div>
+                    <div class="roster-item-grade">${describeStudent(student)}</div>
+                </div>
+                <div class="roster-item-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="window.editRosterStudent('${escapeHtml(student.id)}')">Edit</button>
+                    <button class="roster-item-remove" onclick="window.removeRosterStudent('${escapeHtml(student.id)}')">×</button>
                 </div>
-                <button class="roster-item-remove" onclick="window.removeRosterStudent('${escapeHtml(student.name)}')">×</button>
             </div>
         `).join('');
     }
 
+    function describeStudent(student) {
+        const parts = [`Grade ${escapeHtml(student.grade)}`];
+        if (student.homeroom) parts.push(`Room ${escapeHtml(student.homeroom)}`);
+        if (student.teacher) parts.push(escapeHtml(student.teacher));
+        if (student.carpoolNumber) parts.push(`Carpool ${escapeHtml(student.carpoolNumber)}`);
+        if (student.doNotDisplay) {
+            parts.push('Not shown on screens');
+        } else if (student.displayFormat) {
+            parts.push(`Screens: ${escapeHtml(NAME_FORMATS[student.displayFormat] || student.displayFormat)}`);
+        }
+
+        const siblings = student.familyId
+            ? currentRoster.filter(s => s.familyId === student.familyId && s.id !== student.id)
+            : [];
+        if (siblings.length > 0) {
+            parts.push(`Siblings: ${siblings.map(s => escapeHtml(s.name)).join(', ')}`);
+        }
+
+        return parts.join(' · ');
+    }
+
     rosterSearch.addEventListener('input', (e) => {
         updateRosterDisplay(e.target.value);
     });
@@ -179,31 +525,158 @@
     // Student Removal
     // ========================================
 
-    window.removeRosterStudent = async function(name) {
-        currentRoster = currentRoster.filter(s => s.name !== name);
+    window.removeRosterStudent = async function(studentId) {
+        const student = currentRoster.find(s => s.id === studentId);
+        if (!student) return;
 
         try {
-            await window.SettingsAPI.save('studentRoster', currentRoster);
+            await rosterRequest(`/api/roster/${encodeURIComponent(studentId)}`, 'DELETE');
+            currentRoster = currentRoster.filter(s => s.id !== studentId);
+            if (editingStudentId === studentId) {
+                resetStudentForm();
+            }
             updateRosterDisplay(rosterSearch.value);
-            showToast(`Removed ${name}`, 'success');
+            showToast(`Removed ${student.name}`, 'success');
         } catch (error) {
             console.error('Error removing student:', error);
             showToast('Failed to remove student', 'error');
         }
     };
 
+    // ========================================
+    // Add / Edit Student
+    // ========================================
+
+    window.editRosterStudent = function(studentId) {
+        const student = currentRoster.find(s => s.id === studentId);
+        if (!student) return;
+
+        editingStudentId = studentId;
+        Object.entries(studentFields).forEach(([field, input]) => {
+            input.value = student[field] || '';
+        });
+        doNotDisplayToggle.checked = !!student.doNotDisplay;
+        document.getElementById('rosterStudentFormTitle').textContent = `Edit ${student.name}`;
+        saveStudentBtn.textContent = 'Save Changes';
+        cancelStudentEditBtn.style.display = '';
+        studentFields.name.focus();
+    };
+
+    function resetStudentForm() {
+        editingStudentId = null;
+        Object.values(studentFields).forEach(input => {
+            input.value = '';
+        });
+        doNotDisplayToggle.checked = false;
+        document.getElementById('rosterStudentFormTitle').textContent = 'Add Student';
+        saveStudentBtn.textContent = 'Add Student';
+        cancelStudentEditBtn.style.display = 'none';
+    }
+
+    saveStudentBtn.addEventListener('click', async () => {
+        const student = {};
+        Object.entries(studentFields).forEach(([field, input]) => {
+            student[field] = input.value.trim();
+        });
+        student.doNotDisplay = doNotDisplayToggle.checked;
+
+        if (!student.name || !student.grade) {
+            showToast('Please enter a name and grade', 'error');
+            return;
+        }
+        student.grade = normalizeGrade(student.grade);
+
+        try {
+            const result = editingStudentId
+                ? await rosterRequest(`/api/roster/${encodeURIComponent(editingStudentId)}/update`, 'POST', student)
+                : await rosterRequest('/api/roster', 'POST', student);
+
+            currentRoster = currentRoster.filter(s => s.id !== result.student.id);
+            currentRoster.push(result.student);
+            currentRoster.sort((a, b) => a.name.localeCompare(b.name));
+
+            resetStudentForm();
+            updateRosterDisplay(rosterSearch.value);
+            showToast(result.message, 'success');
+        } catch (error) {
+            console.error('Error saving student:', error);
+            showToast('Failed to save student: ' + error.message, 'error');
+        }
+    });
+
+    cancelStudentEditBtn.addEventListener('click', resetStudentForm);
+
+    // ========================================
+    // Screen Privacy
+    // ========================================
+
+    const privacyFormat = document.getElementById('dismissalNameFormat');
+    const privacyAutoClear = document.getElementById('dismissalAutoClear');
+
+    // The per-student picker offers the same formats plus "use the school default"
+    privacyFormat.innerHTML = Object.entries(NAME_FORMATS)
+        .map(([format, label]) => `<option value="${format}">${escapeHtml(label)}</option>`)
+        .join('');
+    studentFields.displayFormat.innerHTML = '<option value="">School default</option>' + privacyFormat.innerHTML;
+
+    async function loadPrivacy() {
+        try {
+            const data = await rosterRequest('/api/dismissal/privacy', 'GET');
+            privacyFormat.value = data.privacy.format;
+            privacyAutoClear.value = data.privacy.autoClearMinutes;
+        } catch (error) {
+            console.error('Error loading screen privacy:', error);
+        }
+    }
+
+    document.getElementById('saveDismissalPrivacyBtn').addEventListener('click', async () => {
+        try {
+            const result = await rosterRequest('/api/dismissal/privacy', 'POST', {
+                format: privacyFormat.value,
+                autoClearMinutes: parseInt(privacyAutoClear.value, 10) || 0
+            });
+            showToast(result.message, 'success');
+        } catch (error) {
+            console.error('Error saving screen privacy:', error);
+            showToast('Failed to save screen privacy: ' + error.message, 'error');
+        }
+    });
+
     // ========================================
     // Load Roster on Init
     // ========================================
 
     async function loadRoster() {
+        if (!window.SettingsAPI.hasRole('dismissal_operator')) {
+            return;
+        }
+
         try {
-            const settings = await window.SettingsAPI.getAll();
-            currentRoster = settings.studentRoster || [];
+            const data = await rosterRequest('/api/roster', 'GET');
+            currentRoster = data.students;
             updateRosterDisplay();
         } catch (error) {
             console.error('Error loading roster:', error);
         }
+        await loadPrivacy();
+    }
+
+    /**
+     * Call a roster endpoint and return the parsed response
+     * @throws {Error} With the server's message if the request failed
+     */
+    async function rosterRequest(url, method, body) {
+        const response = await window.SettingsAPI.handleResponse(await fetch(url, {
+            method,
+            headers: window.SettingsAPI.getAuthHeaders(),
+            body: body ? JSON.stringify(body) : undefined
+        }));
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+        return data;
     }
 
     // ========================================
@@ -65,7 +65,13 @@
     // ========================================
     let slideSchedules = {};
 
-    function loadSchedules() {
+    function loadSchedules(settings = {}) {
+        // The server copy is what the displays use, so it wins over this browser's copy
+        if (settings.slideSchedules && typeof settings.slideSchedules === 'object') {
+            slideSchedules = settings.slideSchedules;
+            return;
+        }
+
         try {
             const saved = localStorage.getItem('slideSchedules');
             if (saved) {
@@ -230,6 +236,21 @@
                 return `<div class="image-slide"><img src="${escapeHtml(data.imageUrl)}" alt="${escapeHtml(data.caption || 'Slide image')}" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%22400%22 height=%22300%22><rect fill=%22%23ddd%22 width=%22400%22 height=%22300%22/><text fill=%22%23999%22 x=%22200%22 y=%22150%22 text-anchor=%22middle%22>Image not found</text></svg>'">${caption}</div>`;
             }
         },
+        video: {
+            name: 'Video',
+            icon: '🎬',
+            description: 'Play an MP4 or WebM video; the next slide waits for it to finish',
+            fields: [
+                { id: 'videoUrl', label: 'Video', type: 'videoupload', default: '', placeholder: 'Upload or enter video URL' },
+                { id: 'caption', label: 'Caption (optional)', type: 'text', default: '', placeholder: 'Enter video caption' },
+                { id: 'sound', label: 'Play with sound (if the display allows it)', type: 'toggle', default: false }
+            ],
+            // Muted by default: kiosk browsers only autoplay muted video (see js/slideshow.js)
+            render: (data) => {
+                const caption = data.caption ? `<p class="image-caption">${escapeHtml(data.caption)}</p>` : '';
+                return `<div class="video-slide"><video src="${escapeHtml(data.videoUrl)}" muted playsinline preload="auto"${data.sound ? ' data-sound="true"' : ''}></video>${caption}</div>`;
+            }
+        },
         richcontent: {
             name: 'Rich Content',
             icon: '✨',
@@ -280,9 +301,11 @@
     // ========================================
     // SLIDE MANAGEMENT
     // ========================================
-    function loadSlides() {
+    function loadSlides(settings = {}) {
         const saved = localStorage.getItem('visualSlides');
-        if (saved) {
+        if (Array.isArray(settings.visualSlides) && settings.visualSlides.length > 0) {
+            slides = settings.visualSlides;
+        } else if (saved) {
             try {
                 slides = JSON.parse(saved);
             } catch (e) {
@@ -290,9 +313,9 @@
             }
         } else {
             // Try to migrate from old format
-            const oldSlides = localStorage.getItem('customSlides');
-            if (oldSlides) {
-                slides = migrateOldSlides(JSON.parse(oldSlides));
+            const oldSlides = settings.customSlides || JSON.parse(localStorage.getItem('customSlides') || 'null');
+            if (Array.isArray(oldSlides) && oldSlides.length > 0) {
+                slides = migrateOldSlides(oldSlides);
             } else {
                 slides = getDefaultSlides();
             }
@@ -339,26 +362,53 @@
 
     function migrateOldSlides(oldSlides) {
         return oldSlides.map(slide => ({
-            id: generateId(),
+            id: slide.id || generateId(),
+            targets: slide.targets || [],
             template: 'custom',
             data: { html: slide.content }
         }));
     }
 
-    function saveSlides() {
+    async function saveSlides() {
         localStorage.setItem('visualSlides', JSON.stringify(slides));
 
-        // Also save in the old format for backward compatibility with the display
-        const oldFormat = slides.map(slide => {
+        // Rendered HTML for the displays; the ID lets them match each slide to its schedule,
+        // and the server only sends a slide to the displays in its targets
+        const displaySlides = slides.map(slide => {
             const template = SLIDE_TEMPLATES[slide.template];
             return {
+                id: slide.id,
                 type: slide.template,
-                content: template ? template.render(slide.data) : slide.data.html || ''
+                content: template ? template.render(slide.data) : slide.data.html || '',
+                duration: slide.duration || null,
+                targets: slide.targets || []
             };
         });
-        localStorage.setItem('customSlides', JSON.stringify(oldFormat));
+        localStorage.setItem('customSlides', JSON.stringify(displaySlides));
 
-        showToast('Slides saved! Changes will appear on the display.', 'success');
+        // Drop schedules left behind by deleted slides
+        const slideIds = new Set(slides.map(slide => slide.id));
+        const staleIds = Object.keys(slideSchedules).filter(id => !slideIds.has(id));
+        staleIds.forEach(id => delete slideSchedules[id]);
+        localStorage.setItem('slideSchedules', JSON.stringify(slideSchedules));
+
+        if (!window.SettingsAPI) {
+            showToast('Slides saved locally (server not available)', 'info');
+            return;
+        }
+
+        try {
+            await window.SettingsAPI.save('visualSlides', slides);
+            if (staleIds.length > 0) {
+                await window.SettingsAPI.save('slideSchedules', slideSchedules);
+            }
+            // Saved last: this is the update the displays re-render from
+            await window.SettingsAPI.save('customSlides', displaySlides);
+            showToast('Slides saved to server! All displays will update automatically.', 'success');
+        } catch (error) {
+            console.error('Failed to save slides to API:', error);
+            showToast('Error saving slides: ' + error.message, 'error');
+        }
     }
 
     // ========================================
@@ -494,6 +544,24 @@
                 </div>
             </div>
 
+            <!-- Timing Section -->
+            <div class="slide-timing-section">
+                <h4>⏱️ Time on Screen</h4>
+                <p class="schedule-help">${slide.template === 'video'
+                    ? 'Leave empty to play the whole video before the next slide. Set seconds to cut it short or to loop a short clip.'
+                    : 'Leave empty to use the slideshow interval from General Settings.'}</p>
+                <input type="number" id="slideDuration" class="form-input" min="1" max="3600" placeholder="Seconds" value="${slide.duration || ''}">
+            </div>
+
+            <!-- Display Targets Section -->
+            <div class="slide-targets-section">
+                <h4>📺 Show On</h4>
+                <p class="schedule-help">Pick the groups or displays that should show this slide. Leave all unticked to show it everywhere.</p>
+                <div class="target-checkboxes" id="slideTargets">
+                    ${renderTargetOptions(slide)}
+                </div>
+            </div>
+
             <div class="slide-editor-preview">
                 <h4>Preview</h4>
                 <div class="slide-preview-frame">
@@ -507,8 +575,57 @@
         // Add event listeners for field changes
         setupFieldListeners();
         setupScheduleListeners(slide.id);
+        setupTimingListener(slide);
+        setupTargetListeners(slide);
+    }
+
+    function setupTimingListener(slide) {
+        const input = document.getElementById('slideDuration');
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            const seconds = parseInt(input.value, 10);
+            if (seconds > 0) {
+                slide.duration = Math.min(seconds, 3600);
+            } else {
+                delete slide.duration;
+            }
+        });
     }
 
+    function renderTargetOptions(slide) {
+        const options = window.DisplayManager ? window.DisplayManager.getTargetOptions() : [];
+        const targets = slide.targets || [];
+
+        if (options.length === 0) {
+            return '<p class="schedule-help">No displays or groups yet. This slide shows on every display.</p>';
+        }
+
+        return options.map(option => `
+            <label class="target-checkbox">
+                <input type="checkbox" value="${escapeHtml(option.value)}" ${targets.includes(option.value) ? 'checked' : ''}>
+                <span>${escapeHtml(option.label)}</span>
+            </label>
+        `).join('');
+    }
+
+    function setupTargetListeners(slide) {
+        const container = document.getElementById('slideTargets');
+        if (!container) return;
+
+        container.addEventListener('change', () => {
+            slide.targets = Array.from(container.querySelectorAll('input:checked')).map(cb => cb.value);
+        });
+    }
+
+    // Groups and displays load after the editor; refresh the picker when they change
+    document.addEventListener('displaytargetschange', () => {
+        const container = document.getElementById('slideTargets');
+        if (container && slides[selectedSlideIndex]) {
+            container.innerHTML = renderTargetOptions(slides[selectedSlideIndex]);
+        }
+    });
+
     function setupScheduleListeners(slideId) {
         const enabledCheckbox = document.getElementById('scheduleEnabled');
         const optionsDiv = document.getElementById('scheduleOptions');
@@ -636,6 +753,53 @@
                         </div>
                     `;
 
+                case 'videoupload':
+                    return `
+                        <div class="editor-field">
+                            <label for="field_${field.id}">${field.label}</label>
+                            <div class="image-upload-wrapper">
+                                <div class="image-preview-box" id="preview_${field.id}">
+                                    ${value ? `<video src="${escapeHtml(value)}" muted preload="metadata" controls></video>` : '<span class="preview-placeholder">No video selected</span>'}
+                                </div>
+                                <div class="image-upload-controls">
+                                    <input type="file"
+                                           id="file_${field.id}"
+                                           class="image-file-input"
+                                           data-field="${field.id}"
+                                           data-kind="video"
+                                           accept="video/mp4,video/webm">
+                                    <label for="file_${field.id}" class="btn btn-primary btn-sm">
+                                        Upload Video
+                                    </label>
+                                    <span class="upload-or">or</span>
+                                    <input type="text"
+                                           id="field_${field.id}"
+                                           class="form-input field-input image-url-input"
+                                           data-field="${field.id}"
+                                           data-kind="video"
+                                           value="${escapeHtml(value)}"
+                                           placeholder="Enter video URL">
+                                </div>
+                                <small class="field-hint">Upload an MP4 or WebM video or enter a URL. Large files can take a while to upload.</small>
+                            </div>
+                        </div>
+                    `;
+
+                case 'toggle':
+                    return `
+                        <div class="editor-field">
+                            <label class="toggle-label">
+                                <input type="checkbox"
+                                       id="field_${field.id}"
+                                       class="field-input"
+                                       data-field="${field.id}"
+                                       ${value ? 'checked' : ''}>
+                                <span class="toggle-slider"></span>
+                                <span>${field.label}</span>
+                            </label>
+                        </div>
+                    `;
+
                 case 'code':
                     return `
                         <div class="editor-field">
@@ -728,7 +892,7 @@
             input.addEventListener('input', (e) => {
                 const field = e.target.dataset.field;
                 if (selectedSlideIndex >= 0 && field) {
-                    slides[selectedSlideIndex].data[field] = e.target.value;
+                    slides[selectedSlideIndex].data[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
                     updatePreview();
                 }
             });
@@ -764,10 +928,11 @@
         // Initialize Quill editors for richtext fields
         initializeQuillEditors();
 
-        // Image upload handlers
+        // Image and video upload handlers
         document.querySelectorAll('.image-file-input').forEach(input => {
             input.addEventListener('change', async (e) => {
                 const fieldId = e.target.dataset.field;
+                const kind = e.target.dataset.kind || 'image';
                 const file = e.target.files[0];
 
                 if (!file) return;
@@ -780,9 +945,9 @@
 
                 try {
                     const formData = new FormData();
-                    formData.append('image', file);
+                    formData.append(kind, file);
 
-                    const response = await fetch('/api/upload/image', {
+                    const response = await fetch(`/api/upload/${kind}`, {
                         method: 'POST',
                         headers: {
                             'X-Session-Token': window.SettingsAPI.getSessionToken()
@@ -791,7 +956,8 @@
                     });
 
                     if (!response.ok) {
-                        throw new Error('Upload failed');
+                        const data = await response.json().catch(() => ({}));
+                        throw new Error(data.error || 'Upload failed');
                     }
 
                     const result = await response.json();
@@ -805,13 +971,15 @@
 
                     // Update preview
                     if (previewBox) {
-                        previewBox.innerHTML = `<img src="${result.url}" alt="Preview">`;
+                        previewBox.innerHTML = kind === 'video'
+                            ? `<video src="${result.url}" muted preload="metadata" controls></video>`
+                            : `<img src="${result.url}" alt="Preview">`;
                     }
 
-                    showToast('Image uploaded successfully!', 'success');
+                    showToast(`${kind === 'video' ? 'Video' : 'Image'} uploaded successfully!`, 'success');
                 } catch (error) {
                     console.error('Upload failed:', error);
-                    showToast('Failed to upload image', 'error');
+                    showToast(`Failed to upload ${kind}: ${error.message}`, 'error');
                     if (previewBox) {
                         previewBox.innerHTML = '<span class="preview-placeholder">Upload failed</span>';
                     }
@@ -827,10 +995,12 @@
                 const url = e.target.value;
 
                 if (previewBox) {
-                    if (url) {
+                    if (url && e.target.dataset.kind === 'video') {
+                        previewBox.innerHTML = `<video src="${escapeHtml(url)}" muted preload="metadata" controls></video>`;
+                    } else if (url) {
                         previewBox.innerHTML = `<img src="${escapeHtml(url)}" alt="Preview" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Invalid image URL</span>'">`;
                     } else {
-                        previewBox.innerHTML = '<span class="preview-placeholder">No image selected</span>';
+                        previewBox.innerHTML = `<span class="preview-placeholder">No ${e.target.dataset.kind || 'image'} selected</span>`;
                     }
                 }
             });
@@ -938,6 +1108,9 @@
             template: original.template,
             data: JSON.parse(JSON.stringify(original.data))
         };
+        if (original.duration) {
+            duplicate.duration = original.duration;
+        }
 
         // Add "Copy" to the title if it exists
         if (duplicate.data.title) {
@@ -1034,7 +1207,7 @@
     // ========================================
     // INITIALIZATION
     // ========================================
-    function init() {
+    async function init() {
         // Create the template selector modal if it doesn't exist
         if (!document.getElementById('templateSelectorModal')) {
             const modal = document.createElement('div');
@@ -1043,8 +1216,13 @@
             document.body.appendChild(modal);
         }
 
-        loadSchedules();
-        loadSlides();
+        let settings = {};
+        if (window.SettingsAPI) {
+            settings = (await window.SettingsAPI.getAll()) || {};
+        }
+
+        loadSchedules(settings);
+        loadSlides(settings);
         renderTemplateSelector();
 
         // Set up button handlers
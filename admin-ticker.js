@@ -0,0 +1,254 @@
+/**
+ * Admin Panel - News Ticker
+ * Adds, edits and removes the short messages that scroll along the bottom of the
+ * displays (the `tickerItems` setting), in the slide editor tab
+ */
+
+(function() {
+    'use strict';
+
+    const PRIORITY_LABELS = {
+        normal: { label: 'Normal', icon: '📰', color: '#e0e7ff' },
+        high: { label: 'High', icon: '⭐', color: '#fde68a' },
+        urgent: { label: 'Urgent', icon: '🚨', color: '#fecaca' }
+    };
+
+    let items = []; // [{id, text, priority, startsAt, endsAt, enabled}] in ticker order
+    let editingId = null;
+
+    /**
+     * Initialize the ticker card (content editors only, like the rest of the slide editor)
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('content_editor')) {
+            return;
+        }
+
+        document.getElementById('saveTickerItemBtn').addEventListener('click', saveItem);
+        document.getElementById('cancelTickerEditBtn').addEventListener('click', resetForm);
+
+        loadItems();
+    }
+
+    /**
+     * Load the ticker items from the server
+     */
+    async function loadItems() {
+        try {
+            const settings = await window.SettingsAPI.getAll();
+            items = Array.isArray(settings.tickerItems) ? settings.tickerItems : [];
+            renderList();
+        } catch (error) {
+            console.error('Failed to load ticker items:', error);
+        }
+    }
+
+    /**
+     * Render the list of messages with when each one shows
+     */
+    function renderList() {
+        const container = document.getElementById('tickerItemsList');
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="no-alerts">No ticker messages. The ticker is hidden on the displays.</p>';
+            return;
+        }
+
+        container.innerHTML = items.map(item => {
+            const priority = PRIORITY_LABELS[item.priority] || PRIORITY_LABELS.normal;
+            return `
+                <div class="alert-type-item">
+                    <span class="alert-type-swatch" style="background: ${priority.color};">${priority.icon}</span>
+                    <div class="alert-type-info">
+                        <div class="alert-type-name">${escapeHtml(item.text)}</div>
+                        <div class="alert-type-meta">${priority.label} priority - ${escapeHtml(describeTiming(item))}</div>
+                    </div>
+                    <div class="alert-type-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="window.TickerAdmin.edit('${escapeHtml(item.id)}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="window.TickerAdmin.remove('${escapeHtml(item.id)}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Whether a message is showing now, and from when until when
+     */
+    function describeTiming(item) {
+        if (item.enabled === false) {
+            return 'Hidden';
+        }
+
+        const now = toLocalDateTimeString(new Date());
+        if (item.endsAt && item.endsAt <= now) {
+            return `Ended ${formatDateTime(item.endsAt)}`;
+        }
+        if (item.startsAt && item.startsAt > now) {
+            return `Starts ${formatDateTime(item.startsAt)}${item.endsAt ? `, ends ${formatDateTime(item.endsAt)}` : ''}`;
+        }
+        return `Showing now${item.endsAt ? ` until ${formatDateTime(item.endsAt)}` : ''}`;
+    }
+
+    /**
+     * Load a message into the form
+     */
+    function editItem(id) {
+        const item = items.find(entry => entry.id === id);
+        if (!item) return;
+
+        editingId = id;
+        document.getElementById('tickerText').value = item.text;
+        document.getElementById('tickerPriority').value = item.priority || 'normal';
+        document.getElementById('tickerStartsAt').value = item.startsAt || '';
+        document.getElementById('tickerEndsAt').value = item.endsAt || '';
+        document.getElementById('tickerEnabled').checked = item.enabled !== false;
+
+        document.getElementById('tickerFormTitle').textContent = 'Edit Message';
+        document.getElementById('saveTickerItemBtn').textContent = 'Save Changes';
+        document.getElementById('cancelTickerEditBtn').style.display = '';
+        document.getElementById('tickerText').focus();
+    }
+
+    /**
+     * Clear the form back to "add"
+     */
+    function resetForm() {
+        editingId = null;
+        document.getElementById('tickerText').value = '';
+        document.getElementById('tickerPriority').value = 'normal';
+        document.getElementById('tickerStartsAt').value = '';
+        document.getElementById('tickerEndsAt').value = '';
+        document.getElementById('tickerEnabled').checked = true;
+
+        document.getElementById('tickerFormTitle').textContent = 'Add Message';
+        document.getElementById('saveTickerItemBtn').textContent = 'Add Message';
+        document.getElementById('cancelTickerEditBtn').style.display = 'none';
+    }
+
+    /**
+     * Add or update a message from the form
+     */
+    async function saveItem() {
+        const item = {
+            id: editingId || 'tick_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            text: document.getElementById('tickerText').value.trim(),
+            priority: document.getElementById('tickerPriority').value,
+            startsAt: document.getElementById('tickerStartsAt').value || null,
+            endsAt: document.getElementById('tickerEndsAt').value || null,
+            enabled: document.getElementById('tickerEnabled').checked
+        };
+
+        if (!item.text) {
+            showToast('Enter a message', 'error');
+            return;
+        }
+        if (item.startsAt && item.endsAt && item.endsAt <= item.startsAt) {
+            showToast('The end time must be after the start time', 'error');
+            return;
+        }
+
+        const updated = editingId
+            ? items.map(entry => entry.id === editingId ? item : entry)
+            : items.concat(item);
+
+        if (await saveItems(updated)) {
+            resetForm();
+            showToast(item.priority === 'urgent' && item.enabled
+                ? 'Urgent message saved. It interrupts the ticker on every display.'
+                : 'Ticker message saved. Displays update automatically.', 'success');
+        }
+    }
+
+    /**
+     * Delete a message
+     */
+    async function removeItem(id) {
+        const item = items.find(entry => entry.id === id);
+        if (!item || !confirm(`Delete the ticker message "${item.text}"?`)) {
+            return;
+        }
+
+        if (await saveItems(items.filter(entry => entry.id !== id))) {
+            if (editingId === id) {
+                resetForm();
+            }
+            showToast('Ticker message deleted', 'success');
+        }
+    }
+
+    /**
+     * Save the whole list; the server sends it to every display
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function saveItems(updated) {
+        try {
+            await window.SettingsAPI.save('tickerItems', updated);
+            items = updated;
+            renderList();
+            return true;
+        } catch (error) {
+            console.error('Failed to save ticker items:', error);
+            showToast('Failed to save the ticker: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * A date as 'YYYY-MM-DDTHH:MM' in local time, the format of datetime-local inputs
+     */
+    function toLocalDateTimeString(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Format a saved 'YYYY-MM-DDTHH:MM' for the list
+     */
+    function formatDateTime(value) {
+        const [date, time] = value.split('T');
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes)
+            .toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.TickerAdmin = {
+        load: loadItems,
+        edit: editItem,
+        remove: removeItem
+    };
+
+})();
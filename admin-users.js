@@ -0,0 +1,230 @@
+/**
+ * Admin Panel - User Account Management
+ * Lists, creates, updates and deletes user accounts (administrators only)
+ */
+
+(function() {
+    'use strict';
+
+    // State
+    let users = [];
+    let roles = {};
+
+    /**
+     * Initialize the User Manager
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('admin')) {
+            return;
+        }
+
+        const createUserBtn = document.getElementById('createUserBtn');
+        if (createUserBtn) {
+            createUserBtn.addEventListener('click', createUser);
+        }
+
+        loadUsers();
+    }
+
+    /**
+     * Load user accounts from API
+     */
+    async function loadUsers() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/users', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            users = data.users || [];
+            roles = data.roles || {};
+            renderUserList();
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            showToast('Failed to load users: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the user list
+     */
+    function renderUserList() {
+        const container = document.getElementById('usersList');
+        if (!container) return;
+
+        const currentUser = window.SettingsAPI.getUser();
+
+        container.innerHTML = users.map(user => {
+            const isSelf = currentUser && currentUser.username === user.username;
+            const roleOptions = Object.entries(roles).map(([value, label]) => `
+                <option value="${value}" ${value === user.role ? 'selected' : ''}>${escapeHtml(label)}</option>
+            `).join('');
+
+            return `
+                <div class="user-item">
+                    <div>
+                        <div class="user-item-name">${escapeHtml(user.displayName)}${isSelf ? ' (you)' : ''}</div>
+                        <div class="user-item-meta">${escapeHtml(user.username)} &bull; ${user.lastLogin ? 'Last login ' + new Date(user.lastLogin).toLocaleString() : 'Never logged in'}</div>
+                    </div>
+                    <div class="user-item-actions">
+                        <select class="form-input" onchange="window.UserManager.changeRole('${escapeHtml(user.username)}', this.value)">
+                            ${roleOptions}
+                        </select>
+                        <button class="btn btn-secondary btn-sm" onclick="window.UserManager.resetPassword('${escapeHtml(user.username)}')">Reset Password</button>
+                        ${isSelf ? '' : `<button class="btn btn-danger btn-sm" onclick="window.UserManager.deleteUser('${escapeHtml(user.username)}')">Delete</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Create a new user from the form
+     */
+    async function createUser() {
+        const usernameInput = document.getElementById('newUsername');
+        const displayNameInput = document.getElementById('newUserDisplayName');
+        const passwordInput = document.getElementById('newUserPassword');
+        const roleInput = document.getElementById('newUserRole');
+
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value;
+
+        if (!username) {
+            showToast('Please enter a username', 'error');
+            return;
+        }
+        if (password.length < 8) {
+            showToast('Password must be at least 8 characters', 'error');
+            return;
+        }
+
+        const data = await request('/api/users', 'POST', {
+            username,
+            password,
+            displayName: displayNameInput.value.trim(),
+            role: roleInput.value
+        });
+
+        if (data) {
+            showToast(data.message, 'success');
+            usernameInput.value = '';
+            displayNameInput.value = '';
+            passwordInput.value = '';
+            loadUsers();
+        }
+    }
+
+    /**
+     * Change the role of a user
+     */
+    async function changeRole(username, role) {
+        const data = await request(`/api/users/${encodeURIComponent(username)}/update`, 'POST', { role });
+        if (data) {
+            showToast(`${username} is now ${roles[role]}`, 'success');
+        }
+        // Reload either way so a rejected change snaps back
+        loadUsers();
+    }
+
+    /**
+     * Set a new password for a user
+     */
+    async function resetPassword(username) {
+        const password = prompt(`New password for ${username} (at least 8 characters):`);
+        if (password === null) return;
+
+        if (password.length < 8) {
+            showToast('Password must be at least 8 characters', 'error');
+            return;
+        }
+
+        const data = await request(`/api/users/${encodeURIComponent(username)}/update`, 'POST', { password });
+        if (data) {
+            showToast(`Password updated for ${username}`, 'success');
+        }
+    }
+
+    /**
+     * Delete a user account
+     */
+    async function deleteUser(username) {
+        if (!confirm(`Delete the account "${username}"?\n\nThey will be logged out immediately.`)) {
+            return;
+        }
+
+        const data = await request(`/api/users/${encodeURIComponent(username)}`, 'DELETE');
+        if (data) {
+            showToast(data.message, 'success');
+            loadUsers();
+        }
+    }
+
+    /**
+     * Send an authenticated request and report errors as toasts
+     * @returns {Promise<Object|null>} Response body, or null on failure
+     */
+    async function request(url, method, body) {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(url, {
+                method: method,
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: body ? JSON.stringify(body) : undefined
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                showToast(data.message || data.error || 'Request failed', 'error');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error(`User request failed (${method} ${url}):`, error);
+            showToast(error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.UserManager = {
+        loadUsers,
+        changeRole,
+        resetPassword,
+        deleteUser
+    };
+
+})();
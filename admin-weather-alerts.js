@@ -0,0 +1,256 @@
+/**
+ * Admin Panel - Severe Weather Alerts
+ * Turns the weather alerts feed and the display ticker on or off, sets what happens
+ * to warnings of each severity and lets emergency operators raise or dismiss the
+ * warnings that wait for approval (in the emergency tab)
+ */
+
+(function() {
+    'use strict';
+
+    const POLL_INTERVAL_MS = 30000;
+
+    const RULE_LABELS = {
+        auto: 'Raise the Severe Weather alert automatically',
+        approve: 'Ask an operator to approve',
+        none: 'Ticker only'
+    };
+
+    const STATUS_LABELS = {
+        ticker: 'Ticker only',
+        pending: 'Waiting for approval',
+        raised: 'Severe Weather alert raised',
+        dismissed: 'Dismissed (ticker only)'
+    };
+
+    /**
+     * Initialize the weather alerts card (emergency operators only)
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('emergency_operator')) {
+            return;
+        }
+
+        document.querySelectorAll('.weather-rule').forEach(select => {
+            select.innerHTML = Object.entries(RULE_LABELS)
+                .map(([rule, label]) => `<option value="${rule}">${escapeHtml(label)}</option>`)
+                .join('');
+        });
+        document.getElementById('saveWeatherAlertsBtn').addEventListener('click', saveConfig);
+
+        loadStatus(true);
+        setInterval(() => loadStatus(false), POLL_INTERVAL_MS);
+    }
+
+    /**
+     * Load the settings and the active alerts
+     * @param {boolean} fillForm - Also reset the form (not on polls, so edits aren't lost)
+     */
+    async function loadStatus(fillForm) {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/weather/alerts/status', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            if (fillForm) {
+                setForm(data.config);
+            }
+            render(data);
+        } catch (error) {
+            console.error('Failed to load weather alerts:', error);
+        }
+    }
+
+    /**
+     * Fill the form from a weatherAlerts setting
+     */
+    function setForm(config) {
+        document.getElementById('weatherAlertsEnabled').checked = config.enabled;
+        document.getElementById('weatherAlertsTicker').checked = config.ticker;
+        document.querySelectorAll('.weather-rule').forEach(select => {
+            select.value = config.rules[select.dataset.severity];
+        });
+    }
+
+    /**
+     * Show where alerts come from and the list of active alerts
+     * @param {Object} data - {config, source, setupHint, alerts, error, updatedAt} from the server
+     */
+    function render(data) {
+        let status;
+        if (!data.config.enabled) {
+            status = 'Weather alerts are off.';
+        } else if (!data.source) {
+            status = `Weather alerts are on, but to read them ${data.setupHint}.`;
+        } else if (data.error) {
+            status = `The alerts feed could not be read: ${data.error}`;
+        } else if (data.updatedAt) {
+            status = `Reading ${data.source}. Last checked ${new Date(data.updatedAt).toLocaleTimeString()}.`;
+        } else {
+            status = `Reading ${data.source}. Waiting for the first check.`;
+        }
+        document.getElementById('weatherAlertsStatus').textContent = status;
+
+        const container = document.getElementById('weatherAlertsList');
+        if (data.alerts.length === 0) {
+            container.innerHTML = '<p class="no-alerts">No active watches or warnings.</p>';
+            return;
+        }
+
+        container.innerHTML = data.alerts.map(alert => `
+            <div class="alert-type-item weather-alert-entry ${alert.status === 'pending' ? 'pending' : ''}">
+                <span class="alert-type-swatch" style="background: ${alert.warning ? '#fecaca' : '#fde68a'};">${alert.warning ? '⛈️' : '🌩️'}</span>
+                <div class="alert-type-info">
+                    <div class="alert-type-name">${escapeHtml(alert.event)} (${escapeHtml(alert.severity)})</div>
+                    <div class="alert-type-meta">${escapeHtml(alert.areaDesc)}${alert.expires ? ` - until ${escapeHtml(new Date(alert.expires).toLocaleString())}` : ''}</div>
+                    <div class="alert-type-meta">${escapeHtml(describeStatus(alert))}</div>
+                </div>
+                <div class="alert-type-actions">
+                    <button class="btn btn-danger btn-sm" onclick="window.WeatherAlertsAdmin.raise('${escapeHtml(alert.id)}')">Raise Alert</button>
+                    ${alert.status === 'pending' ? `<button class="btn btn-secondary btn-sm" onclick="window.WeatherAlertsAdmin.dismiss('${escapeHtml(alert.id)}')">Dismiss</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Status line for one alert, with who decided and when
+     */
+    function describeStatus(alert) {
+        let text = STATUS_LABELS[alert.status] || alert.status;
+        if (alert.decidedBy) {
+            text += ` by ${alert.decidedBy} at ${new Date(alert.decidedAt).toLocaleTimeString()}`;
+        }
+        return text;
+    }
+
+    /**
+     * Save the on/off switches and the rules; the server reads the feed again before answering
+     */
+    async function saveConfig() {
+        const rules = {};
+        document.querySelectorAll('.weather-rule').forEach(select => {
+            rules[select.dataset.severity] = select.value;
+        });
+
+        const data = await request('/api/weather/alerts/config', {
+            enabled: document.getElementById('weatherAlertsEnabled').checked,
+            ticker: document.getElementById('weatherAlertsTicker').checked,
+            rules: rules
+        });
+        if (data) {
+            setForm(data.config);
+            render(data);
+            showToast(data.message, 'success');
+        }
+    }
+
+    /**
+     * Raise the Severe Weather alert for a weather alert, on every display
+     */
+    async function raise(id) {
+        if (!confirm('Raise the Severe Weather alert on ALL displays now?')) {
+            return;
+        }
+
+        const url = `/api/weather/alerts/${encodeURIComponent(id)}/raise`;
+        let data = await request(url);
+
+        // Another emergency (e.g. a lockdown) is on the displays; only replace it if asked to
+        if (data && data.conflict) {
+            if (!confirm(`${data.conflict.message}.\n\nReplace it with the Severe Weather alert?`)) {
+                return;
+            }
+            data = await request(url, { override: true });
+        }
+
+        if (data) {
+            render(data);
+            showToast(data.message, 'success');
+            if (window.AdminEmergency) {
+                window.AdminEmergency.checkStatus();
+            }
+        }
+    }
+
+    /**
+     * Keep a warning on the ticker without raising the emergency alert
+     */
+    async function dismiss(id) {
+        const data = await request(`/api/weather/alerts/${encodeURIComponent(id)}/dismiss`);
+        if (data) {
+            render(data);
+            showToast(data.message, 'success');
+        }
+    }
+
+    /**
+     * POST to the weather alerts API, reporting errors
+     * @returns {Promise<Object|null>} Response data, {conflict} if another emergency alert
+     * is active, or null on failure
+     */
+    async function request(url, body) {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch(url, {
+                method: 'POST',
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: JSON.stringify(body || {})
+            }));
+            const data = await response.json();
+
+            if (response.status === 409 && data.activeAlert) {
+                return { conflict: data };
+            }
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+            return data;
+        } catch (error) {
+            console.error('Weather alert request failed:', error);
+            showToast('Weather alerts: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.WeatherAlertsAdmin = {
+        load: () => loadStatus(true),
+        raise,
+        dismiss
+    };
+
+})();
@@ -0,0 +1,145 @@
+/**
+ * Admin Panel - Weather Provider
+ * Picks the weather provider (OpenWeatherMap, National Weather Service or Open-Meteo),
+ * the school's coordinates and units in the general settings tab
+ */
+
+(function() {
+    'use strict';
+
+    let providers = []; // [{id, label, needsKey, hasKey}] from the server
+
+    /**
+     * Initialize the weather card (content editors only, like the rest of general settings)
+     */
+    function init() {
+        if (!window.SettingsAPI.hasRole('content_editor')) {
+            return;
+        }
+
+        document.getElementById('saveWeatherBtn').addEventListener('click', saveWeather);
+        loadWeather();
+    }
+
+    /**
+     * Load the current provider settings into the form
+     */
+    async function loadWeather() {
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/weather/config', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            }));
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            providers = data.providers;
+            setForm(data.config);
+            showStatus(data);
+        } catch (error) {
+            console.error('Failed to load weather settings:', error);
+        }
+    }
+
+    /**
+     * Fill the form from a weatherProvider setting
+     */
+    function setForm(config) {
+        document.getElementById('weatherProvider').innerHTML = providers.map(provider => `
+            <option value="${escapeHtml(provider.id)}"${provider.id === config.provider ? ' selected' : ''}>
+                ${escapeHtml(provider.label)}${provider.needsKey && !provider.hasKey ? ' - no key on server' : ''}
+            </option>
+        `).join('');
+        document.getElementById('weatherUnits').value = config.units;
+        document.getElementById('weatherLatitude').value = config.latitude === null ? '' : config.latitude;
+        document.getElementById('weatherLongitude').value = config.longitude === null ? '' : config.longitude;
+    }
+
+    /**
+     * Say whether weather is working: last update, the provider's error, or what's missing
+     * @param {Object} data - {configured, setupHint, error, updatedAt} from the server
+     */
+    function showStatus(data) {
+        let status;
+        if (!data.configured) {
+            status = `Weather is off. To turn it on, ${data.setupHint || 'complete the settings above'}.`;
+        } else if (data.error) {
+            status = `The provider could not be reached: ${data.error}`;
+        } else if (data.updatedAt) {
+            status = `Last updated ${new Date(data.updatedAt).toLocaleTimeString()}.`;
+        } else {
+            status = 'Waiting for the first update.';
+        }
+        document.getElementById('weatherStatus').textContent = status;
+    }
+
+    /**
+     * Save the form; the server fetches fresh weather before answering
+     */
+    async function saveWeather() {
+        const config = {
+            provider: document.getElementById('weatherProvider').value,
+            units: document.getElementById('weatherUnits').value,
+            latitude: document.getElementById('weatherLatitude').value.trim(),
+            longitude: document.getElementById('weatherLongitude').value.trim()
+        };
+
+        try {
+            const response = await window.SettingsAPI.handleResponse(await fetch('/api/weather/config', {
+                method: 'POST',
+                headers: window.SettingsAPI.getAuthHeaders(),
+                body: JSON.stringify(config)
+            }));
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+
+            setForm(data.config);
+            showStatus(data);
+            showToast(data.error ? `Saved, but the provider could not be reached: ${data.error}` : data.message,
+                data.error || !data.configured ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Failed to save weather settings:', error);
+            showToast('Failed to save weather settings: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    function showToast(message, type = 'info') {
+        if (typeof window.showToast === 'function') {
+            window.showToast(message, type);
+        }
+    }
+
+    // Initialize when admin panel loads (after login, so the role is known)
+    if (window.initializeAdmin) {
+        const originalInit = window.initializeAdmin;
+        window.initializeAdmin = function() {
+            originalInit();
+            init();
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+    // Expose public API
+    window.WeatherSettings = {
+        load: loadWeather
+    };
+
+})();
@@ -10,6 +10,7 @@
 const loginScreen = document.getElementById('loginScreen');
 const adminPanel = document.getElementById('adminPanel');
 const loginForm = document.getElementById('loginForm');
+const usernameInput = document.getElementById('usernameInput');
 const passwordInput = document.getElementById('passwordInput');
 const loginError = document.getElementById('loginError');
 const logoutBtn = document.getElementById('logoutBtn');
@@ -40,16 +41,17 @@ window.showToast = showToast;
 
 loginForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    const username = usernameInput.value.trim();
     const password = passwordInput.value;
 
     // Authenticate directly with the API (password is validated server-side)
     try {
-        await window.SettingsAPI.login(password);
+        await window.SettingsAPI.login(username, password);
         sessionStorage.setItem('adminLoggedIn', 'true');
         showAdminPanel();
     } catch (error) {
         console.error('API login failed:', error);
-        loginError.textContent = 'Incorrect password. Please try again.';
+        loginError.textContent = 'Incorrect username or password. Please try again.';
         loginError.style.display = 'block';
         passwordInput.value = '';
         passwordInput.focus();
@@ -68,10 +70,40 @@ logoutBtn.addEventListener('click', async () => {
 function showAdminPanel() {
     loginScreen.style.display = 'none';
     adminPanel.style.display = 'block';
+    applyRoleVisibility();
     initializeAdmin();
     startHealthCheck();
 }
 
+/**
+ * Hide tabs and controls the logged-in role cannot use.
+ * Elements opt in with data-roles="role_a,role_b"; admins see everything.
+ * This is only cosmetic - the API rejects requests the role is not allowed to make.
+ */
+function applyRoleVisibility() {
+    const user = window.SettingsAPI.getUser();
+
+    const userLabel = document.getElementById('currentUserLabel');
+    if (userLabel && user) {
+        userLabel.textContent = `${user.displayName} (${user.roleName})`;
+    }
+
+    document.querySelectorAll('[data-roles]').forEach(el => {
+        const roles = el.getAttribute('data-roles').split(',');
+        el.style.display = window.SettingsAPI.hasRole(...roles) ? '' : 'none';
+    });
+
+    // If the default tab is hidden, open the first one this role can see
+    const activeBtn = document.querySelector('.nav-btn.active');
+    if (!activeBtn || activeBtn.style.display === 'none') {
+        const firstVisible = Array.from(document.querySelectorAll('.nav-btn'))
+            .find(btn => btn.style.display !== 'none');
+        if (firstVisible) {
+            firstVisible.click();
+        }
+    }
+}
+
 // ========================================
 // Health Check
 // ========================================
@@ -151,7 +183,10 @@ const PRESET_THEMES = {
         weatherPanelOpacity: 30,
         bottomPanelBg: '#000000',
         bottomPanelOpacity: 40,
-        accentColor: '#ffd700'
+        accentColor: '#ffd700',
+        tickerBg: '#0b1a33',
+        tickerTextColor: '#ffffff',
+        tickerSpeed: 100
     },
     sunset: {
         name: 'Sunset Orange',
@@ -231,6 +266,12 @@ const bottomPanelOpacity = document.getElementById('bottomPanelOpacity');
 const bottomPanelOpacityValue = document.getElementById('bottomPanelOpacityValue');
 const accentColor = document.getElementById('accentColor');
 const accentColorText = document.getElementById('accentColorText');
+const tickerBg = document.getElementById('tickerBg');
+const tickerBgText = document.getElementById('tickerBgText');
+const tickerTextColor = document.getElementById('tickerTextColor');
+const tickerTextColorText = document.getElementById('tickerTextColorText');
+const tickerSpeed = document.getElementById('tickerSpeed');
+const tickerSpeedValue = document.getElementById('tickerSpeedValue');
 
 // Sync color picker with text input
 function syncColorInputs(colorPicker, textInput) {
@@ -248,6 +289,8 @@ function syncColorInputs(colorPicker, textInput) {
 syncColorInputs(bgGradientStart, bgGradientStartText);
 syncColorInputs(bgGradientEnd, bgGradientEndText);
 syncColorInputs(accentColor, accentColorText);
+syncColorInputs(tickerBg, tickerBgText);
+syncColorInputs(tickerTextColor, tickerTextColorText);
 
 // Update opacity value displays
 mainContentOpacity.addEventListener('input', () => {
@@ -262,6 +305,10 @@ bottomPanelOpacity.addEventListener('input', () => {
     bottomPanelOpacityValue.textContent = `${bottomPanelOpacity.value}%`;
 });
 
+tickerSpeed.addEventListener('input', () => {
+    tickerSpeedValue.textContent = `${tickerSpeed.value} px/s`;
+});
+
 // Apply preset theme
 const themePresetBtns = document.querySelectorAll('.theme-preset-btn');
 themePresetBtns.forEach(btn => {
@@ -288,6 +335,15 @@ function applyThemeToInputs(theme) {
     bottomPanelOpacityValue.textContent = `${theme.bottomPanelOpacity}%`;
     accentColor.value = theme.accentColor;
     accentColorText.value = theme.accentColor;
+
+    // Presets and themes saved before the news ticker have no ticker settings
+    const defaults = PRESET_THEMES.default;
+    tickerBg.value = theme.tickerBg || defaults.tickerBg;
+    tickerBgText.value = tickerBg.value;
+    tickerTextColor.value = theme.tickerTextColor || defaults.tickerTextColor;
+    tickerTextColorText.value = tickerTextColor.value;
+    tickerSpeed.value = theme.tickerSpeed || defaults.tickerSpeed;
+    tickerSpeedValue.textContent = `${tickerSpeed.value} px/s`;
 }
 
 // Get current theme from inputs
@@ -301,18 +357,30 @@ function getCurrentTheme() {
         weatherPanelOpacity: parseInt(weatherPanelOpacity.value),
         bottomPanelBg: bottomPanelBg.value,
         bottomPanelOpacity: parseInt(bottomPanelOpacity.value),
-        accentColor: accentColor.value
+        accentColor: accentColor.value,
+        tickerBg: tickerBg.value,
+        tickerTextColor: tickerTextColor.value,
+        tickerSpeed: parseInt(tickerSpeed.value)
     };
 }
 
+// Group or display the theme editor is working on ('' = all displays)
+function getThemeTarget() {
+    const select = document.getElementById('themeTarget');
+    return select ? select.value : '';
+}
+
 // Apply theme button
 document.getElementById('applyThemeBtn').addEventListener('click', async () => {
     const theme = getCurrentTheme();
-    localStorage.setItem('customTheme', JSON.stringify(theme));
+    const target = getThemeTarget();
+    if (!target) {
+        localStorage.setItem('customTheme', JSON.stringify(theme));
+    }
 
     // Save to API
     try {
-        await window.SettingsAPI.save('customTheme', theme);
+        await window.SettingsAPI.save('customTheme', theme, target);
         showToast('Theme saved to server!', 'success');
     } catch (error) {
         console.error('Failed to save theme to API:', error);
@@ -346,13 +414,20 @@ document.getElementById('saveCustomThemeBtn').addEventListener('click', async ()
 
 // Reset theme
 document.getElementById('resetThemeBtn').addEventListener('click', async () => {
-    if (confirm('Reset to default theme? This will remove any applied custom theme.')) {
-        localStorage.removeItem('customTheme');
+    const target = getThemeTarget();
+    const question = target
+        ? 'Remove this theme? The selected group or display will use the default theme again.'
+        : 'Reset to default theme? This will remove any applied custom theme.';
+
+    if (confirm(question)) {
+        if (!target) {
+            localStorage.removeItem('customTheme');
+        }
         applyThemeToInputs(PRESET_THEMES.default);
 
         // Remove from API
         try {
-            await window.SettingsAPI.save('customTheme', null);
+            await window.SettingsAPI.save('customTheme', null, target);
         } catch (error) {
             console.error('Failed to reset theme on API:', error);
         }
@@ -1,9 +1,13 @@
 /**
  * Security Module for School Announcements API
- * Provides rate limiting, input validation, CSRF protection, and password hashing
+ * Provides rate limiting, input validation, CSRF protection, password hashing, and audit logging
  */
 
 const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
 
 /**
  * ============================================
@@ -648,14 +652,232 @@ class AuditLogger {
      * @returns {Array} - Matching log entries
      */
     search(criteria = {}) {
-        return this.logs.filter(log => {
-            if (criteria.action && log.action !== criteria.action) return false;
-            if (criteria.user && log.user !== criteria.user) return false;
-            if (criteria.ip && log.ip !== criteria.ip) return false;
-            if (criteria.startTime && new Date(log.timestamp) < new Date(criteria.startTime)) return false;
-            if (criteria.endTime && new Date(log.timestamp) > new Date(criteria.endTime)) return false;
-            return true;
-        });
+        return this.logs.filter(log => AuditLogger.matches(log, criteria));
+    }
+
+    /**
+     * Check one log entry against search criteria
+     * @param {Object} log - Log entry
+     * @param {Object} criteria - {action, user, ip, startTime, endTime}
+     * @returns {boolean} - True if the entry matches every given criterion
+     */
+    static matches(log, criteria = {}) {
+        if (criteria.action && log.action !== criteria.action) return false;
+        if (criteria.user && log.user !== criteria.user) return false;
+        if (criteria.ip && log.ip !== criteria.ip) return false;
+        if (criteria.startTime && new Date(log.timestamp) < new Date(criteria.startTime)) return false;
+        if (criteria.endTime && new Date(log.timestamp) > new Date(criteria.endTime)) return false;
+        return true;
+    }
+}
+
+/**
+ * Durable audit log storage
+ * Appends entries to JSON-lines files, one file per UTC day (audit-YYYY-MM-DD.jsonl).
+ * A day that outgrows maxFileBytes continues in numbered parts (audit-YYYY-MM-DD.1.jsonl, ...),
+ * and days older than retentionDays are deleted.
+ */
+class AuditLogStore {
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.maxFileBytes = options.maxFileBytes || 5 * 1024 * 1024;
+        this.retentionDays = options.retentionDays || 365;
+        this.current = null; // {date, part, size} of the file being appended to
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Append an entry (writes are queued so lines never interleave)
+     * @param {Object} entry - Log entry with an ISO timestamp
+     * @returns {Promise} - Resolves once the entry is written
+     */
+    append(entry) {
+        this.pending = this.pending
+            .then(() => this.write(entry))
+            .catch(error => console.error('Failed to write audit log:', error));
+        return this.pending;
+    }
+
+    /**
+     * Wait for queued entries to reach the disk
+     */
+    flush() {
+        return this.pending;
+    }
+
+    /**
+     * Write one entry, moving to a new file when the day changes or the file is full
+     */
+    async write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const bytes = Buffer.byteLength(line);
+        const date = entry.timestamp.slice(0, 10);
+
+        if (!this.current || this.current.date !== date) {
+            this.current = await this.getLatestPart(date);
+            await this.prune();
+        }
+        if (this.current.size > 0 && this.current.size + bytes > this.maxFileBytes) {
+            this.current = { date: date, part: this.current.part + 1, size: 0 };
+        }
+
+        await fs.appendFile(this.getFilePath(date, this.current.part), line, 'utf8');
+        this.current.size += bytes;
+    }
+
+    /**
+     * Find the last part written for a day (after a restart, keep appending to it)
+     */
+    async getLatestPart(date) {
+        const parts = (await this.listFiles()).filter(file => file.date === date);
+        const latest = parts[parts.length - 1];
+        if (!latest) {
+            return { date: date, part: 0, size: 0 };
+        }
+
+        const stats = await fs.stat(latest.path);
+        return { date: date, part: latest.part, size: stats.size };
+    }
+
+    /**
+     * @returns {string} - File path for one part of a day
+     */
+    getFilePath(date, part) {
+        const suffix = part > 0 ? `.${part}` : '';
+        return path.join(this.directory, `audit-${date}${suffix}.jsonl`);
+    }
+
+    /**
+     * List the log files, oldest first
+     * @returns {Promise<Array>} - [{date, part, path}]
+     */
+    async listFiles() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return names
+            .map(name => {
+                const match = name.match(/^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/);
+                return match && { date: match[1], part: parseInt(match[2] || '0', 10), path: path.join(this.directory, name) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.part - b.part);
+    }
+
+    /**
+     * Read the entries of one file line by line, skipping lines that can't be parsed
+     * (a crash can leave the last line half written)
+     * @returns {AsyncGenerator<Object>} - Entries in file order (oldest first)
+     */
+    async *readEntries(filePath) {
+        const input = createReadStream(filePath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        try {
+            for await (const line of lines) {
+                if (!line) continue;
+                try {
+                    yield JSON.parse(line);
+                } catch (error) {
+                    // Ignore the damaged line
+                }
+            }
+        } finally {
+            // Also when the caller stops early
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    /**
+     * Matching entries, newest first
+     * Only the files for days between startTime and endTime are read, newest file first
+     * and one at a time, and reading stops as soon as the caller stops iterating.
+     * @param {Object} criteria - Same criteria as AuditLogger.search
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *searchNewestFirst(criteria = {}) {
+        await this.flush();
+
+        const firstDate = criteria.startTime ? new Date(criteria.startTime).toISOString().slice(0, 10) : '';
+        const lastDate = criteria.endTime ? new Date(criteria.endTime).toISOString().slice(0, 10) : '9999-12-31';
+        const files = (await this.listFiles())
+            .filter(file => file.date >= firstDate && file.date <= lastDate)
+            .reverse();
+
+        for (const file of files) {
+            // A file holds at most maxFileBytes, so its matches can be turned around in memory
+            const matches = [];
+            for await (const entry of this.readEntries(file.path)) {
+                if (AuditLogger.matches(entry, criteria)) {
+                    matches.push(entry);
+                }
+            }
+            for (let i = matches.length - 1; i >= 0; i--) {
+                yield matches[i];
+            }
+        }
+    }
+
+    /**
+     * Search the stored entries one page at a time
+     * @param {Object} criteria - Same criteria as AuditLogger.search
+     * @param {Object} [page] - {offset, limit}
+     * @returns {Promise<Object>} - {entries: matching entries, newest first, hasMore}
+     */
+    async search(criteria = {}, { offset = 0, limit = 100 } = {}) {
+        const entries = [];
+        let skipped = 0;
+
+        for await (const entry of this.searchNewestFirst(criteria)) {
+            if (skipped < offset) {
+                skipped++;
+            } else if (entries.length < limit) {
+                entries.push(entry);
+            } else {
+                return { entries, hasMore: true };
+            }
+        }
+        return { entries, hasMore: false };
+    }
+
+    /**
+     * Read the newest entries (to refill the in-memory log after a restart)
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Array>} - Entries, oldest first
+     */
+    async loadRecent(limit) {
+        const files = await this.listFiles();
+        let entries = [];
+
+        for (let i = files.length - 1; i >= 0 && entries.length < limit; i--) {
+            const fileEntries = [];
+            for await (const entry of this.readEntries(files[i].path)) {
+                fileEntries.push(entry);
+            }
+            entries = fileEntries.concat(entries);
+        }
+        return entries.slice(-limit);
+    }
+
+    /**
+     * Delete files older than the retention period
+     */
+    async prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString().slice(0, 10);
+        const expired = (await this.listFiles()).filter(file => file.date < cutoff);
+
+        for (const file of expired) {
+            await fs.unlink(file.path);
+        }
+        if (expired.length > 0) {
+            console.log(`Removed ${expired.length} audit log file(s) older than ${this.retentionDays} days`);
+        }
     }
 }
 
@@ -667,5 +889,6 @@ module.exports = {
     CSRFProtection,
     InputValidator,
     securityHeaders,
-    AuditLogger
+    AuditLogger,
+    AuditLogStore
 };
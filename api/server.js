@@ -6,6 +6,7 @@
  * Security Features:
  * - Rate limiting on all endpoints
  * - Password hashing with PBKDF2
+ * - Per-user accounts with roles (admin, content editor, dismissal, emergency)
  * - CSRF protection for state-changing operations
  * - Input validation and sanitization
  * - Security headers
@@ -28,29 +29,44 @@ const {
     CSRFProtection,
     InputValidator,
     securityHeaders,
-    AuditLogger
+    AuditLogger,
+    AuditLogStore
 } = require('./security');
 
+// Weather provider adapters and the severe weather alerts feed
+const { WEATHER_PROVIDERS } = require('./weather-providers');
+const { SEVERITIES, fetchAlerts } = require('./weather-alerts');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SETTINGS_FILE = path.join(__dirname, 'settings.json');
 const DISPLAYS_FILE = path.join(__dirname, 'displays.json');
 const CREDENTIALS_FILE = path.join(__dirname, 'credentials.json');
+const STATE_FILE = path.join(__dirname, 'state.json');
+const ROSTER_FILE = path.join(__dirname, 'roster.json');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const DISMISSAL_HISTORY_DIR = path.join(__dirname, 'dismissal-history');
+const AUDIT_LOG_DIR = path.join(__dirname, 'audit-logs');
 
-// Ensure uploads directory exists
-if (!fsSync.existsSync(UPLOADS_DIR)) {
-    fsSync.mkdirSync(UPLOADS_DIR, { recursive: true });
+// Ensure uploads, history and audit log directories exist
+for (const dir of [UPLOADS_DIR, DISMISSAL_HISTORY_DIR, AUDIT_LOG_DIR]) {
+    if (!fsSync.existsSync(dir)) {
+        fsSync.mkdirSync(dir, { recursive: true });
+    }
 }
 
-// Configure multer for image uploads
+// Configure multer for image and video uploads
+const VIDEO_EXTENSIONS = { 'video/mp4': '.mp4', 'video/webm': '.webm' };
+const VIDEO_UPLOAD_MAX_MB = parseInt(process.env.VIDEO_UPLOAD_MAX_MB, 10) || 200;
+
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, UPLOADS_DIR);
     },
     filename: function (req, file, cb) {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
+        // Videos are served by extension, so use the one that matches the checked type
+        const ext = VIDEO_EXTENSIONS[file.mimetype] || path.extname(file.originalname);
         cb(null, 'slide-' + uniqueSuffix + ext);
     }
 });
@@ -73,6 +89,21 @@ const upload = multer({
     }
 });
 
+// MP4 and WebM play in every kiosk browser without plugins
+const videoUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (VIDEO_EXTENSIONS[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only MP4 and WebM videos are allowed'), false);
+        }
+    },
+    limits: {
+        fileSize: VIDEO_UPLOAD_MAX_MB * 1024 * 1024
+    }
+});
+
 // Authentication configuration
 // IMPORTANT: Set API_KEY environment variable in production!
 const API_KEY = process.env.API_KEY || 'change-this-in-production';
@@ -81,28 +112,135 @@ const SESSION_TIMEOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
 // Display tracking configuration
 const HEARTBEAT_TIMEOUT_MS = 90000; // 90 seconds - mark offline if no heartbeat
 const DISPLAY_CLEANUP_INTERVAL_MS = 60000; // Check for stale displays every minute
+const COMMAND_ACK_TIMEOUT_MS = 15000; // Displays must acknowledge a command within 15 seconds
+const COMMAND_RETENTION_MS = 10 * 60 * 1000; // Keep command results for 10 minutes
+
+// Timed emergency alerts
+const ALERT_MAX_DURATION_MINUTES = 24 * 60; // Expiry/escalation can be at most a day out
+const ALL_CLEAR_DEFAULT_SECONDS = 60; // How long the All Clear screen shows after an alert expires
+const ALL_CLEAR_MAX_SECONDS = 60 * 60;
+
+// Audit log
+const AUDIT_MAX_MEMORY_ENTRIES = 10000; // Newest entries kept in memory (and reloaded on startup)
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+const AUDIT_MAX_FILE_BYTES = 5 * 1024 * 1024; // A day's file continues in a new part past this size
+const AUDIT_MAX_QUERY_DAYS = 366; // Longest time range one audit query may cover
+const AUDIT_DEFAULT_QUERY_DAYS = 7;
+const AUDIT_MAX_PAGE_SIZE = 1000;
+
+// Dismissal history
+const DISMISSAL_HISTORY_MAX_DAYS = 366; // Longest date range one history query may cover
+
+// Dismissal queue
+const DISMISSAL_MAX_STUDENTS = 200; // Most students on screen at once
+const DISMISSAL_MAX_LANES = 8;
+const DISMISSAL_AUTO_CLEAR_MAX_MINUTES = 120;
+const DISMISSAL_AUTO_CLEAR_CHECK_MS = 30000; // How often students are checked for auto-clear
+const DISMISSAL_TIMEOUT_MIN_MINUTES = 15;
+const DISMISSAL_TIMEOUT_MAX_MINUTES = 12 * 60;
+const DISMISSAL_SCHEDULE_CHECK_MS = 15000; // How often the timeout and daily window are checked
+
+// Weather (fetched here so the provider's API key never reaches browsers)
+const WEATHER_API_URL = (process.env.WEATHER_API_URL || '').replace(/\/+$/, ''); // Overrides the provider's URL (e.g. a local stub)
+const WEATHER_API_KEY = process.env.WEATHER_API_KEY || '';
+const WEATHER_LOCATION = process.env.WEATHER_LOCATION || ''; // City name, e.g. 'Bel Air,MD,US'
+const WEATHER_CITY_ID = process.env.WEATHER_CITY_ID || ''; // OpenWeatherMap city ID (takes precedence)
+const WEATHER_UNITS = process.env.WEATHER_UNITS === 'metric' ? 'metric' : 'imperial'; // Default until set in general settings
+const WEATHER_REFRESH_MS = Math.max(parseInt(process.env.WEATHER_REFRESH_MINUTES, 10) || 10, 5) * 60000;
+const WEATHER_FETCH_TIMEOUT_MS = 10000;
+
+// Severe weather alerts (a CAP feed; {lat} and {lon} come from the weather settings)
+const WEATHER_ALERTS_URL = process.env.WEATHER_ALERTS_URL || 'https://api.weather.gov/alerts/active.atom?point={lat},{lon}';
+const WEATHER_ALERTS_FILE = process.env.WEATHER_ALERTS_FILE // Read instead of the feed, e.g. fixtures/weather-alerts.xml
+    ? path.resolve(__dirname, process.env.WEATHER_ALERTS_FILE)
+    : '';
+const WEATHER_ALERTS_REFRESH_MS = Math.max(parseInt(process.env.WEATHER_ALERTS_REFRESH_MINUTES, 10) || 2, 1) * 60000;
+
+// Student roster
+const ROSTER_MAX_STUDENTS = 5000;
+
+// User roles - admin can do everything, the others are limited to one area
+const ROLES = {
+    admin: 'Administrator',
+    content_editor: 'Content Editor',
+    dismissal_operator: 'Dismissal Operator',
+    emergency_operator: 'Emergency Operator'
+};
 
 // Store active sessions
 const sessions = new Map();
 
+// Store user accounts (username -> account)
+const users = new Map();
+
 // Store SSE clients for broadcasting
 const clients = new Map(); // Changed to Map to track display info
 
 // Store display information
 const displays = new Map();
 
+// Store sent display commands and their acknowledgements (commandId -> command)
+const displayCommands = new Map();
+
+// Store display groups (groupId -> group), saved with the displays
+const displayGroups = new Map();
+
+// Store the student roster (studentId -> student), kept out of the public settings
+const rosterStudents = new Map();
+
+// Settings that can be overridden for a group or a single display
+const TARGETABLE_SETTING_KEYS = ['customTheme', 'livestreamConfig', 'dismissalView', 'dismissalAnnouncements'];
+
+// Settings saved through their own endpoints. The settings routes never write them:
+// saving one on its own is refused, and a full save keeps the stored value (keep) or
+// drops it. studentRoster is only found in settings from older versions, where anyone
+// could read it; it now lives in the roster file.
+const SERVER_MANAGED_SETTINGS = {
+    alertTypes: { endpoint: '/api/emergency/types', keep: true },
+    studentRoster: { endpoint: '/api/roster', keep: false },
+    dismissalLanes: { endpoint: '/api/dismissal/lanes', keep: true },
+    dismissalPrivacy: { endpoint: '/api/dismissal/privacy', keep: true },
+    dismissalSchedule: { endpoint: '/api/dismissal/schedule', keep: true },
+    weatherProvider: { endpoint: '/api/weather/config', keep: true },
+    weatherAlerts: { endpoint: '/api/weather/alerts/config', keep: true }
+};
+
 // ============================================
 // SECURITY SETUP
 // ============================================
 
-// Initialize audit logger
+// Initialize audit logger (every entry is also appended to the JSON-lines files in audit-logs/)
+const auditStore = new AuditLogStore({
+    directory: AUDIT_LOG_DIR,
+    maxFileBytes: AUDIT_MAX_FILE_BYTES,
+    retentionDays: AUDIT_RETENTION_DAYS
+});
+
 const auditLog = new AuditLogger({
-    maxLogs: 10000,
+    maxLogs: AUDIT_MAX_MEMORY_ENTRIES,
     onLog: (entry) => {
-        // Could write to file or external service here
+        auditStore.append(entry);
     }
 });
 
+/**
+ * Refill the in-memory audit log from disk so recent entries survive a restart
+ */
+async function loadAuditLog() {
+    try {
+        const entries = await auditStore.loadRecent(AUDIT_MAX_MEMORY_ENTRIES);
+        // Keep anything logged while the files were being read (and not already read back from them)
+        const loadedUntil = entries.length > 0 ? entries[entries.length - 1].timestamp : '';
+        const newer = auditLog.logs.filter(entry => entry.timestamp > loadedUntil);
+        auditLog.logs = entries.concat(newer).slice(-AUDIT_MAX_MEMORY_ENTRIES);
+        console.log(`Loaded ${entries.length} audit log entries`);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+    }
+}
+
+loadAuditLog();
+
 // Rate limiters for different endpoints
 const generalRateLimiter = new RateLimiter({
     windowMs: 60000, // 1 minute
@@ -223,28 +361,43 @@ function authenticate(req, res, next) {
 
     // Allow display registration and heartbeat without auth (but not admin operations)
     if (req.path.startsWith('/api/displays')) {
-        // Public endpoints: GET all displays, POST heartbeat
+        // Public endpoints: GET all displays, POST heartbeat, POST command ack
         if (req.method === 'GET' && req.path === '/api/displays') {
             return next();
         }
         if (req.method === 'POST' && req.path === '/api/displays/heartbeat') {
             return next();
         }
+        if (req.method === 'POST' && /^\/api\/displays\/[^/]+\/ack$/.test(req.path)) {
+            return next();
+        }
         // All other display operations (DELETE, update, commands) require auth - continue to auth check
     }
 
     // Check for session token in header
-    const sessionToken = req.headers['x-session-token'];
+    // (EventSource can't send headers, so the operator stream passes it as ?token=)
+    const sessionToken = req.headers['x-session-token'] ||
+        (req.path === '/api/dismissal/stream' ? req.query.token : undefined);
     if (sessionToken && sessions.has(sessionToken)) {
         const session = sessions.get(sessionToken);
-        // Update last accessed time
-        session.lastAccessed = Date.now();
-        return next();
+        const user = users.get(session.username);
+
+        // Account was deleted after the session was created
+        if (!user) {
+            sessions.delete(sessionToken);
+        } else {
+            // Update last accessed time
+            session.lastAccessed = Date.now();
+            // Role is read from the account so changes apply immediately
+            req.user = { username: session.username, role: user.role };
+            return next();
+        }
     }
 
-    // Check for API key in header
+    // Check for API key in header (scripts and integrations act as admin)
     const apiKey = req.headers['x-api-key'];
     if (apiKey && apiKey === API_KEY) {
+        req.user = { username: 'api-key', role: 'admin' };
         return next();
     }
 
@@ -255,6 +408,115 @@ function authenticate(req, res, next) {
     });
 }
 
+/**
+ * Role check middleware - use after authenticate
+ * Admins pass every check; other roles must be listed
+ * @param {...string} roles - Roles allowed in addition to admin
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (hasRole(req.user, roles)) {
+            return next();
+        }
+        denyAccess(req, res);
+    };
+}
+
+/**
+ * Send a 403 response and record the attempt in the audit log
+ */
+function denyAccess(req, res) {
+    auditLog.log({
+        action: 'ACCESS_DENIED',
+        user: req.user ? req.user.username : undefined,
+        ip: req.ip,
+        details: { method: req.method, path: req.path, role: req.user ? req.user.role : null }
+    });
+
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'Your account does not have permission for this action'
+    });
+}
+
+/**
+ * Check whether a user holds one of the given roles (admin always does)
+ */
+function hasRole(user, roles) {
+    if (!user) return false;
+    return user.role === 'admin' || roles.includes(user.role);
+}
+
+/**
+ * Public view of a user account (never includes the password hash)
+ */
+function getUserSummary(username) {
+    const user = users.get(username);
+    return {
+        username: username,
+        displayName: user.displayName || username,
+        role: user.role,
+        roleName: ROLES[user.role],
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin || null
+    };
+}
+
+/**
+ * Load user accounts from file
+ * Creates a default admin account (password = API_KEY) when none exist
+ */
+async function loadCredentials() {
+    try {
+        const data = await fs.readFile(CREDENTIALS_FILE, 'utf8');
+        const savedUsers = JSON.parse(data);
+        for (const [username, user] of Object.entries(savedUsers)) {
+            if (user && user.passwordHash && Object.hasOwn(ROLES, user.role)) {
+                users.set(username, user);
+            }
+        }
+        console.log(`Loaded ${users.size} user accounts from storage`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading credentials:', error);
+        }
+    }
+
+    if (users.size === 0) {
+        users.set('admin', {
+            displayName: 'Administrator',
+            role: 'admin',
+            passwordHash: await hashPassword(API_KEY),
+            createdAt: Date.now()
+        });
+        await saveCredentials();
+        console.log("Created default 'admin' account (password is the current API_KEY)");
+    }
+}
+
+/**
+ * Save user accounts to file
+ */
+async function saveCredentials() {
+    try {
+        const usersObj = Object.fromEntries(users);
+        await fs.writeFile(CREDENTIALS_FILE, JSON.stringify(usersObj, null, 2), 'utf8');
+    } catch (error) {
+        console.error('Error saving credentials:', error);
+    }
+}
+
+/**
+ * Count accounts with the admin role
+ */
+function countAdmins() {
+    let count = 0;
+    for (const user of users.values()) {
+        if (user.role === 'admin') count++;
+    }
+    return count;
+}
+
 /**
  * Load settings from file
  */
@@ -284,13 +546,20 @@ async function saveSettings(settings) {
 async function loadDisplays() {
     try {
         const data = await fs.readFile(DISPLAYS_FILE, 'utf8');
-        const savedDisplays = JSON.parse(data);
+        const saved = JSON.parse(data);
+        // Older files hold only the displays, keyed by ID
+        const savedDisplays = saved.displays && saved.groups ? saved.displays : saved;
+        const savedGroups = saved.displays && saved.groups ? saved.groups : {};
+
         // Restore to Map
         for (const [id, display] of Object.entries(savedDisplays)) {
             display.status = 'offline'; // All displays start offline until they connect
             displays.set(id, display);
         }
-        console.log(`Loaded ${displays.size} displays from storage`);
+        for (const [id, group] of Object.entries(savedGroups)) {
+            displayGroups.set(id, group);
+        }
+        console.log(`Loaded ${displays.size} displays and ${displayGroups.size} groups from storage`);
     } catch (error) {
         if (error.code !== 'ENOENT') {
             console.error('Error loading displays:', error);
@@ -303,8 +572,10 @@ async function loadDisplays() {
  */
 async function saveDisplays() {
     try {
-        const displaysObj = Object.fromEntries(displays);
-        await fs.writeFile(DISPLAYS_FILE, JSON.stringify(displaysObj, null, 2), 'utf8');
+        await fs.writeFile(DISPLAYS_FILE, JSON.stringify({
+            displays: Object.fromEntries(displays),
+            groups: Object.fromEntries(displayGroups)
+        }, null, 2), 'utf8');
     } catch (error) {
         console.error('Error saving displays:', error);
     }
@@ -329,7 +600,11 @@ function getDisplaysSummary() {
             userAgent: display.userAgent,
             screenResolution: display.screenResolution,
             currentPage: display.currentPage,
-            offlineSince: display.offlineSince
+            offlineSince: display.offlineSince,
+            groupId: display.groupId || null,
+            groupName: display.groupId && displayGroups.has(display.groupId)
+                ? displayGroups.get(display.groupId).name
+                : null
         });
     }
 
@@ -343,14 +618,236 @@ function getDisplaysSummary() {
     return summary;
 }
 
+/**
+ * Get display groups with member counts for API responses
+ */
+function getGroupsSummary() {
+    const summary = [];
+
+    for (const [id, group] of displayGroups.entries()) {
+        const members = [...displays.values()].filter(display => display.groupId === id);
+        summary.push({
+            id: id,
+            name: group.name,
+            description: group.description || '',
+            createdAt: group.createdAt,
+            displayCount: members.length,
+            onlineCount: members.filter(display => display.status === 'online').length
+        });
+    }
+
+    summary.sort((a, b) => a.name.localeCompare(b.name));
+    return summary;
+}
+
+/**
+ * Targets that address a display: 'display:<id>' and, if it has one, 'group:<id>'
+ * Group first, so display-specific overrides are applied last and win
+ */
+function getDisplayTargets(displayId) {
+    const targets = [];
+    const display = displays.get(displayId);
+
+    if (display && display.groupId && displayGroups.has(display.groupId)) {
+        targets.push(`group:${display.groupId}`);
+    }
+    targets.push(`display:${displayId}`);
+    return targets;
+}
+
+/**
+ * Check whether content with the given targets should be shown on a display
+ * @param {Array} targets - Target strings; empty or missing means every display
+ * @param {string} displayId - Display to check
+ */
+function matchesTargets(targets, displayId) {
+    if (!Array.isArray(targets) || targets.length === 0) return true;
+    const displayTargets = getDisplayTargets(displayId);
+    return targets.some(target => displayTargets.includes(target));
+}
+
+/**
+ * Check that a target string names an existing group or display
+ */
+function isValidTarget(target) {
+    if (typeof target !== 'string') return false;
+    const [kind, id] = target.split(/:(.*)/s);
+    if (kind === 'group') return displayGroups.has(id);
+    if (kind === 'display') return displays.has(id);
+    return false;
+}
+
+/**
+ * Settings as one display should see them: slides targeted elsewhere are
+ * removed and group, then display, overrides replace the defaults
+ * @param {Object} settings - Stored settings
+ * @param {string} displayId - Display the settings are for
+ */
+function resolveSettingsForDisplay(settings, displayId) {
+    const { displayOverrides, ...resolved } = settings;
+
+    // Displays render alerts from the same type definitions as the admin panel
+    resolved.alertTypes = getAlertTypes(settings);
+    resolved.dismissalLanes = getDismissalLanes(settings);
+
+    if (Array.isArray(resolved.customSlides)) {
+        resolved.customSlides = resolved.customSlides.filter(slide => matchesTargets(slide && slide.targets, displayId));
+    }
+
+    for (const target of getDisplayTargets(displayId)) {
+        const overrides = displayOverrides && displayOverrides[target];
+        if (overrides) {
+            Object.assign(resolved, overrides);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Send a settings_update to each connected client with its own resolved settings
+ * @param {Object} settings - Stored settings
+ * @param {string} [key] - Setting that changed (omit when all settings were replaced)
+ * @param {Function} [filter] - Only send to clients for which filter(clientInfo) is true
+ */
+function broadcastSettingsUpdate(settings, key, filter) {
+    const timestamp = Date.now();
+    let sentCount = 0;
+
+    clients.forEach((clientInfo, client) => {
+        if (filter && !filter(clientInfo)) return;
+        try {
+            client.write(`data: ${JSON.stringify({
+                type: 'settings_update',
+                timestamp: timestamp,
+                key: key,
+                settings: resolveSettingsForDisplay(settings, clientInfo.displayId)
+            })}\n\n`);
+            sentCount++;
+        } catch (error) {
+            console.log('Error sending to client:', error.message);
+        }
+    });
+
+    console.log(`Sent settings update to ${sentCount} clients`);
+    return sentCount;
+}
+
+/**
+ * Re-send settings to the given displays after their group membership changed
+ */
+async function refreshDisplaySettings(displayIds) {
+    try {
+        const settings = await loadSettings();
+        broadcastSettingsUpdate(settings, null, clientInfo => displayIds.includes(clientInfo.displayId));
+    } catch (error) {
+        console.error('Error refreshing display settings:', error);
+    }
+}
+
+/**
+ * Send a command to the given displays and start tracking acknowledgements
+ * @param {string} target - Display ID or '*' for all connected displays
+ * @param {string} command - Command name
+ * @param {Object} params - Command parameters
+ * @param {string} username - User who sent the command
+ * @returns {Object} Tracked command
+ */
+function sendDisplayCommand(target, command, params, username) {
+    const commandId = 'cmd_' + crypto.randomBytes(8).toString('hex');
+    const now = Date.now();
+    const results = {};
+
+    const message = `data: ${JSON.stringify({
+        type: 'command',
+        commandId: commandId,
+        targetDisplay: target,
+        command: command,
+        params: params || {},
+        timestamp: now
+    })}\n\n`;
+
+    // Clients filter by displayId too, but only write to the targeted ones
+    clients.forEach((clientInfo, client) => {
+        if (target !== '*' && clientInfo.displayId !== target) return;
+        try {
+            client.write(message);
+            results[clientInfo.displayId] = { status: 'pending' };
+        } catch (error) {
+            console.error('Error sending command:', error);
+        }
+    });
+
+    const tracked = {
+        id: commandId,
+        command: command,
+        target: target,
+        sentBy: username,
+        sentAt: now,
+        results: results
+    };
+    displayCommands.set(commandId, tracked);
+    return tracked;
+}
+
+/**
+ * Command with per-display results; unacknowledged displays time out
+ */
+function getCommandSummary(tracked) {
+    const now = Date.now();
+    const results = [];
+
+    for (const [displayId, result] of Object.entries(tracked.results)) {
+        if (result.status === 'pending' && now - tracked.sentAt > COMMAND_ACK_TIMEOUT_MS) {
+            result.status = 'timeout';
+        }
+        const display = displays.get(displayId);
+        results.push({
+            displayId: displayId,
+            name: display ? display.name || 'Unnamed Display' : displayId,
+            status: result.status,
+            message: result.message || null,
+            ackedAt: result.ackedAt || null
+        });
+    }
+
+    return {
+        id: tracked.id,
+        command: tracked.command,
+        target: tracked.target,
+        sentBy: tracked.sentBy,
+        sentAt: tracked.sentAt,
+        pending: results.filter(r => r.status === 'pending').length,
+        results: results
+    };
+}
+
+/**
+ * Forget command results older than COMMAND_RETENTION_MS
+ */
+function cleanupDisplayCommands() {
+    const now = Date.now();
+    for (const [commandId, tracked] of displayCommands.entries()) {
+        if (now - tracked.sentAt > COMMAND_RETENTION_MS) {
+            displayCommands.delete(commandId);
+        }
+    }
+}
+
+setInterval(cleanupDisplayCommands, DISPLAY_CLEANUP_INTERVAL_MS);
+
 /**
  * Broadcast update to all connected SSE clients
+ * @param {Object} data - Message to send
+ * @param {Function} [filter] - Only send to clients for which filter(clientInfo) is true
+ * @returns {number} Number of clients the message was sent to
  */
-function broadcastUpdate(data) {
+function broadcastUpdate(data, filter) {
     const message = `data: ${JSON.stringify(data)}\n\n`;
     let sentCount = 0;
 
     clients.forEach((clientInfo, client) => {
+        if (filter && !filter(clientInfo)) return;
         try {
             client.write(message);
             sentCount++;
@@ -361,27 +858,34 @@ function broadcastUpdate(data) {
     });
 
     console.log(`Broadcasted update to ${sentCount} clients`);
+    return sentCount;
 }
 
-// Load displays on startup
+// Load displays and user accounts on startup
 loadDisplays();
+loadCredentials();
 
 /**
  * POST /api/auth/login
- * Authenticate and receive a session token
+ * Authenticate with username and password and receive a session token
  * Protected by aggressive rate limiting to prevent brute force
  */
 app.post('/api/auth/login', authRateLimiter.middleware(), async (req, res) => {
-    const { apiKey } = req.body;
+    const { username, password } = req.body;
 
     // Validate input
-    const apiKeyValidation = InputValidator.string(apiKey, {
+    const usernameValidation = InputValidator.string(username, {
+        required: true,
+        minLength: 1,
+        maxLength: 64
+    });
+    const passwordValidation = InputValidator.string(password, {
         required: true,
         minLength: 1,
         maxLength: 256
     });
 
-    if (!apiKeyValidation.valid) {
+    if (!usernameValidation.valid || !passwordValidation.valid) {
         auditLog.log({
             action: 'LOGIN_FAILED',
             reason: 'Invalid input',
@@ -389,19 +893,24 @@ app.post('/api/auth/login', authRateLimiter.middleware(), async (req, res) => {
         });
         return res.status(400).json({
             error: 'Invalid input',
-            message: apiKeyValidation.error
+            message: usernameValidation.error || passwordValidation.error
         });
     }
 
-    if (apiKeyValidation.value !== API_KEY) {
+    const loginName = usernameValidation.value.toLowerCase();
+    const user = users.get(loginName);
+    const passwordOk = user ? await verifyPassword(password, user.passwordHash) : false;
+
+    if (!passwordOk) {
         auditLog.log({
             action: 'LOGIN_FAILED',
             reason: 'Invalid credentials',
+            user: loginName,
             ip: req.ip
         });
         return res.status(401).json({
             error: 'Invalid credentials',
-            message: 'API key is incorrect'
+            message: 'Username or password is incorrect'
         });
     }
 
@@ -410,24 +919,30 @@ app.post('/api/auth/login', authRateLimiter.middleware(), async (req, res) => {
     const csrfToken = csrfProtection.generateToken(sessionToken);
 
     sessions.set(sessionToken, {
+        username: loginName,
         createdAt: Date.now(),
         lastAccessed: Date.now(),
         ip: req.ip
     });
 
+    user.lastLogin = Date.now();
+    saveCredentials();
+
     auditLog.log({
         action: 'LOGIN_SUCCESS',
+        user: loginName,
         ip: req.ip,
         sessionId: sessionToken.substring(0, 8) + '...'
     });
 
-    console.log('New session created:', sessionToken.substring(0, 8) + '...');
+    console.log(`New session created for ${loginName}:`, sessionToken.substring(0, 8) + '...');
 
     res.json({
         success: true,
         sessionToken: sessionToken,
         csrfToken: csrfToken,
-        expiresIn: SESSION_TIMEOUT_MS
+        expiresIn: SESSION_TIMEOUT_MS,
+        user: getUserSummary(loginName)
     });
 });
 
@@ -439,7 +954,13 @@ app.post('/api/auth/logout', (req, res) => {
     const sessionToken = req.headers['x-session-token'];
 
     if (sessionToken && sessions.has(sessionToken)) {
+        const session = sessions.get(sessionToken);
         sessions.delete(sessionToken);
+        auditLog.log({
+            action: 'LOGOUT',
+            user: session.username,
+            ip: req.ip
+        });
         console.log('Session logged out:', sessionToken.substring(0, 8) + '...');
     }
 
@@ -448,7 +969,7 @@ app.post('/api/auth/logout', (req, res) => {
 
 /**
  * GET /api/auth/validate
- * Check if current session token is valid
+ * Check if current session token is valid and return the logged-in user
  */
 app.get('/api/auth/validate', (req, res) => {
     const sessionToken = req.headers['x-session-token'];
@@ -468,79 +989,281 @@ app.get('/api/auth/validate', (req, res) => {
         return res.status(401).json({ valid: false, error: 'Session expired' });
     }
 
-    res.json({ valid: true, createdAt: session.createdAt });
+    if (!users.has(session.username)) {
+        sessions.delete(sessionToken);
+        return res.status(401).json({ valid: false, error: 'Account no longer exists' });
+    }
+
+    res.json({ valid: true, createdAt: session.createdAt, user: getUserSummary(session.username) });
 });
 
 /**
- * GET /api/settings
- * Return all current settings
+ * User Management Endpoints (admin only)
  */
-app.get('/api/settings', async (req, res) => {
-    try {
-        const settings = await loadSettings();
-        res.json(settings);
-    } catch (error) {
-        console.error('Error loading settings:', error);
-        res.status(500).json({ error: 'Failed to load settings' });
-    }
+
+/**
+ * GET /api/users
+ * List all user accounts and the available roles
+ */
+app.get('/api/users', authenticate, requireRole(), (req, res) => {
+    const list = Array.from(users.keys())
+        .sort()
+        .map(username => getUserSummary(username));
+
+    res.json({
+        users: list,
+        roles: ROLES,
+        timestamp: Date.now()
+    });
 });
 
 /**
- * POST /api/settings
- * Save settings and broadcast update
- * Requires authentication
+ * POST /api/users
+ * Create a new user account
  */
-app.post('/api/settings', authenticate, async (req, res) => {
-    try {
-        const newSettings = req.body;
+app.post('/api/users', authenticate, requireRole(), async (req, res) => {
+    const { username, password, displayName, role } = req.body;
 
-        // Validate that we received an object
-        if (!newSettings || typeof newSettings !== 'object') {
-            return res.status(400).json({ error: 'Invalid settings format' });
-        }
+    const usernameValidation = InputValidator.string(username, {
+        required: true,
+        minLength: 2,
+        maxLength: 64,
+        pattern: /^[a-zA-Z0-9._-]+$/
+    });
+    if (!usernameValidation.valid) {
+        return res.status(400).json({ error: 'Invalid username', message: usernameValidation.error });
+    }
 
-        // Validate and sanitize settings
-        const sanitizedSettings = sanitizeSettings(newSettings);
+    const passwordValidation = InputValidator.string(password, {
+        required: true,
+        minLength: 8,
+        maxLength: 256
+    });
+    if (!passwordValidation.valid) {
+        return res.status(400).json({ error: 'Invalid password', message: 'Password must be at least 8 characters' });
+    }
 
-        // Save to file
-        await saveSettings(sanitizedSettings);
+    if (!Object.hasOwn(ROLES, role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
 
-        // Audit log
-        auditLog.log({
-            action: 'SETTINGS_UPDATE',
-            ip: req.ip,
-            details: { settingsCount: Object.keys(sanitizedSettings).length }
+    const newName = usernameValidation.value.toLowerCase();
+    if (users.has(newName)) {
+        return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    try {
+        users.set(newName, {
+            displayName: String(displayName || newName).trim().substring(0, 100),
+            role: role,
+            passwordHash: await hashPassword(password),
+            createdAt: Date.now()
         });
+        await saveCredentials();
 
-        // Broadcast to all connected clients
-        broadcastUpdate({
-            type: 'settings_update',
-            timestamp: Date.now(),
-            settings: sanitizedSettings
+        auditLog.log({
+            action: 'USER_CREATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { username: newName, role: role }
         });
 
         res.json({
             success: true,
-            message: 'Settings saved and broadcasted',
-            clients: clients.size
+            message: `User '${newName}' created`,
+            user: getUserSummary(newName)
         });
     } catch (error) {
-        console.error('Error saving settings:', error);
-        res.status(500).json({ error: 'Failed to save settings' });
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
     }
 });
 
 /**
- * Sanitize settings object to prevent XSS and injection
+ * POST /api/users/:username/update
+ * Update display name, role or password of a user account
  */
-function sanitizeSettings(settings) {
-    const sanitized = {};
+app.post('/api/users/:username/update', authenticate, requireRole(), async (req, res) => {
+    const username = req.params.username.toLowerCase();
+    const { displayName, role, password } = req.body;
 
-    for (const [key, value] of Object.entries(settings)) {
-        // Validate key
-        const keyValidation = InputValidator.string(key, {
-            maxLength: 100,
-            pattern: /^[a-zA-Z0-9_-]+$/
+    if (!users.has(username)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = users.get(username);
+
+    if (role !== undefined) {
+        if (!Object.hasOwn(ROLES, role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        // Never leave the system without an administrator
+        if (user.role === 'admin' && role !== 'admin' && countAdmins() === 1) {
+            return res.status(400).json({ error: 'Cannot remove the last administrator' });
+        }
+    }
+
+    if (password !== undefined && password !== '') {
+        const passwordValidation = InputValidator.string(password, { minLength: 8, maxLength: 256 });
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: 'Invalid password', message: 'Password must be at least 8 characters' });
+        }
+    }
+
+    try {
+        if (displayName) user.displayName = String(displayName).trim().substring(0, 100);
+        if (role !== undefined) user.role = role;
+        if (password) user.passwordHash = await hashPassword(password);
+        await saveCredentials();
+
+        auditLog.log({
+            action: 'USER_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { username: username, role: user.role, passwordChanged: !!password }
+        });
+
+        res.json({
+            success: true,
+            user: getUserSummary(username)
+        });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * DELETE /api/users/:username
+ * Delete a user account and end its sessions
+ */
+app.delete('/api/users/:username', authenticate, requireRole(), async (req, res) => {
+    const username = req.params.username.toLowerCase();
+
+    if (!users.has(username)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (username === req.user.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    if (users.get(username).role === 'admin' && countAdmins() === 1) {
+        return res.status(400).json({ error: 'Cannot remove the last administrator' });
+    }
+
+    users.delete(username);
+    await saveCredentials();
+
+    // End any sessions belonging to the deleted account
+    for (const [token, session] of sessions.entries()) {
+        if (session.username === username) {
+            sessions.delete(token);
+        }
+    }
+
+    auditLog.log({
+        action: 'USER_DELETE',
+        user: req.user.username,
+        ip: req.ip,
+        details: { username: username }
+    });
+
+    res.json({
+        success: true,
+        message: `User '${username}' deleted`
+    });
+});
+
+/**
+ * GET /api/settings
+ * Return all current settings
+ * With ?displayId=, return the settings as that display should see them
+ */
+app.get('/api/settings', async (req, res) => {
+    try {
+        const settings = await loadSettings();
+        res.json(req.query.displayId ? resolveSettingsForDisplay(settings, req.query.displayId) : settings);
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        res.status(500).json({ error: 'Failed to load settings' });
+    }
+});
+
+/**
+ * POST /api/settings
+ * Save settings and broadcast update
+ * Requires authentication
+ */
+app.post('/api/settings', authenticate, requireRole('content_editor'), async (req, res) => {
+    try {
+        const newSettings = req.body;
+
+        // Validate that we received an object
+        if (!newSettings || typeof newSettings !== 'object') {
+            return res.status(400).json({ error: 'Invalid settings format' });
+        }
+
+        // Validate and sanitize settings
+        const sanitizedSettings = sanitizeSettings(newSettings);
+
+        // Overrides and the server-managed settings have their own endpoints; keep them across a full save
+        const currentSettings = await loadSettings();
+        if (!newSettings.displayOverrides && currentSettings.displayOverrides) {
+            sanitizedSettings.displayOverrides = currentSettings.displayOverrides;
+        }
+        for (const [managedKey, { keep }] of Object.entries(SERVER_MANAGED_SETTINGS)) {
+            if (keep && Object.hasOwn(currentSettings, managedKey)) {
+                sanitizedSettings[managedKey] = currentSettings[managedKey];
+            } else {
+                delete sanitizedSettings[managedKey];
+            }
+        }
+
+        // Ticker items get the same checks as when they are saved on their own
+        if (newSettings.tickerItems !== undefined && newSettings.tickerItems !== null) {
+            sanitizedSettings.tickerItems = sanitizeTickerItems(newSettings.tickerItems);
+            if (!sanitizedSettings.tickerItems) {
+                return res.status(400).json({ error: 'Invalid ticker items' });
+            }
+        }
+
+        // Save to file
+        await saveSettings(sanitizedSettings);
+
+        // Audit log
+        auditLog.log({
+            action: 'SETTINGS_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { settingsCount: Object.keys(sanitizedSettings).length }
+        });
+
+        // Send each connected display the settings that apply to it
+        broadcastSettingsUpdate(sanitizedSettings);
+
+        res.json({
+            success: true,
+            message: 'Settings saved and broadcasted',
+            clients: clients.size
+        });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        res.status(500).json({ error: 'Failed to save settings' });
+    }
+});
+
+/**
+ * Sanitize settings object to prevent XSS and injection
+ */
+function sanitizeSettings(settings) {
+    const sanitized = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+        // Validate key
+        const keyValidation = InputValidator.string(key, {
+            maxLength: 100,
+            pattern: /^[a-zA-Z0-9_-]+$/
         });
 
         if (!keyValidation.valid) continue;
@@ -567,38 +1290,207 @@ function sanitizeSettings(settings) {
     return sanitized;
 }
 
+/**
+ * Validate slide schedules ({slideId: schedule}) before they reach the displays
+ * @returns {Object|null} Cleaned schedules, or null if the value is malformed
+ */
+function sanitizeSlideSchedules(schedules) {
+    if (!schedules || typeof schedules !== 'object' || Array.isArray(schedules)) {
+        return null;
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const sanitized = {};
+
+    for (const [slideId, schedule] of Object.entries(schedules)) {
+        if (!/^[a-zA-Z0-9_-]{1,100}$/.test(slideId) || !schedule || typeof schedule !== 'object') {
+            return null;
+        }
+
+        const { startDate, endDate, startTime, endTime, daysOfWeek } = schedule;
+        if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+            return null;
+        }
+        if ((startTime && !timePattern.test(startTime)) || (endTime && !timePattern.test(endTime))) {
+            return null;
+        }
+        if (daysOfWeek && (!Array.isArray(daysOfWeek) ||
+            !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+            return null;
+        }
+
+        sanitized[slideId] = {
+            enabled: schedule.enabled === true,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            startTime: startTime || null,
+            endTime: endTime || null,
+            daysOfWeek: daysOfWeek || []
+        };
+    }
+
+    return sanitized;
+}
+
+const TICKER_PRIORITIES = ['normal', 'high', 'urgent'];
+
+/**
+ * Validate news ticker items ([{id, text, priority, startsAt, endsAt, enabled}])
+ * startsAt and endsAt are school-local 'YYYY-MM-DDTHH:MM' (as from a datetime-local input)
+ * or null; every display compares them to its own clock
+ * @returns {Array|null} Cleaned items, or null if the value is malformed
+ */
+function sanitizeTickerItems(items) {
+    if (!Array.isArray(items) || items.length > 100) {
+        return null;
+    }
+
+    const dateTimePattern = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+    const ids = new Set();
+    const sanitized = [];
+
+    for (const item of items) {
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+
+        const text = InputValidator.string(item.text, { required: true, maxLength: 200 });
+        if (!text.valid || !TICKER_PRIORITIES.includes(item.priority || 'normal')) {
+            return null;
+        }
+        if ((item.startsAt && !dateTimePattern.test(item.startsAt)) || (item.endsAt && !dateTimePattern.test(item.endsAt))) {
+            return null;
+        }
+        if (item.startsAt && item.endsAt && item.endsAt <= item.startsAt) {
+            return null;
+        }
+
+        const id = typeof item.id === 'string' && /^[a-zA-Z0-9_-]{1,100}$/.test(item.id) && !ids.has(item.id)
+            ? item.id
+            : 'tick_' + crypto.randomBytes(4).toString('hex');
+        ids.add(id);
+
+        sanitized.push({
+            id: id,
+            text: text.value,
+            priority: item.priority || 'normal',
+            startsAt: item.startsAt || null,
+            endsAt: item.endsAt || null,
+            enabled: item.enabled !== false
+        });
+    }
+
+    return sanitized;
+}
+
 /**
  * POST /api/settings/:key
  * Update a specific setting key
+ * Body: {value, target} - target ('group:<id>' or 'display:<id>') stores the value as an
+ * override for that group or display instead; a null value removes the override
  * Requires authentication
  */
-app.post('/api/settings/:key', authenticate, async (req, res) => {
-    try {
-        const { key } = req.params;
-        const value = req.body.value;
+app.post('/api/settings/:key', authenticate, requireRole('content_editor'), async (req, res) => {
+    const { key } = req.params;
+
+    if (Object.hasOwn(SERVER_MANAGED_SETTINGS, key)) {
+        return res.status(400).json({ error: `Setting '${key}' is managed with ${SERVER_MANAGED_SETTINGS[key].endpoint}` });
+    }
+
+    let value = req.body.value;
+    const target = req.body.target || null;
+
+    if (target) {
+        if (!TARGETABLE_SETTING_KEYS.includes(key)) {
+            return res.status(400).json({ error: `Setting '${key}' cannot be set per group or display` });
+        }
+        if (!isValidTarget(target)) {
+            return res.status(400).json({ error: 'Unknown group or display' });
+        }
+    }
+
+    // Schedules are evaluated by every display, so reject anything they can't parse
+    if (key === 'slideSchedules') {
+        value = sanitizeSlideSchedules(value);
+        if (!value) {
+            return res.status(400).json({
+                error: 'Invalid slide schedules',
+                message: 'Dates must be YYYY-MM-DD, times HH:MM and days of week 0-6'
+            });
+        }
+    }
+
+    // Ticker items are shown as plain text on every display
+    if (key === 'tickerItems') {
+        value = sanitizeTickerItems(value);
+        if (!value) {
+            return res.status(400).json({
+                error: 'Invalid ticker items',
+                message: 'Each item needs text (up to 200 characters), a priority of normal, high or urgent, and start/end times as YYYY-MM-DDTHH:MM with the end after the start'
+            });
+        }
+    }
 
+    try {
         // Load current settings
         const settings = await loadSettings();
 
-        // Update specific key
-        settings[key] = value;
+        if (key === 'dismissalAnnouncements' && value !== null && value !== undefined) {
+            value = sanitizeDismissalAnnouncements(value);
+            if (!value) {
+                return res.status(400).json({ error: 'Invalid dismissal announcements', message: 'Expected {enabled, voice, rate (0.5 to 2), chime}' });
+            }
+        }
+
+        // Displays can only be pointed at lanes that exist
+        if (key === 'dismissalView' && value !== null && value !== undefined) {
+            value = sanitizeDismissalView(value, getDismissalLanes(settings));
+            if (!value) {
+                return res.status(400).json({ error: 'Invalid dismissal view', message: 'lanes must list existing lane IDs' });
+            }
+        }
+
+        // Update specific key, or the override for one group or display
+        if (target) {
+            const overrides = settings.displayOverrides || {};
+            const targetOverrides = overrides[target] || {};
+
+            if (value === null || value === undefined) {
+                delete targetOverrides[key];
+            } else {
+                targetOverrides[key] = value;
+            }
+
+            if (Object.keys(targetOverrides).length > 0) {
+                overrides[target] = targetOverrides;
+            } else {
+                delete overrides[target];
+            }
+            settings.displayOverrides = overrides;
+        } else {
+            settings[key] = value;
+        }
 
         // Save to file
         await saveSettings(settings);
 
-        // Broadcast to all connected clients
-        broadcastUpdate({
-            type: 'settings_update',
-            timestamp: Date.now(),
-            key: key,
-            value: value,
-            settings: settings
+        // Audit log
+        auditLog.log({
+            action: 'SETTING_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: target ? { key: key, target: target } : { key: key }
         });
 
+        // Send each connected display the settings that apply to it
+        const sentCount = broadcastSettingsUpdate(settings, key,
+            target ? clientInfo => getDisplayTargets(clientInfo.displayId).includes(target) : null);
+
         res.json({
             success: true,
             message: `Setting '${key}' updated and broadcasted`,
-            clients: clients.size
+            clients: sentCount
         });
     } catch (error) {
         console.error('Error updating setting:', error);
@@ -639,8 +1531,12 @@ app.get('/api/settings/stream', async (req, res) => {
         const display = displays.get(displayId);
         display.status = 'online';
         display.lastHeartbeat = now;
-        display.name = displayName;
-        display.location = displayLocation;
+        // Keep names set in the admin panel unless the display sends its own
+        if (req.query.name) display.name = displayName;
+        if (req.query.location) display.location = displayLocation;
+        if (req.query.resolution) display.screenResolution = req.query.resolution;
+        if (req.query.page) display.currentPage = req.query.page;
+        display.userAgent = req.headers['user-agent'];
         display.offlineSince = null;
     } else {
         displays.set(displayId, {
@@ -667,14 +1563,19 @@ app.get('/api/settings/stream', async (req, res) => {
         displays: getDisplaysSummary()
     });
 
-    // Send initial settings and display ID
+    // Send initial settings and display ID, plus any active alert or dismissal
+    // so a reconnecting display re-renders it straight away
     try {
         const settings = await loadSettings();
         res.write(`data: ${JSON.stringify({
             type: 'initial',
             timestamp: now,
             displayId: displayId,
-            settings: settings
+            settings: resolveSettingsForDisplay(settings, displayId),
+            emergency: getEmergencyStateForDisplay(displayId),
+            dismissal: getDismissalStateForDisplays(),
+            weather: weatherCache,
+            weatherAlerts: getWeatherAlertsForDisplays()
         })}\n\n`);
     } catch (error) {
         console.error('Error sending initial settings:', error);
@@ -792,91 +1693,243 @@ app.get('/api/displays', (req, res) => {
 });
 
 /**
- * POST /api/displays/:id/update
- * Update display information (name, location, etc.)
+ * GET /api/displays/groups
+ * Get all display groups
  */
-app.post('/api/displays/:id/update', authenticate, (req, res) => {
-    const { id } = req.params;
-    const { name, location } = req.body;
+app.get('/api/displays/groups', (req, res) => {
+    res.json({
+        groups: getGroupsSummary(),
+        timestamp: Date.now()
+    });
+});
 
-    if (!displays.has(id)) {
-        return res.status(404).json({ error: 'Display not found' });
+/**
+ * POST /api/displays/groups
+ * Create a display group
+ */
+app.post('/api/displays/groups', authenticate, requireRole('content_editor'), (req, res) => {
+    const nameValidation = InputValidator.string(req.body.name, { required: true, maxLength: 50 });
+    if (!nameValidation.valid) {
+        return res.status(400).json({ error: 'Invalid group name', message: nameValidation.error });
     }
 
-    const display = displays.get(id);
-
-    if (name) display.name = name;
-    if (location) display.location = location;
+    const name = nameValidation.value;
+    if ([...displayGroups.values()].some(group => group.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(409).json({ error: `A group named "${name}" already exists` });
+    }
 
+    const groupId = 'group_' + crypto.randomBytes(6).toString('hex');
+    displayGroups.set(groupId, {
+        name: name,
+        description: String(req.body.description || '').substring(0, 200),
+        createdAt: Date.now(),
+        createdBy: req.user.username
+    });
     saveDisplays();
 
-    // Broadcast update
-    broadcastUpdate({
-        type: 'displays_update',
-        timestamp: Date.now(),
-        displays: getDisplaysSummary()
+    auditLog.log({
+        action: 'DISPLAY_GROUP_CREATE',
+        user: req.user.username,
+        ip: req.ip,
+        details: { groupId: groupId, name: name }
     });
 
     res.json({
         success: true,
-        display: {
-            id: id,
-            name: display.name,
-            location: display.location,
-            status: display.status
-        }
+        message: `Group "${name}" created`,
+        group: getGroupsSummary().find(group => group.id === groupId)
     });
 });
 
 /**
- * DELETE /api/displays/inactive/all
- * Remove all inactive/offline displays from tracking
- * NOTE: This route MUST come BEFORE /api/displays/:id to avoid "inactive" being treated as an ID
+ * POST /api/displays/groups/:groupId/update
+ * Rename a display group or change its description
  */
-app.delete('/api/displays/inactive/all', authenticate, (req, res) => {
-    const removedDisplays = [];
+app.post('/api/displays/groups/:groupId/update', authenticate, requireRole('content_editor'), (req, res) => {
+    const group = displayGroups.get(req.params.groupId);
+    if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
 
-    for (const [id, display] of displays.entries()) {
-        if (display.status === 'offline') {
-            removedDisplays.push({
-                id: id,
-                name: display.name || 'Unnamed'
-            });
-            displays.delete(id);
+    if (req.body.name !== undefined) {
+        const nameValidation = InputValidator.string(req.body.name, { required: true, maxLength: 50 });
+        if (!nameValidation.valid) {
+            return res.status(400).json({ error: 'Invalid group name', message: nameValidation.error });
         }
+        group.name = nameValidation.value;
     }
-
-    if (removedDisplays.length === 0) {
-        return res.json({
-            success: true,
-            message: 'No inactive displays to remove',
-            removed: 0
-        });
+    if (req.body.description !== undefined) {
+        group.description = String(req.body.description).substring(0, 200);
     }
-
     saveDisplays();
 
-    // Audit log
-    auditLog.log({
-        action: 'DISPLAYS_DELETE_INACTIVE',
-        ip: req.ip,
-        details: {
-            removedCount: removedDisplays.length,
-            displays: removedDisplays.map(d => d.name).join(', ')
-        }
-    });
-
-    // Broadcast update
     broadcastUpdate({
         type: 'displays_update',
         timestamp: Date.now(),
         displays: getDisplaysSummary()
     });
 
-    res.json({
-        success: true,
-        message: `Removed ${removedDisplays.length} inactive display(s)`,
-        removed: removedDisplays.length,
+    res.json({ success: true, message: `Group "${group.name}" updated` });
+});
+
+/**
+ * DELETE /api/displays/groups/:groupId
+ * Delete a display group; its displays go back to the default content
+ */
+app.delete('/api/displays/groups/:groupId', authenticate, requireRole('content_editor'), async (req, res) => {
+    const { groupId } = req.params;
+    const group = displayGroups.get(groupId);
+    if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const memberIds = [];
+    for (const [id, display] of displays.entries()) {
+        if (display.groupId === groupId) {
+            display.groupId = null;
+            memberIds.push(id);
+        }
+    }
+    displayGroups.delete(groupId);
+    saveDisplays();
+
+    // Drop the group's overrides and stop targeting it from slides
+    try {
+        const settings = await loadSettings();
+        const target = `group:${groupId}`;
+        if (settings.displayOverrides) {
+            delete settings.displayOverrides[target];
+        }
+        for (const key of ['customSlides', 'visualSlides']) {
+            if (Array.isArray(settings[key])) {
+                settings[key].forEach(slide => {
+                    if (slide && Array.isArray(slide.targets)) {
+                        slide.targets = slide.targets.filter(t => t !== target);
+                    }
+                });
+            }
+        }
+        await saveSettings(settings);
+        broadcastSettingsUpdate(settings);
+    } catch (error) {
+        console.error('Error removing group from settings:', error);
+    }
+
+    auditLog.log({
+        action: 'DISPLAY_GROUP_DELETE',
+        user: req.user.username,
+        ip: req.ip,
+        details: { groupId: groupId, name: group.name, displays: memberIds.length }
+    });
+
+    broadcastUpdate({
+        type: 'displays_update',
+        timestamp: Date.now(),
+        displays: getDisplaysSummary()
+    });
+
+    res.json({ success: true, message: `Group "${group.name}" deleted` });
+});
+
+/**
+ * POST /api/displays/:id/update
+ * Update display information (name, location, group)
+ */
+app.post('/api/displays/:id/update', authenticate, requireRole('content_editor'), (req, res) => {
+    const { id } = req.params;
+    const { name, location, groupId } = req.body;
+
+    if (!displays.has(id)) {
+        return res.status(404).json({ error: 'Display not found' });
+    }
+
+    if (groupId && !displayGroups.has(groupId)) {
+        return res.status(400).json({ error: 'Group not found' });
+    }
+
+    const display = displays.get(id);
+    const groupChanged = groupId !== undefined && (groupId || null) !== (display.groupId || null);
+
+    if (name) display.name = name;
+    if (location) display.location = location;
+    if (groupId !== undefined) display.groupId = groupId || null;
+
+    saveDisplays();
+
+    // The display's slides, theme and livestream may differ in its new group
+    if (groupChanged) {
+        refreshDisplaySettings([id]);
+    }
+
+    // Broadcast update
+    broadcastUpdate({
+        type: 'displays_update',
+        timestamp: Date.now(),
+        displays: getDisplaysSummary()
+    });
+
+    res.json({
+        success: true,
+        display: {
+            id: id,
+            name: display.name,
+            location: display.location,
+            groupId: display.groupId || null,
+            status: display.status
+        }
+    });
+});
+
+/**
+ * DELETE /api/displays/inactive/all
+ * Remove all inactive/offline displays from tracking
+ * NOTE: This route MUST come BEFORE /api/displays/:id to avoid "inactive" being treated as an ID
+ */
+app.delete('/api/displays/inactive/all', authenticate, requireRole('content_editor'), (req, res) => {
+    const removedDisplays = [];
+
+    for (const [id, display] of displays.entries()) {
+        if (display.status === 'offline') {
+            removedDisplays.push({
+                id: id,
+                name: display.name || 'Unnamed'
+            });
+            displays.delete(id);
+        }
+    }
+
+    if (removedDisplays.length === 0) {
+        return res.json({
+            success: true,
+            message: 'No inactive displays to remove',
+            removed: 0
+        });
+    }
+
+    saveDisplays();
+
+    // Audit log
+    auditLog.log({
+        action: 'DISPLAYS_DELETE_INACTIVE',
+        user: req.user.username,
+        ip: req.ip,
+        details: {
+            removedCount: removedDisplays.length,
+            displays: removedDisplays.map(d => d.name).join(', ')
+        }
+    });
+
+    // Broadcast update
+    broadcastUpdate({
+        type: 'displays_update',
+        timestamp: Date.now(),
+        displays: getDisplaysSummary()
+    });
+
+    res.json({
+        success: true,
+        message: `Removed ${removedDisplays.length} inactive display(s)`,
+        removed: removedDisplays.length,
         displays: removedDisplays
     });
 });
@@ -885,7 +1938,7 @@ app.delete('/api/displays/inactive/all', authenticate, (req, res) => {
  * DELETE /api/displays/:id
  * Remove a display from tracking
  */
-app.delete('/api/displays/:id', authenticate, (req, res) => {
+app.delete('/api/displays/:id', authenticate, requireRole('content_editor'), (req, res) => {
     const { id } = req.params;
 
     if (!displays.has(id)) {
@@ -899,6 +1952,7 @@ app.delete('/api/displays/:id', authenticate, (req, res) => {
     // Audit log
     auditLog.log({
         action: 'DISPLAY_DELETE',
+        user: req.user.username,
         ip: req.ip,
         details: { displayId: id, displayName: displayName }
     });
@@ -921,28 +1975,49 @@ app.delete('/api/displays/:id', authenticate, (req, res) => {
  * Send a command to all displays
  * NOTE: This route MUST come BEFORE /api/displays/:id/command to avoid "broadcast" being treated as an ID
  */
-app.post('/api/displays/broadcast', authenticate, (req, res) => {
+app.post('/api/displays/broadcast', authenticate, requireRole('content_editor'), (req, res) => {
     const { command, params } = req.body;
 
-    broadcastUpdate({
-        type: 'command',
-        targetDisplay: '*',
-        command: command,
-        params: params,
-        timestamp: Date.now()
+    if (!command) {
+        return res.status(400).json({ error: 'Command required' });
+    }
+
+    const tracked = sendDisplayCommand('*', command, params, req.user.username);
+
+    auditLog.log({
+        action: 'DISPLAY_COMMAND',
+        user: req.user.username,
+        ip: req.ip,
+        details: { displayId: '*', command: command, commandId: tracked.id }
     });
 
     res.json({
         success: true,
-        message: `Command '${command}' broadcast to ${clients.size} displays`
+        message: `Command '${command}' broadcast to ${Object.keys(tracked.results).length} displays`,
+        command: getCommandSummary(tracked)
     });
 });
 
+/**
+ * GET /api/displays/commands/:commandId
+ * Get acknowledgement status of a sent command
+ * NOTE: This route MUST come BEFORE /api/displays/:id routes
+ */
+app.get('/api/displays/commands/:commandId', authenticate, requireRole('content_editor'), (req, res) => {
+    const tracked = displayCommands.get(req.params.commandId);
+
+    if (!tracked) {
+        return res.status(404).json({ error: 'Command not found' });
+    }
+
+    res.json(getCommandSummary(tracked));
+});
+
 /**
  * POST /api/displays/:id/command
  * Send a command to a specific display
  */
-app.post('/api/displays/:id/command', authenticate, (req, res) => {
+app.post('/api/displays/:id/command', authenticate, requireRole('content_editor'), (req, res) => {
     const { id } = req.params;
     const { command, params } = req.body;
 
@@ -950,32 +2025,55 @@ app.post('/api/displays/:id/command', authenticate, (req, res) => {
         return res.status(404).json({ error: 'Display not found' });
     }
 
-    // Broadcast command to specific display
-    const message = `data: ${JSON.stringify({
-        type: 'command',
-        targetDisplay: id,
-        command: command,
-        params: params,
-        timestamp: Date.now()
-    })}\n\n`;
+    if (!command) {
+        return res.status(400).json({ error: 'Command required' });
+    }
 
-    // Send to all clients (they filter by displayId)
-    clients.forEach((clientInfo, client) => {
-        if (clientInfo.displayId === id) {
-            try {
-                client.write(message);
-            } catch (error) {
-                console.error('Error sending command:', error);
-            }
-        }
+    const tracked = sendDisplayCommand(id, command, params, req.user.username);
+
+    auditLog.log({
+        action: 'DISPLAY_COMMAND',
+        user: req.user.username,
+        ip: req.ip,
+        details: { displayId: id, command: command, commandId: tracked.id }
     });
 
+    if (Object.keys(tracked.results).length === 0) {
+        return res.status(409).json({
+            error: 'Display is not connected',
+            command: getCommandSummary(tracked)
+        });
+    }
+
     res.json({
         success: true,
-        message: `Command '${command}' sent to display ${id}`
+        message: `Command '${command}' sent to display ${id}`,
+        command: getCommandSummary(tracked)
     });
 });
 
+/**
+ * POST /api/displays/:id/ack
+ * Display acknowledges a command (no auth - displays are not logged in)
+ */
+app.post('/api/displays/:id/ack', (req, res) => {
+    const { id } = req.params;
+    const { commandId, success, message } = req.body;
+
+    const tracked = displayCommands.get(commandId);
+    if (!tracked || !tracked.results[id]) {
+        return res.status(404).json({ error: 'Unknown command for this display' });
+    }
+
+    tracked.results[id] = {
+        status: success ? 'success' : 'error',
+        message: message ? String(message).substring(0, 200) : null,
+        ackedAt: Date.now()
+    };
+
+    res.json({ success: true });
+});
+
 /**
  * GET /api/health
  * Enhanced health check endpoint with detailed system information
@@ -1039,26 +2137,183 @@ app.get('/api/clients', (req, res) => {
     });
 });
 
+/**
+ * Parse an audit query time: YYYY-MM-DD (local day) or a full date-time
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - For a plain date, use the end of the day instead of the start
+ * @returns {Date|null} - null if the value can't be read
+ */
+function parseAuditTime(value, endOfDay) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the audit query filters
+ * @param {Object} query - ?action=&user=&ip=&from=&to= (defaults to the last 7 days)
+ * @returns {Object} {valid, error?, criteria: {action, user, ip, startTime, endTime}}
+ */
+function parseAuditQuery(query) {
+    const now = new Date();
+    const endTime = query.to ? parseAuditTime(String(query.to), true) : now;
+    const startTime = query.from
+        ? parseAuditTime(String(query.from), false)
+        : new Date(endTime - AUDIT_DEFAULT_QUERY_DAYS * 86400000);
+
+    if (!startTime || !endTime) {
+        return { valid: false, error: "'from' and 'to' must be YYYY-MM-DD or a date and time" };
+    }
+    if (startTime > endTime) {
+        return { valid: false, error: "'from' must not be after 'to'" };
+    }
+    if (endTime - startTime > AUDIT_MAX_QUERY_DAYS * 86400000) {
+        return { valid: false, error: `A query can cover at most ${AUDIT_MAX_QUERY_DAYS} days` };
+    }
+
+    const criteria = { startTime: startTime.toISOString(), endTime: endTime.toISOString() };
+    for (const key of ['action', 'user', 'ip']) {
+        const value = InputValidator.string(query[key], { maxLength: 100 });
+        if (!value.valid) {
+            return { valid: false, error: `'${key}': ${value.error}` };
+        }
+        if (value.value) {
+            criteria[key] = value.value;
+        }
+    }
+
+    return { valid: true, criteria: criteria };
+}
+
 /**
  * GET /api/audit
- * Get recent audit log entries (requires authentication)
+ * Search the audit log (admin only)
+ * Query: action, user, ip (exact matches), from/to (YYYY-MM-DD or date-time; default the last 7 days),
+ * limit (default 100, max 1000) and offset for paging, newest first (hasMore says if
+ * there is another page); format=csv or format=json streams every match as a download
  */
-app.get('/api/audit', authenticate, (req, res) => {
-    const limit = parseInt(req.query.limit) || 100;
-    const logs = auditLog.getRecent(Math.min(limit, 1000));
+app.get('/api/audit', authenticate, requireRole(), async (req, res) => {
+    const parsed = parseAuditQuery(req.query);
+    if (!parsed.valid) {
+        return res.status(400).json({ error: parsed.error });
+    }
 
-    res.json({
-        count: logs.length,
-        logs: logs,
-        timestamp: Date.now()
-    });
+    const limitCheck = InputValidator.integer(req.query.limit, { min: 1, max: AUDIT_MAX_PAGE_SIZE });
+    const offsetCheck = InputValidator.integer(req.query.offset, { min: 0 });
+    if (!limitCheck.valid || !offsetCheck.valid) {
+        return res.status(400).json({ error: `'limit' must be 1 to ${AUDIT_MAX_PAGE_SIZE} and 'offset' 0 or more` });
+    }
+    const limit = limitCheck.value || 100;
+    const offset = offsetCheck.value || 0;
+
+    const { startTime, endTime } = parsed.criteria;
+    const format = req.query.format;
+
+    if (format === 'csv' || format === 'json') {
+        return exportAuditLog(res, parsed.criteria, format,
+            `audit-log_${toLocalDateString(startTime)}_${toLocalDateString(endTime)}`);
+    }
+
+    try {
+        const { entries, hasMore } = await auditStore.search(parsed.criteria, { offset, limit });
+        res.json({
+            count: entries.length,
+            hasMore: hasMore,
+            offset: offset,
+            limit: limit,
+            from: startTime,
+            to: endTime,
+            logs: entries,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.error('Error searching audit log:', error);
+        res.status(500).json({ error: 'Failed to search audit log' });
+    }
+});
+
+/**
+ * Stream every matching audit entry as a download, newest first, without holding
+ * the whole result in memory
+ * @param {Object} res - Express response
+ * @param {Object} criteria - From parseAuditQuery
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} fileName - Download name without the extension
+ */
+async function exportAuditLog(res, criteria, format, fileName) {
+    const toCsvRow = row => row.map(csvField).join(',') + '\r\n';
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+    try {
+        await writeChunk(res, format === 'csv' ? toCsvRow(['Time', 'Action', 'User', 'IP', 'Details']) : '[');
+
+        let count = 0;
+        for await (const entry of auditStore.searchNewestFirst(criteria)) {
+            let chunk;
+            if (format === 'csv') {
+                const { timestamp, action, user, ip, details, ...other } = entry;
+                const info = { ...other, ...(details || {}) };
+                chunk = toCsvRow([
+                    formatLocalDateTime(timestamp),
+                    action,
+                    user || '',
+                    ip || '',
+                    Object.keys(info).length > 0 ? JSON.stringify(info) : ''
+                ]);
+            } else {
+                chunk = (count > 0 ? ',' : '') + JSON.stringify(entry);
+            }
+            count++;
+
+            // The browser went away; stop reading files
+            if (!(await writeChunk(res, chunk))) return;
+        }
+
+        res.end(format === 'csv' ? '' : ']');
+    } catch (error) {
+        // Part of the download may be out already, so it can only be cut off
+        console.error('Error exporting audit log:', error);
+        res.destroy(error);
+    }
+}
+
+/**
+ * Write part of a streamed response, waiting while the client catches up
+ * @returns {Promise<boolean>} False once the client has disconnected
+ */
+async function writeChunk(res, chunk) {
+    if (res.destroyed) return false;
+    if (!res.write(chunk)) {
+        await new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+    return !res.destroyed;
+}
+
+/**
+ * GET /api/audit/actions
+ * Action names seen in the audit log, for the viewer's filter (admin only)
+ */
+app.get('/api/audit/actions', authenticate, requireRole(), (req, res) => {
+    const actions = [...new Set(auditLog.logs.map(entry => entry.action))].sort();
+    res.json({ actions: actions });
 });
 
 /**
  * GET /api/security/status
  * Get security status information
  */
-app.get('/api/security/status', authenticate, (req, res) => {
+app.get('/api/security/status', authenticate, requireRole(), (req, res) => {
     res.json({
         rateLimiting: {
             enabled: true,
@@ -1081,14 +2336,14 @@ app.get('/api/security/status', authenticate, (req, res) => {
 });
 
 /**
- * Image Upload Endpoints
+ * Image and Video Upload Endpoints
  */
 
 /**
  * POST /api/upload/image
  * Upload an image for slides
  */
-app.post('/api/upload/image', authenticate, upload.single('image'), (req, res) => {
+app.post('/api/upload/image', authenticate, requireRole('content_editor'), upload.single('image'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No image file uploaded' });
     }
@@ -1098,6 +2353,7 @@ app.post('/api/upload/image', authenticate, upload.single('image'), (req, res) =
 
     auditLog.log({
         action: 'IMAGE_UPLOAD',
+        user: req.user.username,
         ip: req.ip,
         details: {
             filename: req.file.filename,
@@ -1117,9 +2373,48 @@ app.post('/api/upload/image', authenticate, upload.single('image'), (req, res) =
     });
 });
 
+/**
+ * POST /api/upload/video
+ * Upload an MP4 or WebM video for slides (up to VIDEO_UPLOAD_MAX_MB)
+ */
+app.post('/api/upload/video', authenticate, requireRole('content_editor'), (req, res) => {
+    videoUpload.single('video')(req, res, (err) => {
+        if (err) {
+            const tooLarge = err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `Videos can be at most ${VIDEO_UPLOAD_MAX_MB}MB` : err.message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No video file uploaded' });
+        }
+
+        auditLog.log({
+            action: 'VIDEO_UPLOAD',
+            user: req.user.username,
+            ip: req.ip,
+            details: {
+                filename: req.file.filename,
+                originalName: req.file.originalname,
+                size: req.file.size
+            }
+        });
+
+        console.log('Video uploaded:', req.file.filename);
+
+        res.json({
+            success: true,
+            url: `/api/uploads/${req.file.filename}`,
+            filename: req.file.filename,
+            originalName: req.file.originalname,
+            size: req.file.size
+        });
+    });
+});
+
 /**
  * GET /api/uploads/:filename
- * Serve uploaded images
+ * Serve uploaded images and videos (videos support range requests for seeking)
  */
 app.get('/api/uploads/:filename', (req, res) => {
     const filename = req.params.filename;
@@ -1138,19 +2433,19 @@ app.get('/api/uploads/:filename', (req, res) => {
 
 /**
  * GET /api/uploads
- * List all uploaded images
+ * List all uploaded images and videos
  */
-app.get('/api/uploads', authenticate, async (req, res) => {
+app.get('/api/uploads', authenticate, requireRole('content_editor'), async (req, res) => {
     try {
         const files = await fs.readdir(UPLOADS_DIR);
-        const images = files
-            .filter(f => /\.(jpg|jpeg|png|gif|webp|svg)$/i.test(f))
-            .map(filename => ({
-                filename,
-                url: `/api/uploads/${filename}`
-            }));
-
-        res.json({ images });
+        const toEntry = filename => ({
+            filename,
+            url: `/api/uploads/${filename}`
+        });
+        const images = files.filter(f => /\.(jpg|jpeg|png|gif|webp|svg)$/i.test(f)).map(toEntry);
+        const videos = files.filter(f => /\.(mp4|webm)$/i.test(f)).map(toEntry);
+
+        res.json({ images, videos });
     } catch (error) {
         res.status(500).json({ error: 'Failed to list images' });
     }
@@ -1158,25 +2453,27 @@ app.get('/api/uploads', authenticate, async (req, res) => {
 
 /**
  * DELETE /api/uploads/:filename
- * Delete an uploaded image
+ * Delete an uploaded image or video
  */
-app.delete('/api/uploads/:filename', authenticate, async (req, res) => {
+app.delete('/api/uploads/:filename', authenticate, requireRole('content_editor'), async (req, res) => {
     const filename = req.params.filename;
     const safeFilename = path.basename(filename);
     const filePath = path.join(UPLOADS_DIR, safeFilename);
+    const isVideo = /\.(mp4|webm)$/i.test(safeFilename);
 
     try {
         await fs.unlink(filePath);
 
         auditLog.log({
-            action: 'IMAGE_DELETE',
+            action: isVideo ? 'VIDEO_DELETE' : 'IMAGE_DELETE',
+            user: req.user.username,
             ip: req.ip,
             details: { filename: safeFilename }
         });
 
-        res.json({ success: true, message: 'Image deleted' });
+        res.json({ success: true, message: isVideo ? 'Video deleted' : 'Image deleted' });
     } catch (error) {
-        res.status(404).json({ error: 'Image not found' });
+        res.status(404).json({ error: isVideo ? 'Video not found' : 'Image not found' });
     }
 });
 
@@ -1184,208 +2481,3493 @@ app.delete('/api/uploads/:filename', authenticate, async (req, res) => {
  * Emergency Alert Endpoints
  */
 
-// Emergency alert state
+// Emergency alert state (persisted to STATE_FILE, see saveState)
+// targets: groups/displays the alert is for; empty means every display
+// acknowledgements: displayId -> what the display reported after showing the alert
 let emergencyAlertState = {
     active: false,
-    alert: null
+    alert: null,
+    targets: [],
+    acknowledgements: {}
+};
+
+// Alert types offered until they are edited in the admin panel (then stored in the
+// alertTypes setting). 'custom' backs the custom alert form and cannot be deleted.
+const DEFAULT_ALERT_TYPES = {
+    lockdown: {
+        name: 'Lockdown',
+        icon: '🔒',
+        color: '#dc2626',
+        bgColor: '#7f1d1d',
+        message: 'LOCKDOWN IN EFFECT',
+        subMessage: 'Lock doors, turn off lights, stay silent',
+        sound: true,
+        flash: true
+    },
+    evacuation: {
+        name: 'Evacuation',
+        icon: '🚨',
+        color: '#ea580c',
+        bgColor: '#7c2d12',
+        message: 'EVACUATE IMMEDIATELY',
+        subMessage: 'Proceed to designated evacuation points',
+        sound: true,
+        flash: true
+    },
+    shelter: {
+        name: 'Shelter in Place',
+        icon: '🏠',
+        color: '#2563eb',
+        bgColor: '#1e3a8a',
+        message: 'SHELTER IN PLACE',
+        subMessage: 'Stay in current location until further notice',
+        sound: true,
+        flash: false
+    },
+    weather: {
+        name: 'Severe Weather',
+        icon: '⛈️',
+        color: '#7c3aed',
+        bgColor: '#4c1d95',
+        message: 'SEVERE WEATHER ALERT',
+        subMessage: 'Move to interior rooms away from windows',
+        sound: true,
+        flash: false
+    },
+    medical: {
+        name: 'Medical Emergency',
+        icon: '🏥',
+        color: '#dc2626',
+        bgColor: '#7f1d1d',
+        message: 'MEDICAL EMERGENCY',
+        subMessage: 'Clear the area, medical personnel en route',
+        sound: false,
+        flash: false
+    },
+    custom: {
+        name: 'Custom Alert',
+        icon: '⚠️',
+        color: '#f59e0b',
+        bgColor: '#78350f',
+        message: 'EMERGENCY ALERT',
+        subMessage: '',
+        sound: true,
+        flash: false
+    }
+};
+
+// Shown on the targeted displays when an alert expires or is cancelled with an all clear
+const ALL_CLEAR_ALERT = {
+    type: 'all_clear',
+    icon: '✅',
+    message: 'ALL CLEAR',
+    subMessage: 'The emergency is over. Normal activities may resume.',
+    color: '#16a34a',
+    bgColor: '#14532d',
+    flash: false,
+    sound: false
 };
 
+// Fires the active alert's next escalation or expiry (see scheduleAlertTransition)
+let alertTransitionTimer = null;
+
 /**
- * POST /api/emergency/alert
- * Send emergency alert to all displays
+ * Alert type definitions from the settings, or the defaults if never edited
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Map of type ID to {name, icon, color, bgColor, message, subMessage, sound, flash}
  */
-app.post('/api/emergency/alert', authenticate, (req, res) => {
-    const alertData = req.body;
+function getAlertTypes(settings) {
+    return settings.alertTypes || DEFAULT_ALERT_TYPES;
+}
 
-    if (!alertData || !alertData.message) {
-        return res.status(400).json({ error: 'Alert message required' });
-    }
+/**
+ * Fill in the fields an alert request left out from its type definition
+ * @param {Object} alertData - Alert fields from the request ({type, message, ...})
+ * @param {Object} alertTypes - Current alert type definitions
+ * @returns {Object} Complete alert fields
+ */
+function applyAlertTypeDefaults(alertData, alertTypes) {
+    const type = Object.hasOwn(alertTypes, alertData.type) ? alertData.type : 'custom';
+    const { name, ...defaults } = alertTypes[type] || {};
+    return { ...defaults, ...alertData };
+}
 
-    emergencyAlertState.active = true;
-    emergencyAlertState.alert = {
+/**
+ * Validate an alert type definition from the editor
+ * @returns {Object} {valid, error?, value}
+ */
+function validateAlertType(body) {
+    const fields = {
+        name: InputValidator.string(body.name, { required: true, maxLength: 50 }),
+        icon: InputValidator.string(body.icon, { required: true, maxLength: 10 }),
+        message: InputValidator.string(body.message, { required: true, maxLength: 50 }),
+        subMessage: InputValidator.string(body.subMessage, { maxLength: 100 }),
+        color: InputValidator.hexColor(body.color, { required: true }),
+        bgColor: InputValidator.hexColor(body.bgColor, { required: true }),
+        sound: InputValidator.boolean(body.sound),
+        flash: InputValidator.boolean(body.flash)
+    };
+
+    const value = {};
+    for (const [field, result] of Object.entries(fields)) {
+        if (!result.valid) {
+            return { valid: false, error: `${field}: ${result.error}` };
+        }
+        value[field] = result.value;
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Emergency state as one display should see it (inactive if the alert targets other displays)
+ */
+function getEmergencyStateForDisplay(displayId) {
+    if (emergencyAlertState.active && !matchesTargets(emergencyAlertState.targets, displayId)) {
+        return { active: false, alert: null };
+    }
+    return { active: emergencyAlertState.active, alert: emergencyAlertState.alert };
+}
+
+/**
+ * Delivery roster for the active alert: every targeted display and whether it
+ * confirmed the alert on screen, reported a problem, hasn't answered or is offline
+ */
+function getAlertRoster() {
+    const roster = [];
+
+    for (const [id, display] of displays.entries()) {
+        if (!matchesTargets(emergencyAlertState.targets, id)) continue;
+
+        const ack = emergencyAlertState.acknowledgements[id];
+        let status;
+        if (ack) {
+            status = ack.rendered ? 'confirmed' : 'failed';
+        } else if (display.status !== 'online') {
+            status = 'offline';
+        } else {
+            status = 'unconfirmed';
+        }
+
+        roster.push({
+            displayId: id,
+            name: display.name || 'Unnamed Display',
+            location: display.location || 'Unknown',
+            groupName: display.groupId && displayGroups.has(display.groupId)
+                ? displayGroups.get(display.groupId).name
+                : null,
+            online: display.status === 'online',
+            offlineSince: display.offlineSince || null,
+            status: status,
+            rendered: ack ? ack.rendered : null,
+            soundRequested: ack ? ack.soundRequested : null,
+            soundPlayed: ack ? ack.soundPlayed : null,
+            message: ack ? ack.message : null,
+            acknowledgedAt: ack ? ack.acknowledgedAt : null
+        });
+    }
+
+    // Problems first, so rooms that didn't get the message are at the top
+    const order = { failed: 0, offline: 1, unconfirmed: 2, confirmed: 3 };
+    roster.sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+    return roster;
+}
+
+/**
+ * Put an alert on the targeted displays, replacing any active alert
+ * @param {Object} alertData - Alert fields (type, message, colors, timing)
+ * @param {string[]} targets - Groups/displays to show it on (empty = all)
+ * @returns {number} Number of clients the alert was sent to
+ */
+function activateAlert(alertData, targets) {
+    const previousTargets = emergencyAlertState.active ? emergencyAlertState.targets : null;
+
+    emergencyAlertState.active = true;
+    emergencyAlertState.alert = {
         ...alertData,
+        id: 'alert_' + crypto.randomBytes(8).toString('hex'),
         timestamp: Date.now()
     };
+    emergencyAlertState.targets = targets;
+    emergencyAlertState.acknowledgements = {};
+    saveState();
+    scheduleAlertTransition();
+
+    // Displays that had the old alert but aren't targeted by the new one go back to normal
+    if (previousTargets) {
+        broadcastUpdate({
+            type: 'emergency_cancel',
+            timestamp: Date.now()
+        }, clientInfo => matchesTargets(previousTargets, clientInfo.displayId) &&
+            !matchesTargets(targets, clientInfo.displayId));
+    }
+
+    // Send only to the targeted displays
+    return broadcastUpdate({
+        type: 'emergency_alert',
+        timestamp: Date.now(),
+        alert: emergencyAlertState.alert
+    }, clientInfo => matchesTargets(targets, clientInfo.displayId));
+}
+
+/**
+ * Clear the active alert and return every display to normal content
+ */
+function endAlert() {
+    emergencyAlertState.active = false;
+    emergencyAlertState.alert = null;
+    emergencyAlertState.targets = [];
+    emergencyAlertState.acknowledgements = {};
+    saveState();
+    scheduleAlertTransition();
+
+    broadcastUpdate({
+        type: 'emergency_cancel',
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Replace the active alert with the All Clear screen, which ends itself
+ * @param {string[]} targets - Displays that had the alert
+ * @param {number} seconds - How long to show the All Clear
+ * @returns {number} Number of clients the All Clear was sent to
+ */
+function startAllClear(targets, seconds) {
+    return activateAlert({
+        ...ALL_CLEAR_ALERT,
+        expiresAt: Date.now() + seconds * 1000
+    }, targets);
+}
+
+/**
+ * Arm a timer for the active alert's next escalation or expiry
+ * Called on every alert change and after a restart, so timed alerts move on
+ * even when no admin panel is open
+ */
+function scheduleAlertTransition() {
+    clearTimeout(alertTransitionTimer);
+    alertTransitionTimer = null;
+
+    const alert = emergencyAlertState.alert;
+    if (!emergencyAlertState.active || !alert) return;
+
+    const dueTimes = [alert.escalation && alert.escalation.at, alert.expiresAt].filter(Boolean);
+    if (dueTimes.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...dueTimes) - Date.now());
+    alertTransitionTimer = setTimeout(runAlertTransition, delay);
+}
+
+/**
+ * Escalate or expire the active alert when its time has come
+ */
+function runAlertTransition() {
+    alertTransitionTimer = null;
+
+    const alert = emergencyAlertState.alert;
+    if (!emergencyAlertState.active || !alert) return;
+
+    const now = Date.now();
+    const targets = emergencyAlertState.targets;
+
+    if (alert.escalation && alert.escalation.at <= now) {
+        const { at, ...escalated } = alert.escalation;
+        activateAlert({
+            ...escalated,
+            escalatedFrom: alert.type,
+            expiresAt: alert.expiresAt || null,
+            allClearSeconds: alert.allClearSeconds
+        }, targets);
+
+        auditLog.log({
+            action: 'EMERGENCY_ALERT_ESCALATED',
+            user: 'system',
+            details: {
+                alertId: emergencyAlertState.alert.id,
+                from: alert.type,
+                type: escalated.type,
+                message: escalated.message
+            }
+        });
+        console.log('⚠️ EMERGENCY ALERT ESCALATED:', escalated.message);
+    } else if (alert.expiresAt && alert.expiresAt <= now) {
+        if (alert.type !== ALL_CLEAR_ALERT.type && alert.allClearSeconds > 0) {
+            startAllClear(targets, alert.allClearSeconds);
+        } else {
+            endAlert();
+        }
+
+        auditLog.log({
+            action: 'EMERGENCY_ALERT_EXPIRED',
+            user: 'system',
+            details: { alertId: alert.id, type: alert.type }
+        });
+        console.log('✓ Emergency alert expired:', alert.message);
+    } else {
+        scheduleAlertTransition();
+    }
+}
+
+/**
+ * Validate the fields of an alert being sent, after its type's defaults are filled in
+ * Anything else in the request is dropped, so only these reach the displays and the state file
+ * @param {Object} body - {type, icon, message, subMessage, color, bgColor, sound, flash}
+ * @returns {Object} {valid, error?, value}
+ */
+function validateAlertFields(body) {
+    const fields = {
+        type: InputValidator.string(body.type, { maxLength: 60, pattern: /^[a-z0-9_]*$/ }),
+        icon: InputValidator.string(body.icon, { maxLength: 10 }),
+        message: InputValidator.string(body.message, { required: true, maxLength: 100 }),
+        subMessage: InputValidator.string(body.subMessage, { maxLength: 200 }),
+        color: InputValidator.hexColor(body.color),
+        bgColor: InputValidator.hexColor(body.bgColor),
+        sound: InputValidator.boolean(body.sound),
+        flash: InputValidator.boolean(body.flash)
+    };
+
+    const value = {};
+    for (const [field, result] of Object.entries(fields)) {
+        if (!result.valid) {
+            return { valid: false, error: `${field}: ${result.error}` };
+        }
+        value[field] = result.value;
+    }
+    value.type = value.type || 'custom';
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate the optional timing fields of an alert request
+ * @param {Object} body - {expiresInMinutes, allClearSeconds, escalation: {afterMinutes, type, message, ...}}
+ * @returns {Object} {valid, error?, timing: {expiresAt, allClearSeconds, escalation}}
+ */
+function parseAlertTiming(body) {
+    const limit = { min: 1, max: ALERT_MAX_DURATION_MINUTES };
+    const expires = InputValidator.integer(body.expiresInMinutes, limit);
+    if (!expires.valid) {
+        return { valid: false, error: `expiresInMinutes: ${expires.error}` };
+    }
+
+    const allClear = InputValidator.integer(body.allClearSeconds, { min: 0, max: ALL_CLEAR_MAX_SECONDS });
+    if (!allClear.valid) {
+        return { valid: false, error: `allClearSeconds: ${allClear.error}` };
+    }
+
+    const now = Date.now();
+    const timing = {
+        expiresAt: expires.value ? now + expires.value * 60000 : null,
+        allClearSeconds: allClear.value !== null ? allClear.value : ALL_CLEAR_DEFAULT_SECONDS,
+        escalation: null
+    };
+
+    if (body.escalation) {
+        if (typeof body.escalation !== 'object') {
+            return { valid: false, error: 'Escalation must be an object' };
+        }
+        const after = InputValidator.integer(body.escalation.afterMinutes, { ...limit, required: true });
+        if (!after.valid) {
+            return { valid: false, error: `escalation.afterMinutes: ${after.error}` };
+        }
+        if (!body.escalation.message) {
+            return { valid: false, error: 'Escalation message required' };
+        }
+        const escalated = validateAlertFields(body.escalation);
+        if (!escalated.valid) {
+            return { valid: false, error: `escalation.${escalated.error}` };
+        }
+        if (expires.value && after.value >= expires.value) {
+            return { valid: false, error: 'Escalation must happen before the alert expires' };
+        }
+        timing.escalation = { ...escalated.value, at: now + after.value * 60000 };
+    }
+
+    return { valid: true, timing };
+}
+
+/**
+ * Validate an alert request and put the alert on the displays
+ * Used by POST /api/emergency/alert and by the weather alerts below, so both go
+ * through the same checks and audit entry
+ * @param {Object} request - Alert fields plus optional targets, expiresInMinutes,
+ * allClearSeconds and escalation (see POST /api/emergency/alert)
+ * @param {string} username - Who sent it ('system' for automatic alerts)
+ * @param {string} [ip] - Request IP for the audit log
+ * @param {Object} [source] - Fields set by the server rather than the request ({weatherAlert})
+ * @returns {Promise<Object>} {error} if the request is invalid, otherwise {sentCount}
+ */
+async function sendEmergencyAlert(request, username, ip, source = {}) {
+    const { targets, expiresInMinutes, allClearSeconds, escalation, ...requestData } = request;
+
+    // Quick alerts may send just the type; the rest comes from its definition
+    let alertTypes;
+    try {
+        alertTypes = getAlertTypes(await loadSettings());
+    } catch (error) {
+        console.error('Error loading alert types:', error);
+        alertTypes = DEFAULT_ALERT_TYPES;
+    }
+    const requested = applyAlertTypeDefaults(requestData, alertTypes);
+
+    if (!requested.message) {
+        return { error: 'Alert message required' };
+    }
+    const fields = validateAlertFields(requested);
+    if (!fields.valid) {
+        return { error: fields.error };
+    }
+    const alertData = { ...fields.value, ...source };
+
+    if (targets !== undefined && (!Array.isArray(targets) || !targets.every(isValidTarget))) {
+        return { error: 'Unknown group or display in targets' };
+    }
+
+    const timing = parseAlertTiming({
+        expiresInMinutes,
+        allClearSeconds,
+        escalation: escalation ? applyAlertTypeDefaults(escalation, alertTypes) : null
+    });
+    if (!timing.valid) {
+        return { error: timing.error };
+    }
+
+    const sentCount = activateAlert({ ...alertData, ...timing.timing }, targets || []);
 
     // Audit log
     auditLog.log({
         action: 'EMERGENCY_ALERT_SENT',
-        ip: req.ip,
+        user: username,
+        ip: ip,
         details: {
+            alertId: emergencyAlertState.alert.id,
             type: alertData.type,
-            message: alertData.message
+            message: alertData.message,
+            targets: emergencyAlertState.targets.length > 0 ? emergencyAlertState.targets.join(', ') : 'all',
+            expiresAt: timing.timing.expiresAt,
+            escalatesTo: timing.timing.escalation ? timing.timing.escalation.type : null
         }
     });
 
-    // Broadcast to all connected clients
-    broadcastUpdate({
-        type: 'emergency_alert',
-        timestamp: Date.now(),
-        alert: emergencyAlertState.alert
-    });
+    console.log('⚠️ EMERGENCY ALERT SENT:', alertData.message);
+    return { sentCount };
+}
+
+/**
+ * POST /api/emergency/alert
+ * Send emergency alert to all displays, or only to the given targets
+ * Body: alert fields plus optional targets (['group:<id>', 'display:<id>']),
+ * expiresInMinutes, allClearSeconds (0 = no All Clear screen) and
+ * escalation ({afterMinutes, ...alert fields to switch to})
+ */
+app.post('/api/emergency/alert', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    const result = await sendEmergencyAlert(req.body || {}, req.user.username, req.ip);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+        success: true,
+        message: emergencyAlertState.targets.length > 0
+            ? 'Emergency alert sent to the selected displays'
+            : 'Emergency alert broadcast to all displays',
+        alertId: emergencyAlertState.alert.id,
+        alert: emergencyAlertState.alert,
+        clients: result.sentCount,
+        roster: getAlertRoster()
+    });
+});
+
+/**
+ * POST /api/emergency/cancel
+ * Cancel active emergency alert
+ * Body: optional {allClear: true, allClearSeconds} to show the All Clear screen first
+ */
+app.post('/api/emergency/cancel', authenticate, requireRole('emergency_operator'), (req, res) => {
+    const { allClear, allClearSeconds } = req.body || {};
+    const wasActive = emergencyAlertState.active;
+    const showAllClear = wasActive && allClear === true &&
+        emergencyAlertState.alert.type !== ALL_CLEAR_ALERT.type;
+
+    const duration = InputValidator.integer(allClearSeconds, { min: 1, max: ALL_CLEAR_MAX_SECONDS });
+    if (!duration.valid) {
+        return res.status(400).json({ error: `allClearSeconds: ${duration.error}` });
+    }
+
+    if (showAllClear) {
+        startAllClear(emergencyAlertState.targets, duration.value || ALL_CLEAR_DEFAULT_SECONDS);
+    } else {
+        endAlert();
+    }
+
+    // Audit log
+    auditLog.log({
+        action: 'EMERGENCY_ALERT_CANCELLED',
+        user: req.user.username,
+        ip: req.ip,
+        details: { allClear: showAllClear }
+    });
+
+    console.log(showAllClear ? '✓ Emergency alert cancelled, showing All Clear' : '✓ Emergency alert cancelled');
+
+    res.json({
+        success: true,
+        message: !wasActive
+            ? 'No active alert'
+            : (showAllClear ? 'Emergency alert cancelled, All Clear showing' : 'Emergency alert cancelled'),
+        allClear: showAllClear,
+        clients: clients.size
+    });
+});
+
+/**
+ * POST /api/emergency/ack
+ * Display reports that it rendered the alert and whether the sound played
+ * (no auth - displays are not logged in)
+ */
+app.post('/api/emergency/ack', (req, res) => {
+    const { alertId, displayId, rendered, soundRequested, soundPlayed, message } = req.body || {};
+
+    if (!emergencyAlertState.active || !emergencyAlertState.alert || emergencyAlertState.alert.id !== alertId) {
+        return res.status(404).json({ error: 'No active alert with this ID' });
+    }
+    if (!displays.has(displayId) || !matchesTargets(emergencyAlertState.targets, displayId)) {
+        return res.status(404).json({ error: 'Alert was not sent to this display' });
+    }
+
+    emergencyAlertState.acknowledgements[displayId] = {
+        rendered: rendered === true,
+        soundRequested: soundRequested === true,
+        soundPlayed: soundPlayed === true,
+        message: message ? String(message).substring(0, 200) : null,
+        acknowledgedAt: Date.now()
+    };
+    saveState();
+
+    res.json({ success: true });
+});
+
+/**
+ * GET /api/emergency/roster
+ * Delivery status of the active alert for every targeted display
+ */
+app.get('/api/emergency/roster', authenticate, requireRole('emergency_operator'), (req, res) => {
+    if (!emergencyAlertState.active) {
+        return res.json({ active: false, roster: [], timestamp: Date.now() });
+    }
+
+    const roster = getAlertRoster();
+    const counts = { confirmed: 0, failed: 0, unconfirmed: 0, offline: 0 };
+    roster.forEach(entry => counts[entry.status]++);
+
+    res.json({
+        active: true,
+        alert: emergencyAlertState.alert,
+        targets: emergencyAlertState.targets,
+        counts: counts,
+        roster: roster,
+        timestamp: Date.now()
+    });
+});
+
+/**
+ * GET /api/emergency/status
+ * Get current emergency alert status
+ * With ?displayId=, only report an alert that targets that display
+ */
+app.get('/api/emergency/status', (req, res) => {
+    if (req.query.displayId) {
+        return res.json({
+            ...getEmergencyStateForDisplay(req.query.displayId),
+            timestamp: Date.now()
+        });
+    }
+
+    res.json({
+        active: emergencyAlertState.active,
+        alert: emergencyAlertState.alert,
+        targets: emergencyAlertState.targets,
+        timestamp: Date.now()
+    });
+});
+
+/**
+ * GET /api/emergency/types
+ * Alert type definitions (no auth - displays render alerts from them)
+ */
+app.get('/api/emergency/types', async (req, res) => {
+    try {
+        res.json({ types: getAlertTypes(await loadSettings()) });
+    } catch (error) {
+        console.error('Error loading alert types:', error);
+        res.status(500).json({ error: 'Failed to load alert types' });
+    }
+});
+
+/**
+ * Save changed alert types and send them to every display
+ */
+async function saveAlertTypes(settings, alertTypes) {
+    settings.alertTypes = alertTypes;
+    await saveSettings(settings);
+    broadcastSettingsUpdate(settings, 'alertTypes');
+}
+
+/**
+ * POST /api/emergency/types
+ * Add an alert type (e.g. a district procedure like "Reverse Evacuation")
+ * Body: {name, icon, color, bgColor, message, subMessage, sound, flash}
+ */
+app.post('/api/emergency/types', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    const validation = validateAlertType(req.body || {});
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid alert type', message: validation.error });
+    }
+
+    try {
+        const settings = await loadSettings();
+        const alertTypes = { ...getAlertTypes(settings) };
+
+        const typeId = validation.value.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') ||
+            'type_' + crypto.randomBytes(4).toString('hex');
+        if (Object.hasOwn(alertTypes, typeId) || typeId === ALL_CLEAR_ALERT.type) {
+            return res.status(409).json({ error: `An alert type named "${validation.value.name}" already exists` });
+        }
+
+        alertTypes[typeId] = validation.value;
+        await saveAlertTypes(settings, alertTypes);
+
+        auditLog.log({
+            action: 'ALERT_TYPE_CREATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { typeId: typeId, name: validation.value.name }
+        });
+
+        res.json({
+            success: true,
+            message: `Alert type "${validation.value.name}" created`,
+            id: typeId,
+            types: alertTypes
+        });
+    } catch (error) {
+        console.error('Error creating alert type:', error);
+        res.status(500).json({ error: 'Failed to create alert type' });
+    }
+});
+
+/**
+ * POST /api/emergency/types/:typeId/update
+ * Change an alert type; fields not sent keep their current value
+ */
+app.post('/api/emergency/types/:typeId/update', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    try {
+        const settings = await loadSettings();
+        const alertTypes = { ...getAlertTypes(settings) };
+        const { typeId } = req.params;
+
+        if (!Object.hasOwn(alertTypes, typeId)) {
+            return res.status(404).json({ error: 'Alert type not found' });
+        }
+
+        const validation = validateAlertType({ ...alertTypes[typeId], ...req.body });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid alert type', message: validation.error });
+        }
+
+        alertTypes[typeId] = validation.value;
+        await saveAlertTypes(settings, alertTypes);
+
+        auditLog.log({
+            action: 'ALERT_TYPE_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { typeId: typeId, name: validation.value.name }
+        });
+
+        res.json({
+            success: true,
+            message: `Alert type "${validation.value.name}" updated`,
+            types: alertTypes
+        });
+    } catch (error) {
+        console.error('Error updating alert type:', error);
+        res.status(500).json({ error: 'Failed to update alert type' });
+    }
+});
+
+/**
+ * DELETE /api/emergency/types/:typeId
+ * Remove an alert type (the custom type behind the custom alert form stays)
+ */
+app.delete('/api/emergency/types/:typeId', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    const { typeId } = req.params;
+
+    if (typeId === 'custom') {
+        return res.status(400).json({ error: 'The custom alert type cannot be deleted' });
+    }
+
+    try {
+        const settings = await loadSettings();
+        const alertTypes = { ...getAlertTypes(settings) };
+
+        if (!Object.hasOwn(alertTypes, typeId)) {
+            return res.status(404).json({ error: 'Alert type not found' });
+        }
+
+        const name = alertTypes[typeId].name;
+        delete alertTypes[typeId];
+        await saveAlertTypes(settings, alertTypes);
+
+        auditLog.log({
+            action: 'ALERT_TYPE_DELETE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { typeId: typeId, name: name }
+        });
+
+        res.json({
+            success: true,
+            message: `Alert type "${name}" deleted`,
+            types: alertTypes
+        });
+    } catch (error) {
+        console.error('Error deleting alert type:', error);
+        res.status(500).json({ error: 'Failed to delete alert type' });
+    }
+});
+
+/**
+ * Dismissal Management Endpoints
+ */
+
+// Dismissal state (persisted to STATE_FILE, see saveState)
+// sessionId/sessionDate: the dismissal history session being recorded (see startDismissalSession)
+// warned: operators were told the timeout is near; autoStartedOn: last day (YYYY-MM-DD)
+// the daily schedule started dismissal (see checkDismissalSchedule)
+let dismissalState = {
+    active: false,
+    startedAt: null,
+    students: [],
+    sessionId: null,
+    sessionDate: null,
+    warned: false,
+    autoStartedOn: null
+};
+
+/**
+ * Load emergency and dismissal state from file
+ * An alert or dismissal that was active before a restart stays active
+ */
+async function loadState() {
+    try {
+        const data = await fs.readFile(STATE_FILE, 'utf8');
+        const saved = JSON.parse(data);
+
+        if (saved.emergency) {
+            emergencyAlertState = {
+                active: !!saved.emergency.active,
+                alert: saved.emergency.alert || null,
+                targets: Array.isArray(saved.emergency.targets) ? saved.emergency.targets : [],
+                acknowledgements: saved.emergency.acknowledgements || {}
+            };
+        }
+        if (saved.dismissal) {
+            dismissalState = {
+                active: !!saved.dismissal.active,
+                startedAt: saved.dismissal.startedAt || null,
+                students: Array.isArray(saved.dismissal.students) ? saved.dismissal.students : [],
+                sessionId: saved.dismissal.sessionId || null,
+                sessionDate: saved.dismissal.sessionDate || null,
+                warned: !!saved.dismissal.warned,
+                autoStartedOn: saved.dismissal.autoStartedOn || null
+            };
+        }
+
+        if (emergencyAlertState.active) {
+            console.log('⚠️ Restored active emergency alert:', emergencyAlertState.alert && emergencyAlertState.alert.message);
+            // Escalations/expiry that came due while the server was down run right away
+            scheduleAlertTransition();
+        }
+        if (dismissalState.active) {
+            console.log(`Restored active dismissal (${dismissalState.students.length} students)`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading state:', error);
+        }
+    }
+}
+
+/**
+ * Save emergency and dismissal state to file
+ */
+async function saveState() {
+    try {
+        await fs.writeFile(STATE_FILE, JSON.stringify({
+            emergency: emergencyAlertState,
+            dismissal: dismissalState
+        }, null, 2), 'utf8');
+    } catch (error) {
+        console.error('Error saving state:', error);
+    }
+}
+
+// Restore state on startup
+const stateLoaded = loadState();
+
+/**
+ * Turn dismissal mode on and tell displays and operators
+ * @param {string} username - Operator, or 'schedule' for the daily auto-start
+ * @param {string} ip - Request IP for the audit log (none for automatic starts)
+ */
+async function startDismissal(username, ip) {
+    // Starting again without ending closes the previous session first
+    await endDismissalSession(username);
+    await startDismissalSession(username);
+
+    dismissalState.active = true;
+    dismissalState.startedAt = Date.now();
+    dismissalState.students = [];
+    dismissalState.warned = false;
+    await saveState();
+
+    auditLog.log({
+        action: 'DISMISSAL_START',
+        user: username,
+        ip: ip
+    });
+
+    // Broadcast to all connected clients
+    broadcastUpdate({
+        type: 'dismissal_start',
+        timestamp: Date.now()
+    });
+    notifyDismissalOperators();
+
+    console.log(`Dismissal mode activated (${username})`);
+}
+
+/**
+ * Turn dismissal mode off and return displays to announcements
+ * @param {string} username - Operator, or 'timeout'/'schedule' when the server ends it
+ * @param {string} ip - Request IP for the audit log (none for automatic ends)
+ */
+async function endDismissal(username, ip) {
+    await endDismissalSession(username);
+
+    dismissalState.active = false;
+    dismissalState.startedAt = null;
+    dismissalState.students = [];
+    dismissalState.warned = false;
+    await saveState();
+
+    auditLog.log({
+        action: 'DISMISSAL_END',
+        user: username,
+        ip: ip
+    });
+
+    // Broadcast to all connected clients
+    broadcastUpdate({
+        type: 'dismissal_end',
+        timestamp: Date.now()
+    });
+    notifyDismissalOperators();
+
+    console.log(`Dismissal mode deactivated (${username})`);
+}
+
+/**
+ * POST /api/dismissal/start
+ * Start dismissal mode
+ */
+app.post('/api/dismissal/start', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    try {
+        await startDismissal(req.user.username, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Dismissal started',
+            endsAt: getDismissalEndsAt()
+        });
+    } catch (error) {
+        console.error('Error starting dismissal:', error);
+        res.status(500).json({ error: 'Failed to start dismissal' });
+    }
+});
+
+/**
+ * POST /api/dismissal/end
+ * End dismissal mode and return to normal display
+ */
+app.post('/api/dismissal/end', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    try {
+        await endDismissal(req.user.username, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Dismissal ended'
+        });
+    } catch (error) {
+        console.error('Error ending dismissal:', error);
+        res.status(500).json({ error: 'Failed to end dismissal' });
+    }
+});
+
+/**
+ * Dismissal Timeout and Schedule
+ * The server ends dismissal on its own so displays can't be left on the dismissal
+ * screen when an operator's tablet is closed. The dismissalSchedule setting holds:
+ *   timeoutMinutes - longest a dismissal runs
+ *   warningMinutes - operators are warned this long before it ends
+ *   autoStart/autoEnd, start/end (HH:MM), days (0 = Sunday) - the daily dismissal window
+ * A dismissal started before the window's end that day also ends with the window.
+ */
+
+const DEFAULT_DISMISSAL_SCHEDULE = {
+    timeoutMinutes: 120,
+    warningMinutes: 15,
+    autoStart: false,
+    autoEnd: false,
+    start: '14:45',
+    end: '15:45',
+    days: [1, 2, 3, 4, 5]
+};
+
+// Loaded from the dismissalSchedule setting on startup and kept here for the checks below
+let dismissalSchedule = { ...DEFAULT_DISMISSAL_SCHEDULE };
+
+/**
+ * Validate a dismissalSchedule setting
+ * @param {Object} body - See DEFAULT_DISMISSAL_SCHEDULE; missing fields keep their default
+ * @returns {Object} {valid, error?, value?}
+ */
+function validateDismissalSchedule(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'Schedule must be an object' };
+    }
+    const config = { ...DEFAULT_DISMISSAL_SCHEDULE, ...body };
+
+    const timeout = InputValidator.integer(config.timeoutMinutes, {
+        required: true, min: DISMISSAL_TIMEOUT_MIN_MINUTES, max: DISMISSAL_TIMEOUT_MAX_MINUTES
+    });
+    if (!timeout.valid) return { valid: false, error: `Timeout minutes: ${timeout.error}` };
+
+    const warning = InputValidator.integer(config.warningMinutes, { required: true, min: 0, max: timeout.value - 1 });
+    if (!warning.valid) return { valid: false, error: `Warning minutes: ${warning.error}` };
+
+    const autoStart = InputValidator.boolean(config.autoStart);
+    const autoEnd = InputValidator.boolean(config.autoEnd);
+    if (!autoStart.valid || !autoEnd.valid) {
+        return { valid: false, error: 'autoStart and autoEnd must be true or false' };
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!timePattern.test(config.start) || !timePattern.test(config.end)) {
+        return { valid: false, error: 'Start and end must be times (HH:MM)' };
+    }
+    if (config.start >= config.end) {
+        return { valid: false, error: 'The window must end after it starts' };
+    }
+
+    if (!Array.isArray(config.days) || !config.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return { valid: false, error: 'Days must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+
+    return {
+        valid: true,
+        value: {
+            timeoutMinutes: timeout.value,
+            warningMinutes: warning.value,
+            autoStart: autoStart.value,
+            autoEnd: autoEnd.value,
+            start: config.start,
+            end: config.end,
+            days: [...new Set(config.days)].sort()
+        }
+    };
+}
+
+/**
+ * Load the schedule setting (on startup)
+ */
+async function loadDismissalSchedule() {
+    try {
+        const settings = await loadSettings();
+        const validation = validateDismissalSchedule(settings.dismissalSchedule || {});
+        if (validation.valid) {
+            dismissalSchedule = validation.value;
+        }
+    } catch (error) {
+        console.error('Error loading dismissal schedule:', error);
+    }
+}
+
+/**
+ * A time of day (HH:MM) on the same server-local day as a timestamp
+ */
+function atTimeOfDay(timestamp, time) {
+    const date = new Date(timestamp);
+    const [hours, minutes] = time.split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * When the current dismissal will be ended automatically
+ * @returns {number|null} Timestamp, or null if dismissal isn't active
+ */
+function getDismissalEndsAt() {
+    if (!dismissalState.active || !dismissalState.startedAt) return null;
+
+    const { startedAt } = dismissalState;
+    let endsAt = startedAt + dismissalSchedule.timeoutMinutes * 60 * 1000;
+
+    if (dismissalSchedule.autoEnd && dismissalSchedule.days.includes(new Date(startedAt).getDay())) {
+        const windowEnd = atTimeOfDay(startedAt, dismissalSchedule.end);
+        if (startedAt < windowEnd) {
+            endsAt = Math.min(endsAt, windowEnd);
+        }
+    }
+    return endsAt;
+}
+
+/**
+ * Warn operators before the timeout, end dismissal when it is reached, and start it
+ * when the daily window opens. Runs every DISMISSAL_SCHEDULE_CHECK_MS.
+ */
+async function checkDismissalSchedule() {
+    const now = Date.now();
+
+    try {
+        // The window starts dismissal once a day. One already running when the window
+        // opens counts as that day's, so ending it early isn't undone.
+        const today = toLocalDateString(now);
+        const inWindow = dismissalSchedule.days.includes(new Date(now).getDay()) &&
+            now >= atTimeOfDay(now, dismissalSchedule.start) &&
+            now < atTimeOfDay(now, dismissalSchedule.end);
+        if (dismissalSchedule.autoStart && inWindow && dismissalState.autoStartedOn !== today) {
+            dismissalState.autoStartedOn = today;
+            if (dismissalState.active) {
+                await saveState();
+            } else {
+                await startDismissal('schedule');
+            }
+        }
+
+        if (!dismissalState.active) return;
+        const endsAt = getDismissalEndsAt();
+
+        if (now >= endsAt) {
+            const reason = endsAt < dismissalState.startedAt + dismissalSchedule.timeoutMinutes * 60 * 1000
+                ? 'schedule'
+                : 'timeout';
+            broadcastToDismissalOperators({ type: 'dismissal_auto_end', timestamp: now, reason: reason });
+            await endDismissal(reason);
+        } else if (!dismissalState.warned && now >= endsAt - dismissalSchedule.warningMinutes * 60 * 1000) {
+            dismissalState.warned = true;
+            await saveState();
+            broadcastToDismissalOperators({ type: 'dismissal_warning', timestamp: now, endsAt: endsAt });
+        }
+    } catch (error) {
+        console.error('Error running the dismissal schedule:', error);
+    }
+}
+
+loadDismissalSchedule();
+setInterval(checkDismissalSchedule, DISMISSAL_SCHEDULE_CHECK_MS);
+
+/**
+ * GET /api/dismissal/schedule
+ * Timeout, warning and daily window settings
+ */
+app.get('/api/dismissal/schedule', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    res.json({
+        schedule: dismissalSchedule,
+        endsAt: getDismissalEndsAt()
+    });
+});
+
+/**
+ * POST /api/dismissal/schedule
+ * Change the timeout, warning and daily window
+ * Body: see DEFAULT_DISMISSAL_SCHEDULE; a running dismissal follows the new settings
+ */
+app.post('/api/dismissal/schedule', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const validation = validateDismissalSchedule(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid schedule', message: validation.error });
+    }
+
+    try {
+        const settings = await loadSettings();
+        settings.dismissalSchedule = validation.value;
+        await saveSettings(settings);
+
+        dismissalSchedule = validation.value;
+        // A longer timeout warns again when the new end gets close
+        dismissalState.warned = false;
+        await saveState();
+        notifyDismissalOperators();
+
+        auditLog.log({
+            action: 'DISMISSAL_SCHEDULE_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: validation.value
+        });
+
+        res.json({
+            success: true,
+            message: 'Schedule saved',
+            schedule: dismissalSchedule,
+            endsAt: getDismissalEndsAt()
+        });
+    } catch (error) {
+        console.error('Error saving dismissal schedule:', error);
+        res.status(500).json({ error: 'Failed to save schedule' });
+    }
+});
+
+/**
+ * Dismissal Lanes
+ * Car line, bus loop, walker gate, ... run side by side during one dismissal. Every
+ * queue entry belongs to a lane; operators pick the lane they work and each display
+ * shows the lanes in its dismissalView setting ({lanes: [laneId, ...]}; none = all
+ * students in one list).
+ */
+
+// Lanes offered until they are edited (then stored in the dismissalLanes setting).
+// The first lane takes students sent without one.
+const DEFAULT_DISMISSAL_LANES = {
+    car: { name: 'Car Riders', icon: '🚗' },
+    bus: { name: 'Bus Riders', icon: '🚌' },
+    walker: { name: 'Walkers', icon: '🚶' }
+};
+
+/**
+ * Lane definitions from the settings, or the defaults if never edited
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Map of lane ID to {name, icon}, in display order
+ */
+function getDismissalLanes(settings) {
+    return settings.dismissalLanes || DEFAULT_DISMISSAL_LANES;
+}
+
+/**
+ * Validate a dismissalView setting
+ * @param {Object} view - {lanes: [laneId, ...]}
+ * @param {Object} lanes - Current lane definitions
+ * @returns {Object|null} Cleaned view, or null if invalid
+ */
+function sanitizeDismissalView(view, lanes) {
+    if (!view || typeof view !== 'object' || !Array.isArray(view.lanes)) return null;
+    if (!view.lanes.every(laneId => typeof laneId === 'string' && Object.hasOwn(lanes, laneId))) return null;
+    return { lanes: [...new Set(view.lanes)] };
+}
+
+/**
+ * Validate a dismissalAnnouncements setting (displays reading out called students)
+ * @param {Object} config - {enabled, voice, rate, chime}; voice is a speech synthesis
+ *   voice name, '' for the display's default voice
+ * @returns {Object|null} Cleaned setting, or null if invalid
+ */
+function sanitizeDismissalAnnouncements(config) {
+    if (!config || typeof config !== 'object') return null;
+
+    const enabled = InputValidator.boolean(config.enabled);
+    const chime = InputValidator.boolean(config.chime === undefined ? true : config.chime);
+    const voice = InputValidator.string(config.voice, { maxLength: 100 });
+    const rate = config.rate === undefined ? 1 : Number(config.rate);
+    if (!enabled.valid || !chime.valid || !voice.valid || !(rate >= 0.5 && rate <= 2)) return null;
+
+    return { enabled: enabled.value, voice: voice.value, rate: rate, chime: chime.value };
+}
+
+/**
+ * Validate a full list of lanes
+ * @param {Array} list - [{id?, name, icon}] in display order; lanes without an ID get one from the name
+ * @returns {Object} {valid, error?, value?} value is a map of lane ID to {name, icon}
+ */
+function validateDismissalLanes(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return { valid: false, error: 'At least one lane is required' };
+    }
+    if (list.length > DISMISSAL_MAX_LANES) {
+        return { valid: false, error: `At most ${DISMISSAL_MAX_LANES} lanes are allowed` };
+    }
+
+    const lanes = {};
+    for (const lane of list) {
+        if (!lane || typeof lane !== 'object') {
+            return { valid: false, error: 'Each lane must be an object' };
+        }
+
+        const name = InputValidator.string(lane.name, { required: true, maxLength: 40 });
+        if (!name.valid) return { valid: false, error: `Name: ${name.error}` };
+
+        const icon = InputValidator.string(lane.icon, { maxLength: 8 });
+        if (!icon.valid) return { valid: false, error: `Icon: ${icon.error}` };
+
+        const laneId = typeof lane.id === 'string' && /^[a-z0-9_]{1,30}$/.test(lane.id)
+            ? lane.id
+            : name.value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 30) ||
+                'lane_' + crypto.randomBytes(4).toString('hex');
+        if (Object.hasOwn(lanes, laneId)) {
+            return { valid: false, error: `Two lanes are named "${name.value}"` };
+        }
+
+        lanes[laneId] = { name: name.value, icon: icon.value };
+    }
+
+    return { valid: true, value: lanes };
+}
+
+/**
+ * GET /api/dismissal/lanes
+ * Lane definitions (no auth - displays label their lanes with them)
+ */
+app.get('/api/dismissal/lanes', async (req, res) => {
+    try {
+        res.json({ lanes: getDismissalLanes(await loadSettings()) });
+    } catch (error) {
+        console.error('Error loading dismissal lanes:', error);
+        res.status(500).json({ error: 'Failed to load dismissal lanes' });
+    }
+});
+
+/**
+ * POST /api/dismissal/lanes
+ * Replace the lane list
+ * Body: {lanes: [{id?, name, icon}]} in display order
+ * A lane with students on screen can't be removed
+ */
+app.post('/api/dismissal/lanes', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const validation = validateDismissalLanes(req.body.lanes);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid lanes', message: validation.error });
+    }
+
+    try {
+        const settings = await loadSettings();
+        const previousLanes = getDismissalLanes(settings);
+        const lanes = validation.value;
+
+        const defaultLane = Object.keys(previousLanes)[0];
+        const inUse = dismissalState.students.find(entry => !Object.hasOwn(lanes, entry.lane || defaultLane));
+        if (inUse) {
+            const lane = previousLanes[inUse.lane || defaultLane];
+            return res.status(409).json({
+                error: `${lane ? lane.name : 'A removed lane'} still has students on screen`
+            });
+        }
+
+        // Displays keep showing the lanes that still exist
+        Object.values(settings.displayOverrides || {}).forEach(overrides => {
+            if (overrides.dismissalView) {
+                overrides.dismissalView.lanes = overrides.dismissalView.lanes.filter(laneId => Object.hasOwn(lanes, laneId));
+            }
+        });
+        if (settings.dismissalView) {
+            settings.dismissalView.lanes = settings.dismissalView.lanes.filter(laneId => Object.hasOwn(lanes, laneId));
+        }
+
+        settings.dismissalLanes = lanes;
+        await saveSettings(settings);
+        broadcastSettingsUpdate(settings, 'dismissalLanes');
+        broadcastToDismissalOperators({ type: 'dismissal_lanes', timestamp: Date.now(), lanes: lanes });
+
+        auditLog.log({
+            action: 'DISMISSAL_LANES_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { lanes: Object.keys(lanes) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Lanes saved',
+            lanes: lanes
+        });
+    } catch (error) {
+        console.error('Error saving dismissal lanes:', error);
+        res.status(500).json({ error: 'Failed to save dismissal lanes' });
+    }
+});
+
+/**
+ * Dismissal Privacy
+ * Hallway screens are public, so names can be shortened or left off them. The
+ * dismissalPrivacy setting ({format, autoClearMinutes}) is the school-wide default;
+ * a roster student's displayFormat overrides it and doNotDisplay keeps them off the
+ * screens altogether. Operators always see full names.
+ */
+
+// full: Emma Johnson, first_initial: Emma J., initials: E.J., carpool: Carpool 123, hidden: not shown
+const DISMISSAL_NAME_FORMATS = ['full', 'first_initial', 'initials', 'carpool', 'hidden'];
+
+// Loaded from the dismissalPrivacy setting on startup and kept here so every
+// broadcast can format names without reading the settings file
+let dismissalPrivacy = { format: 'full', autoClearMinutes: 0 };
+
+/**
+ * Validate a dismissalPrivacy setting
+ * @param {Object} body - {format, autoClearMinutes}
+ * @returns {Object} {valid, error?, value?}
+ */
+function validateDismissalPrivacy(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'Privacy settings must be an object' };
+    }
+
+    const format = body.format || 'full';
+    if (!DISMISSAL_NAME_FORMATS.includes(format)) {
+        return { valid: false, error: `Format must be one of: ${DISMISSAL_NAME_FORMATS.join(', ')}` };
+    }
+
+    const minutes = InputValidator.integer(body.autoClearMinutes, { min: 0, max: DISMISSAL_AUTO_CLEAR_MAX_MINUTES });
+    if (!minutes.valid) return { valid: false, error: `Auto-clear minutes: ${minutes.error}` };
+
+    return { valid: true, value: { format: format, autoClearMinutes: minutes.value || 0 } };
+}
+
+/**
+ * Load the privacy setting (on startup)
+ */
+async function loadDismissalPrivacy() {
+    try {
+        const settings = await loadSettings();
+        const validation = validateDismissalPrivacy(settings.dismissalPrivacy || {});
+        if (validation.valid) {
+            dismissalPrivacy = validation.value;
+        }
+    } catch (error) {
+        console.error('Error loading dismissal privacy settings:', error);
+    }
+}
+
+/**
+ * Shorten a name to a display format
+ * @param {string} name - Full name
+ * @param {string} format - 'full', 'first_initial' or 'initials'
+ */
+function formatDismissalName(name, format) {
+    const words = name.split(/\s+/).filter(Boolean);
+    if (format === 'initials') {
+        return words.map(word => word[0].toUpperCase() + '.').join('');
+    }
+    if (format === 'first_initial' && words.length > 1) {
+        return `${words[0]} ${words[words.length - 1][0].toUpperCase()}.`;
+    }
+    return name;
+}
+
+/**
+ * How a queue entry appears on the hallway screens
+ * @param {Object} entry - Queue entry
+ * @returns {Object|null} {name, grade, carpoolNumber?}, or null if the student is not shown
+ */
+function getScreenLabel(entry) {
+    if (entry.privacyHold) return null;
+
+    const student = entry.studentId ? rosterStudents.get(entry.studentId) : null;
+    if (student && student.doNotDisplay) return null;
+
+    const format = (student && student.displayFormat) || dismissalPrivacy.format;
+    if (format === 'hidden') return null;
+
+    // Students without a carpool number on file fall back to first name and last initial
+    if (format === 'carpool') {
+        return student && student.carpoolNumber
+            ? { name: `Carpool ${student.carpoolNumber}`, grade: '', carpoolNumber: student.carpoolNumber }
+            : { name: formatDismissalName(entry.name, 'first_initial'), grade: entry.grade };
+    }
+
+    return { name: formatDismissalName(entry.name, format), grade: entry.grade };
+}
+
+/**
+ * A name as operators might type it: case, accents, punctuation and extra spaces ignored
+ */
+function normalizeStudentName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[-_.]+/g, ' ')
+        .replace(/[^a-z0-9 ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * A grade as operators might type it: "Grade 3", "3rd" and "03" are all "3", "Kindergarten" is "k"
+ */
+function normalizeStudentGrade(grade) {
+    const value = String(grade || '').toLowerCase().replace(/grade|\s+/g, '');
+    if (['k', 'kg', 'kinder', 'kindergarten'].includes(value)) return 'k';
+    const number = value.match(/^0*(\d+)(st|nd|rd|th)?$/);
+    return number ? (number[1] || '0') : value;
+}
+
+/**
+ * Find the roster student for a name typed or spoken without a roster ID
+ * A single student with the same name and grade is linked. Otherwise anything that could
+ * be a do-not-display student (same name in another grade, or same last name and grade,
+ * e.g. a nickname or a misspelt first name) is held off the screens.
+ * @returns {Object} {studentId, student} for a match, {privacyHold: true}, or {} for no match
+ */
+function resolveRosterStudent(name, grade) {
+    const typedName = normalizeStudentName(name);
+    const typedGrade = normalizeStudentGrade(grade);
+    const typedLast = typedName.split(' ').pop();
+    if (!typedName) return {};
+
+    const sameName = [];
+    let privacyHold = false;
+    rosterStudents.forEach((student, studentId) => {
+        const rosterName = normalizeStudentName(student.name);
+        const sameGrade = normalizeStudentGrade(student.grade) === typedGrade;
+
+        if (rosterName === typedName) {
+            if (sameGrade) sameName.push({ studentId, student });
+            if (student.doNotDisplay) privacyHold = true;
+        } else if (student.doNotDisplay && sameGrade && rosterName.split(' ').pop() === typedLast) {
+            privacyHold = true;
+        }
+    });
+
+    if (sameName.length === 1) {
+        return sameName[0];
+    }
+    return privacyHold ? { privacyHold: true } : {};
+}
+
+/**
+ * The queue as the hallway screens get it: names formatted, hidden students left
+ * out and siblings called by carpool number shown once per lane
+ */
+function getDismissalStudentsForDisplays() {
+    const students = [];
+    const carpools = new Set();
+
+    dismissalState.students.forEach(entry => {
+        const label = getScreenLabel(entry);
+        if (!label) return;
+
+        if (label.carpoolNumber) {
+            const key = `${entry.lane}|${label.carpoolNumber}`;
+            if (carpools.has(key)) return;
+            carpools.add(key);
+        }
+
+        students.push({ id: entry.id, name: label.name, grade: label.grade, lane: entry.lane });
+    });
+
+    return students;
+}
+
+/**
+ * Current dismissal for the hallway screens (initial stream message and status polling)
+ */
+function getDismissalStateForDisplays() {
+    return {
+        active: dismissalState.active,
+        startedAt: dismissalState.startedAt,
+        students: getDismissalStudentsForDisplays()
+    };
+}
+
+/**
+ * Send the screens and operators the queue again after names may show differently
+ * (privacy setting or a queued student's roster entry changed)
+ */
+function refreshDismissalScreens() {
+    if (!dismissalState.active) return;
+
+    broadcastUpdate({
+        type: 'dismissal_update',
+        timestamp: Date.now(),
+        students: getDismissalStudentsForDisplays()
+    });
+    notifyDismissalOperators();
+}
+
+/**
+ * Take students off the screens once they have been up for autoClearMinutes
+ * Runs every DISMISSAL_AUTO_CLEAR_CHECK_MS; the history records them as cleared by 'auto-clear'
+ */
+async function autoClearDismissalStudents() {
+    const minutes = dismissalPrivacy.autoClearMinutes;
+    if (!dismissalState.active || !minutes) return;
+
+    const cutoff = Date.now() - minutes * 60 * 1000;
+    const previous = dismissalState.students;
+    const next = previous.filter(entry => !entry.addedAt || entry.addedAt > cutoff);
+    if (next.length === previous.length) return;
+
+    dismissalState.students = next;
+    try {
+        await publishDismissalQueue(previous, 'auto-clear');
+        console.log(`Dismissal: auto-cleared ${previous.length - next.length} students after ${minutes} minutes`);
+    } catch (error) {
+        console.error('Error auto-clearing dismissal students:', error);
+    }
+}
+
+loadDismissalPrivacy();
+setInterval(autoClearDismissalStudents, DISMISSAL_AUTO_CLEAR_CHECK_MS);
+
+/**
+ * GET /api/dismissal/privacy
+ * Name format and auto-clear setting for the hallway screens
+ */
+app.get('/api/dismissal/privacy', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    res.json({
+        privacy: dismissalPrivacy,
+        formats: DISMISSAL_NAME_FORMATS
+    });
+});
+
+/**
+ * POST /api/dismissal/privacy
+ * Change the name format and auto-clear setting
+ * Body: {format, autoClearMinutes} - autoClearMinutes 0 leaves students up until cleared
+ */
+app.post('/api/dismissal/privacy', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const validation = validateDismissalPrivacy(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid privacy settings', message: validation.error });
+    }
+
+    try {
+        const settings = await loadSettings();
+        settings.dismissalPrivacy = validation.value;
+        await saveSettings(settings);
+
+        dismissalPrivacy = validation.value;
+        refreshDismissalScreens();
+
+        auditLog.log({
+            action: 'DISMISSAL_PRIVACY_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: validation.value
+        });
+
+        res.json({
+            success: true,
+            message: 'Privacy settings saved',
+            privacy: dismissalPrivacy
+        });
+    } catch (error) {
+        console.error('Error saving dismissal privacy settings:', error);
+        res.status(500).json({ error: 'Failed to save privacy settings' });
+    }
+});
+
+/**
+ * Shared Dismissal Queue
+ * Several car-line stations can call students at once. Each station adds or removes
+ * single entries and the server keeps the one list, so nobody's save overwrites
+ * another's. Entries: {id, name, grade, lane, studentId, addedBy, addedByName, addedAt}
+ */
+
+// Dismissal manager pages listening on /api/dismissal/stream (res -> {username, name, connectedAt})
+const dismissalOperators = new Map();
+
+/**
+ * Generate a queue entry ID
+ */
+function generateDismissalEntryId() {
+    return 'dis_' + crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Name to show for an operator ("Added by ...")
+ * @param {Object} user - req.user
+ */
+function getOperatorName(user) {
+    const account = users.get(user.username);
+    return account ? (account.displayName || user.username) : user.username;
+}
+
+/**
+ * Validate a student and turn it into a queue entry
+ * Entries that might be a do-not-display student get privacyHold (see resolveRosterStudent)
+ * @param {Object} student - {name, grade, lane?, studentId?}
+ * @param {Object} user - Operator adding the student (req.user)
+ * @param {Object} lanes - Current lane definitions (no lane means the first one)
+ * @returns {Object} {valid, error?, entry?}
+ */
+function createDismissalEntry(student, user, lanes) {
+    if (!student || typeof student !== 'object') {
+        return { valid: false, error: 'Each student must be an object' };
+    }
+
+    const name = InputValidator.string(student.name, { required: true, maxLength: 100 });
+    if (!name.valid) return { valid: false, error: `Name: ${name.error}` };
+
+    const grade = InputValidator.string(student.grade, { maxLength: 20 });
+    if (!grade.valid) return { valid: false, error: `Grade: ${grade.error}` };
+
+    const lane = student.lane || Object.keys(lanes)[0];
+    if (typeof lane !== 'string' || !Object.hasOwn(lanes, lane)) {
+        return { valid: false, error: 'Unknown lane' };
+    }
+
+    // Without an ID (manual entry, other API callers) look the student up, so their
+    // display format and do-not-display flag still apply
+    const match = typeof student.studentId === 'string' && rosterStudents.has(student.studentId)
+        ? { studentId: student.studentId }
+        : resolveRosterStudent(name.value, grade.value);
+
+    const entry = {
+        id: generateDismissalEntryId(),
+        name: match.student ? match.student.name : name.value,
+        grade: match.student ? match.student.grade : grade.value,
+        lane: lane,
+        studentId: match.studentId || null,
+        addedBy: user.username,
+        addedByName: getOperatorName(user),
+        addedAt: Date.now()
+    };
+    if (match.privacyHold) {
+        entry.privacyHold = true;
+    }
+
+    return { valid: true, entry: entry };
+}
+
+/**
+ * Names of the operators with a dismissal manager open (each listed once)
+ */
+function getDismissalOperatorsSummary() {
+    const names = new Set();
+    dismissalOperators.forEach(operator => names.add(operator.name));
+    return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The queue as operators see it: full names, plus how each student appears on the
+ * screens (shownAs, null if not shown)
+ */
+function getDismissalQueueForOperators() {
+    return dismissalState.students.map(entry => {
+        const label = getScreenLabel(entry);
+        return { ...entry, shownAs: label ? label.name : null };
+    });
+}
+
+/**
+ * Current dismissal as operators see it
+ */
+function getDismissalStateForOperators() {
+    return {
+        type: 'dismissal_state',
+        timestamp: Date.now(),
+        active: dismissalState.active,
+        startedAt: dismissalState.startedAt,
+        endsAt: getDismissalEndsAt(),
+        warningMinutes: dismissalSchedule.warningMinutes,
+        students: getDismissalQueueForOperators(),
+        operators: getDismissalOperatorsSummary()
+    };
+}
+
+/**
+ * Send a message to every open dismissal manager
+ * @param {Object} data - Message
+ */
+function broadcastToDismissalOperators(data) {
+    const message = `data: ${JSON.stringify(data)}\n\n`;
+
+    dismissalOperators.forEach((operator, client) => {
+        try {
+            client.write(message);
+        } catch (error) {
+            console.log('Error sending to dismissal operator:', error.message);
+        }
+    });
+}
+
+/**
+ * Send the current dismissal to every open dismissal manager
+ */
+function notifyDismissalOperators() {
+    broadcastToDismissalOperators(getDismissalStateForOperators());
+}
+
+/**
+ * Save the queue and send it to displays and operators
+ * @param {Array} previous - Queue before the change (for the history)
+ * @param {string} username - Operator who made the change
+ */
+async function publishDismissalQueue(previous, username) {
+    await recordDismissalBatch(previous, dismissalState.students, username);
+    await saveState();
+
+    broadcastUpdate({
+        type: 'dismissal_update',
+        timestamp: Date.now(),
+        students: getDismissalStudentsForDisplays()
+    });
+    notifyDismissalOperators();
+}
+
+/**
+ * GET /api/dismissal/stream
+ * SSE stream of the shared queue for dismissal manager pages
+ * Session token in ?token= (EventSource can't set headers)
+ */
+app.get('/api/dismissal/stream', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    dismissalOperators.set(res, {
+        username: req.user.username,
+        name: getOperatorName(req.user),
+        connectedAt: Date.now()
+    });
+
+    // Everyone (including the new page) gets the queue and the updated operator list
+    notifyDismissalOperators();
+
+    const heartbeat = setInterval(() => {
+        try {
+            res.write(`: heartbeat\n\n`);
+        } catch (error) {
+            clearInterval(heartbeat);
+        }
+    }, 30000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        dismissalOperators.delete(res);
+        notifyDismissalOperators();
+    });
+});
+
+/**
+ * POST /api/dismissal/students
+ * Add students to the end of the queue
+ * Body: {students: [{name, grade, lane?, studentId?}]}
+ * Roster students already on screen are skipped and listed in `skipped`
+ */
+app.post('/api/dismissal/students', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const { students } = req.body;
+
+    if (!dismissalState.active) {
+        return res.status(409).json({ error: 'Dismissal is not active' });
+    }
+    if (!Array.isArray(students) || students.length === 0) {
+        return res.status(400).json({ error: 'Students must be a non-empty array' });
+    }
+
+    let lanes;
+    try {
+        lanes = getDismissalLanes(await loadSettings());
+    } catch (error) {
+        console.error('Error loading dismissal lanes:', error);
+        return res.status(500).json({ error: 'Failed to add students' });
+    }
+
+    const entries = [];
+    for (let i = 0; i < students.length; i++) {
+        const result = createDismissalEntry(students[i], req.user, lanes);
+        if (!result.valid) {
+            return res.status(400).json({ error: `Student ${i + 1}: ${result.error}` });
+        }
+        entries.push(result.entry);
+    }
+
+    // Change the queue before anything is awaited so requests from other stations
+    // always build on each other
+    const previous = dismissalState.students;
+    const queued = new Set(previous.map(entry => entry.studentId).filter(Boolean));
+    const added = [];
+    const skipped = [];
+    entries.forEach(entry => {
+        if (entry.studentId && queued.has(entry.studentId)) {
+            skipped.push(entry.name);
+        } else {
+            if (entry.studentId) queued.add(entry.studentId);
+            added.push(entry);
+        }
+    });
+
+    if (previous.length + added.length > DISMISSAL_MAX_STUDENTS) {
+        return res.status(400).json({ error: `At most ${DISMISSAL_MAX_STUDENTS} students can be on screen` });
+    }
+
+    dismissalState.students = [...previous, ...added];
+
+    try {
+        if (added.length > 0) {
+            await publishDismissalQueue(previous, req.user.username);
+        }
+
+        res.json({
+            success: true,
+            added: added,
+            skipped: skipped,
+            students: getDismissalQueueForOperators()
+        });
+
+        console.log(`Dismissal: ${req.user.username} added ${added.length} students (${dismissalState.students.length} on screen)`);
+    } catch (error) {
+        console.error('Error adding dismissal students:', error);
+        res.status(500).json({ error: 'Failed to add students' });
+    }
+});
+
+/**
+ * DELETE /api/dismissal/students/:entryId
+ * Remove one student from the queue
+ */
+app.delete('/api/dismissal/students/:entryId', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const previous = dismissalState.students;
+    const entry = previous.find(e => String(e.id) === req.params.entryId);
+
+    if (!entry) {
+        return res.status(404).json({ error: 'Student is not on screen' });
+    }
+
+    dismissalState.students = previous.filter(e => e !== entry);
+
+    try {
+        await publishDismissalQueue(previous, req.user.username);
+
+        res.json({
+            success: true,
+            message: `Removed ${entry.name}`,
+            students: getDismissalQueueForOperators()
+        });
+    } catch (error) {
+        console.error('Error removing dismissal student:', error);
+        res.status(500).json({ error: 'Failed to remove student' });
+    }
+});
+
+/**
+ * DELETE /api/dismissal/students
+ * Clear every student from the screen, or only one lane's with ?lane=
+ */
+app.delete('/api/dismissal/students', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const { lane } = req.query;
+    let inLane = () => true;
+
+    if (lane) {
+        try {
+            const defaultLane = Object.keys(getDismissalLanes(await loadSettings()))[0];
+            inLane = entry => (entry.lane || defaultLane) === lane;
+        } catch (error) {
+            console.error('Error loading dismissal lanes:', error);
+            return res.status(500).json({ error: 'Failed to clear students' });
+        }
+    }
+
+    const previous = dismissalState.students;
+    dismissalState.students = previous.filter(entry => !inLane(entry));
+
+    try {
+        await publishDismissalQueue(previous, req.user.username);
+
+        const cleared = previous.length - dismissalState.students.length;
+        res.json({
+            success: true,
+            message: 'Batch cleared',
+            cleared: cleared
+        });
+
+        console.log(`Dismissal: ${req.user.username} cleared ${cleared} students${lane ? ` (${lane})` : ''}`);
+    } catch (error) {
+        console.error('Error clearing dismissal students:', error);
+        res.status(500).json({ error: 'Failed to clear students' });
+    }
+});
+
+/**
+ * POST /api/dismissal/batch
+ * Replace the whole queue (kept for integrations; the dismissal manager adds and
+ * removes single students so stations don't overwrite each other)
+ * Entries whose id is already queued are kept as they are
+ */
+app.post('/api/dismissal/batch', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    try {
+        const { students } = req.body;
+
+        if (!Array.isArray(students)) {
+            return res.status(400).json({ error: 'Students must be an array' });
+        }
+        if (students.length > DISMISSAL_MAX_STUDENTS) {
+            return res.status(400).json({ error: `At most ${DISMISSAL_MAX_STUDENTS} students can be on screen` });
+        }
+
+        const lanes = getDismissalLanes(await loadSettings());
+        const previous = dismissalState.students;
+        const queued = new Map(previous.map(entry => [String(entry.id), entry]));
+        const next = [];
+        for (let i = 0; i < students.length; i++) {
+            const student = students[i];
+            const existing = student && student.id != null ? queued.get(String(student.id)) : null;
+            if (existing) {
+                next.push(existing);
+                continue;
+            }
+
+            const result = createDismissalEntry(student, req.user, lanes);
+            if (!result.valid) {
+                return res.status(400).json({ error: `Student ${i + 1}: ${result.error}` });
+            }
+            next.push(result.entry);
+        }
+
+        dismissalState.students = next;
+        await publishDismissalQueue(previous, req.user.username);
+
+        res.json({
+            success: true,
+            message: 'Batch updated',
+            students: next.length
+        });
+
+        console.log(`Dismissal batch updated: ${next.length} students`);
+    } catch (error) {
+        console.error('Error updating dismissal batch:', error);
+        res.status(500).json({ error: 'Failed to update batch' });
+    }
+});
+
+/**
+ * GET /api/dismissal/status
+ * Get current dismissal status (no auth required - displays need to read)
+ * Students are listed as the screens show them (see getScreenLabel)
+ */
+app.get('/api/dismissal/status', (req, res) => {
+    res.json({
+        ...getDismissalStateForDisplays(),
+        timestamp: Date.now()
+    });
+});
+
+/**
+ * Dismissal History
+ * Every dismissal session is kept in DISMISSAL_HISTORY_DIR, one file per day (YYYY-MM-DD.json):
+ * {date, sessions: [{id, startedAt, startedBy, endedAt, endedBy,
+ *   calls: [{studentId, name, grade, lane, calledAt, calledBy, clearedAt, clearedBy}]}]}
+ * A call is opened when a student appears in a batch and cleared when they leave it
+ * (or when dismissal ends).
+ */
+
+// Day file updates run one at a time so quick batches can't overwrite each other
+let dismissalHistoryQueue = Promise.resolve();
+
+/**
+ * Format a timestamp as YYYY-MM-DD in server-local time (the school's time zone)
+ */
+function toLocalDateString(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load one day of dismissal history
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} {date, sessions}
+ */
+async function loadDismissalDay(date) {
+    try {
+        const data = await fs.readFile(path.join(DISMISSAL_HISTORY_DIR, `${date}.json`), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { date: date, sessions: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Change one day of dismissal history and save it
+ * @param {string} date - YYYY-MM-DD
+ * @param {Function} update - Called with the day's {date, sessions}; may modify it
+ */
+function updateDismissalDay(date, update) {
+    const task = dismissalHistoryQueue.then(async () => {
+        const day = await loadDismissalDay(date);
+        update(day);
+        await fs.writeFile(path.join(DISMISSAL_HISTORY_DIR, `${date}.json`), JSON.stringify(day, null, 2), 'utf8');
+    });
+    dismissalHistoryQueue = task.catch(() => {});
+    return task;
+}
+
+/**
+ * Change the current session in its day file
+ * @param {Function} update - Called with the session record
+ */
+function updateCurrentSession(update) {
+    const { sessionId, sessionDate } = dismissalState;
+    return updateDismissalDay(sessionDate, day => {
+        const session = day.sessions.find(s => s.id === sessionId);
+        if (session) {
+            update(session);
+        }
+    });
+}
+
+/**
+ * Open a history session for a new dismissal
+ */
+async function startDismissalSession(username) {
+    const now = Date.now();
+    const session = {
+        id: 'session_' + crypto.randomBytes(6).toString('hex'),
+        startedAt: now,
+        startedBy: username,
+        endedAt: null,
+        endedBy: null,
+        calls: []
+    };
+
+    dismissalState.sessionId = session.id;
+    dismissalState.sessionDate = toLocalDateString(now);
+    await updateDismissalDay(dismissalState.sessionDate, day => {
+        day.sessions.push(session);
+    });
+}
+
+/**
+ * Close the current history session, clearing anyone still on screen
+ */
+async function endDismissalSession(username) {
+    if (!dismissalState.sessionId) return;
+
+    const now = Date.now();
+    await updateCurrentSession(session => {
+        session.endedAt = now;
+        session.endedBy = username;
+        session.calls.forEach(call => {
+            if (!call.clearedAt) {
+                call.clearedAt = now;
+                call.clearedBy = username;
+            }
+        });
+    });
+
+    dismissalState.sessionId = null;
+    dismissalState.sessionDate = null;
+}
+
+/**
+ * Record who was called and who was cleared by a new batch
+ * @param {Array} previous - Students on screen before the batch
+ * @param {Array} next - Students in the new batch
+ * @param {string} username - Operator who sent the batch
+ */
+async function recordDismissalBatch(previous, next, username) {
+    // Batches can arrive without a start (e.g. straight after an upgrade)
+    if (!dismissalState.sessionId) {
+        await startDismissalSession(username);
+    }
+
+    const studentKey = student => `${student.name}|${student.grade}`.toLowerCase();
+    const now = Date.now();
+
+    // Students in both lists stay as they are; the rest were called or cleared
+    const leftOver = new Map();
+    previous.forEach(student => {
+        leftOver.set(studentKey(student), (leftOver.get(studentKey(student)) || 0) + 1);
+    });
+    const added = next.filter(student => {
+        const count = leftOver.get(studentKey(student)) || 0;
+        if (count > 0) {
+            leftOver.set(studentKey(student), count - 1);
+            return false;
+        }
+        return true;
+    });
+
+    await updateCurrentSession(session => {
+        leftOver.forEach((count, key) => {
+            session.calls
+                .filter(call => !call.clearedAt && studentKey(call) === key)
+                .slice(0, count)
+                .forEach(call => {
+                    call.clearedAt = now;
+                    call.clearedBy = username;
+                });
+        });
+
+        added.forEach(student => {
+            session.calls.push({
+                studentId: typeof student.studentId === 'string' ? student.studentId.substring(0, 50) : null,
+                name: String(student.name || '').substring(0, 100),
+                grade: String(student.grade || '').substring(0, 20),
+                lane: typeof student.lane === 'string' ? student.lane : null,
+                calledAt: now,
+                calledBy: username,
+                clearedAt: null,
+                clearedBy: null
+            });
+        });
+    });
+}
+
+/**
+ * Read the date range of a history query
+ * @param {Object} query - ?date= for one day, or ?from=&to= (defaults to today)
+ * @returns {Object} {valid, error?, dates: ['YYYY-MM-DD', ...]}
+ */
+function parseHistoryRange(query) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const today = toLocalDateString(Date.now());
+    const from = query.date || query.from || query.to || today;
+    const to = query.date || query.to || (query.from ? today : from);
+
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+        return { valid: false, error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (from > to) {
+        return { valid: false, error: "'from' must not be after 'to'" };
+    }
+
+    // Step through the days at noon so daylight saving changes can't skip or repeat a day
+    const dates = [];
+    const cursor = new Date(`${from}T12:00:00`);
+    while (toLocalDateString(cursor) <= to) {
+        if (dates.length >= DISMISSAL_HISTORY_MAX_DAYS) {
+            return { valid: false, error: `A query can cover at most ${DISMISSAL_HISTORY_MAX_DAYS} days` };
+        }
+        dates.push(toLocalDateString(cursor));
+        cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return { valid: true, dates: dates };
+}
+
+/**
+ * Find calls in the dismissal history
+ * @param {string[]} dates - Days to search
+ * @param {Object} filters - {student: part of a name, grade: exact grade}
+ * @returns {Promise<Object>} {sessions, calls} - calls are flattened with date and sessionId
+ */
+async function queryDismissalHistory(dates, filters) {
+    const student = (filters.student || '').trim().toLowerCase();
+    const grade = (filters.grade || '').trim().toLowerCase();
+    const sessions = [];
+    const calls = [];
+
+    for (const date of dates) {
+        const day = await loadDismissalDay(date);
+
+        day.sessions.forEach(session => {
+            sessions.push({
+                id: session.id,
+                date: date,
+                startedAt: session.startedAt,
+                startedBy: session.startedBy,
+                endedAt: session.endedAt,
+                endedBy: session.endedBy,
+                callCount: session.calls.length
+            });
+
+            session.calls.forEach(call => {
+                if (student && !call.name.toLowerCase().includes(student)) return;
+                if (grade && call.grade.toLowerCase() !== grade) return;
+                calls.push({ date: date, sessionId: session.id, ...call });
+            });
+        });
+    }
+
+    calls.sort((a, b) => a.calledAt - b.calledAt);
+    return { sessions, calls };
+}
+
+/**
+ * Format a timestamp as YYYY-MM-DD HH:MM:SS in server-local time
+ */
+function formatLocalDateTime(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+    return `${toLocalDateString(timestamp)} ${time}`;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * Text starting with =, +, -, @ (or a tab or carriage return) gets a leading ' so
+ * spreadsheets show it instead of running it as a formula
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/dismissal/history
+ * Who was called for dismissal, when, by whom, and when they were cleared
+ * Query: date (YYYY-MM-DD) or from/to, optional student (part of a name) and grade;
+ * format=csv downloads the calls as a CSV report
+ */
+app.get('/api/dismissal/history', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const range = parseHistoryRange(req.query);
+    if (!range.valid) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    // A repeated key (?student=a&student=b) arrives as an array, so check the type first
+    const filters = {
+        student: InputValidator.string(req.query.student, { maxLength: 100 }),
+        grade: InputValidator.string(req.query.grade, { maxLength: 20 })
+    };
+    for (const [field, validation] of Object.entries(filters)) {
+        const value = req.query[field];
+        if (value !== undefined && typeof value !== 'string') {
+            return res.status(400).json({ error: `Invalid ${field}`, message: `'${field}' can only be given once` });
+        }
+        if (!validation.valid) {
+            return res.status(400).json({ error: `Invalid ${field}`, message: validation.error });
+        }
+    }
+
+    const from = range.dates[0];
+    const to = range.dates[range.dates.length - 1];
+
+    try {
+        const { sessions, calls } = await queryDismissalHistory(range.dates, {
+            student: filters.student.value,
+            grade: filters.grade.value
+        });
+
+        if (req.query.format === 'csv') {
+            const lanes = getDismissalLanes(await loadSettings());
+            const rows = [['Date', 'Student', 'Grade', 'Lane', 'Called At', 'Called By', 'Cleared At', 'Cleared By', 'Minutes On Screen']];
+            calls.forEach(call => {
+                rows.push([
+                    call.date,
+                    call.name,
+                    call.grade,
+                    call.lane ? (Object.hasOwn(lanes, call.lane) ? lanes[call.lane].name : call.lane) : '',
+                    formatLocalDateTime(call.calledAt),
+                    call.calledBy,
+                    formatLocalDateTime(call.clearedAt),
+                    call.clearedBy || '',
+                    call.clearedAt ? ((call.clearedAt - call.calledAt) / 60000).toFixed(1) : ''
+                ]);
+            });
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="dismissal-history_${from}_${to}.csv"`);
+            return res.send(rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n');
+        }
+
+        res.json({
+            from: from,
+            to: to,
+            sessions: sessions,
+            calls: calls,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.error('Error reading dismissal history:', error);
+        res.status(500).json({ error: 'Failed to read dismissal history' });
+    }
+});
+
+/**
+ * Student Roster Endpoints
+ * Student names are never part of the public settings; every roster route needs a login
+ */
+
+/**
+ * Load the roster from file
+ * Older versions kept the roster in the `studentRoster` setting, which anyone could read,
+ * so it is moved into the roster file and removed from the settings
+ */
+async function loadRoster() {
+    try {
+        const data = await fs.readFile(ROSTER_FILE, 'utf8');
+        const saved = JSON.parse(data);
+        for (const [id, student] of Object.entries(saved.students || {})) {
+            rosterStudents.set(id, student);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading roster:', error);
+        }
+    }
+
+    try {
+        const settings = await loadSettings();
+        if (settings.studentRoster !== undefined) {
+            if (rosterStudents.size === 0 && Array.isArray(settings.studentRoster)) {
+                settings.studentRoster.forEach(entry => {
+                    const result = validateStudent(entry || {});
+                    if (result.valid) {
+                        rosterStudents.set(generateStudentId(), { ...result.value, createdAt: Date.now() });
+                    }
+                });
+                await saveRoster();
+                console.log(`Moved ${rosterStudents.size} students from settings to ${ROSTER_FILE}`);
+            }
+            delete settings.studentRoster;
+            await saveSettings(settings);
+        }
+    } catch (error) {
+        console.error('Error moving roster out of settings:', error);
+    }
+
+    console.log(`Loaded ${rosterStudents.size} students from roster`);
+}
+
+/**
+ * Save the roster to file
+ */
+async function saveRoster() {
+    try {
+        await fs.writeFile(ROSTER_FILE, JSON.stringify({
+            students: Object.fromEntries(rosterStudents)
+        }, null, 2), 'utf8');
+    } catch (error) {
+        console.error('Error saving roster:', error);
+    }
+}
+
+/**
+ * Generate a stable student ID
+ */
+function generateStudentId() {
+    return 'stu_' + crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Validate a student record
+ * familyId links siblings (any shared value, e.g. the SIS family number);
+ * carpoolNumber is the number on the family's car tag;
+ * studentNumber is the student's ID in the school's SIS, used to match imports
+ * @returns {Object} {valid, error?, value}
+ */
+function validateStudent(body) {
+    const fields = {
+        name: InputValidator.string(body.name, { required: true, maxLength: 100 }),
+        grade: InputValidator.string(body.grade, { required: true, maxLength: 20 }),
+        homeroom: InputValidator.string(body.homeroom, { maxLength: 50 }),
+        teacher: InputValidator.string(body.teacher, { maxLength: 100 }),
+        familyId: InputValidator.string(body.familyId, { maxLength: 50, pattern: /^[A-Za-z0-9_-]*$/ }),
+        carpoolNumber: InputValidator.string(body.carpoolNumber, { maxLength: 10, pattern: /^[A-Za-z0-9-]*$/ }),
+        studentNumber: InputValidator.string(body.studentNumber, { maxLength: 30, pattern: /^[A-Za-z0-9_-]*$/ }),
+        displayFormat: InputValidator.string(body.displayFormat, { maxLength: 20 }),
+        doNotDisplay: InputValidator.boolean(body.doNotDisplay)
+    };
+
+    const value = {};
+    for (const [field, result] of Object.entries(fields)) {
+        if (!result.valid) {
+            return { valid: false, error: `${field}: ${result.error}` };
+        }
+        value[field] = result.value;
+    }
+    value.carpoolNumber = value.carpoolNumber.toUpperCase();
+
+    // '' follows the school-wide format (dismissalPrivacy)
+    if (value.displayFormat && !DISMISSAL_NAME_FORMATS.includes(value.displayFormat)) {
+        return { valid: false, error: `displayFormat: Must be one of: ${DISMISSAL_NAME_FORMATS.join(', ')}` };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Get one student for API responses
+ */
+function getStudentSummary(studentId) {
+    const student = rosterStudents.get(studentId);
+    return student ? { id: studentId, ...student } : null;
+}
+
+/**
+ * Get the whole roster for API responses, sorted by name
+ */
+function getRosterSummary() {
+    return [...rosterStudents.keys()]
+        .map(getStudentSummary)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a student's siblings (other students with the same family ID)
+ */
+function getSiblings(studentId) {
+    const student = rosterStudents.get(studentId);
+    if (!student || !student.familyId) return [];
+
+    return getRosterSummary().filter(other =>
+        other.id !== studentId && other.familyId === student.familyId
+    );
+}
+
+/**
+ * Key used to keep a student's ID when the roster is uploaded again
+ */
+function rosterMatchKey(student) {
+    return `${student.name}|${student.grade}`.toLowerCase();
+}
+
+/**
+ * Work out what importing a list of students would change
+ * Rows are matched to existing students by SIS student number, or by name and grade
+ * for students without one. Matched students keep their ID and any fields the row leaves out.
+ * @param {Array} entries - Students from the import file
+ * @param {string} mode - 'merge' keeps students missing from the file, 'replace' removes them
+ * @returns {Object} {roster: Map of the resulting roster, added, updated, unchanged, rejected, removed}
+ */
+function planRosterImport(entries, mode) {
+    const byNumber = new Map();
+    const byKey = new Map();
+    for (const [id, student] of rosterStudents.entries()) {
+        if (student.studentNumber) {
+            byNumber.set(student.studentNumber.toLowerCase(), id);
+        } else {
+            byKey.set(rosterMatchKey(student), id);
+        }
+    }
+
+    const plan = { added: [], updated: [], unchanged: [], rejected: [], removed: [] };
+    const roster = mode === 'replace' ? new Map() : new Map(rosterStudents);
+    const seen = new Map(); // student number or name|grade -> index of the first row with it
+    const claimed = new Map(); // existing student ID -> index of the row that matched it
+    const now = Date.now();
+
+    entries.forEach((raw, index) => {
+        const entry = raw && typeof raw === 'object' ? raw : {};
+        const name = String(entry.name || '').trim();
+        const grade = String(entry.grade || '').trim();
+        const number = String(entry.studentNumber || '').trim().toLowerCase();
+        const reject = (reason, duplicateOf) => plan.rejected.push({ index, name, grade, reason, duplicateOf });
+
+        const key = number ? `#${number}` : rosterMatchKey({ name, grade });
+        if (seen.has(key)) {
+            return reject('Same student as an earlier row', seen.get(key));
+        }
+
+        const matchId = number ? byNumber.get(number) || byKey.get(rosterMatchKey({ name, grade })) : byKey.get(key);
+        if (matchId && claimed.has(matchId)) {
+            return reject('Same student as an earlier row', claimed.get(matchId));
+        }
+        const current = matchId ? rosterStudents.get(matchId) : null;
+
+        const validation = validateStudent(current ? { ...current, ...entry } : entry);
+        if (!validation.valid) {
+            return reject(validation.error);
+        }
+        seen.set(key, index);
+        if (matchId) {
+            claimed.set(matchId, index);
+        }
+
+        if (!current) {
+            roster.set(generateStudentId(), { ...validation.value, createdAt: now });
+            plan.added.push({ index, name: validation.value.name, grade: validation.value.grade });
+            return;
+        }
+
+        const changes = Object.keys(validation.value).filter(field => (current[field] || '') !== (validation.value[field] || ''));
+        if (changes.length === 0) {
+            roster.set(matchId, current);
+            plan.unchanged.push({ index, id: matchId, name: current.name, grade: current.grade });
+        } else {
+            roster.set(matchId, { ...current, ...validation.value, updatedAt: now });
+            plan.updated.push({ index, id: matchId, name: validation.value.name, grade: validation.value.grade, changes });
+        }
+    });
+
+    if (mode === 'replace') {
+        for (const [id, student] of rosterStudents.entries()) {
+            if (!roster.has(id)) {
+                plan.removed.push({ id, name: student.name, grade: student.grade });
+            }
+        }
+    }
+
+    return { roster, ...plan };
+}
+
+/**
+ * GET /api/roster
+ * List all students
+ */
+app.get('/api/roster', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    res.json({
+        students: getRosterSummary(),
+        timestamp: Date.now()
+    });
+});
+
+/**
+ * GET /api/roster/carpool/:number
+ * Students picked up by one carpool tag, with their siblings
+ */
+app.get('/api/roster/carpool/:number', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    const carpoolNumber = String(req.params.number).trim().toUpperCase();
+    const matches = getRosterSummary().filter(student => student.carpoolNumber === carpoolNumber);
+
+    if (matches.length === 0) {
+        return res.status(404).json({ error: `No students with carpool number ${carpoolNumber}` });
+    }
+
+    // A sibling without the tag on file still goes home in the same car
+    const students = [...matches];
+    matches.forEach(student => {
+        getSiblings(student.id).forEach(sibling => {
+            if (!students.some(s => s.id === sibling.id)) {
+                students.push(sibling);
+            }
+        });
+    });
+
+    res.json({
+        carpoolNumber: carpoolNumber,
+        students: students,
+        timestamp: Date.now()
+    });
+});
+
+/**
+ * GET /api/roster/:studentId
+ * One student and their siblings
+ */
+app.get('/api/roster/:studentId', authenticate, requireRole('dismissal_operator'), (req, res) => {
+    const student = getStudentSummary(req.params.studentId);
+    if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+    }
+
+    res.json({
+        student: student,
+        siblings: getSiblings(student.id)
+    });
+});
+
+/**
+ * POST /api/roster
+ * Add a student
+ */
+app.post('/api/roster', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const validation = validateStudent(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid student', message: validation.error });
+    }
+    if (rosterStudents.size >= ROSTER_MAX_STUDENTS) {
+        return res.status(400).json({ error: `The roster is limited to ${ROSTER_MAX_STUDENTS} students` });
+    }
+
+    const studentId = generateStudentId();
+    rosterStudents.set(studentId, { ...validation.value, createdAt: Date.now() });
+    await saveRoster();
+
+    auditLog.log({
+        action: 'ROSTER_STUDENT_ADD',
+        user: req.user.username,
+        ip: req.ip,
+        details: { studentId: studentId }
+    });
+
+    res.json({
+        success: true,
+        message: `Added ${validation.value.name}`,
+        student: getStudentSummary(studentId)
+    });
+});
+
+/**
+ * POST /api/roster/import
+ * Import a list of students
+ * Body: {students, mode: 'merge' (default) | 'replace', dryRun}
+ * Invalid rows are skipped and reported; dryRun reports what would change without saving
+ */
+app.post('/api/roster/import', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const { students, dryRun } = req.body;
+    const mode = req.body.mode || 'merge';
+
+    if (!Array.isArray(students)) {
+        return res.status(400).json({ error: 'Students must be an array' });
+    }
+    if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ error: "Mode must be 'merge' or 'replace'" });
+    }
+    if (students.length > ROSTER_MAX_STUDENTS) {
+        return res.status(400).json({ error: `The roster is limited to ${ROSTER_MAX_STUDENTS} students` });
+    }
+
+    const { roster, ...plan } = planRosterImport(students, mode);
+    if (roster.size > ROSTER_MAX_STUDENTS) {
+        return res.status(400).json({ error: `The roster is limited to ${ROSTER_MAX_STUDENTS} students` });
+    }
+
+    const summary = {
+        added: plan.added.length,
+        updated: plan.updated.length,
+        unchanged: plan.unchanged.length,
+        rejected: plan.rejected.length,
+        removed: plan.removed.length
+    };
+
+    if (dryRun) {
+        return res.json({ success: true, dryRun: true, mode, summary, ...plan });
+    }
+
+    rosterStudents.clear();
+    roster.forEach((student, id) => rosterStudents.set(id, student));
+    await saveRoster();
+
+    auditLog.log({
+        action: 'ROSTER_IMPORT',
+        user: req.user.username,
+        ip: req.ip,
+        details: { mode: mode, ...summary }
+    });
+
+    res.json({
+        success: true,
+        dryRun: false,
+        mode,
+        message: `Imported roster: ${summary.added} added, ${summary.updated} updated, ${summary.removed} removed, ${summary.rejected} rejected`,
+        summary,
+        ...plan,
+        students: getRosterSummary()
+    });
+    refreshDismissalScreens();
+});
+
+/**
+ * POST /api/roster/:studentId/update
+ * Change a student's details; fields left out keep their current value
+ */
+app.post('/api/roster/:studentId/update', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const { studentId } = req.params;
+    const student = rosterStudents.get(studentId);
+    if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const validation = validateStudent({ ...student, ...req.body });
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid student', message: validation.error });
+    }
+
+    rosterStudents.set(studentId, { ...student, ...validation.value, updatedAt: Date.now() });
+    await saveRoster();
+
+    auditLog.log({
+        action: 'ROSTER_STUDENT_UPDATE',
+        user: req.user.username,
+        ip: req.ip,
+        details: { studentId: studentId }
+    });
+
+    res.json({
+        success: true,
+        message: `Updated ${validation.value.name}`,
+        student: getStudentSummary(studentId)
+    });
+    refreshDismissalScreens();
+});
+
+/**
+ * DELETE /api/roster/:studentId
+ * Remove a student
+ */
+app.delete('/api/roster/:studentId', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const { studentId } = req.params;
+    const student = rosterStudents.get(studentId);
+    if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+    }
+
+    rosterStudents.delete(studentId);
+    await saveRoster();
+
+    auditLog.log({
+        action: 'ROSTER_STUDENT_DELETE',
+        user: req.user.username,
+        ip: req.ip,
+        details: { studentId: studentId }
+    });
+
+    res.json({ success: true, message: `Removed ${student.name}` });
+    refreshDismissalScreens();
+});
+
+/**
+ * DELETE /api/roster
+ * Remove every student
+ */
+app.delete('/api/roster', authenticate, requireRole('dismissal_operator'), async (req, res) => {
+    const count = rosterStudents.size;
+    rosterStudents.clear();
+    await saveRoster();
+
+    auditLog.log({
+        action: 'ROSTER_CLEAR',
+        user: req.user.username,
+        ip: req.ip,
+        details: { students: count }
+    });
+
+    res.json({ success: true, message: `Removed ${count} students` });
+    refreshDismissalScreens();
+});
+
+// Load the roster on startup
+loadRoster();
+
+/**
+ * Weather
+ * Current conditions and the daily forecast are fetched on a schedule from the provider
+ * chosen in general settings (see weather-providers.js) and one cached copy is shared
+ * with every display (GET /api/weather and weather_update over SSE). Displays never see
+ * an API key, and the provider gets one request per refresh no matter how many TVs are on.
+ * The weatherProvider setting holds {provider, latitude, longitude, units}; the
+ * OpenWeatherMap key and city stay in the environment. WEATHER_API_URL can point at a
+ * local stub for testing.
+ */
+
+const DEFAULT_WEATHER_PROVIDER = {
+    provider: 'openweathermap',
+    latitude: null,
+    longitude: null,
+    units: WEATHER_UNITS
+};
+
+// Loaded from the weatherProvider setting on startup and kept here for the scheduled refresh
+let weatherProvider = { ...DEFAULT_WEATHER_PROVIDER };
+let weatherCache = null; // Normalized weather (see refreshWeather); kept when a refresh fails
+let weatherError = null; // Why the last refresh failed, if it did
+
+/**
+ * Validate a weatherProvider setting
+ * @param {Object} body - See DEFAULT_WEATHER_PROVIDER; missing fields keep their default
+ * @returns {Object} {valid, error?, value?}
+ */
+function validateWeatherProvider(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'Weather settings must be an object' };
+    }
+    const config = { ...DEFAULT_WEATHER_PROVIDER, ...body };
+
+    if (!WEATHER_PROVIDERS[config.provider]) {
+        return { valid: false, error: `Provider must be one of: ${Object.keys(WEATHER_PROVIDERS).join(', ')}` };
+    }
+    if (!['imperial', 'metric'].includes(config.units)) {
+        return { valid: false, error: "Units must be 'imperial' or 'metric'" };
+    }
+
+    // Blank coordinates are allowed (OpenWeatherMap can use WEATHER_LOCATION instead)
+    const coordinates = {};
+    for (const [key, limit] of [['latitude', 90], ['longitude', 180]]) {
+        const value = config[key];
+        if (value === null || value === undefined || value === '') {
+            coordinates[key] = null;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || Math.abs(number) > limit) {
+            return { valid: false, error: `${key[0].toUpperCase() + key.slice(1)} must be a number from -${limit} to ${limit}` };
+        }
+        coordinates[key] = number;
+    }
+    if ((coordinates.latitude === null) !== (coordinates.longitude === null)) {
+        return { valid: false, error: 'Set both latitude and longitude, or neither' };
+    }
+
+    return {
+        valid: true,
+        value: {
+            provider: config.provider,
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            units: config.units
+        }
+    };
+}
+
+/**
+ * Options passed to the selected provider's adapter
+ */
+function getWeatherOptions() {
+    const adapter = WEATHER_PROVIDERS[weatherProvider.provider];
+    return {
+        baseUrl: WEATHER_API_URL || adapter.defaultUrl,
+        customUrl: !!WEATHER_API_URL,
+        apiKey: adapter.needsKey ? WEATHER_API_KEY : '',
+        location: WEATHER_LOCATION,
+        cityId: WEATHER_CITY_ID,
+        latitude: weatherProvider.latitude,
+        longitude: weatherProvider.longitude,
+        units: weatherProvider.units,
+        timeoutMs: WEATHER_FETCH_TIMEOUT_MS
+    };
+}
+
+/**
+ * @returns {boolean} True if the selected provider has what it needs (key, location)
+ */
+function isWeatherConfigured() {
+    return WEATHER_PROVIDERS[weatherProvider.provider].isConfigured(getWeatherOptions());
+}
 
-    console.log('⚠️ EMERGENCY ALERT SENT:', alertData.message);
+/**
+ * Describe what the selected provider is missing, for the admin panel and the startup log
+ */
+function getWeatherSetupHint() {
+    const adapter = WEATHER_PROVIDERS[weatherProvider.provider];
+    return adapter.needsKey
+        ? 'set WEATHER_API_KEY, and WEATHER_LOCATION or a latitude and longitude'
+        : 'set a latitude and longitude in general settings';
+}
 
-    res.json({
-        success: true,
-        message: 'Emergency alert broadcast to all displays',
-        clients: clients.size
-    });
-});
+/**
+ * Load the weather provider setting (on startup)
+ */
+async function loadWeatherProvider() {
+    try {
+        const settings = await loadSettings();
+        const validation = validateWeatherProvider(settings.weatherProvider || {});
+        if (validation.valid) {
+            weatherProvider = validation.value;
+        }
+    } catch (error) {
+        console.error('Error loading weather provider settings:', error);
+    }
+}
 
 /**
- * POST /api/emergency/cancel
- * Cancel active emergency alert
+ * Fetch fresh weather, cache it and push it to every display
+ * On failure the last good copy stays in use and the error is reported by GET /api/weather.
  */
-app.post('/api/emergency/cancel', authenticate, (req, res) => {
-    const wasActive = emergencyAlertState.active;
+async function refreshWeather() {
+    if (!isWeatherConfigured()) return;
 
-    emergencyAlertState.active = false;
-    emergencyAlertState.alert = null;
+    const config = weatherProvider;
+    const adapter = WEATHER_PROVIDERS[config.provider];
+    try {
+        const weather = await adapter.fetch(getWeatherOptions());
 
-    // Audit log
-    auditLog.log({
-        action: 'EMERGENCY_ALERT_CANCELLED',
-        ip: req.ip
-    });
+        // Ignore a slow answer for settings that were changed while it was being fetched
+        if (weatherProvider !== config) return;
 
-    // Broadcast cancellation to all connected clients
-    broadcastUpdate({
-        type: 'emergency_cancel',
-        timestamp: Date.now()
-    });
+        weatherCache = {
+            ...weather,
+            provider: config.provider,
+            units: config.units,
+            updatedAt: Date.now()
+        };
+        weatherError = null;
 
-    console.log('✓ Emergency alert cancelled');
+        broadcastUpdate({
+            type: 'weather_update',
+            timestamp: Date.now(),
+            weather: weatherCache
+        });
+    } catch (error) {
+        if (weatherProvider !== config) return;
+        weatherError = error.name === 'TimeoutError' ? 'Weather provider did not respond' : error.message;
+        console.error(`Error refreshing weather from ${adapter.label}:`, weatherError);
+    }
+}
 
+/**
+ * GET /api/weather
+ * Cached weather for the displays (no auth required - displays need to read)
+ */
+app.get('/api/weather', (req, res) => {
     res.json({
-        success: true,
-        message: wasActive ? 'Emergency alert cancelled' : 'No active alert',
-        clients: clients.size
+        configured: isWeatherConfigured(),
+        weather: weatherCache,
+        error: weatherError,
+        timestamp: Date.now()
     });
 });
 
 /**
- * GET /api/emergency/status
- * Get current emergency alert status
+ * GET /api/weather/config
+ * Selected weather provider and location, plus the providers to choose from
  */
-app.get('/api/emergency/status', (req, res) => {
+app.get('/api/weather/config', authenticate, requireRole('content_editor'), (req, res) => {
     res.json({
-        active: emergencyAlertState.active,
-        alert: emergencyAlertState.alert,
-        timestamp: Date.now()
+        config: weatherProvider,
+        providers: Object.entries(WEATHER_PROVIDERS).map(([id, adapter]) => ({
+            id: id,
+            label: adapter.label,
+            needsKey: adapter.needsKey,
+            hasKey: adapter.needsKey ? !!WEATHER_API_KEY : true
+        })),
+        configured: isWeatherConfigured(),
+        setupHint: isWeatherConfigured() ? null : getWeatherSetupHint(),
+        location: WEATHER_CITY_ID ? `city ID ${WEATHER_CITY_ID}` : WEATHER_LOCATION,
+        error: weatherError,
+        updatedAt: weatherCache ? weatherCache.updatedAt : null
     });
 });
 
 /**
- * Dismissal Management Endpoints
+ * POST /api/weather/config
+ * Switch the weather provider or location and fetch fresh weather straight away
+ * Body: {provider, latitude, longitude, units}
  */
+app.post('/api/weather/config', authenticate, requireRole('content_editor'), async (req, res) => {
+    const validation = validateWeatherProvider(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid weather settings', message: validation.error });
+    }
 
-// Dismissal state
-let dismissalState = {
-    active: false,
-    students: []
-};
-
-/**
- * POST /api/dismissal/start
- * Start dismissal mode
- */
-app.post('/api/dismissal/start', authenticate, async (req, res) => {
     try {
-        dismissalState.active = true;
-        dismissalState.students = [];
+        const settings = await loadSettings();
+        settings.weatherProvider = validation.value;
+        await saveSettings(settings);
 
-        // Broadcast to all connected clients
-        broadcastUpdate({
-            type: 'dismissal_start',
-            timestamp: Date.now()
+        const previous = weatherProvider;
+        weatherProvider = validation.value;
+
+        // Don't keep showing the old provider's weather (or units) if the new one can't be reached
+        if (previous.provider !== weatherProvider.provider || previous.units !== weatherProvider.units ||
+            previous.latitude !== weatherProvider.latitude || previous.longitude !== weatherProvider.longitude) {
+            weatherCache = null;
+        }
+        weatherError = null;
+
+        auditLog.log({
+            action: 'WEATHER_PROVIDER_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: validation.value
         });
 
+        await refreshWeather();
+        // Alerts for the new location (without holding up the answer)
+        refreshWeatherAlerts();
+
         res.json({
             success: true,
-            message: 'Dismissal started'
+            message: isWeatherConfigured() ? 'Weather settings saved' : `Weather settings saved. To show weather, ${getWeatherSetupHint()}`,
+            config: weatherProvider,
+            configured: isWeatherConfigured(),
+            error: weatherError,
+            updatedAt: weatherCache ? weatherCache.updatedAt : null
         });
-
-        console.log('Dismissal mode activated');
     } catch (error) {
-        console.error('Error starting dismissal:', error);
-        res.status(500).json({ error: 'Failed to start dismissal' });
+        console.error('Error saving weather settings:', error);
+        res.status(500).json({ error: 'Failed to save weather settings' });
     }
 });
 
+// Fetch weather on startup and then on a schedule
+const weatherProviderLoaded = loadWeatherProvider();
+weatherProviderLoaded.then(refreshWeather);
+setInterval(refreshWeather, WEATHER_REFRESH_MS);
+
 /**
- * POST /api/dismissal/end
- * End dismissal mode and return to normal display
+ * Severe Weather Alerts
+ * Watches, warnings and advisories for the school's location are read from a CAP feed
+ * (see weather-alerts.js) on a schedule, and the active ones scroll across the displays
+ * in a ticker (GET /api/weather/alerts and weather_alerts over SSE).
+ * Warnings - alerts for weather that is happening or expected now rather than possible
+ * later - can also raise the 'weather' emergency alert through sendEmergencyAlert. The
+ * weatherAlerts setting holds a rule per CAP severity: 'auto' raises it straight away
+ * (unless another emergency alert is up), 'approve' waits for an emergency operator and
+ * 'none' only shows the ticker. Every alert received, raised, dismissed or ended is
+ * written to the audit log.
+ */
+
+const WEATHER_ALERT_RULES = ['auto', 'approve', 'none'];
+
+const DEFAULT_WEATHER_ALERTS = {
+    enabled: false,
+    ticker: true,
+    rules: { Extreme: 'approve', Severe: 'approve', Moderate: 'none', Minor: 'none' }
+};
+
+// Loaded from the weatherAlerts setting on startup
+let weatherAlertsConfig = { ...DEFAULT_WEATHER_ALERTS };
+// Active alerts from the last read of the feed, most severe first. Each is a parsed alert
+// plus {id, status: 'ticker' | 'pending' | 'raised' | 'dismissed', receivedAt, decidedBy, decidedAt}
+let weatherAlerts = [];
+let weatherAlertsError = null; // Why the last read failed, if it did
+let weatherAlertsUpdatedAt = null;
+let lastTickerUpdate = null; // Last list sent to the displays, to skip unchanged broadcasts
+
+/**
+ * Validate a weatherAlerts setting
+ * @param {Object} body - See DEFAULT_WEATHER_ALERTS; missing fields keep their default
+ * @returns {Object} {valid, error?, value?}
+ */
+function validateWeatherAlerts(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'Weather alert settings must be an object' };
+    }
+    const config = { ...DEFAULT_WEATHER_ALERTS, ...body };
+
+    const enabled = InputValidator.boolean(config.enabled);
+    const ticker = InputValidator.boolean(config.ticker);
+    if (!enabled.valid || !ticker.valid) {
+        return { valid: false, error: 'enabled and ticker must be true or false' };
+    }
+
+    if (!config.rules || typeof config.rules !== 'object' || Array.isArray(config.rules)) {
+        return { valid: false, error: 'Rules must be an object of severity to rule' };
+    }
+    const rules = {};
+    for (const severity of Object.keys(DEFAULT_WEATHER_ALERTS.rules)) {
+        const rule = config.rules[severity] || DEFAULT_WEATHER_ALERTS.rules[severity];
+        if (!WEATHER_ALERT_RULES.includes(rule)) {
+            return { valid: false, error: `Rule for ${severity} must be one of: ${WEATHER_ALERT_RULES.join(', ')}` };
+        }
+        rules[severity] = rule;
+    }
+
+    return {
+        valid: true,
+        value: { enabled: enabled.value, ticker: ticker.value, rules: rules }
+    };
+}
+
+/**
+ * Load the weather alerts setting (on startup)
  */
-app.post('/api/dismissal/end', authenticate, async (req, res) => {
+async function loadWeatherAlerts() {
     try {
-        dismissalState.active = false;
-        dismissalState.students = [];
+        const settings = await loadSettings();
+        const validation = validateWeatherAlerts(settings.weatherAlerts || {});
+        if (validation.valid) {
+            weatherAlertsConfig = validation.value;
+        }
+    } catch (error) {
+        console.error('Error loading weather alert settings:', error);
+    }
+}
 
-        // Broadcast to all connected clients
-        broadcastUpdate({
-            type: 'dismissal_end',
-            timestamp: Date.now()
+/**
+ * Where to read alerts from: WEATHER_ALERTS_FILE, or the feed URL for the school's location
+ * @returns {Object|null} {file} or {url, timeoutMs}; null if the URL needs a location that isn't set
+ */
+function getWeatherAlertsSource() {
+    if (WEATHER_ALERTS_FILE) {
+        return { file: WEATHER_ALERTS_FILE };
+    }
+    if (/\{(lat|lon)\}/.test(WEATHER_ALERTS_URL) &&
+        (weatherProvider.latitude === null || weatherProvider.longitude === null)) {
+        return null;
+    }
+
+    // api.weather.gov answers points with at most four decimals
+    return {
+        url: WEATHER_ALERTS_URL
+            .replace('{lat}', weatherProvider.latitude === null ? '' : Number(weatherProvider.latitude.toFixed(4)))
+            .replace('{lon}', weatherProvider.longitude === null ? '' : Number(weatherProvider.longitude.toFixed(4))),
+        timeoutMs: WEATHER_FETCH_TIMEOUT_MS
+    };
+}
+
+/**
+ * True for a warning: weather that is happening or expected now (urgency Immediate or
+ * Expected, certainty Observed or Likely). Watches and outlooks only go on the ticker.
+ */
+function isWeatherWarning(alert) {
+    return ['Immediate', 'Expected'].includes(alert.urgency) && ['Observed', 'Likely'].includes(alert.certainty);
+}
+
+/**
+ * Short ID for an alert, usable in URLs (CAP identifiers are long URNs)
+ */
+function getWeatherAlertId(identifier) {
+    return 'wx_' + crypto.createHash('sha1').update(identifier).digest('hex').slice(0, 12);
+}
+
+/**
+ * Active alerts as the displays show them (none when alerts or the ticker are off)
+ */
+function getWeatherAlertsForDisplays() {
+    if (!weatherAlertsConfig.enabled || !weatherAlertsConfig.ticker) return [];
+
+    const now = Date.now();
+    return weatherAlerts
+        .filter(alert => alert.expires === null || alert.expires > now)
+        .map(alert => ({
+            id: alert.id,
+            event: alert.event,
+            headline: alert.headline,
+            severity: alert.severity,
+            warning: isWeatherWarning(alert),
+            areaDesc: alert.areaDesc,
+            expires: alert.expires
+        }));
+}
+
+/**
+ * Send the ticker to every display if it changed since the last time
+ */
+function broadcastWeatherAlerts() {
+    const alerts = getWeatherAlertsForDisplays();
+    const update = JSON.stringify(alerts);
+    if (update === lastTickerUpdate) return;
+    lastTickerUpdate = update;
+
+    broadcastUpdate({
+        type: 'weather_alerts',
+        timestamp: Date.now(),
+        alerts: alerts
+    });
+}
+
+/**
+ * Raise the Severe Weather emergency alert for a warning, ending when the warning does
+ * (expiry, or when it leaves the feed - see updateWeatherAlerts)
+ * @param {Object} alert - Entry from weatherAlerts
+ * @param {string} username - Operator who approved it, or 'system' for the auto rule
+ * @param {string} [ip] - Request IP for the audit log
+ * @returns {Promise<Object>} See sendEmergencyAlert
+ */
+function raiseWeatherAlert(alert, username, ip) {
+    const minutesLeft = alert.expires ? Math.ceil((alert.expires - Date.now()) / 60000) : null;
+
+    return sendEmergencyAlert({
+        type: 'weather',
+        message: alert.event.toUpperCase().substring(0, 100),
+        expiresInMinutes: minutesLeft > 0 ? Math.min(minutesLeft, ALERT_MAX_DURATION_MINUTES) : null
+    }, username, ip, { weatherAlert: alert.identifier });
+}
+
+/**
+ * Merge a fresh read of the feed into weatherAlerts
+ * Alerts seen before keep their status; an update inherits the status of the alert it
+ * replaces. New warnings are given their severity's rule and auto ones are raised.
+ * @param {Object[]} feed - Alerts from fetchAlerts
+ */
+async function updateWeatherAlerts(feed) {
+    const now = Date.now();
+    const previous = new Map(weatherAlerts.map(alert => [alert.identifier, alert]));
+    const activeAlert = emergencyAlertState.active ? emergencyAlertState.alert : null;
+    const raisedIdentifier = activeAlert && activeAlert.weatherAlert;
+
+    // Cancel messages withdraw the alerts they reference
+    const cancelled = new Set(feed.filter(alert => alert.msgType === 'Cancel').flatMap(alert => alert.references));
+
+    const next = [];
+    const toRaise = [];
+    feed.forEach(alert => {
+        if (alert.msgType === 'Cancel' || cancelled.has(alert.identifier)) return;
+        if (alert.expires !== null && alert.expires <= now) return;
+        if (next.some(entry => entry.identifier === alert.identifier)) return;
+
+        const earlier = previous.get(alert.identifier) ||
+            alert.references.map(identifier => previous.get(identifier)).find(Boolean);
+        if (earlier) {
+            next.push({
+                ...alert,
+                id: earlier.identifier === alert.identifier ? earlier.id : getWeatherAlertId(alert.identifier),
+                status: earlier.status,
+                receivedAt: earlier.receivedAt,
+                decidedBy: earlier.decidedBy,
+                decidedAt: earlier.decidedAt
+            });
+            if (earlier.identifier !== alert.identifier) {
+                auditLog.log({
+                    action: 'WEATHER_ALERT_RECEIVED',
+                    user: 'system',
+                    details: { event: alert.event, severity: alert.severity, identifier: alert.identifier, replaces: earlier.identifier }
+                });
+            }
+            return;
+        }
+
+        // New alert: raised already if it is what the active emergency alert was raised for
+        // (e.g. after a restart), otherwise its severity's rule decides
+        const rule = isWeatherWarning(alert) ? weatherAlertsConfig.rules[alert.severity] || 'none' : 'none';
+        const entry = {
+            ...alert,
+            id: getWeatherAlertId(alert.identifier),
+            status: 'ticker',
+            receivedAt: now,
+            decidedBy: null,
+            decidedAt: null
+        };
+        if (raisedIdentifier && [alert.identifier, ...alert.references].includes(raisedIdentifier)) {
+            entry.status = 'raised';
+        } else if (rule === 'auto' && !activeAlert && toRaise.length === 0) {
+            entry.status = 'raised';
+            entry.decidedBy = 'system';
+            entry.decidedAt = now;
+            toRaise.push(entry);
+        } else if (rule !== 'none') {
+            // An auto rule never replaces an alert that is already on the displays
+            entry.status = 'pending';
+        }
+        next.push(entry);
+
+        auditLog.log({
+            action: 'WEATHER_ALERT_RECEIVED',
+            user: 'system',
+            details: {
+                event: alert.event,
+                severity: alert.severity,
+                urgency: alert.urgency,
+                certainty: alert.certainty,
+                areaDesc: alert.areaDesc,
+                expires: alert.expires,
+                identifier: alert.identifier,
+                rule: rule,
+                status: entry.status
+            }
         });
+        console.log(`⛈️ Weather alert received: ${alert.event} (${alert.severity}, ${rule})`);
+    });
 
-        res.json({
-            success: true,
-            message: 'Dismissal ended'
+    // Alerts that left the feed
+    const carried = new Set(next.flatMap(alert => [alert.identifier, ...alert.references]));
+    weatherAlerts.filter(alert => !carried.has(alert.identifier)).forEach(alert => {
+        auditLog.log({
+            action: 'WEATHER_ALERT_ENDED',
+            user: 'system',
+            details: {
+                event: alert.event,
+                identifier: alert.identifier,
+                reason: alert.expires !== null && alert.expires <= now ? 'expired' : 'cancelled'
+            }
+        });
+    });
+
+    // The emergency alert raised for a warning ends with it; an update to the warning carries it on
+    if (raisedIdentifier) {
+        const carrier = next.find(alert => [alert.identifier, ...alert.references].includes(raisedIdentifier));
+        if (!carrier) {
+            if (activeAlert.allClearSeconds > 0) {
+                startAllClear(emergencyAlertState.targets, activeAlert.allClearSeconds);
+            } else {
+                endAlert();
+            }
+            auditLog.log({
+                action: 'EMERGENCY_ALERT_ENDED',
+                user: 'system',
+                details: { alertId: activeAlert.id, type: activeAlert.type, reason: 'weather alert ended', identifier: raisedIdentifier }
+            });
+            console.log('✓ Weather emergency alert ended with its warning:', activeAlert.message);
+        } else if (carrier.identifier !== raisedIdentifier) {
+            activeAlert.weatherAlert = carrier.identifier;
+            await saveState();
+        }
+    }
+
+    next.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        isWeatherWarning(b) - isWeatherWarning(a) || (a.effective || 0) - (b.effective || 0));
+    weatherAlerts = next;
+    broadcastWeatherAlerts();
+
+    for (const entry of toRaise) {
+        const result = await raiseWeatherAlert(entry, 'system');
+        if (result.error) {
+            entry.status = 'pending';
+            console.error(`Could not raise the weather alert for ${entry.event}:`, result.error);
+            continue;
+        }
+        auditLog.log({
+            action: 'WEATHER_ALERT_AUTO_RAISE',
+            user: 'system',
+            details: { event: entry.event, severity: entry.severity, identifier: entry.identifier, alertId: emergencyAlertState.alert.id }
         });
+    }
+}
 
-        console.log('Dismissal mode deactivated');
+/**
+ * Read the alerts feed and update the ticker, raising alerts as the rules say
+ * On failure the last list stays in use and the error is reported to operators.
+ */
+async function refreshWeatherAlerts() {
+    const source = weatherAlertsConfig.enabled ? getWeatherAlertsSource() : null;
+    if (!source) {
+        weatherAlerts = [];
+        weatherAlertsError = null;
+        broadcastWeatherAlerts();
+        return;
+    }
+
+    try {
+        const feed = await fetchAlerts(source);
+        weatherAlertsError = null;
+        weatherAlertsUpdatedAt = Date.now();
+        await updateWeatherAlerts(feed);
     } catch (error) {
-        console.error('Error ending dismissal:', error);
-        res.status(500).json({ error: 'Failed to end dismissal' });
+        weatherAlertsError = error.name === 'TimeoutError' ? 'Weather alerts feed did not respond' : error.message;
+        console.error('Error reading weather alerts:', weatherAlertsError);
+        // Still drop alerts that expired in the meantime
+        broadcastWeatherAlerts();
     }
+}
+
+/**
+ * Everything the emergency tab shows about weather alerts
+ */
+function getWeatherAlertsStatus() {
+    const source = getWeatherAlertsSource();
+    return {
+        config: weatherAlertsConfig,
+        source: source ? (source.file ? `file ${path.basename(source.file)}` : source.url) : null,
+        setupHint: source ? null : 'set a latitude and longitude in the weather settings (General tab)',
+        alerts: weatherAlerts.map(alert => ({ ...alert, warning: isWeatherWarning(alert) })),
+        error: weatherAlertsError,
+        updatedAt: weatherAlertsUpdatedAt
+    };
+}
+
+/**
+ * GET /api/weather/alerts
+ * Active watches and warnings for the ticker (no auth required - displays need to read)
+ */
+app.get('/api/weather/alerts', (req, res) => {
+    res.json({
+        alerts: getWeatherAlertsForDisplays(),
+        timestamp: Date.now()
+    });
 });
 
 /**
- * POST /api/dismissal/batch
- * Update current batch of students
+ * GET /api/weather/alerts/status
+ * Alert rules, the feed being read and every active alert with its status
  */
-app.post('/api/dismissal/batch', authenticate, async (req, res) => {
-    try {
-        const { students } = req.body;
+app.get('/api/weather/alerts/status', authenticate, requireRole('emergency_operator'), (req, res) => {
+    res.json(getWeatherAlertsStatus());
+});
 
-        if (!Array.isArray(students)) {
-            return res.status(400).json({ error: 'Students must be an array' });
-        }
+/**
+ * POST /api/weather/alerts/config
+ * Turn weather alerts and the ticker on or off and set the rule for each severity
+ * Body: {enabled, ticker, rules: {Extreme, Severe, Moderate, Minor}} ('auto', 'approve' or 'none');
+ * new rules apply to alerts received from now on
+ */
+app.post('/api/weather/alerts/config', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    const validation = validateWeatherAlerts(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid weather alert settings', message: validation.error });
+    }
+
+    try {
+        const settings = await loadSettings();
+        settings.weatherAlerts = validation.value;
+        await saveSettings(settings);
 
-        dismissalState.students = students;
+        weatherAlertsConfig = validation.value;
 
-        // Broadcast to all connected clients
-        broadcastUpdate({
-            type: 'dismissal_update',
-            timestamp: Date.now(),
-            students: students
+        auditLog.log({
+            action: 'WEATHER_ALERTS_CONFIG_UPDATE',
+            user: req.user.username,
+            ip: req.ip,
+            details: { enabled: validation.value.enabled, ticker: validation.value.ticker, ...validation.value.rules }
         });
 
+        await refreshWeatherAlerts();
+
         res.json({
             success: true,
-            message: 'Batch updated',
-            students: students.length
+            message: 'Weather alert settings saved',
+            ...getWeatherAlertsStatus()
         });
-
-        console.log(`Dismissal batch updated: ${students.length} students`);
     } catch (error) {
-        console.error('Error updating dismissal batch:', error);
-        res.status(500).json({ error: 'Failed to update batch' });
+        console.error('Error saving weather alert settings:', error);
+        res.status(500).json({ error: 'Failed to save weather alert settings' });
     }
 });
 
 /**
- * GET /api/dismissal/status
- * Get current dismissal status (no auth required - displays need to read)
+ * POST /api/weather/alerts/:id/raise
+ * Raise the Severe Weather emergency alert for a weather alert (approval), on all displays
+ * Body: {override: true} to replace another active emergency alert (e.g. a lockdown);
+ * without it that is refused with 409, as the automatic rule never replaces one
  */
-app.get('/api/dismissal/status', (req, res) => {
+app.post('/api/weather/alerts/:id/raise', authenticate, requireRole('emergency_operator'), async (req, res) => {
+    const alert = weatherAlerts.find(entry => entry.id === req.params.id);
+    if (!alert) {
+        return res.status(404).json({ error: 'Weather alert not found or no longer active' });
+    }
+
+    const activeAlert = emergencyAlertState.active ? emergencyAlertState.alert : null;
+    if (activeAlert && !['weather', ALL_CLEAR_ALERT.type].includes(activeAlert.type) &&
+        !(req.body && req.body.override === true)) {
+        return res.status(409).json({
+            error: 'Another emergency alert is active',
+            message: `The ${activeAlert.message} alert is on the displays; raising Severe Weather would replace it`,
+            activeAlert: { type: activeAlert.type, message: activeAlert.message }
+        });
+    }
+
+    const result = await raiseWeatherAlert(alert, req.user.username, req.ip);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    alert.status = 'raised';
+    alert.decidedBy = req.user.username;
+    alert.decidedAt = Date.now();
+
+    auditLog.log({
+        action: 'WEATHER_ALERT_APPROVED',
+        user: req.user.username,
+        ip: req.ip,
+        details: { event: alert.event, severity: alert.severity, identifier: alert.identifier, alertId: emergencyAlertState.alert.id }
+    });
+
     res.json({
-        active: dismissalState.active,
-        students: dismissalState.students,
-        timestamp: Date.now()
+        success: true,
+        message: `${alert.event} alert broadcast to all displays`,
+        alertId: emergencyAlertState.alert.id,
+        clients: result.sentCount,
+        ...getWeatherAlertsStatus()
+    });
+});
+
+/**
+ * POST /api/weather/alerts/:id/dismiss
+ * Decide not to raise the emergency alert for a weather alert (it stays on the ticker)
+ */
+app.post('/api/weather/alerts/:id/dismiss', authenticate, requireRole('emergency_operator'), (req, res) => {
+    const alert = weatherAlerts.find(entry => entry.id === req.params.id);
+    if (!alert) {
+        return res.status(404).json({ error: 'Weather alert not found or no longer active' });
+    }
+
+    alert.status = 'dismissed';
+    alert.decidedBy = req.user.username;
+    alert.decidedAt = Date.now();
+
+    auditLog.log({
+        action: 'WEATHER_ALERT_DISMISSED',
+        user: req.user.username,
+        ip: req.ip,
+        details: { event: alert.event, severity: alert.severity, identifier: alert.identifier }
+    });
+
+    res.json({
+        success: true,
+        message: `${alert.event} dismissed`,
+        ...getWeatherAlertsStatus()
     });
 });
 
+// Read weather alerts once the location and any restored emergency alert are known, then on a schedule
+Promise.all([weatherProviderLoaded, stateLoaded, loadWeatherAlerts()]).then(refreshWeatherAlerts);
+setInterval(refreshWeatherAlerts, WEATHER_ALERTS_REFRESH_MS);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -1402,6 +5984,14 @@ app.listen(PORT, () => {
     console.log(`Port: ${PORT}`);
     console.log(`Settings file: ${SETTINGS_FILE}`);
     console.log(`Displays file: ${DISPLAYS_FILE}`);
+    console.log(`Credentials file: ${CREDENTIALS_FILE}`);
+    console.log(`State file: ${STATE_FILE}`);
+    console.log(`Roster file: ${ROSTER_FILE}`);
+    console.log(`Dismissal history: ${DISMISSAL_HISTORY_DIR}`);
+    console.log(`Audit log: ${AUDIT_LOG_DIR} (kept ${AUDIT_RETENTION_DAYS} days)`);
+    console.log(`Video uploads: up to ${VIDEO_UPLOAD_MAX_MB}MB`);
+    console.log(`Weather: refreshed every ${WEATHER_REFRESH_MS / 60000} minutes (provider chosen in general settings)`);
+    console.log(`Weather alerts: ${WEATHER_ALERTS_FILE || WEATHER_ALERTS_URL}, read every ${WEATHER_ALERTS_REFRESH_MS / 60000} minutes when turned on`);
     console.log('');
     console.log('Security Features Enabled:');
     console.log('  ✓ Rate limiting (100 req/min general, 10 req/15min auth)');
@@ -1410,16 +6000,24 @@ app.listen(PORT, () => {
     console.log('  ✓ Security headers (X-Frame-Options, X-Content-Type-Options)');
     console.log('  ✓ Audit logging for all admin actions');
     console.log('  ✓ Session management with 24-hour timeout');
+    console.log('  ✓ Per-user accounts with role-based access');
     console.log('');
     if (API_KEY === 'change-this-in-production') {
         console.log('⚠️  WARNING: Using default API key! Set API_KEY environment variable.');
+        console.log('   The default admin account is created with this key as its password.');
     }
     console.log('');
     console.log('Endpoints:');
     console.log('  Authentication:');
-    console.log('    POST /api/auth/login - Login with API key');
+    console.log('    POST /api/auth/login - Login with username and password');
     console.log('    POST /api/auth/logout - Logout');
     console.log('');
+    console.log('  Users (admin only):');
+    console.log('    GET  /api/users - List user accounts');
+    console.log('    POST /api/users - Create user account');
+    console.log('    POST /api/users/:username/update - Update role, name or password');
+    console.log('    DELETE /api/users/:username - Delete user account');
+    console.log('');
     console.log('  Settings:');
     console.log('    GET  /api/settings - Get all settings');
     console.log('    POST /api/settings - Save all settings');
@@ -1429,15 +6027,67 @@ app.listen(PORT, () => {
     console.log('  Displays:');
     console.log('    GET  /api/displays - List all displays');
     console.log('    POST /api/displays/heartbeat - Display heartbeat');
-    console.log('    POST /api/displays/:id/update - Update display info');
+    console.log('    POST /api/displays/:id/update - Update display info and group');
+    console.log('    GET  /api/displays/groups - List display groups');
+    console.log('    POST /api/displays/groups - Create display group');
+    console.log('    POST /api/displays/groups/:groupId/update - Rename display group');
+    console.log('    DELETE /api/displays/groups/:groupId - Delete display group');
     console.log('    POST /api/displays/:id/command - Send command to display');
     console.log('    POST /api/displays/broadcast - Broadcast to all displays');
+    console.log('    POST /api/displays/:id/ack - Display acknowledges a command');
+    console.log('    GET  /api/displays/commands/:commandId - Command acknowledgement status');
     console.log('    DELETE /api/displays/:id - Remove display');
     console.log('');
+    console.log('  Emergency:');
+    console.log('    POST /api/emergency/alert - Send alert (optionally to groups/displays, timed)');
+    console.log('    POST /api/emergency/cancel - Cancel active alert (optionally with All Clear)');
+    console.log('    POST /api/emergency/ack - Display confirms an alert was shown');
+    console.log('    GET  /api/emergency/roster - Per-display delivery status');
+    console.log('    GET  /api/emergency/types - Alert type definitions');
+    console.log('    POST /api/emergency/types - Add alert type');
+    console.log('    POST /api/emergency/types/:typeId/update - Edit alert type');
+    console.log('    DELETE /api/emergency/types/:typeId - Delete alert type');
+    console.log('');
+    console.log('  Dismissal:');
+    console.log('    POST /api/dismissal/start - Start dismissal');
+    console.log('    GET  /api/dismissal/lanes - Lane definitions');
+    console.log('    POST /api/dismissal/lanes - Replace the lane list');
+    console.log('    GET  /api/dismissal/privacy - Name format and auto-clear setting');
+    console.log('    GET  /api/dismissal/schedule - Timeout and daily dismissal window');
+    console.log('    POST /api/dismissal/schedule - Change the timeout and daily window');
+    console.log('    POST /api/dismissal/privacy - Change the name format and auto-clear');
+    console.log('    GET  /api/dismissal/stream - Live queue for dismissal managers (SSE, ?token=)');
+    console.log('    POST /api/dismissal/students - Add students to the queue');
+    console.log('    DELETE /api/dismissal/students/:entryId - Remove one student');
+    console.log('    DELETE /api/dismissal/students - Clear the queue (?lane= for one lane)');
+    console.log('    POST /api/dismissal/batch - Replace the whole queue');
+    console.log('    POST /api/dismissal/end - End dismissal');
+    console.log('    GET  /api/dismissal/status - Current dismissal');
+    console.log('    GET  /api/dismissal/history - Called/cleared history (format=csv for a report)');
+    console.log('');
+    console.log('  Student Roster (dismissal operators):');
+    console.log('    GET  /api/roster - List students');
+    console.log('    GET  /api/roster/:studentId - Student and siblings');
+    console.log('    GET  /api/roster/carpool/:number - Students for a carpool tag, with siblings');
+    console.log('    POST /api/roster - Add student');
+    console.log('    POST /api/roster/import - Import students (merge/replace, dryRun to preview)');
+    console.log('    POST /api/roster/:studentId/update - Edit student');
+    console.log('    DELETE /api/roster/:studentId - Remove student');
+    console.log('    DELETE /api/roster - Clear roster');
+    console.log('');
     console.log('  Security:');
-    console.log('    GET  /api/audit - View audit logs');
+    console.log('    GET  /api/audit - Search audit logs (format=csv|json to export)');
     console.log('    GET  /api/security/status - Security status');
     console.log('');
+    console.log('  Weather:');
+    console.log('    GET  /api/weather - Cached current conditions and forecast');
+    console.log('    GET/POST /api/weather/config - Weather provider and location');
+    console.log('    GET  /api/weather/alerts - Active watches and warnings for the ticker');
+    console.log('    GET  /api/weather/alerts/status - Alert rules and statuses (emergency operators)');
+    console.log('    POST /api/weather/alerts/config - Turn alerts on, set the rule per severity');
+    console.log('    POST /api/weather/alerts/:id/raise - Raise the Severe Weather alert for a warning');
+    console.log('    POST /api/weather/alerts/:id/dismiss - Keep a warning on the ticker only');
+    console.log('');
     console.log('  System:');
     console.log('    GET  /api/health - Health check');
     console.log('    GET  /api/clients - Connected clients count');
@@ -1452,8 +6102,8 @@ process.on('SIGTERM', () => {
         type: 'server_shutdown',
         timestamp: Date.now()
     });
-    // Save displays before exit
-    saveDisplays().then(() => {
+    // Save displays and alert/dismissal state before exit
+    Promise.all([saveDisplays(), saveState()]).then(() => {
         process.exit(0);
     });
 });
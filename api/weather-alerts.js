@@ -0,0 +1,206 @@
+/**
+ * Weather Alerts for School Announcements API
+ * Reads severe weather watches and warnings from a CAP feed: the National Weather
+ * Service's ATOM feed of active alerts (entries carrying cap: fields), a CAP 1.2
+ * <alert> document, or a file holding several of them (used as a test fixture).
+ * Every alert is mapped to the same model:
+ *
+ *   {
+ *     identifier, event: 'Tornado Warning', headline, description, instruction,
+ *     severity: 'Extreme' | 'Severe' | 'Moderate' | 'Minor' | 'Unknown',
+ *     urgency, certainty, msgType: 'Alert' | 'Update' | 'Cancel',
+ *     areaDesc, sender, effective, expires (milliseconds, or null), references: [identifier]
+ *   }
+ *
+ * Only alerts with status Actual are returned; tests, exercises and drafts are dropped.
+ * The feed is read with regular expressions rather than an XML library: CAP is flat
+ * and only a handful of its fields are needed.
+ */
+
+const fs = require('fs').promises;
+
+const USER_AGENT = 'SchoolAnnouncements/2.0 (school digital signage)'; // NWS rejects requests without one
+
+// Most to least severe, as used by CAP
+const SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+
+/**
+ * ============================================
+ * XML HELPERS
+ * ============================================
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Turn element text into plain text (CDATA, entities, surrounding whitespace)
+ */
+function decodeText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                // Anything past the last Unicode code point is left as it was rather than throwing
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            return Object.hasOwn(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+        })
+        .trim();
+}
+
+/**
+ * Every element with the given local name, whatever its namespace prefix
+ * @param {string} xml - XML to search
+ * @param {string} name - Local name, e.g. 'entry' matches <entry> and <atom:entry>
+ * @returns {string[]} - Inner XML of each element
+ */
+function getElements(xml, name) {
+    const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>`, 'g');
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        elements.push(match[1]);
+    }
+    return elements;
+}
+
+/**
+ * Text of the first element with the given local name ('' if there is none)
+ */
+function getText(xml, name) {
+    const [element] = getElements(xml, name);
+    return element === undefined ? '' : decodeText(element);
+}
+
+/**
+ * Parse a CAP date-time, keeping null for missing or unreadable ones
+ */
+function parseTime(text) {
+    const time = Date.parse(text);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Use CAP's spelling for a severity ('severe' -> 'Severe'), or 'Unknown'
+ */
+function normalizeSeverity(text) {
+    const severity = SEVERITIES.find(value => value.toLowerCase() === text.toLowerCase());
+    return severity || 'Unknown';
+}
+
+/**
+ * ============================================
+ * PARSING
+ * ============================================
+ */
+
+/**
+ * Map the fields shared by CAP <info> blocks and NWS ATOM entries
+ * @param {string} xml - The <info> block or <entry>
+ * @param {Object} header - {identifier, sender, msgType, references} from the enclosing alert
+ */
+function toAlert(xml, header) {
+    return {
+        identifier: header.identifier,
+        event: getText(xml, 'event') || 'Weather Alert',
+        headline: getText(xml, 'headline') || getText(xml, 'title'),
+        description: getText(xml, 'description') || getText(xml, 'summary'),
+        instruction: getText(xml, 'instruction'),
+        severity: normalizeSeverity(getText(xml, 'severity')),
+        urgency: getText(xml, 'urgency') || 'Unknown',
+        certainty: getText(xml, 'certainty') || 'Unknown',
+        msgType: header.msgType || 'Alert',
+        areaDesc: getText(xml, 'areaDesc'),
+        sender: getText(xml, 'senderName') || header.sender,
+        effective: parseTime(getText(xml, 'onset') || getText(xml, 'effective')),
+        expires: parseTime(getText(xml, 'expires')),
+        references: header.references
+    };
+}
+
+/**
+ * Identifiers from a CAP <references> list ("sender,identifier,sent sender,identifier,sent")
+ */
+function parseReferences(text) {
+    return text.split(/\s+/).filter(Boolean).map(reference => reference.split(',')[1]).filter(Boolean);
+}
+
+/**
+ * True unless the alert is a test, exercise or draft (CAP status other than Actual)
+ */
+function isActual(header) {
+    return !header.status || header.status.toLowerCase() === 'actual';
+}
+
+/**
+ * Read every alert in a CAP document or an ATOM feed of CAP entries
+ * @param {string} xml - Feed contents
+ * @returns {Object[]} - Alerts with status Actual (see the model above)
+ */
+function parseAlerts(xml) {
+    const alerts = [];
+
+    // CAP 1.2 documents; only the first <info> block is used (further blocks are translations)
+    getElements(xml, 'alert').forEach(alertXml => {
+        const header = {
+            identifier: getText(alertXml, 'identifier'),
+            sender: getText(alertXml, 'sender'),
+            status: getText(alertXml, 'status'),
+            msgType: getText(alertXml, 'msgType'),
+            references: parseReferences(getText(alertXml, 'references'))
+        };
+        const [info] = getElements(alertXml, 'info');
+        if (header.identifier && info && isActual(header)) {
+            alerts.push(toAlert(info, header));
+        }
+    });
+
+    // ATOM feed (api.weather.gov/alerts/active.atom): cap: fields on each <entry>
+    getElements(xml, 'entry').forEach(entryXml => {
+        const header = {
+            identifier: getText(entryXml, 'identifier') || getText(entryXml, 'id'),
+            sender: getText(entryXml, 'name'),
+            status: getText(entryXml, 'status'),
+            msgType: getText(entryXml, 'msgType'),
+            references: []
+        };
+        if (header.identifier && isActual(header)) {
+            alerts.push(toAlert(entryXml, header));
+        }
+    });
+
+    return alerts;
+}
+
+/**
+ * ============================================
+ * FEED
+ * ============================================
+ */
+
+/**
+ * Read and parse the alerts feed
+ * @param {Object} options - {file} to read a local CAP file, otherwise {url, timeoutMs}
+ * @returns {Promise<Object[]>} - Alerts (see parseAlerts)
+ */
+async function fetchAlerts(options) {
+    if (options.file) {
+        return parseAlerts(await fs.readFile(options.file, 'utf8'));
+    }
+
+    const response = await fetch(options.url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/atom+xml, application/cap+xml, application/xml' },
+        signal: AbortSignal.timeout(options.timeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`Weather alerts feed returned ${response.status}`);
+    }
+    return parseAlerts(await response.text());
+}
+
+module.exports = {
+    SEVERITIES,
+    parseAlerts,
+    fetchAlerts
+};
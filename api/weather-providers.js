@@ -0,0 +1,395 @@
+/**
+ * Weather Providers for School Announcements API
+ * Adapters for OpenWeatherMap, the US National Weather Service and Open-Meteo.
+ * Each one fetches current conditions and a daily forecast and maps them to the
+ * same model, so the displays never need to know which provider is in use:
+ *
+ *   {
+ *     location: 'Bel Air' (or null),
+ *     current: {temp, feelsLike, humidity, description, icon},
+ *     forecast: [{date: 'YYYY-MM-DD', high, low, description, icon}]
+ *   }
+ *
+ * Temperatures are in the requested units ('imperial' or 'metric'); any of them may
+ * be null when the provider has no reading. Icons are OpenWeatherMap icon codes
+ * ('01d', '10n', ...), which the displays turn into image URLs.
+ */
+
+const USER_AGENT = 'SchoolAnnouncements/2.0 (school digital signage)'; // NWS rejects requests without one
+
+/**
+ * ============================================
+ * SHARED HELPERS
+ * ============================================
+ */
+
+/**
+ * Fetch JSON, turning HTTP errors into exceptions with the provider's message
+ * @param {string} url - Request URL
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} - Parsed response
+ */
+async function fetchJson(url, timeoutMs) {
+    const response = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json, application/geo+json' },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.message || data.detail || data.reason || `Weather provider returned ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * @returns {boolean} - True if latitude and longitude are both set
+ */
+function hasCoordinates(options) {
+    return Number.isFinite(options.latitude) && Number.isFinite(options.longitude);
+}
+
+/**
+ * Round to one decimal place, keeping null for missing readings
+ */
+function roundReading(value) {
+    return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Convert Celsius to the requested units
+ */
+function fromCelsius(value, units) {
+    if (!Number.isFinite(value)) return null;
+    return units === 'metric' ? value : value * 9 / 5 + 32;
+}
+
+/**
+ * ============================================
+ * OPENWEATHERMAP
+ * ============================================
+ */
+
+const openWeatherMap = {
+    label: 'OpenWeatherMap',
+    defaultUrl: 'https://api.openweathermap.org/data/2.5',
+    needsKey: true,
+
+    /**
+     * Needs an API key (unless pointed at a stub) and a city name, city ID or coordinates
+     */
+    isConfigured(options) {
+        const hasLocation = !!(options.cityId || options.location || hasCoordinates(options));
+        return hasLocation && !!(options.apiKey || options.customUrl);
+    },
+
+    async fetch(options) {
+        const params = new URLSearchParams({ units: options.units });
+        if (hasCoordinates(options)) {
+            params.set('lat', options.latitude);
+            params.set('lon', options.longitude);
+        } else if (options.cityId) {
+            params.set('id', options.cityId);
+        } else {
+            params.set('q', options.location);
+        }
+        if (options.apiKey) {
+            params.set('appid', options.apiKey);
+        }
+
+        const [current, forecast] = await Promise.all([
+            fetchJson(`${options.baseUrl}/weather?${params.toString()}`, options.timeoutMs),
+            fetchJson(`${options.baseUrl}/forecast?${params.toString()}`, options.timeoutMs)
+        ]);
+        const condition = (current.weather && current.weather[0]) || {};
+
+        return {
+            location: current.name || options.location || null,
+            current: {
+                temp: roundReading(current.main.temp),
+                feelsLike: roundReading(current.main.feels_like),
+                humidity: roundReading(current.main.humidity),
+                description: condition.description || '',
+                icon: condition.icon || ''
+            },
+            forecast: aggregateOpenWeatherMapForecast(forecast.list || [], (forecast.city && forecast.city.timezone) || 0)
+        };
+    }
+};
+
+/**
+ * Turn the 3-hourly forecast into one entry per day
+ * Days follow the forecast location's clock; each day's icon and description
+ * come from the reading nearest midday.
+ * @param {Array} list - Forecast items ({dt, main, weather})
+ * @param {number} utcOffset - Location's offset from UTC in seconds
+ * @returns {Array} - Daily forecasts in date order
+ */
+function aggregateOpenWeatherMapForecast(list, utcOffset) {
+    const days = new Map();
+
+    list.forEach(item => {
+        const local = new Date((item.dt + utcOffset) * 1000);
+        const date = local.toISOString().slice(0, 10);
+        const distanceFromNoon = Math.abs(local.getUTCHours() - 12);
+        const condition = (item.weather && item.weather[0]) || {};
+
+        const day = days.get(date);
+        if (!day) {
+            days.set(date, {
+                date: date,
+                high: item.main.temp_max,
+                low: item.main.temp_min,
+                description: condition.description || '',
+                icon: condition.icon || '',
+                distanceFromNoon: distanceFromNoon
+            });
+            return;
+        }
+
+        day.high = Math.max(day.high, item.main.temp_max);
+        day.low = Math.min(day.low, item.main.temp_min);
+        if (distanceFromNoon < day.distanceFromNoon) {
+            day.description = condition.description || '';
+            day.icon = condition.icon || '';
+            day.distanceFromNoon = distanceFromNoon;
+        }
+    });
+
+    return [...days.values()].map(({ distanceFromNoon, ...day }) => ({
+        ...day,
+        high: roundReading(day.high),
+        low: roundReading(day.low)
+    }));
+}
+
+/**
+ * ============================================
+ * NATIONAL WEATHER SERVICE (api.weather.gov, US only)
+ * ============================================
+ */
+
+// NWS icon names (from URLs like /icons/land/day/rain_showers,40) -> OpenWeatherMap icon number
+const NWS_ICONS = {
+    skc: '01', hot: '01', cold: '01',
+    few: '02',
+    sct: '03',
+    bkn: '04', ovc: '04',
+    rain: '10',
+    rain_showers: '09', rain_showers_hi: '09',
+    tsra: '11', tsra_sct: '11', tsra_hi: '11', tornado: '11', hurricane: '11', tropical_storm: '11',
+    snow: '13', rain_snow: '13', rain_sleet: '13', snow_sleet: '13', fzra: '13', rain_fzra: '13',
+    snow_fzra: '13', sleet: '13', blizzard: '13',
+    dust: '50', smoke: '50', haze: '50', fog: '50'
+};
+
+/**
+ * Map an NWS icon URL to an OpenWeatherMap icon code
+ * @param {string} url - e.g. 'https://api.weather.gov/icons/land/night/rain,40/ovc?size=medium'
+ * @returns {string} - e.g. '10n' ('' if unknown)
+ */
+function mapNwsIcon(url) {
+    const match = /\/icons\/land\/(day|night)\/([a-z_]+)/.exec(url || '');
+    if (!match) return '';
+
+    const name = match[2].replace(/^wind_/, '');
+    const number = NWS_ICONS[name];
+    return number ? `${number}${match[1] === 'day' ? 'd' : 'n'}` : '';
+}
+
+const nationalWeatherService = {
+    label: 'National Weather Service (US)',
+    defaultUrl: 'https://api.weather.gov',
+    needsKey: false,
+
+    /**
+     * Needs coordinates (the NWS looks up the forecast grid from them)
+     */
+    isConfigured(options) {
+        return hasCoordinates(options);
+    },
+
+    async fetch(options) {
+        const point = await fetchJson(`${options.baseUrl}/points/${options.latitude.toFixed(4)},${options.longitude.toFixed(4)}`, options.timeoutMs);
+        const { gridId, gridX, gridY, relativeLocation } = point.properties || {};
+        if (!gridId) {
+            throw new Error('The National Weather Service has no forecast for this location');
+        }
+
+        // Build the follow-up URLs from the grid rather than the returned links so a stub base URL works
+        const gridUrl = `${options.baseUrl}/gridpoints/${gridId}/${gridX},${gridY}`;
+        const [forecast, stations] = await Promise.all([
+            fetchJson(`${gridUrl}/forecast?units=${options.units === 'metric' ? 'si' : 'us'}`, options.timeoutMs),
+            fetchJson(`${gridUrl}/stations`, options.timeoutMs)
+        ]);
+
+        const periods = (forecast.properties && forecast.properties.periods) || [];
+        const station = stations.features && stations.features[0] && stations.features[0].properties.stationIdentifier;
+        let observation = {};
+        if (station) {
+            try {
+                const latest = await fetchJson(`${options.baseUrl}/stations/${station}/observations/latest`, options.timeoutMs);
+                observation = latest.properties || {};
+            } catch (error) {
+                // Stations go quiet now and then; the forecast still gives the current period
+                console.warn(`No observation from weather station ${station}:`, error.message);
+            }
+        }
+
+        const reading = (field) => observation[field] ? observation[field].value : null;
+        const temp = fromCelsius(reading('temperature'), options.units);
+        const feelsLike = fromCelsius(reading('heatIndex') !== null ? reading('heatIndex') : reading('windChill'), options.units);
+        const firstPeriod = periods[0] || {};
+
+        return {
+            location: relativeLocation && relativeLocation.properties
+                ? `${relativeLocation.properties.city}, ${relativeLocation.properties.state}`
+                : null,
+            current: {
+                // Stations sometimes report nothing; fall back to the forecast for the current period
+                temp: roundReading(temp !== null ? temp : firstPeriod.temperature),
+                feelsLike: roundReading(feelsLike !== null ? feelsLike : temp),
+                humidity: roundReading(reading('relativeHumidity')),
+                description: (observation.textDescription || firstPeriod.shortForecast || '').toLowerCase(),
+                icon: mapNwsIcon(observation.icon || firstPeriod.icon)
+            },
+            forecast: aggregateNwsForecast(periods)
+        };
+    }
+};
+
+/**
+ * Turn the NWS day and night periods into one entry per day
+ * The daytime period gives the high and the conditions; that night gives the low.
+ * A forecast fetched in the evening starts with "Tonight", so its first day has no high.
+ * @param {Array} periods - Forecast periods ({startTime, isDaytime, temperature, shortForecast, icon})
+ * @returns {Array} - Daily forecasts in date order
+ */
+function aggregateNwsForecast(periods) {
+    const days = new Map();
+
+    periods.forEach(period => {
+        const date = String(period.startTime).slice(0, 10); // Local time, e.g. 2026-10-19T18:00:00-04:00
+        const day = days.get(date) || { date: date, high: null, low: null, description: '', icon: '' };
+
+        if (period.isDaytime) {
+            day.high = period.temperature;
+            day.description = (period.shortForecast || '').toLowerCase();
+            day.icon = mapNwsIcon(period.icon);
+        } else {
+            day.low = period.temperature;
+            if (!day.description) {
+                day.description = (period.shortForecast || '').toLowerCase();
+                day.icon = mapNwsIcon(period.icon);
+            }
+        }
+        days.set(date, day);
+    });
+
+    return [...days.values()].map(day => ({
+        ...day,
+        high: roundReading(day.high),
+        low: roundReading(day.low)
+    }));
+}
+
+/**
+ * ============================================
+ * OPEN-METEO (no API key needed)
+ * ============================================
+ */
+
+// WMO weather codes -> [description, OpenWeatherMap icon number]
+const WMO_CODES = {
+    0: ['clear sky', '01'],
+    1: ['mainly clear', '02'],
+    2: ['partly cloudy', '03'],
+    3: ['overcast', '04'],
+    45: ['fog', '50'],
+    48: ['freezing fog', '50'],
+    51: ['light drizzle', '09'],
+    53: ['drizzle', '09'],
+    55: ['heavy drizzle', '09'],
+    56: ['freezing drizzle', '09'],
+    57: ['freezing drizzle', '09'],
+    61: ['light rain', '10'],
+    63: ['rain', '10'],
+    65: ['heavy rain', '10'],
+    66: ['freezing rain', '13'],
+    67: ['freezing rain', '13'],
+    71: ['light snow', '13'],
+    73: ['snow', '13'],
+    75: ['heavy snow', '13'],
+    77: ['snow grains', '13'],
+    80: ['rain showers', '09'],
+    81: ['rain showers', '09'],
+    82: ['heavy rain showers', '09'],
+    85: ['snow showers', '13'],
+    86: ['heavy snow showers', '13'],
+    95: ['thunderstorm', '11'],
+    96: ['thunderstorm with hail', '11'],
+    99: ['thunderstorm with hail', '11']
+};
+
+/**
+ * Describe a WMO weather code
+ * @returns {Object} - {description, icon}
+ */
+function mapWmoCode(code, isDay) {
+    const [description, number] = WMO_CODES[code] || ['', ''];
+    return { description: description, icon: number ? `${number}${isDay ? 'd' : 'n'}` : '' };
+}
+
+const openMeteo = {
+    label: 'Open-Meteo (no key needed)',
+    defaultUrl: 'https://api.open-meteo.com/v1',
+    needsKey: false,
+
+    /**
+     * Needs coordinates
+     */
+    isConfigured(options) {
+        return hasCoordinates(options);
+    },
+
+    async fetch(options) {
+        const params = new URLSearchParams({
+            latitude: options.latitude,
+            longitude: options.longitude,
+            current: 'temperature_2m,apparent_temperature,relative_humidity_2m,weather_code,is_day',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min',
+            temperature_unit: options.units === 'metric' ? 'celsius' : 'fahrenheit',
+            timezone: 'auto',
+            forecast_days: '6'
+        });
+
+        const data = await fetchJson(`${options.baseUrl}/forecast?${params.toString()}`, options.timeoutMs);
+        const current = data.current || {};
+        const daily = data.daily || {};
+
+        return {
+            location: null,
+            current: {
+                temp: roundReading(current.temperature_2m),
+                feelsLike: roundReading(current.apparent_temperature),
+                humidity: roundReading(current.relative_humidity_2m),
+                ...mapWmoCode(current.weather_code, current.is_day !== 0)
+            },
+            forecast: (daily.time || []).map((date, i) => ({
+                date: date,
+                high: roundReading(daily.temperature_2m_max[i]),
+                low: roundReading(daily.temperature_2m_min[i]),
+                ...mapWmoCode(daily.weather_code[i], true)
+            }))
+        };
+    }
+};
+
+// Export the providers by the IDs stored in the weatherProvider setting
+module.exports = {
+    WEATHER_PROVIDERS: {
+        openweathermap: openWeatherMap,
+        nws: nationalWeatherService,
+        'open-meteo': openMeteo
+    }
+};
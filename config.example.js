@@ -9,13 +9,8 @@ window.CONFIG = {
     // Examples: 'Harford County Public Schools', 'Lincoln High School', 'Springfield Elementary'
     SCHOOL_NAME: 'Your School Name Here',
 
-    // Weather API Configuration
-    // Get your free API key from: https://openweathermap.org/api
-    WEATHER_API_KEY: 'YOUR_API_KEY_HERE',
-
-    // Location for weather (City name, state code, country code)
-    // Examples: 'Bel Air,MD,US' or 'Baltimore,MD,US' or 'Harford County,MD,US'
-    LOCATION: 'Bel Air,MD,US',
+    // Weather is configured on the API server, not here (this file is public):
+    // set WEATHER_API_KEY and WEATHER_LOCATION in .env
 
     // Slideshow Settings
     SLIDESHOW_INTERVAL: 8000, // Time in milliseconds (8000 = 8 seconds)
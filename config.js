@@ -15,21 +15,8 @@ window.CONFIG = {
     // This appears in the bottom-left corner of the display
     SCHOOL_NAME: 'Your School Name',
 
-    // Weather API Configuration
-    // Get your free API key from: https://openweathermap.org/api
-    // Leave as null to disable weather widget
-    WEATHER_API_KEY: null,
-
-    // Location for weather - Use ONE of these two options:
-
-    // OPTION 1: City name (City, State Code, Country Code)
-    // Examples: 'Bel Air,MD,US' or 'Baltimore,MD,US' or 'New York,NY,US'
-    LOCATION: 'New York,NY,US',
-
-    // OPTION 2: City ID (more reliable, find yours at: https://openweathermap.org/find)
-    // Example: 4347778 for Bel Air, MD
-    // Set LOCATION to null and use CITY_ID instead if you have issues with city names
-    CITY_ID: null,  // e.g., 4347778
+    // Weather is fetched by the API server so the API key is never sent to browsers.
+    // Set WEATHER_API_KEY and WEATHER_LOCATION (or WEATHER_CITY_ID) in .env instead.
 
     // Slideshow Settings
     SLIDESHOW_INTERVAL: 8000, // Time in milliseconds (8000 = 8 seconds)
@@ -10,6 +10,7 @@
     const loginScreen = document.getElementById('loginScreen');
     const dismissalContainer = document.getElementById('dismissalContainer');
     const loginForm = document.getElementById('loginForm');
+    const usernameInput = document.getElementById('usernameInput');
     const passwordInput = document.getElementById('passwordInput');
     const loginError = document.getElementById('loginError');
 
@@ -24,13 +25,30 @@
     const transcript = document.getElementById('transcript');
     const voiceAddBtn = document.getElementById('voiceAddBtn');
     const voiceClearBtn = document.getElementById('voiceClearBtn');
+    const voicePicker = document.getElementById('voicePicker');
+    const voicePickerTitle = document.getElementById('voicePickerTitle');
+    const voicePickerOptions = document.getElementById('voicePickerOptions');
 
     const studentName = document.getElementById('studentName');
     const studentGrade = document.getElementById('studentGrade');
     const manualAddBtn = document.getElementById('manualAddBtn');
+    const carpoolModeBtn = document.getElementById('carpoolModeBtn');
+    const scanModeBtn = document.getElementById('scanModeBtn');
+    const carpoolInput = document.getElementById('carpoolInput');
+    const scanInput = document.getElementById('scanInput');
+
+    const carpoolNumber = document.getElementById('carpoolNumber');
+    const carpoolKeypad = document.getElementById('carpoolKeypad');
+    const carpoolAddBtn = document.getElementById('carpoolAddBtn');
+    const scanField = document.getElementById('scanField');
+    const scanStatus = document.getElementById('scanStatus');
+    const scanLog = document.getElementById('scanLog');
 
     const batchList = document.getElementById('batchList');
     const batchCount = document.getElementById('batchCount');
+    const batchStations = document.getElementById('batchStations');
+    const laneSelect = document.getElementById('laneSelect');
+    const laneOthers = document.getElementById('laneOthers');
 
     const startDismissalBtn = document.getElementById('startDismissalBtn');
     const clearBatchBtn = document.getElementById('clearBatchBtn');
@@ -46,11 +64,27 @@
     let isListening = false;
     let currentTranscript = '';
     let studentRoster = [];
-
-    // Timeout configuration (2 hours)
-    const DISMISSAL_TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-    const WARNING_THRESHOLD_MS = 15 * 60 * 1000; // Show warning at 15 minutes remaining
-    let dismissalStartTime = null;
+    let dismissalStream = null;
+    let lanes = {}; // laneId -> {name, icon}, in display order
+    let currentLane = localStorage.getItem('dismissalLane') || ''; // Remembered per tablet
+    let inputMode = 'voice';
+    let calledCarpools = new Map(); // carpool number -> first time it was called this session
+    let lastScan = { number: null, time: 0 };
+    let pendingPicks = []; // Heard names waiting for the operator to pick a student: [{heard, candidates}]
+
+    const SCAN_REPEAT_MS = 3000; // Ignore the same tag scanned again within 3 seconds
+    const SCAN_LOG_SIZE = 10;
+
+    // A heard name is added without asking only when the best roster match scores at
+    // least this and clearly beats the runner-up; otherwise a pick list is shown
+    const VOICE_AUTO_ADD_SCORE = 0.86;
+    const VOICE_AUTO_ADD_MARGIN = 0.1;
+
+    // The server ends dismissal by itself (time limit or daily window) and sends when
+    // that will be; this page only counts down to it
+    let dismissalEndsAt = null;
+    let warningMinutes = 15;
+    let serverClockOffset = 0; // Server time minus this device's time
     let timeoutInterval = null;
 
     // Timeout UI elements
@@ -67,7 +101,7 @@
         if (sessionStorage.getItem('dismissalLoggedIn') === 'true') {
             // Validate that the session is still valid with the server
             const isValid = await window.SettingsAPI.validateSession();
-            if (isValid) {
+            if (isValid && canManageDismissal()) {
                 showDismissalManager();
             } else {
                 // Session is invalid - clear local state and show login
@@ -85,16 +119,28 @@
 
     loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
+        const username = usernameInput.value.trim();
         const password = passwordInput.value;
 
         // Authenticate directly with the API (password is validated server-side only)
         try {
-            await window.SettingsAPI.login(password);
-            sessionStorage.setItem('dismissalLoggedIn', 'true');
-            showDismissalManager();
+            await window.SettingsAPI.login(username, password);
         } catch (error) {
             console.error('API login failed:', error);
-            loginError.textContent = 'Incorrect password. Please try again.';
+            loginError.textContent = 'Incorrect username or password. Please try again.';
+            loginError.style.display = 'block';
+            passwordInput.value = '';
+            passwordInput.focus();
+            return;
+        }
+
+        if (canManageDismissal()) {
+            sessionStorage.setItem('dismissalLoggedIn', 'true');
+            showDismissalManager();
+        } else {
+            // Valid account, but not one that runs dismissal
+            await window.SettingsAPI.logout();
+            loginError.textContent = 'Your account does not have access to the dismissal manager.';
             loginError.style.display = 'block';
             passwordInput.value = '';
             passwordInput.focus();
@@ -109,12 +155,19 @@
         location.reload();
     });
 
+    // Only dismissal operators (and admins) can run dismissal
+    function canManageDismissal() {
+        return window.SettingsAPI.hasRole('dismissal_operator');
+    }
+
     function showDismissalManager() {
         loginScreen.style.display = 'none';
         dismissalContainer.classList.add('active');
         initializeVoiceRecognition();
+        loadLanes();
         loadDismissalState();
         loadStudentRoster();
+        connectDismissalStream();
     }
 
     // ========================================
@@ -197,47 +250,141 @@
         }
     }
 
-    voiceAddBtn.addEventListener('click', () => {
+    voiceAddBtn.addEventListener('click', async () => {
         if (!currentTranscript) return;
 
-        const student = parseTranscript(currentTranscript);
-        if (student) {
-            // Auto-correct using roster if available
-            if (studentRoster.length > 0 && window.FuzzyMatch) {
-                const corrected = window.FuzzyMatch.autoCorrect(student.name, student.grade, studentRoster);
-                if (corrected && corrected.confidence > 0.7) {
-                    // High confidence - auto-correct
-                    addStudentToBatch(corrected.corrected.name, corrected.corrected.grade);
-                    if (corrected.corrected.name !== student.name) {
-                        showToast(`Auto-corrected: ${student.name} → ${corrected.corrected.name}`, 'success');
-                    } else {
-                        showToast(`Added ${corrected.corrected.name}`, 'success');
-                    }
-                    clearVoiceInput();
-                } else if (corrected && corrected.confidence > 0.5) {
-                    // Medium confidence - ask for confirmation
-                    if (confirm(`Did you mean: ${corrected.corrected.name} (Grade ${corrected.corrected.grade})?`)) {
-                        addStudentToBatch(corrected.corrected.name, corrected.corrected.grade);
-                        showToast(`Added ${corrected.corrected.name}`, 'success');
-                        clearVoiceInput();
-                    }
-                } else {
-                    // Low confidence - add as transcribed
-                    addStudentToBatch(student.name, student.grade);
-                    showToast(`⚠️ Name not in roster - added as transcribed`, 'warning');
-                    clearVoiceInput();
-                }
-            } else {
-                // No roster - add as transcribed
-                addStudentToBatch(student.name, student.grade);
+        // "Carpool 142" calls every student on that tag
+        const carpoolMatch = currentTranscript.match(/\bcar\s*pool\s*(?:number\s*)?#?\s*([a-z0-9-]+)/i);
+        if (carpoolMatch) {
+            const result = await callCarpool(carpoolMatch[1]);
+            if (result.status !== 'error') {
                 clearVoiceInput();
             }
-        } else {
+            return;
+        }
+
+        const heardStudents = parseTranscript(currentTranscript);
+        if (heardStudents.length === 0) {
             showToast('Could not parse student info. Try saying: "John Smith Grade 3"', 'error');
+            return;
+        }
+
+        // Without a roster, names are added as heard and need a grade
+        if (studentRoster.length === 0 || !window.FuzzyMatch) {
+            if (heardStudents.some(student => !student.grade)) {
+                showToast('Please include the grade, e.g. "John Smith Grade 3"', 'error');
+                return;
+            }
+            heardStudents.forEach(student => addStudentToBatch(student.name, student.grade));
+            clearVoiceInput();
+            return;
+        }
+
+        // Add the clear matches straight away and ask about the rest
+        const matched = [];
+        const unsure = [];
+        heardStudents.forEach(heard => {
+            const candidates = window.FuzzyMatch.rankCandidates(heard.name, studentRoster, { grade: heard.grade });
+            const [best, runnerUp] = candidates;
+            if (best && best.score >= VOICE_AUTO_ADD_SCORE &&
+                (!runnerUp || best.score - runnerUp.score >= VOICE_AUTO_ADD_MARGIN)) {
+                matched.push({ heard, student: best.student });
+            } else {
+                unsure.push({ heard, candidates });
+            }
+        });
+
+        clearVoiceInput();
+        pendingPicks = unsure;
+        showNextPick();
+
+        if (matched.length > 0) {
+            await addMatchedStudents(matched);
         }
     });
 
-    voiceClearBtn.addEventListener('click', clearVoiceInput);
+    voiceClearBtn.addEventListener('click', () => {
+        clearVoiceInput();
+        pendingPicks = [];
+        showNextPick();
+    });
+
+    /**
+     * Add roster students that were recognised from speech
+     * @param {Array} matched - [{heard, student}]
+     */
+    async function addMatchedStudents(matched) {
+        try {
+            const added = await queueStudents(matched.map(({ student }) => ({
+                name: student.name,
+                grade: student.grade,
+                studentId: student.id
+            })));
+
+            const corrected = matched.filter(({ heard, student }) => heard.name.toLowerCase() !== student.name.toLowerCase());
+            if (added.length === 0) {
+                showToast(`${matched.map(m => m.student.name).join(', ')} already on screen`, 'warning');
+            } else if (corrected.length > 0) {
+                showToast(`Added ${added.map(s => s.name).join(', ')} (heard ${corrected.map(m => `"${m.heard.name}"`).join(', ')})`, 'success');
+            } else {
+                showToast(`Added ${added.map(s => s.name).join(', ')}`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to add students:', error);
+            showToast(`Failed to add students: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the pick list for the next heard name that wasn't a clear roster match
+     */
+    function showNextPick() {
+        const pick = pendingPicks[0];
+        if (!pick) {
+            voicePicker.classList.remove('active');
+            voicePickerOptions.innerHTML = '';
+            return;
+        }
+
+        const { heard, candidates } = pick;
+        const count = pendingPicks.length > 1 ? ` (${pendingPicks.length} left)` : '';
+        voicePickerTitle.textContent = candidates.length > 0
+            ? `Who is "${heard.name}"?${count}`
+            : `"${heard.name}" is not in the roster${count}`;
+
+        voicePickerOptions.innerHTML = candidates.map((candidate, index) => `
+            <button class="voice-pick" data-choice="${index}">
+                <span class="voice-pick-name">${escapeHtml(candidate.student.name)}</span>
+                <span class="voice-pick-detail">Grade ${escapeHtml(candidate.student.grade)}${candidate.student.homeroom ? ` · ${escapeHtml(candidate.student.homeroom)}` : ''}</span>
+            </button>
+        `).join('') + (heard.grade ? `
+            <button class="voice-pick secondary" data-choice="heard">
+                <span class="voice-pick-name">Add "${escapeHtml(heard.name)}" as heard</span>
+                <span class="voice-pick-detail">Grade ${escapeHtml(heard.grade)}</span>
+            </button>
+        ` : '') + `
+            <button class="voice-pick secondary" data-choice="skip">
+                <span class="voice-pick-name">Skip</span>
+            </button>
+        `;
+        voicePicker.classList.add('active');
+    }
+
+    voicePickerOptions.addEventListener('click', async (e) => {
+        const button = e.target.closest('.voice-pick');
+        if (!button) return;
+
+        const { heard, candidates } = pendingPicks.shift();
+        const choice = button.dataset.choice;
+        showNextPick();
+
+        if (choice === 'heard') {
+            await addStudentToBatch(heard.name, heard.grade);
+        } else if (choice !== 'skip') {
+            const student = candidates[Number(choice)].student;
+            await addStudentToBatch(student.name, student.grade, student.id);
+        }
+    });
 
     function clearVoiceInput() {
         currentTranscript = '';
@@ -247,8 +394,34 @@
         voiceStatus.textContent = 'Tap and hold to speak';
     }
 
+    /**
+     * Split a transcript into the students it names
+     * "Emma and Liam Johnson" is two students; a lone first name shares the last name
+     * said after it. Grades are optional ("Emma Johnson", "Emma Johnson grade 2").
+     * @param {string} text - Transcript
+     * @returns {Array<{name: string, grade: string|null}>} Heard students
+     */
     function parseTranscript(text) {
-        // Try to extract name and grade from transcript
+        const students = text.split(/\s*(?:\band\b|&|\bplus\b)\s*/i)
+            .map(parseStudentPhrase)
+            .filter(student => student.name);
+
+        const last = students[students.length - 1];
+        const lastWords = last ? last.name.split(' ') : [];
+        if (lastWords.length > 1) {
+            const surname = lastWords[lastWords.length - 1];
+            students.slice(0, -1).forEach(student => {
+                if (!student.name.includes(' ')) {
+                    student.name += ' ' + surname;
+                }
+            });
+        }
+
+        return students;
+    }
+
+    function parseStudentPhrase(text) {
+        // Try to extract name and grade from one student's part of the transcript
         // Patterns: "John Smith Grade 3" or "John Smith 3rd grade" or "John Smith third grade"
         const gradePatterns = [
             /grade\s+(\d+|k|pre-?k|kindergarten)/i,
@@ -269,12 +442,8 @@
             }
         }
 
-        if (!grade) {
-            return null;
-        }
-
-        // Clean up name (remove extra spaces, capitalize)
-        name = name.replace(/\s+/g, ' ').trim();
+        // Clean up name (remove punctuation and extra spaces, capitalize)
+        name = name.replace(/[^\p{L}' -]/gu, ' ').replace(/\s+/g, ' ').trim();
         name = name.split(' ').map(word =>
             word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
         ).join(' ');
@@ -307,23 +476,40 @@
     }
 
     // ========================================
-    // Manual Entry
+    // Input Modes
     // ========================================
 
-    voiceModeBtn.addEventListener('click', () => {
-        voiceModeBtn.classList.add('active');
-        manualModeBtn.classList.remove('active');
-        voiceInput.style.display = 'block';
-        manualInput.classList.remove('active');
-    });
+    const inputModes = {
+        voice: { button: voiceModeBtn, panel: voiceInput },
+        manual: { button: manualModeBtn, panel: manualInput },
+        carpool: { button: carpoolModeBtn, panel: carpoolInput, focus: carpoolNumber },
+        scan: { button: scanModeBtn, panel: scanInput, focus: scanField }
+    };
+
+    function setInputMode(mode) {
+        inputMode = mode;
+        Object.entries(inputModes).forEach(([name, { button, panel }]) => {
+            button.classList.toggle('active', name === mode);
+            if (name === 'voice') {
+                panel.style.display = name === mode ? 'block' : 'none';
+            } else {
+                panel.classList.toggle('active', name === mode);
+            }
+        });
+
+        if (inputModes[mode].focus) {
+            inputModes[mode].focus.focus();
+        }
+    }
 
-    manualModeBtn.addEventListener('click', () => {
-        manualModeBtn.classList.add('active');
-        voiceModeBtn.classList.remove('active');
-        manualInput.classList.add('active');
-        voiceInput.style.display = 'none';
+    Object.entries(inputModes).forEach(([mode, { button }]) => {
+        button.addEventListener('click', () => setInputMode(mode));
     });
 
+    // ========================================
+    // Manual Entry
+    // ========================================
+
     manualAddBtn.addEventListener('click', () => {
         const name = studentName.value.trim();
         const grade = studentGrade.value;
@@ -333,61 +519,360 @@
             return;
         }
 
-        addStudentToBatch(name, grade);
+        // Link to the roster entry when the name matches exactly
+        const rosterMatch = studentRoster.find(s =>
+            s.name.toLowerCase() === name.toLowerCase() && s.grade === grade
+        );
+
+        addStudentToBatch(rosterMatch ? rosterMatch.name : name, grade, rosterMatch ? rosterMatch.id : null);
         studentName.value = '';
         studentGrade.value = '';
         studentName.focus();
     });
 
+    // ========================================
+    // Carpool Keypad & Tag Scan
+    // ========================================
+
+    carpoolKeypad.addEventListener('click', (e) => {
+        const key = e.target.dataset.key;
+        if (!key) return;
+
+        if (key === 'clear') {
+            carpoolNumber.value = '';
+        } else if (key === 'back') {
+            carpoolNumber.value = carpoolNumber.value.slice(0, -1);
+        } else {
+            carpoolNumber.value += key;
+        }
+    });
+
+    carpoolAddBtn.addEventListener('click', async () => {
+        const number = carpoolNumber.value.trim();
+        if (!number) {
+            showToast('Please enter a carpool number', 'error');
+            return;
+        }
+
+        // Keep an unknown number on screen so a mistyped digit can be fixed
+        const result = await callCarpool(number);
+        if (result.status !== 'unknown' && result.status !== 'error') {
+            carpoolNumber.value = '';
+        }
+        carpoolNumber.focus();
+    });
+
+    carpoolNumber.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') carpoolAddBtn.click();
+    });
+
+    // Keyboard-wedge scanners type the tag and press Enter (some send Tab)
+    scanField.addEventListener('keydown', async (e) => {
+        if (e.key !== 'Enter' && e.key !== 'Tab') return;
+        e.preventDefault();
+
+        const scanned = scanField.value.trim();
+        scanField.value = '';
+        if (!scanned) return;
+
+        const number = parseTagScan(scanned);
+
+        // Scanners often read the same tag twice in a row
+        if (number === lastScan.number && Date.now() - lastScan.time < SCAN_REPEAT_MS) {
+            return;
+        }
+        lastScan = { number, time: Date.now() };
+
+        const result = await callCarpool(number);
+        addScanLogEntry(result);
+    });
+
+    scanField.addEventListener('focus', () => setScanReady(true));
+    scanField.addEventListener('blur', () => {
+        setScanReady(false);
+
+        // Stay ready for the next car unless the operator moved to another field
+        setTimeout(() => {
+            const active = document.activeElement;
+            if (inputMode === 'scan' && (!active || active === document.body || active.tagName === 'BUTTON')) {
+                scanField.focus();
+            }
+        }, 0);
+    });
+
+    function setScanReady(ready) {
+        scanStatus.textContent = ready ? 'Ready - scan a tag' : 'Tap below to start scanning';
+        scanStatus.classList.toggle('ready', ready);
+    }
+
+    /**
+     * Get the carpool number from a scanned barcode or QR code
+     * QR codes may hold a link (...?carpool=142) or a labelled value (CARPOOL:142)
+     */
+    function parseTagScan(text) {
+        try {
+            const url = new URL(text);
+            const param = url.searchParams.get('carpool') || url.searchParams.get('tag');
+            if (param) return param.trim();
+        } catch (error) {
+            // Not a link
+        }
+
+        const labelled = text.match(/(?:car\s*pool|tag)\s*(?:number|no\.?)?\s*[:#=-]?\s*([a-z0-9-]+)/i);
+        return labelled ? labelled[1] : text;
+    }
+
+    function addScanLogEntry(result) {
+        const level = { added: '', repeat: 'warning', already: 'warning', unknown: 'error', error: 'error' }[result.status];
+        const item = document.createElement('li');
+        item.className = level;
+        item.textContent = `${new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} - ${result.message}`;
+        scanLog.prepend(item);
+
+        while (scanLog.children.length > SCAN_LOG_SIZE) {
+            scanLog.lastChild.remove();
+        }
+    }
+
+    /**
+     * Add every student on a carpool tag (and their siblings) to the batch
+     * @param {string} number - Carpool number
+     * @returns {Promise<Object>} {status, message}; status is 'added', 'repeat' (added, but the
+     *     tag was already called earlier this session), 'already' (all on screen now),
+     *     'unknown' or 'error'
+     */
+    async function callCarpool(number) {
+        let result;
+
+        try {
+            const response = await fetch(`/api/roster/carpool/${encodeURIComponent(number)}`, {
+                headers: window.SettingsAPI.getAuthHeaders()
+            });
+            const data = await response.json();
+
+            if (response.status === 404) {
+                result = { status: 'unknown', message: `Unknown carpool number ${number.toUpperCase()}` };
+            } else if (!response.ok) {
+                result = { status: 'error', message: data.error || 'Carpool lookup failed' };
+            } else {
+                result = await addCarpoolStudents(data);
+            }
+        } catch (error) {
+            console.error('Carpool call failed:', error);
+            result = { status: 'error', message: `Carpool call failed: ${error.message}` };
+        }
+
+        const toastType = { added: 'success', repeat: 'warning', already: 'warning' }[result.status] || 'error';
+        showToast(result.message, toastType);
+        return result;
+    }
+
+    async function addCarpoolStudents(data) {
+        const tag = data.carpoolNumber;
+
+        // The server skips anyone from this family who is already on screen
+        const added = await queueStudents(data.students.map(student => ({
+            name: student.name,
+            grade: student.grade,
+            studentId: student.id
+        })));
+        if (added.length === 0) {
+            return { status: 'already', message: `Carpool ${tag} is already on screen` };
+        }
+
+        const names = added.map(s => s.name).join(', ');
+        const firstCalled = calledCarpools.get(tag);
+        if (!firstCalled) {
+            calledCarpools.set(tag, Date.now());
+        }
+
+        return firstCalled
+            ? {
+                status: 'repeat',
+                message: `Carpool ${tag} called again (first at ${new Date(firstCalled).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}): ${names}`
+            }
+            : { status: 'added', message: `Carpool ${tag}: ${names}` };
+    }
+
     // ========================================
     // Batch Management
     // ========================================
 
-    function addStudentToBatch(name, grade) {
-        const student = { name, grade, id: Date.now() };
-        currentBatch.push(student);
+    // The batch lives on the server so several stations can add to it at once;
+    // every change comes back over the dismissal stream (see applyDismissalState)
+    async function addStudentToBatch(name, grade, studentId = null) {
+        try {
+            const added = await queueStudents([{ name, grade, studentId }]);
+            if (added.length > 0 && added[0].privacyHold) {
+                showToast(`Added ${name}, but not shown on screens: the name may be a student who is not displayed`, 'warning');
+            } else if (added.length > 0) {
+                showToast(`Added ${name} - Grade ${grade}`, 'success');
+            } else {
+                showToast(`${name} is already on screen`, 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to add student:', error);
+            showToast(`Failed to add ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Add students to the shared batch
+     * @param {Array} students - [{name, grade, studentId?}]
+     * @returns {Promise<Array>} Entries that were added (roster students already on screen are skipped)
+     */
+    async function queueStudents(students) {
+        const response = await fetch('/api/dismissal/students', {
+            method: 'POST',
+            headers: window.SettingsAPI.getAuthHeaders(),
+            body: JSON.stringify({ students: students.map(student => ({ ...student, lane: currentLane })) })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+
+        setBatch(data.students);
+        return data.added;
+    }
+
+    async function removeStudentFromBatch(id) {
+        try {
+            const response = await fetch(`/api/dismissal/students/${encodeURIComponent(id)}`, {
+                method: 'DELETE',
+                headers: window.SettingsAPI.getAuthHeaders()
+            });
+            const data = await response.json();
+
+            // Already gone (another station removed it) - the stream has the new batch
+            if (response.ok) {
+                setBatch(data.students);
+            } else if (response.status !== 404) {
+                throw new Error(data.error || 'Request failed');
+            }
+        } catch (error) {
+            console.error('Failed to remove student:', error);
+            showToast('Failed to remove student', 'error');
+        }
+    }
+
+    function setBatch(students) {
+        currentBatch = students || [];
         updateBatchDisplay();
-        saveBatchToAPI();
-        showToast(`Added ${name} - Grade ${grade}`, 'success');
     }
 
-    function removeStudentFromBatch(id) {
-        currentBatch = currentBatch.filter(s => s.id !== id);
+    // ========================================
+    // Lanes
+    // ========================================
+
+    async function loadLanes() {
+        try {
+            const response = await fetch('/api/dismissal/lanes');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            setLanes(data.lanes);
+        } catch (error) {
+            console.error('Failed to load lanes:', error);
+        }
+    }
+
+    function setLanes(newLanes) {
+        lanes = newLanes || {};
+
+        // Fall back to the first lane if this tablet's lane was removed
+        if (!lanes[currentLane]) {
+            currentLane = Object.keys(lanes)[0] || '';
+        }
+
+        laneSelect.innerHTML = Object.entries(lanes).map(([laneId, lane]) => `
+            <option value="${escapeHtml(laneId)}"${laneId === currentLane ? ' selected' : ''}>${escapeHtml(`${lane.icon} ${lane.name}`.trim())}</option>
+        `).join('');
         updateBatchDisplay();
-        saveBatchToAPI();
     }
 
+    // Students sent before lanes existed belong to the first lane
+    function getLane(student) {
+        return student.lane || Object.keys(lanes)[0];
+    }
+
+    function getLaneBatch() {
+        return currentBatch.filter(student => getLane(student) === currentLane);
+    }
+
+    laneSelect.addEventListener('change', () => {
+        currentLane = laneSelect.value;
+        localStorage.setItem('dismissalLane', currentLane);
+        updateBatchDisplay();
+    });
+
     function updateBatchDisplay() {
-        batchCount.textContent = currentBatch.length;
+        const laneBatch = getLaneBatch();
+        const others = currentBatch.length - laneBatch.length;
+        batchCount.textContent = laneBatch.length;
+        laneOthers.textContent = others > 0 ? `${others} in other lanes` : '';
 
-        if (currentBatch.length === 0) {
+        if (laneBatch.length === 0) {
             batchList.classList.add('empty');
             batchList.innerHTML = 'No students in current batch';
         } else {
             batchList.classList.remove('empty');
-            batchList.innerHTML = currentBatch.map(student => `
-                <li class="batch-item">
+            const user = window.SettingsAPI.getUser();
+            batchList.innerHTML = laneBatch.map(student => `
+                <li class="batch-item${user && student.addedBy === user.username ? ' mine' : ''}">
                     <div class="batch-item-info">
                         <div class="batch-item-name">${escapeHtml(student.name)}</div>
                         <div class="batch-item-grade">Grade ${escapeHtml(student.grade)}</div>
+                        ${getScreenNote(student)}
+                        ${student.addedByName ? `<div class="batch-item-added">Added by ${escapeHtml(student.addedByName)} at ${formatTime(student.addedAt)}</div>` : ''}
                     </div>
-                    <button class="batch-item-remove" onclick="window.removeStudent(${student.id})">×</button>
+                    <button class="batch-item-remove" onclick="window.removeStudent('${escapeHtml(String(student.id))}')">×</button>
                 </li>
             `).join('');
         }
     }
 
+    /**
+     * Note under a student whose name is shortened or left off the hallway screens
+     */
+    function getScreenNote(student) {
+        if (student.privacyHold) {
+            return '<div class="batch-item-screen hidden">Not shown on screens (may be a student who is not displayed)</div>';
+        }
+        if (student.shownAs === null) {
+            return '<div class="batch-item-screen hidden">Not shown on screens</div>';
+        }
+        if (student.shownAs && student.shownAs !== student.name) {
+            return `<div class="batch-item-screen">On screens as ${escapeHtml(student.shownAs)}</div>`;
+        }
+        return '';
+    }
+
     // Expose to window for onclick
     window.removeStudent = removeStudentFromBatch;
 
-    clearBatchBtn.addEventListener('click', () => {
-        if (currentBatch.length === 0) return;
+    // Clears this lane only; the other lanes keep their students
+    clearBatchBtn.addEventListener('click', async () => {
+        const laneBatch = getLaneBatch();
+        if (laneBatch.length === 0) return;
 
-        if (confirm(`Clear all ${currentBatch.length} students from batch?`)) {
-            currentBatch = [];
-            updateBatchDisplay();
-            saveBatchToAPI();
+        if (!confirm(`Clear all ${laneBatch.length} students from batch?`)) return;
+
+        try {
+            const response = await fetch(`/api/dismissal/students?lane=${encodeURIComponent(currentLane)}`, {
+                method: 'DELETE',
+                headers: window.SettingsAPI.getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            setBatch(currentBatch.filter(student => getLane(student) !== currentLane));
             showToast('Batch cleared', 'success');
+        } catch (error) {
+            console.error('Failed to clear batch:', error);
+            showToast('Failed to clear batch', 'error');
         }
     });
 
@@ -403,11 +888,9 @@
             });
 
             isDismissalActive = true;
-            dismissalStartTime = Date.now();
-            sessionStorage.setItem('dismissalStartTime', dismissalStartTime.toString());
-            startDismissalTimer();
+            calledCarpools.clear();
             updateDismissalStatus();
-            showToast('Dismissal started - All TVs updated (2-hour session)', 'success');
+            showToast('Dismissal started - All TVs updated', 'success');
         } catch (error) {
             console.error('Failed to start dismissal:', error);
             showToast('Failed to start dismissal', 'error');
@@ -416,10 +899,7 @@
 
     endDismissalBtn.addEventListener('click', async () => {
         if (!confirm('End dismissal and return TVs to announcements?')) return;
-        await endDismissal();
-    });
 
-    async function endDismissal(isAutomatic = false) {
         try {
             await fetch('/api/dismissal/end', {
                 method: 'POST',
@@ -427,24 +907,18 @@
             });
 
             isDismissalActive = false;
-            dismissalStartTime = null;
-            sessionStorage.removeItem('dismissalStartTime');
+            calledCarpools.clear();
+            dismissalEndsAt = null;
             currentBatch = [];
             stopDismissalTimer();
             updateDismissalStatus();
             updateBatchDisplay();
-
-            if (isAutomatic) {
-                showToast('Dismissal ended automatically (2-hour limit reached)', 'warning');
-                alert('Dismissal has automatically ended after 2 hours.\n\nThis is a safety feature to prevent displays from being stuck in dismissal mode.\n\nYou can start a new dismissal session if needed.');
-            } else {
-                showToast('Dismissal ended', 'success');
-            }
+            showToast('Dismissal ended', 'success');
         } catch (error) {
             console.error('Failed to end dismissal:', error);
             showToast('Failed to end dismissal', 'error');
         }
-    }
+    });
 
     // ========================================
     // Timeout Management
@@ -480,20 +954,13 @@
     }
 
     function updateTimerDisplay() {
-        if (!dismissalStartTime || !isDismissalActive) {
+        if (!dismissalEndsAt || !isDismissalActive) {
             stopDismissalTimer();
             return;
         }
 
-        const elapsed = Date.now() - dismissalStartTime;
-        const remaining = DISMISSAL_TIMEOUT_MS - elapsed;
-
-        // Check if timeout reached
-        if (remaining <= 0) {
-            console.log('Dismissal timeout reached - auto-ending session');
-            endDismissal(true);
-            return;
-        }
+        // The server ends the session; at zero just wait for its update
+        const remaining = Math.max(0, dismissalEndsAt - (Date.now() + serverClockOffset));
 
         // Format remaining time
         const remainingMinutes = Math.floor(remaining / 60000);
@@ -512,7 +979,7 @@
         }
 
         // Show warning if under threshold
-        if (remaining <= WARNING_THRESHOLD_MS) {
+        if (remaining <= warningMinutes * 60 * 1000) {
             if (timeoutWarning) {
                 timeoutWarning.classList.add('show');
             }
@@ -529,6 +996,11 @@
             if (timeoutWarning) {
                 timeoutWarning.classList.remove('show');
             }
+            // Back to normal if the schedule was changed to give more time
+            if (sessionTimer) {
+                sessionTimer.style.background = '';
+                sessionTimer.style.color = '';
+            }
         }
     }
 
@@ -552,18 +1024,77 @@
     // API Integration
     // ========================================
 
-    async function saveBatchToAPI() {
-        if (!isDismissalActive) return;
+    /**
+     * Follow the shared batch over SSE so every station sees the others' changes
+     * (EventSource reconnects by itself after a network drop)
+     */
+    function connectDismissalStream() {
+        if (dismissalStream) {
+            dismissalStream.close();
+        }
 
-        try {
-            await fetch('/api/dismissal/batch', {
-                method: 'POST',
-                headers: window.SettingsAPI.getAuthHeaders(),
-                body: JSON.stringify({ students: currentBatch })
-            });
-        } catch (error) {
-            console.error('Failed to save batch:', error);
+        const token = encodeURIComponent(window.SettingsAPI.getSessionToken() || '');
+        dismissalStream = new EventSource(`/api/dismissal/stream?token=${token}`);
+
+        dismissalStream.onmessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                if (data.type === 'dismissal_state') {
+                    applyDismissalState(data);
+                } else if (data.type === 'dismissal_lanes') {
+                    setLanes(data.lanes);
+                } else if (data.type === 'dismissal_warning') {
+                    const minutes = Math.max(1, Math.round((data.endsAt - data.timestamp) / 60000));
+                    showToast(`Dismissal ends automatically in ${minutes} minutes`, 'warning');
+                } else if (data.type === 'dismissal_auto_end') {
+                    showToast(data.reason === 'schedule'
+                        ? 'Dismissal ended automatically at the end of the dismissal window'
+                        : 'Dismissal ended automatically (time limit reached)', 'warning');
+                }
+            } catch (error) {
+                console.error('Error handling dismissal update:', error);
+            }
+        };
+
+        dismissalStream.onerror = () => {
+            batchStations.textContent = 'Reconnecting - changes from other stations will appear when back online';
+            batchStations.classList.add('offline');
+        };
+    }
+
+    /**
+     * Show the dismissal as the server has it (started, ended or changed at any station)
+     * @param {Object} data - {active, startedAt, endsAt, warningMinutes, students, operators}
+     */
+    function applyDismissalState(data) {
+        if (data.active && !isDismissalActive) {
+            isDismissalActive = true;
+            calledCarpools.clear();
+        } else if (!data.active && isDismissalActive) {
+            isDismissalActive = false;
+            calledCarpools.clear();
+        }
+
+        // Follow the server's end time (it changes when the schedule is edited)
+        serverClockOffset = data.timestamp ? data.timestamp - Date.now() : 0;
+        dismissalEndsAt = data.active ? data.endsAt || null : null;
+        warningMinutes = data.warningMinutes !== undefined ? data.warningMinutes : warningMinutes;
+        if (dismissalEndsAt) {
+            if (!timeoutInterval) {
+                startDismissalTimer();
+            }
+        } else {
+            stopDismissalTimer();
         }
+
+        const operators = data.operators || [];
+        batchStations.classList.remove('offline');
+        batchStations.textContent = operators.length > 1
+            ? `${operators.length} stations: ${operators.join(', ')}`
+            : '';
+
+        updateDismissalStatus();
+        setBatch(data.students);
     }
 
     async function loadDismissalState() {
@@ -571,32 +1102,9 @@
             const response = await fetch('/api/dismissal/status');
             const data = await response.json();
 
+            // The queue and the countdown come from the dismissal stream (the status
+            // endpoint lists students the way the hallway screens show them)
             isDismissalActive = data.active || false;
-            currentBatch = data.students || [];
-
-            // If dismissal is active, check if we have a start time stored
-            // or estimate based on current time (assume just started if unknown)
-            if (isDismissalActive) {
-                const storedStartTime = sessionStorage.getItem('dismissalStartTime');
-                if (storedStartTime) {
-                    dismissalStartTime = parseInt(storedStartTime, 10);
-                    // Check if the stored time would have already expired
-                    const elapsed = Date.now() - dismissalStartTime;
-                    if (elapsed >= DISMISSAL_TIMEOUT_MS) {
-                        // Session should have ended - end it now
-                        console.log('Dismissal session expired while away - ending now');
-                        await endDismissal(true);
-                        return;
-                    }
-                } else {
-                    // No stored time - set to now (gives full 2 hours)
-                    dismissalStartTime = Date.now();
-                }
-                sessionStorage.setItem('dismissalStartTime', dismissalStartTime.toString());
-                startDismissalTimer();
-            } else {
-                sessionStorage.removeItem('dismissalStartTime');
-            }
 
             updateDismissalStatus();
             updateBatchDisplay();
@@ -607,9 +1115,14 @@
 
     async function loadStudentRoster() {
         try {
-            const response = await fetch('/api/settings');
+            const response = await fetch('/api/roster', {
+                headers: window.SettingsAPI.getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
             const data = await response.json();
-            studentRoster = data.studentRoster || [];
+            studentRoster = data.students || [];
 
             if (studentRoster.length > 0) {
                 console.log(`Loaded ${studentRoster.length} students from roster`);
@@ -634,6 +1147,10 @@
         }, 3000);
     }
 
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -96,43 +96,18 @@
         }
 
         /**
-         * Validates weather API configuration
+         * Warns about weather settings left over in config.js
          * @param {Object} config - Configuration object
          * @param {string[]} errors - Array to collect errors
          * @param {string[]} warnings - Array to collect warnings
          */
         static validateWeatherConfig(config, errors, warnings) {
-            // Validate API key
-            if (!config.WEATHER_API_KEY || typeof config.WEATHER_API_KEY !== 'string') {
-                errors.push('WEATHER_API_KEY is required. Get your free API key from https://openweathermap.org/api');
-            } else if (
-                config.WEATHER_API_KEY === 'YOUR_API_KEY_HERE' ||
-                config.WEATHER_API_KEY === 'API KEY HERE' ||
-                config.WEATHER_API_KEY.trim().length === 0
-            ) {
-                errors.push('WEATHER_API_KEY must be replaced with your actual API key from OpenWeatherMap');
-            } else if (config.WEATHER_API_KEY.length < 20) {
-                warnings.push('WEATHER_API_KEY seems too short. OpenWeatherMap keys are typically 32 characters');
+            // Weather moved to the API server; a key left here is readable by anyone who opens config.js
+            if (config.WEATHER_API_KEY && config.WEATHER_API_KEY !== 'YOUR_API_KEY_HERE') {
+                warnings.push('WEATHER_API_KEY in config.js is public and no longer used. Remove it and set WEATHER_API_KEY in .env instead');
             }
-
-            // Validate location configuration
-            const hasLocation = config.LOCATION && typeof config.LOCATION === 'string' && config.LOCATION.trim().length > 0;
-            const hasCityId = config.CITY_ID && typeof config.CITY_ID === 'number' && config.CITY_ID > 0;
-
-            if (!hasLocation && !hasCityId) {
-                errors.push('Either LOCATION or CITY_ID must be set for weather functionality');
-            }
-
-            if (hasLocation && hasCityId) {
-                warnings.push('Both LOCATION and CITY_ID are set. CITY_ID will take precedence');
-            }
-
-            // Validate location format if provided
-            if (hasLocation) {
-                const locationParts = config.LOCATION.split(',');
-                if (locationParts.length < 2) {
-                    warnings.push('LOCATION should be in format "City,StateCode,CountryCode" (e.g., "Bel Air,MD,US")');
-                }
+            if (config.LOCATION || config.CITY_ID) {
+                warnings.push('LOCATION and CITY_ID in config.js are no longer used. Set WEATHER_LOCATION or WEATHER_CITY_ID in .env instead');
             }
         }
 
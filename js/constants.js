@@ -26,13 +26,12 @@
      * @property {number} WEATHER_MAX_FORECAST_DAYS - Maximum forecast days to display (5)
      * @property {number} SLIDESHOW_DEFAULT_INTERVAL_MS - Default slide duration (8000ms)
      * @property {string} SLIDESHOW_DEFAULT_FOLDER - Default slides folder path ('slides')
+     * @property {number} SLIDESHOW_VIDEO_LOAD_TIMEOUT_MS - Skip a video slide that hasn't loaded (30000ms)
+     * @property {number} SLIDESHOW_VIDEO_END_GRACE_MS - Extra wait for a video's end event (5000ms)
      * @property {number} LIVESTREAM_CHECK_INTERVAL_MS - Livestream check interval (60000ms)
      * @property {number} LIVESTREAM_CHECK_TIMEOUT_MS - Livestream check timeout (5000ms)
      * @property {string} DEFAULT_SCHOOL_NAME - Default school name fallback
      * @property {number} DISPLAY_4K_BREAKPOINT_PX - 4K display breakpoint (2560px)
-     * @property {string} WEATHER_API_CURRENT_URL - OpenWeatherMap current weather API URL
-     * @property {string} WEATHER_API_FORECAST_URL - OpenWeatherMap forecast API URL
-     * @property {string} WEATHER_API_UNITS - Weather API units ('imperial' for Fahrenheit)
      * @property {string} WEATHER_ICON_BASE_URL - OpenWeatherMap icon base URL
      * @property {Object.<string, string>} ELEMENT_IDS - HTML element ID references
      * @property {Object.<string, string>} CSS_CLASSES - CSS class name references
@@ -79,6 +78,12 @@
         /** Default folder path for slide images */
         SLIDESHOW_DEFAULT_FOLDER: 'slides',
 
+        /** Time to wait for a video slide to load before moving on in milliseconds (30 seconds) */
+        SLIDESHOW_VIDEO_LOAD_TIMEOUT_MS: 30000,
+
+        /** Time past a video's length before moving on if it never reports ending (5 seconds) */
+        SLIDESHOW_VIDEO_END_GRACE_MS: 5000,
+
         // ========================================
         // Livestream Configuration
         // ========================================
@@ -103,16 +108,7 @@
         // API Configuration
         // ========================================
 
-        /** OpenWeatherMap API base URL for current weather */
-        WEATHER_API_CURRENT_URL: 'https://api.openweathermap.org/data/2.5/weather',
-
-        /** OpenWeatherMap API base URL for forecast */
-        WEATHER_API_FORECAST_URL: 'https://api.openweathermap.org/data/2.5/forecast',
-
-        /** Weather API units (imperial = Fahrenheit) */
-        WEATHER_API_UNITS: 'imperial',
-
-        /** OpenWeatherMap icon base URL */
+        /** OpenWeatherMap icon base URL (weather itself comes from the API server) */
         WEATHER_ICON_BASE_URL: 'https://openweathermap.org/img/wn',
 
         // ========================================
@@ -161,9 +157,7 @@
         // ========================================
 
         ERROR_MESSAGES: {
-            API_KEY_MISSING: 'API Key Missing',
-            API_KEY_PLACEHOLDER: 'Configure API Key',
-            LOCATION_NOT_SET: 'Location Not Set',
+            WEATHER_NOT_CONFIGURED: 'Weather Not Configured',
             WEATHER_LOAD_ERROR: 'Error Loading Weather',
             LIVESTREAM_FRAME_NOT_FOUND: 'Livestream frame element not found',
             NO_LIVESTREAM_URL: 'No livestream URL configured. Set LIVESTREAM_URL in config.js'
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Dismissal Announcer Module - Reads called students aloud on displays
+ * @module dismissal-announcer
+ * @description Speaks each newly called student with the browser's speech synthesis,
+ * after a short chime, for gyms and hallways where nobody is watching the screen.
+ * Names are queued and spoken one at a time so a quick batch isn't talked over, and
+ * students cleared before their turn are dropped from the queue. Names are spoken the
+ * way the screen shows them, so the school's privacy format applies to audio too.
+ * Configured per group or display by the dismissalAnnouncements setting
+ * ({enabled, voice, rate, chime}); off unless enabled.
+ *
+ * @requires module:dismissal-display - Sends the students to announce
+ * @requires module:theme-loader - Applies the dismissalAnnouncements setting
+ */
+
+(function() {
+    'use strict';
+
+    // State
+    let config = { enabled: false, voice: '', rate: 1, chime: true };
+    let queue = []; // {id, text} waiting to be spoken
+    let speaking = false;
+    let audioContext = null;
+
+    const MAX_QUEUE = 50; // A batch bigger than this is cut short rather than read for minutes
+    const PAUSE_BETWEEN_MS = 400;
+    const SOUND_CHECK_TIMEOUT_MS = 1000; // How long to wait for the browser to allow audio
+    const SPEECH_TIMEOUT_MS = 15000; // Some browsers never fire 'end'; move on after this
+
+    /**
+     * Apply the dismissalAnnouncements setting (called by the theme loader)
+     * @param {Object} [newConfig] - {enabled, voice, rate, chime}
+     */
+    function configure(newConfig) {
+        config = { enabled: false, voice: '', rate: 1, chime: true, ...(newConfig || {}) };
+        if (!config.enabled) {
+            clear();
+        }
+    }
+
+    /**
+     * Queue students to be read out
+     * @param {Array} students - [{id, name, grade, lane}]; lane is a lane name to say, if any
+     */
+    function announce(students) {
+        if (!config.enabled || !('speechSynthesis' in window) || students.length === 0) return;
+
+        students.forEach(student => {
+            if (queue.length < MAX_QUEUE) {
+                queue.push({ id: student.id, text: getPhrase(student) });
+            }
+        });
+
+        if (!speaking) {
+            speakQueue();
+        }
+    }
+
+    /**
+     * Drop queued students that are no longer on screen
+     * @param {Array} ids - IDs of the students still shown
+     */
+    function retain(ids) {
+        queue = queue.filter(item => !item.id || ids.includes(item.id));
+    }
+
+    /**
+     * Stop speaking and forget everything queued (dismissal ended or announcements turned off)
+     */
+    function clear() {
+        queue = [];
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * What to say for one student, e.g. "Emma Johnson, grade 3, Bus Riders"
+     */
+    function getPhrase(student) {
+        const parts = [student.name];
+        if (/^\d+$/.test(student.grade)) {
+            parts.push(`grade ${student.grade}`);
+        } else if (student.grade) {
+            parts.push(student.grade === 'K' ? 'kindergarten' : student.grade);
+        }
+        if (student.lane) {
+            parts.push(student.lane);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Chime, then speak queued names until the queue is empty
+     */
+    async function speakQueue() {
+        speaking = true;
+        try {
+            if (config.chime) {
+                await playChime();
+            }
+            while (queue.length > 0 && config.enabled) {
+                await speak(queue.shift().text);
+                await new Promise(resolve => setTimeout(resolve, PAUSE_BETWEEN_MS));
+            }
+        } finally {
+            speaking = false;
+        }
+    }
+
+    /**
+     * Speak one phrase
+     * @returns {Promise} Resolves when it has been spoken (or failed)
+     */
+    function speak(text) {
+        return new Promise(resolve => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.rate = config.rate || 1;
+
+            const voice = config.voice && window.speechSynthesis.getVoices().find(v => v.name === config.voice);
+            if (voice) {
+                utterance.voice = voice;
+            }
+
+            const timeout = setTimeout(done, SPEECH_TIMEOUT_MS);
+            function done() {
+                clearTimeout(timeout);
+                resolve();
+            }
+            utterance.onend = done;
+            utterance.onerror = (event) => {
+                console.warn('Could not speak dismissal announcement:', event.error);
+                done();
+            };
+
+            window.speechSynthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Play a two-note chime using the Web Audio API
+     * Shares one AudioContext across announcements (browsers limit how many a page may open)
+     */
+    async function playChime() {
+        try {
+            if (!audioContext) {
+                audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+
+            if (audioContext.state === 'suspended') {
+                // resume() stays pending while autoplay is blocked, so don't wait forever
+                await Promise.race([
+                    audioContext.resume(),
+                    new Promise(resolve => setTimeout(resolve, SOUND_CHECK_TIMEOUT_MS))
+                ]);
+            }
+            if (audioContext.state !== 'running') {
+                console.warn('Dismissal chime blocked by the browser (autoplay policy)');
+                return;
+            }
+
+            function playTone(frequency, startTime, duration) {
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
+
+                oscillator.connect(gainNode);
+                gainNode.connect(audioContext.destination);
+
+                oscillator.frequency.value = frequency;
+                oscillator.type = 'sine';
+
+                gainNode.gain.setValueAtTime(0.25, startTime);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
+
+                oscillator.start(startTime);
+                oscillator.stop(startTime + duration);
+            }
+
+            // Two rising notes, softer than the emergency tones
+            const now = audioContext.currentTime;
+            playTone(659, now, 0.4);
+            playTone(880, now + 0.35, 0.6);
+
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        } catch (e) {
+            console.warn('Could not play dismissal chime:', e);
+        }
+    }
+
+    // Export public API
+    window.DismissalAnnouncer = {
+        configure,
+        announce,
+        retain,
+        clear,
+        isEnabled: () => config.enabled
+    };
+
+    console.log('Dismissal announcer loaded');
+})();
@@ -2,7 +2,16 @@
  * @fileoverview Dismissal Display Module - Shows student names on TVs
  * @module dismissal-display
  * @description Full-screen display showing students called for dismissal.
- * Automatically updates in real-time when teachers add students.
+ * Updates arrive as dismissal_start/update/end events on the theme loader's settings
+ * stream; the status endpoint is only polled while that stream is down. Cards are
+ * added and removed individually so names already on screen don't flicker.
+ * A display shows the lanes in its dismissalView setting: one lane full-screen,
+ * several side by side, or (by default) every student in one list.
+ * Names arrive already in the school's privacy format (e.g. "Emma J." or "Carpool 12");
+ * students kept off the screens are never sent. Newly called students are passed to
+ * the dismissal announcer to be read out where that is turned on.
+ *
+ * @requires module:theme-loader - Forwards dismissal events and stream connection changes
  */
 
 (function() {
@@ -14,6 +23,14 @@
     let isDismissalActive = false;
     let currentStudents = [];
     let dismissalCheckInterval = null;
+    let streamConnected = false;
+    let streamGraceTimeout = null;
+    let lanes = {}; // laneId -> {name, icon} from the dismissalLanes setting
+    let laneView = []; // Lanes this display shows (dismissalView setting); empty = all in one list
+
+    const POLL_INTERVAL_MS = 5000; // Only while the settings stream is down
+    const STREAM_GRACE_MS = 10000; // Start polling if the stream hasn't connected by then
+    const CARD_EXIT_MS = 400; // Matches the slideOut animation
 
     /**
      * Create dismissal display container
@@ -97,6 +114,17 @@
                     transform: translateY(-5px);
                 }
 
+                .student-card.leaving {
+                    animation: slideOut 0.4s ease-in forwards;
+                }
+
+                @keyframes slideOut {
+                    to {
+                        opacity: 0;
+                        transform: scale(0.8);
+                    }
+                }
+
                 @keyframes slideIn {
                     from {
                         opacity: 0;
@@ -122,6 +150,32 @@
                     font-weight: 500;
                 }
 
+                .dismissal-lanes.split {
+                    display: flex;
+                    gap: 1.5rem;
+                    padding: 0 1.5rem;
+                }
+
+                .dismissal-lanes.split .dismissal-lane {
+                    flex: 1;
+                    min-width: 0;
+                }
+
+                .dismissal-lanes.split .dismissal-grid {
+                    grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+                    gap: 1.5rem;
+                    padding: 1.5rem 0;
+                }
+
+                .dismissal-lane-title {
+                    text-align: center;
+                    font-size: 2.5rem;
+                    font-weight: 700;
+                    color: #ffd700;
+                    margin: 1.5rem 0 0 0;
+                    text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.4);
+                }
+
                 .dismissal-empty {
                     text-align: center;
                     color: white;
@@ -162,13 +216,64 @@
                 <h1 class="dismissal-title">🚗 DISMISSAL</h1>
                 <p class="dismissal-subtitle">Please Come to Pickup</p>
             </div>
-            <div id="dismissalGrid" class="dismissal-grid"></div>
+            <div id="dismissalLanes" class="dismissal-lanes"></div>
         `;
 
         document.body.appendChild(container);
+        renderLanePanels();
         return container;
     }
 
+    /**
+     * Set the lane definitions and which lanes this display shows
+     * Called by the theme loader with the dismissalLanes and dismissalView settings
+     * @param {Object} newLanes - laneId -> {name, icon}
+     * @param {Object} [view] - {lanes: [laneId, ...]}
+     */
+    function setLanes(newLanes, view) {
+        const previous = JSON.stringify([lanes, laneView]);
+        lanes = newLanes || {};
+        laneView = view && Array.isArray(view.lanes) ? view.lanes.filter(laneId => lanes[laneId]) : [];
+
+        if (JSON.stringify([lanes, laneView]) !== previous) {
+            renderLanePanels();
+            if (isDismissalActive) {
+                updateDismissalDisplay();
+            }
+        }
+    }
+
+    /**
+     * Build one panel per lane shown (a single panel when showing one lane or all)
+     */
+    function renderLanePanels() {
+        const container = document.getElementById('dismissalLanes');
+        if (!container) return;
+
+        const split = laneView.length > 1;
+        container.classList.toggle('split', split);
+        container.innerHTML = (laneView.length > 0 ? laneView : ['']).map(laneId => `
+            <div class="dismissal-lane" data-lane="${escapeHtml(laneId)}">
+                ${split ? `<h2 class="dismissal-lane-title">${escapeHtml(getLaneLabel(laneId))}</h2>` : ''}
+                <div class="dismissal-grid"></div>
+            </div>
+        `).join('');
+
+        // A display for one lane is titled with it
+        const title = document.querySelector('#dismissalDisplay .dismissal-title');
+        if (title) {
+            title.textContent = laneView.length === 1 ? getLaneLabel(laneView[0]).toUpperCase() : '🚗 DISMISSAL';
+        }
+    }
+
+    /**
+     * Icon and name of a lane
+     */
+    function getLaneLabel(laneId) {
+        const lane = lanes[laneId];
+        return lane ? `${lane.icon} ${lane.name}`.trim() : laneId;
+    }
+
     /**
      * Show dismissal display
      */
@@ -201,8 +306,16 @@
             container.style.display = 'none';
         }
 
+        // Start the next dismissal with empty grids
+        document.querySelectorAll('#dismissalDisplay .dismissal-grid').forEach(grid => {
+            grid.innerHTML = '';
+        });
+
         isDismissalActive = false;
         currentStudents = [];
+        if (window.DismissalAnnouncer) {
+            window.DismissalAnnouncer.clear();
+        }
 
         // Restore slideshow
         if (window.Slideshow) {
@@ -214,19 +327,107 @@
      * Update dismissal display with current students
      */
     function updateDismissalDisplay() {
-        const grid = document.getElementById('dismissalGrid');
-        if (!grid) return;
-
-        if (currentStudents.length === 0) {
-            grid.innerHTML = '<div class="dismissal-empty">Waiting for students...</div>';
-        } else {
-            grid.innerHTML = currentStudents.map(student => `
-                <div class="student-card">
-                    <div class="student-name">${escapeHtml(student.name)}</div>
-                    <div class="student-grade">Grade ${escapeHtml(student.grade)}</div>
-                </div>
-            `).join('');
+        // Students sent before lanes existed belong to the first lane
+        const defaultLane = Object.keys(lanes)[0];
+
+        document.querySelectorAll('#dismissalDisplay .dismissal-lane').forEach(panel => {
+            const laneId = panel.dataset.lane;
+            const students = laneId
+                ? currentStudents.filter(student => (student.lane || defaultLane) === laneId)
+                : currentStudents;
+            updateGrid(panel.querySelector('.dismissal-grid'), students);
+        });
+    }
+
+    /**
+     * Show a list of students in one grid
+     * Only cards for students that were added or removed change; new cards slide in,
+     * removed ones fade out
+     * @param {HTMLElement} grid - Grid to update
+     * @param {Array} students - Students in display order
+     */
+    function updateGrid(grid, students) {
+        const keys = getStudentKeys(students);
+        const cards = new Map();
+        grid.querySelectorAll('.student-card:not(.leaving)').forEach(card => {
+            cards.set(card.dataset.key, card);
+        });
+
+        // Fade out students that are no longer called
+        cards.forEach((card, key) => {
+            if (!keys.includes(key)) {
+                removeCard(card);
+            }
+        });
+
+        const placeholder = grid.querySelector('.dismissal-empty');
+        if (students.length === 0) {
+            if (!placeholder) {
+                grid.insertAdjacentHTML('beforeend', '<div class="dismissal-empty">Waiting for students...</div>');
+            }
+            return;
+        }
+        if (placeholder) {
+            placeholder.remove();
         }
+
+        // Add new students and keep every card in the server's order
+        let previous = null;
+        keys.forEach((key, index) => {
+            const card = cards.get(key) || createStudentCard(students[index], key);
+            const expected = nextCard(previous ? previous.nextElementSibling : grid.firstElementChild);
+            if (card !== expected) {
+                grid.insertBefore(card, expected);
+            }
+            previous = card;
+        });
+    }
+
+    /**
+     * Keys that identify each student's card: the queue entry ID, or the name and
+     * grade for servers that don't send one (repeated names get a counter)
+     * @param {Array} students - Students in display order
+     * @returns {string[]} One key per student
+     */
+    function getStudentKeys(students) {
+        const seen = {};
+        return students.map(student => {
+            const base = student.id ? `id:${student.id}` : `${student.name}|${student.grade}`;
+            seen[base] = (seen[base] || 0) + 1;
+            return `${base}#${seen[base]}`;
+        });
+    }
+
+    /**
+     * First element from here on that isn't a card on its way out
+     */
+    function nextCard(element) {
+        while (element && element.classList.contains('leaving')) {
+            element = element.nextElementSibling;
+        }
+        return element;
+    }
+
+    /**
+     * Build the card for one student
+     */
+    function createStudentCard(student, key) {
+        const card = document.createElement('div');
+        card.className = 'student-card';
+        card.dataset.key = key;
+        card.innerHTML = `
+            <div class="student-name">${escapeHtml(student.name)}</div>
+            ${student.grade ? `<div class="student-grade">Grade ${escapeHtml(student.grade)}</div>` : ''}
+        `;
+        return card;
+    }
+
+    /**
+     * Fade a card out, then remove it
+     */
+    function removeCard(card) {
+        card.classList.add('leaving');
+        setTimeout(() => card.remove(), CARD_EXIT_MS);
     }
 
     /**
@@ -240,20 +441,7 @@
             }
 
             const data = await response.json();
-
-            // Update state
-            const wasActive = isDismissalActive;
-            isDismissalActive = data.active || false;
-            currentStudents = data.students || [];
-
-            // Show/hide dismissal display
-            if (isDismissalActive && !wasActive) {
-                showDismissal();
-            } else if (!isDismissalActive && wasActive) {
-                hideDismissal();
-            } else if (isDismissalActive) {
-                updateDismissalDisplay();
-            }
+            applyDismissalState(data);
 
         } catch (error) {
             console.error('Error checking dismissal status:', error);
@@ -261,7 +449,93 @@
     }
 
     /**
-     * Start monitoring dismissal status
+     * Show, update or hide the dismissal display to match server state
+     * @param {Object} state - {active, students} from the server
+     */
+    function applyDismissalState(state) {
+        const wasActive = isDismissalActive;
+        const previousStudents = currentStudents;
+        isDismissalActive = state.active || false;
+        currentStudents = state.students || [];
+
+        // Read out students called since the last update (not the ones already up
+        // when this page loaded)
+        if (wasActive && isDismissalActive && window.DismissalAnnouncer) {
+            announceNewStudents(previousStudents);
+        }
+
+        // Show/hide dismissal display
+        if (isDismissalActive && !wasActive) {
+            showDismissal();
+        } else if (!isDismissalActive && wasActive) {
+            hideDismissal();
+        } else if (isDismissalActive) {
+            updateDismissalDisplay();
+        }
+    }
+
+    /**
+     * Hand students that weren't in the previous update to the announcer
+     * Only students in the lanes this display shows are read out
+     * @param {Array} previousStudents - Students before the update
+     */
+    function announceNewStudents(previousStudents) {
+        const defaultLane = Object.keys(lanes)[0];
+        const shown = laneView.length > 0
+            ? currentStudents.filter(student => laneView.includes(student.lane || defaultLane))
+            : currentStudents;
+
+        const previousKeys = getStudentKeys(previousStudents);
+        const shownKeys = getStudentKeys(shown);
+        const called = shown.filter((student, index) => !previousKeys.includes(shownKeys[index]));
+
+        window.DismissalAnnouncer.retain(currentStudents.map(student => student.id));
+        window.DismissalAnnouncer.announce(called.map(student => ({
+            id: student.id,
+            name: student.name,
+            grade: student.grade,
+            // Split screens say which lane to go to
+            lane: laneView.length > 1 && lanes[student.lane || defaultLane] ? lanes[student.lane || defaultLane].name : ''
+        })));
+    }
+
+    /**
+     * Apply a dismissal event from the settings stream
+     * @param {Object} event - dismissal_start, dismissal_update or dismissal_end message
+     */
+    function handleStreamEvent(event) {
+        switch (event.type) {
+            case 'dismissal_start':
+                applyDismissalState({ active: true, students: [] });
+                break;
+            case 'dismissal_update':
+                applyDismissalState({ active: isDismissalActive, students: event.students });
+                break;
+            case 'dismissal_end':
+                applyDismissalState({ active: false, students: [] });
+                break;
+        }
+    }
+
+    /**
+     * Called by the theme loader when its settings stream connects or drops
+     * While connected, events (and the initial state on reconnect) keep the display current
+     * @param {boolean} connected - Whether the stream is up
+     */
+    function setStreamConnected(connected) {
+        streamConnected = connected;
+        clearTimeout(streamGraceTimeout);
+
+        if (connected) {
+            stopDismissalMonitoring();
+        } else if (!dismissalCheckInterval) {
+            console.log('Settings stream down - polling dismissal status');
+            startDismissalMonitoring();
+        }
+    }
+
+    /**
+     * Start polling dismissal status (fallback while the settings stream is down)
      */
     function startDismissalMonitoring() {
         console.log('Dismissal monitoring started');
@@ -269,8 +543,7 @@
         // Initial check
         checkDismissalStatus();
 
-        // Check every 5 seconds
-        dismissalCheckInterval = setInterval(checkDismissalStatus, 5000);
+        dismissalCheckInterval = setInterval(checkDismissalStatus, POLL_INTERVAL_MS);
     }
 
     /**
@@ -297,7 +570,19 @@
      */
     function init() {
         createDismissalContainer();
-        startDismissalMonitoring();
+
+        // The theme loader's stream brings the current state when it connects;
+        // poll only if it never does (or there is no theme loader on this page)
+        if (!window.ThemeLoader) {
+            startDismissalMonitoring();
+        } else if (!streamConnected) {
+            streamGraceTimeout = setTimeout(() => {
+                if (!streamConnected) {
+                    setStreamConnected(false);
+                }
+            }, STREAM_GRACE_MS);
+        }
+
         console.log('Dismissal display module initialized');
     }
 
@@ -306,6 +591,10 @@
         show: showDismissal,
         hide: hideDismissal,
         isActive: () => isDismissalActive,
+        applyState: applyDismissalState,
+        setLanes,
+        handleStreamEvent,
+        setStreamConnected,
         startMonitoring: startDismissalMonitoring,
         stopMonitoring: stopDismissalMonitoring
     };
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Display Commands Module - Executes remote commands from the admin panel
+ * @module display-commands
+ * @description Runs commands delivered over the settings SSE stream (see theme-loader)
+ * and acknowledges each one back to the server, so the Display Manager can show which
+ * displays succeeded, failed or never answered.
+ *
+ * Supported commands:
+ * - refresh: Re-load settings from the server
+ * - reload: Full page reload
+ * - identify: Show this display's name and ID on screen ({duration} ms, default 10s)
+ * - goto: Jump to slide {slide} (1-based)
+ * - pause / resume: Stop or restart slideshow auto-advance
+ * - toggleLivestream: Switch between livestream and slideshow
+ * - enterFullscreen / exitFullscreen: Change fullscreen mode
+ * - clearCache: Clear the data cache and service worker caches
+ * - testAlert: Show a test alert overlay ({message}, {duration} ms)
+ *
+ * @requires module:theme-loader - Receives the commands and provides the display ID
+ */
+
+(function() {
+    'use strict';
+
+    const IDENTIFY_DEFAULT_DURATION_MS = 10000;
+    const TEST_ALERT_DEFAULT_DURATION_MS = 5000;
+
+    let identifyTimeout = null;
+
+    /**
+     * Command handlers. Each returns a short result message (or a Promise of one)
+     * and throws if the command cannot be carried out.
+     */
+    const handlers = {
+        refresh() {
+            if (!window.ThemeLoader) {
+                throw new Error('Theme loader not available');
+            }
+            window.ThemeLoader.reload();
+            return 'Settings reloaded';
+        },
+
+        reload() {
+            // Acknowledge first - the page is gone once it reloads
+            setTimeout(() => location.reload(), 500);
+            return 'Reloading page';
+        },
+
+        async identify(params) {
+            const info = await getDisplayInfo();
+            showIdentifyOverlay(info, params.duration || IDENTIFY_DEFAULT_DURATION_MS);
+            return `Showing "${info.name}"`;
+        },
+
+        goto(params) {
+            requireSlideshow();
+            const slideNumber = parseInt(params.slide, 10);
+            const count = window.Slideshow.getSlideCount();
+
+            if (!window.Slideshow.goTo(slideNumber - 1)) {
+                throw new Error(`Slide ${params.slide} does not exist (${count} slides)`);
+            }
+            return `Showing slide ${slideNumber} of ${count}`;
+        },
+
+        pause() {
+            requireSlideshow();
+            window.Slideshow.pause();
+            return 'Slideshow paused';
+        },
+
+        resume() {
+            requireSlideshow();
+            window.Slideshow.resume();
+            return 'Slideshow resumed';
+        },
+
+        toggleLivestream() {
+            if (!window.Livestream) {
+                throw new Error('Livestream module not available');
+            }
+            if (!window.CONFIG || !window.CONFIG.LIVESTREAM_URL) {
+                throw new Error('No livestream URL configured');
+            }
+            window.Livestream.toggle();
+            return window.Livestream.isActive() ? 'Livestream showing' : 'Slideshow showing';
+        },
+
+        async enterFullscreen() {
+            if (document.fullscreenElement) {
+                return 'Already fullscreen';
+            }
+            // Browsers may refuse without a user gesture (kiosk mode allows it)
+            await document.documentElement.requestFullscreen();
+            return 'Entered fullscreen';
+        },
+
+        async exitFullscreen() {
+            if (!document.fullscreenElement) {
+                return 'Not in fullscreen';
+            }
+            await document.exitFullscreen();
+            return 'Exited fullscreen';
+        },
+
+        async clearCache() {
+            if (window.Cache) {
+                window.Cache.clear();
+            }
+
+            let cleared = 0;
+            if ('caches' in window) {
+                const names = await caches.keys();
+                await Promise.all(names.map(name => caches.delete(name)));
+                cleared = names.length;
+            }
+            return `Cleared data cache and ${cleared} service worker cache(s)`;
+        },
+
+        testAlert(params) {
+            if (!window.EmergencyAlert) {
+                throw new Error('Emergency alert module not available');
+            }
+            if (window.EmergencyAlert.isActive()) {
+                throw new Error('A real alert is active - test skipped');
+            }
+
+            window.EmergencyAlert.show({
+                type: 'custom',
+                message: params.message || 'TEST ALERT',
+                subMessage: 'This is only a test',
+                color: '#ffffff',
+                bgColor: '#6b7280'
+            });
+            setTimeout(() => {
+                window.EmergencyAlert.hide();
+            }, params.duration || TEST_ALERT_DEFAULT_DURATION_MS);
+            return 'Test alert shown';
+        }
+    };
+
+    /**
+     * Throws if the slideshow module is not loaded
+     */
+    function requireSlideshow() {
+        if (!window.Slideshow) {
+            throw new Error('Slideshow module not available');
+        }
+    }
+
+    /**
+     * Look up this display's name and location from the server
+     * @returns {Promise<Object>} {id, name, location}
+     */
+    async function getDisplayInfo() {
+        const displayId = window.ThemeLoader.getDisplayId();
+        const info = { id: displayId, name: 'Unnamed Display', location: '' };
+
+        try {
+            const response = await fetch('/api/displays');
+            const data = await response.json();
+            const display = (data.displays || []).find(d => d.id === displayId);
+            if (display) {
+                info.name = display.name;
+                info.location = display.location;
+            }
+        } catch (error) {
+            console.warn('Could not load display info:', error);
+        }
+
+        return info;
+    }
+
+    /**
+     * Show a large overlay with the display's name, location and ID
+     * @param {Object} info - {id, name, location}
+     * @param {number} duration - How long to show it (ms)
+     */
+    function showIdentifyOverlay(info, duration) {
+        let overlay = document.getElementById('identifyOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'identifyOverlay';
+            overlay.style.cssText = `
+                position: fixed;
+                inset: 0;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.85);
+                color: #ffffff;
+                font-family: 'Poppins', sans-serif;
+                text-align: center;
+                z-index: 100000;
+            `;
+            document.body.appendChild(overlay);
+        }
+
+        overlay.innerHTML = `
+            <div style="font-size: 6rem; font-weight: 700; color: #ffd700;">${escapeHtml(info.name)}</div>
+            <div style="font-size: 3rem; margin-top: 1rem;">${escapeHtml(info.location)}</div>
+            <div style="font-size: 2rem; margin-top: 2rem; opacity: 0.7; font-family: monospace;">${escapeHtml(info.id)}</div>
+        `;
+        overlay.style.display = 'flex';
+
+        clearTimeout(identifyTimeout);
+        identifyTimeout = setTimeout(() => {
+            overlay.style.display = 'none';
+        }, duration);
+    }
+
+    /**
+     * Report the result of a command back to the server
+     * @param {string} commandId - ID from the command message
+     * @param {boolean} success - Whether the command ran
+     * @param {string} message - Result or error message
+     */
+    async function acknowledge(commandId, success, message) {
+        const displayId = window.ThemeLoader && window.ThemeLoader.getDisplayId();
+        if (!commandId || !displayId) return;
+
+        try {
+            await fetch(`/api/displays/${encodeURIComponent(displayId)}/ack`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ commandId, success, message })
+            });
+        } catch (error) {
+            console.error('Failed to acknowledge command:', error);
+        }
+    }
+
+    /**
+     * Run a command message received from the SSE stream
+     * @param {Object} message - {commandId, command, params}
+     */
+    async function handle(message) {
+        const handler = handlers[message.command];
+        console.log(`Remote command received: ${message.command}`);
+
+        if (!handler) {
+            await acknowledge(message.commandId, false, `Unknown command '${message.command}'`);
+            return;
+        }
+
+        try {
+            const result = await handler(message.params || {});
+            await acknowledge(message.commandId, true, result);
+        } catch (error) {
+            console.error(`Command '${message.command}' failed:`, error);
+            await acknowledge(message.commandId, false, error.message);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    // Export public API
+    window.DisplayCommands = {
+        handle,
+        commands: Object.keys(handlers)
+    };
+
+})();
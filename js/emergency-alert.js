@@ -1,6 +1,10 @@
 /**
  * Emergency Alert System
  * Handles emergency broadcasts across all displays
+ * Each alert from the server is confirmed back (overlay rendered, sound played)
+ * so the admin can see which rooms got the message
+ * Expiry, escalation and the All Clear screen are driven by the server; this
+ * module just shows whichever alert it is sent
  */
 
 (function() {
@@ -10,58 +14,25 @@
     let isAlertActive = false;
     let currentAlert = null;
     let alertOverlay = null;
-
-    // Alert types with their configurations
-    const ALERT_TYPES = {
-        lockdown: {
-            name: 'Lockdown',
-            icon: '🔒',
-            color: '#dc2626',
-            bgColor: '#7f1d1d',
-            message: 'LOCKDOWN IN EFFECT',
-            subMessage: 'Lock doors, turn off lights, stay silent',
-            sound: true,
-            flash: true
-        },
-        evacuation: {
-            name: 'Evacuation',
-            icon: '🚨',
-            color: '#ea580c',
-            bgColor: '#7c2d12',
-            message: 'EVACUATE IMMEDIATELY',
-            subMessage: 'Proceed to designated evacuation points',
-            sound: true,
-            flash: true
-        },
-        shelter: {
-            name: 'Shelter in Place',
-            icon: '🏠',
-            color: '#2563eb',
-            bgColor: '#1e3a8a',
-            message: 'SHELTER IN PLACE',
-            subMessage: 'Stay in current location until further notice',
-            sound: true,
-            flash: false
-        },
-        weather: {
-            name: 'Severe Weather',
-            icon: '⛈️',
-            color: '#7c3aed',
-            bgColor: '#4c1d95',
-            message: 'SEVERE WEATHER ALERT',
-            subMessage: 'Move to interior rooms away from windows',
-            sound: true,
-            flash: false
-        },
-        medical: {
-            name: 'Medical Emergency',
-            icon: '🏥',
-            color: '#dc2626',
-            bgColor: '#7f1d1d',
-            message: 'MEDICAL EMERGENCY',
-            subMessage: 'Clear the area, medical personnel en route',
+    let alertTimeTimeout = null;
+
+    // How long to wait for the browser to allow audio before reporting it blocked
+    const SOUND_CHECK_TIMEOUT_MS = 1000;
+
+    // Screens that always exist. The alert types themselves (lockdown, evacuation, ...)
+    // come from the server's alertTypes setting via the theme loader; 'custom' is the
+    // fallback until they arrive
+    const BUILT_IN_TYPES = {
+        all_clear: {
+            name: 'All Clear',
+            icon: '✅',
+            color: '#16a34a',
+            bgColor: '#14532d',
+            message: 'ALL CLEAR',
+            subMessage: 'The emergency is over. Normal activities may resume.',
             sound: false,
-            flash: false
+            flash: false,
+            calm: true
         },
         custom: {
             name: 'Custom Alert',
@@ -75,6 +46,22 @@
         }
     };
 
+    let alertTypes = { ...BUILT_IN_TYPES };
+
+    /**
+     * Replace the alert type definitions (from the alertTypes setting)
+     * @param {Object} types - Map of type ID to {name, icon, color, bgColor, message, subMessage, sound, flash}
+     */
+    function setAlertTypes(types) {
+        if (!types || typeof types !== 'object') return;
+
+        alertTypes = {
+            custom: BUILT_IN_TYPES.custom,
+            ...types,
+            all_clear: BUILT_IN_TYPES.all_clear
+        };
+    }
+
     /**
      * Create the emergency alert overlay
      */
@@ -114,6 +101,14 @@
                     animation: alertPulse 1s ease-in-out infinite;
                 }
 
+                .emergency-alert-overlay.calm {
+                    animation: none;
+                }
+
+                .emergency-alert-overlay.calm .emergency-alert-icon {
+                    animation: none;
+                }
+
                 .emergency-alert-overlay.flash {
                     animation: alertFlash 0.5s ease-in-out infinite;
                 }
@@ -186,7 +181,7 @@
      */
     function showAlert(alert) {
         const overlay = createAlertOverlay();
-        const alertConfig = ALERT_TYPES[alert.type] || ALERT_TYPES.custom;
+        const alertConfig = alertTypes[alert.type] || alertTypes.custom;
 
         currentAlert = {
             ...alertConfig,
@@ -205,12 +200,9 @@
         overlay.querySelector('.emergency-alert-message').textContent = currentAlert.message || alertConfig.message;
         overlay.querySelector('.emergency-alert-submessage').textContent = currentAlert.subMessage || alertConfig.subMessage || '';
 
-        // Flash effect
-        if (currentAlert.flash) {
-            overlay.classList.add('flash');
-        } else {
-            overlay.classList.remove('flash');
-        }
+        // Flash effect (the All Clear screen doesn't pulse either)
+        overlay.classList.toggle('flash', !!currentAlert.flash);
+        overlay.classList.toggle('calm', !!alertConfig.calm);
 
         // Show overlay
         overlay.style.display = 'flex';
@@ -219,11 +211,62 @@
         updateAlertTime();
 
         // Play alert sound
-        if (currentAlert.sound) {
-            playAlertSound();
-        }
+        const soundResult = currentAlert.sound
+            ? playAlertSound()
+            : Promise.resolve({ played: false });
 
         console.log('Emergency alert activated:', currentAlert.message);
+
+        // Confirm alerts sent from the server (test alerts have no ID)
+        if (alert.id) {
+            confirmAlert(alert.id, !!currentAlert.sound, soundResult);
+        }
+    }
+
+    /**
+     * Check that the overlay is actually on screen
+     * @returns {boolean} True if the overlay is visible and covers the page
+     */
+    function isOverlayRendered() {
+        if (!alertOverlay || !alertOverlay.isConnected) return false;
+
+        const style = window.getComputedStyle(alertOverlay);
+        const rect = alertOverlay.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' &&
+            rect.width > 0 && rect.height > 0;
+    }
+
+    /**
+     * Report to the server that the alert was shown and whether the sound played
+     * @param {string} alertId - ID of the alert from the server
+     * @param {boolean} soundRequested - Whether the alert asked for sound
+     * @param {Promise<Object>} soundResult - Resolves to {played, error}
+     */
+    async function confirmAlert(alertId, soundRequested, soundResult) {
+        const displayId = window.ThemeLoader && window.ThemeLoader.getDisplayId();
+        if (!displayId) return;
+
+        // Wait a frame so the check sees the painted overlay
+        await new Promise(resolve => requestAnimationFrame(() => resolve()));
+        const rendered = isOverlayRendered();
+        const sound = await soundResult;
+
+        try {
+            await fetch('/api/emergency/ack', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    alertId,
+                    displayId,
+                    rendered,
+                    soundRequested,
+                    soundPlayed: sound.played,
+                    message: sound.error || (rendered ? null : 'Alert overlay is not visible')
+                })
+            });
+        } catch (error) {
+            console.error('Failed to confirm emergency alert:', error);
+        }
     }
 
     /**
@@ -232,8 +275,9 @@
     function hideAlert() {
         if (alertOverlay) {
             alertOverlay.style.display = 'none';
-            alertOverlay.classList.remove('flash');
+            alertOverlay.classList.remove('flash', 'calm');
         }
+        clearTimeout(alertTimeTimeout);
 
         isAlertActive = false;
         currentAlert = null;
@@ -245,6 +289,8 @@
      * Update the alert time display
      */
     function updateAlertTime() {
+        // An escalation calls showAlert again - keep a single update loop
+        clearTimeout(alertTimeTimeout);
         if (!isAlertActive || !alertOverlay) return;
 
         const timeEl = alertOverlay.querySelector('.emergency-alert-time');
@@ -255,17 +301,31 @@
 
         // Continue updating
         if (isAlertActive) {
-            setTimeout(updateAlertTime, 1000);
+            alertTimeTimeout = setTimeout(updateAlertTime, 1000);
         }
     }
 
     /**
      * Play alert sound using Web Audio API
+     * @returns {Promise<Object>} {played, error} - browsers block audio until the page
+     *   has had a user interaction unless autoplay is allowed (kiosk mode)
      */
-    function playAlertSound() {
+    async function playAlertSound() {
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
+            if (audioContext.state === 'suspended') {
+                // resume() stays pending while autoplay is blocked, so don't wait forever
+                await Promise.race([
+                    audioContext.resume(),
+                    new Promise(resolve => setTimeout(resolve, SOUND_CHECK_TIMEOUT_MS))
+                ]);
+            }
+            if (audioContext.state !== 'running') {
+                console.warn('Alert sound blocked by the browser (autoplay policy)');
+                return { played: false, error: 'Sound blocked by browser autoplay policy' };
+            }
+
             function playTone(frequency, startTime, duration) {
                 const oscillator = audioContext.createOscillator();
                 const gainNode = audioContext.createGain();
@@ -289,8 +349,10 @@
             playTone(660, now + 0.35, 0.3);
             playTone(880, now + 0.7, 0.3);
 
+            return { played: true };
         } catch (e) {
             console.warn('Could not play alert sound:', e);
+            return { played: false, error: 'Could not play sound: ' + e.message };
         }
     }
 
@@ -314,7 +376,8 @@
 
     // Expose public API
     window.EmergencyAlert = {
-        ALERT_TYPES,
+        getTypes: () => alertTypes,
+        setTypes: setAlertTypes,
         show: showAlert,
         hide: hideAlert,
         getStatus,
@@ -1,12 +1,74 @@
 /**
  * @fileoverview Fuzzy Matching Library - Name correction using Levenshtein distance
  * @module fuzzy-match
- * @description Finds closest matching student names from roster using edit distance
+ * @description Finds closest matching student names from roster using edit distance.
+ * Spoken names are also compared word by word with Soundex and a nickname table, in
+ * either name order, so "Johnson Emma", "Jon Smyth" and "Mike Brown" find their students.
  */
 
 (function() {
     'use strict';
 
+    // Common nicknames and the names they are short for (checked both ways)
+    const NICKNAMES = {
+        abby: ['abigail'],
+        alex: ['alexander', 'alexandra', 'alexis'],
+        andy: ['andrew'],
+        ben: ['benjamin'],
+        bill: ['william'],
+        billy: ['william'],
+        bob: ['robert'],
+        bobby: ['robert'],
+        charlie: ['charles', 'charlotte'],
+        chris: ['christopher', 'christian', 'christina', 'christine'],
+        dan: ['daniel'],
+        danny: ['daniel'],
+        dave: ['david'],
+        ed: ['edward'],
+        eddie: ['edward'],
+        ellie: ['eleanor', 'elizabeth', 'ellen'],
+        gabe: ['gabriel'],
+        jack: ['john', 'jackson'],
+        jake: ['jacob'],
+        jamie: ['james'],
+        jim: ['james'],
+        jimmy: ['james'],
+        joe: ['joseph'],
+        joey: ['joseph'],
+        johnny: ['john'],
+        kate: ['katherine', 'catherine', 'kathryn'],
+        katie: ['katherine', 'catherine', 'kathryn'],
+        liz: ['elizabeth'],
+        beth: ['elizabeth'],
+        libby: ['elizabeth'],
+        maddie: ['madison', 'madeline', 'madelyn'],
+        matt: ['matthew'],
+        max: ['maxwell', 'maximilian'],
+        mike: ['michael'],
+        nate: ['nathan', 'nathaniel'],
+        nick: ['nicholas'],
+        pat: ['patrick', 'patricia'],
+        rob: ['robert'],
+        sam: ['samuel', 'samantha'],
+        sophie: ['sophia'],
+        steve: ['steven', 'stephen'],
+        tom: ['thomas'],
+        tommy: ['thomas'],
+        tony: ['anthony'],
+        will: ['william'],
+        zach: ['zachary']
+    };
+
+    // Soundex digit for each consonant (vowels, h, w and y have none)
+    const SOUNDEX_CODES = {
+        b: 1, f: 1, p: 1, v: 1,
+        c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+        d: 3, t: 3,
+        l: 4,
+        m: 5, n: 5,
+        r: 6
+    };
+
     /**
      * Calculate Levenshtein distance between two strings
      * @param {string} a - First string
@@ -59,6 +121,122 @@
         return maxLength === 0 ? 1.0 : 1.0 - (distance / maxLength);
     }
 
+    /**
+     * Soundex code of a word (names that sound alike share a code, e.g. Smith/Smyth = S530)
+     * @param {string} word - Word to encode
+     * @returns {string} Four-character code, or '' for a word without letters
+     */
+    function soundex(word) {
+        const letters = String(word).toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return '';
+
+        let code = letters[0].toUpperCase();
+        let previous = SOUNDEX_CODES[letters[0]] || 0;
+
+        for (let i = 1; i < letters.length && code.length < 4; i++) {
+            const digit = SOUNDEX_CODES[letters[i]] || 0;
+            if (digit && digit !== previous) {
+                code += digit;
+            }
+            // h and w don't separate letters with the same code; vowels do
+            if (letters[i] !== 'h' && letters[i] !== 'w') {
+                previous = digit;
+            }
+        }
+
+        return code.padEnd(4, '0');
+    }
+
+    /**
+     * Check whether one name is a nickname of the other
+     */
+    function isNickname(a, b) {
+        return (NICKNAMES[a] || []).includes(b) || (NICKNAMES[b] || []).includes(a);
+    }
+
+    /**
+     * Similarity of one spoken word to one word of a name (0-1)
+     * Nicknames score 0.95; words that sound alike score halfway between their
+     * spelling similarity and 1
+     */
+    function wordSimilarity(spoken, actual) {
+        const a = spoken.toLowerCase();
+        const b = actual.toLowerCase();
+
+        if (a === b) return 1;
+        if (isNickname(a, b)) return 0.95;
+
+        const score = similarity(a, b);
+        return soundex(a) === soundex(b) ? (score + 1) / 2 : score;
+    }
+
+    /**
+     * Split a name into lowercase words
+     */
+    function nameWords(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z' -]/g, ' ').split(/[\s-]+/).filter(Boolean);
+    }
+
+    /**
+     * Score a spoken name against a roster name (0-1), in either name order
+     * A single spoken word (first or last name only) scores at most 0.85, as it can
+     * never identify a student on its own
+     * @param {string} spokenName - Name as heard, e.g. "Emma Johnson" or "Johnson Emma"
+     * @param {string} studentName - Name from the roster
+     * @returns {number} Score
+     */
+    function nameScore(spokenName, studentName) {
+        const spoken = nameWords(spokenName);
+        const actual = nameWords(studentName);
+        if (spoken.length === 0 || actual.length === 0) return 0;
+
+        if (spoken.length === 1) {
+            return Math.max(...actual.map(word => wordSimilarity(spoken[0], word))) * 0.85;
+        }
+
+        // First and last words carry the name; middle names and extra words only cost a little
+        const compare = (first, last) => {
+            const score = (wordSimilarity(spoken[0], first) + wordSimilarity(spoken[spoken.length - 1], last)) / 2;
+            return spoken.length === actual.length ? score : score * 0.95;
+        };
+
+        const firstLast = compare(actual[0], actual[actual.length - 1]);
+        const lastFirst = actual.length > 1 ? compare(actual[actual.length - 1], actual[0]) : 0;
+        return Math.max(firstLast, lastFirst);
+    }
+
+    /**
+     * Rank roster students for a spoken name
+     * A matching grade adds a little to the score and a different grade takes a little
+     * away, so a misheard grade can't hide the right student
+     * @param {string} spokenName - Name as heard
+     * @param {Array<{name: string, grade: string}>} roster - Student roster
+     * @param {Object} [options] - {grade, threshold (default 0.5), limit (default 5)}
+     * @returns {Array<{student: Object, score: number}>} Candidates, best first
+     */
+    function rankCandidates(spokenName, roster, options = {}) {
+        const { grade = null, threshold = 0.5, limit = 5 } = options;
+        if (!spokenName || !roster || roster.length === 0) {
+            return [];
+        }
+
+        const candidates = [];
+        for (const student of roster) {
+            let score = nameScore(spokenName, student.name);
+            if (grade && student.grade) {
+                score = String(student.grade).toLowerCase() === String(grade).toLowerCase()
+                    ? Math.min(1, score + 0.05)
+                    : score * 0.9;
+            }
+            if (score >= threshold) {
+                candidates.push({ student, score });
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        return candidates.slice(0, limit);
+    }
+
     /**
      * Find best matching student from roster
      * @param {string} inputName - Name to match
@@ -193,6 +371,9 @@
         findByGrade,
         searchByPrefix,
         autoCorrect,
+        rankCandidates,
+        nameScore,
+        soundex,
         similarity,
         levenshteinDistance
     };
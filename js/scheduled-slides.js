@@ -1,42 +1,63 @@
 /**
  * Scheduled Slides Module
  * Handles scheduling slides to appear at specific times/dates
+ *
+ * Schedules are stored on the server in the `slideSchedules` setting, keyed by
+ * slide ID, and handed to this module by the theme loader whenever settings
+ * arrive. Every display evaluates them against its own clock.
  */
 
 (function() {
     'use strict';
 
-    let scheduledSlides = [];
+    // Schedules keyed by slide ID
+    let slideSchedules = {};
     let scheduleCheckInterval = null;
 
     /**
-     * Load scheduled slides from settings
+     * Replace the current schedules (from the `slideSchedules` setting)
+     * @param {Object} schedules - Map of slide ID to schedule configuration
      */
-    function loadScheduledSlides() {
-        try {
-            const saved = localStorage.getItem('scheduledSlides');
-            if (saved) {
-                scheduledSlides = JSON.parse(saved);
-                console.log(`Loaded ${scheduledSlides.length} scheduled slides`);
-            }
-        } catch (error) {
-            console.error('Error loading scheduled slides:', error);
-            scheduledSlides = [];
-        }
+    function setSchedules(schedules) {
+        slideSchedules = (schedules && typeof schedules === 'object' && !Array.isArray(schedules))
+            ? schedules
+            : {};
+        console.log(`Loaded ${Object.keys(slideSchedules).length} slide schedules`);
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string} Local date string
+     */
+    function toLocalDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Convert an HH:MM string to minutes since midnight
+     * @param {string} time - Time string
+     * @returns {number} Minutes since midnight
+     */
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
     }
 
     /**
      * Check if a scheduled slide should be shown now
      * @param {Object} schedule - Schedule configuration
+     * @param {Date} [now] - Time to check against (defaults to the current time)
      * @returns {boolean} True if the slide should be shown
      */
-    function shouldShowSlide(schedule) {
+    function shouldShowSlide(schedule, now = new Date()) {
         if (!schedule || !schedule.enabled) return false;
 
-        const now = new Date();
         const currentTime = now.getHours() * 60 + now.getMinutes();
         const currentDay = now.getDay(); // 0 = Sunday, 6 = Saturday
-        const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
+        const currentDate = toLocalDateString(now); // Schedules are entered in school-local time
 
         // Check date range if specified
         if (schedule.startDate && currentDate < schedule.startDate) return false;
@@ -47,30 +68,13 @@
             if (!schedule.daysOfWeek.includes(currentDay)) return false;
         }
 
-        // Check time range
-        if (schedule.startTime) {
-            const [startHour, startMin] = schedule.startTime.split(':').map(Number);
-            const startMinutes = startHour * 60 + startMin;
-            if (currentTime < startMinutes) return false;
-        }
-
-        if (schedule.endTime) {
-            const [endHour, endMin] = schedule.endTime.split(':').map(Number);
-            const endMinutes = endHour * 60 + endMin;
-            if (currentTime > endMinutes) return false;
-        }
+        // Check time range (the end minute is inclusive, so 13:00 still shows at 13:00)
+        if (schedule.startTime && currentTime < toMinutes(schedule.startTime)) return false;
+        if (schedule.endTime && currentTime > toMinutes(schedule.endTime)) return false;
 
         return true;
     }
 
-    /**
-     * Get all currently active scheduled slides
-     * @returns {Array} Array of active slide configurations
-     */
-    function getActiveScheduledSlides() {
-        return scheduledSlides.filter(slide => shouldShowSlide(slide.schedule));
-    }
-
     /**
      * Filter slides based on schedule
      * @param {Array} allSlides - All configured slides
@@ -79,16 +83,16 @@
     function filterScheduledSlides(allSlides) {
         if (!allSlides || !Array.isArray(allSlides)) return allSlides;
 
-        return allSlides.filter((slide, index) => {
-            // Check if this slide has a schedule
-            const scheduleConfig = scheduledSlides.find(s => s.slideIndex === index);
+        const now = new Date();
+        return allSlides.filter(slide => {
+            const schedule = slide && slide.id ? slideSchedules[slide.id] : null;
 
-            if (!scheduleConfig) {
+            if (!schedule || !schedule.enabled) {
                 // No schedule = always show
                 return true;
             }
 
-            return shouldShowSlide(scheduleConfig.schedule);
+            return shouldShowSlide(schedule, now);
         });
     }
 
@@ -102,9 +106,9 @@
 
         // Check every minute
         scheduleCheckInterval = setInterval(() => {
-            // Notify slideshow to re-check active slides
-            if (window.Slideshow && window.Slideshow.checkSchedule) {
-                window.Slideshow.checkSchedule();
+            // Let the theme loader re-render if the set of visible slides changed
+            if (window.ThemeLoader && window.ThemeLoader.checkSchedule) {
+                window.ThemeLoader.checkSchedule();
             }
         }, 60000);
 
@@ -121,55 +125,24 @@
         }
     }
 
-    /**
-     * Add or update a slide schedule
-     * @param {number} slideIndex - Index of the slide
-     * @param {Object} schedule - Schedule configuration
-     */
-    function setSlideSchedule(slideIndex, schedule) {
-        const existingIndex = scheduledSlides.findIndex(s => s.slideIndex === slideIndex);
-
-        if (existingIndex >= 0) {
-            scheduledSlides[existingIndex].schedule = schedule;
-        } else {
-            scheduledSlides.push({ slideIndex, schedule });
-        }
-
-        localStorage.setItem('scheduledSlides', JSON.stringify(scheduledSlides));
-    }
-
-    /**
-     * Remove a slide schedule
-     * @param {number} slideIndex - Index of the slide
-     */
-    function removeSlideSchedule(slideIndex) {
-        scheduledSlides = scheduledSlides.filter(s => s.slideIndex !== slideIndex);
-        localStorage.setItem('scheduledSlides', JSON.stringify(scheduledSlides));
-    }
-
     /**
      * Get schedule for a specific slide
-     * @param {number} slideIndex - Index of the slide
+     * @param {string} slideId - ID of the slide
      * @returns {Object|null} Schedule configuration or null
      */
-    function getSlideSchedule(slideIndex) {
-        const found = scheduledSlides.find(s => s.slideIndex === slideIndex);
-        return found ? found.schedule : null;
+    function getSlideSchedule(slideId) {
+        return slideSchedules[slideId] || null;
     }
 
     // Initialize
-    loadScheduledSlides();
     startScheduleCheck();
 
     // Expose public API
     window.ScheduledSlides = {
+        setSchedules,
         shouldShowSlide,
-        getActiveScheduledSlides,
         filterScheduledSlides,
-        setSlideSchedule,
-        removeSlideSchedule,
         getSlideSchedule,
-        reload: loadScheduledSlides,
         startCheck: startScheduleCheck,
         stopCheck: stopScheduleCheck
     };
@@ -11,8 +11,9 @@
     const API_BASE = '/api/settings';
     const AUTH_BASE = '/api/auth';
 
-    // Store session token
+    // Store session token and the account it belongs to
     let sessionToken = sessionStorage.getItem('api_session_token');
+    let currentUser = JSON.parse(sessionStorage.getItem('api_session_user') || 'null');
 
     /**
      * Settings API Client
@@ -20,17 +21,18 @@
     const SettingsAPI = {
         /**
          * Login to API and get session token
-         * @param {string} apiKey - API key
-         * @returns {Promise<Object>} Login response with session token
+         * @param {string} username - Account username
+         * @param {string} password - Account password
+         * @returns {Promise<Object>} Login response with session token and user
          */
-        async login(apiKey) {
+        async login(username, password) {
             try {
                 const response = await fetch(`${AUTH_BASE}/login`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({ apiKey })
+                    body: JSON.stringify({ username, password })
                 });
 
                 if (!response.ok) {
@@ -41,7 +43,8 @@
                 const result = await response.json();
                 sessionToken = result.sessionToken;
                 sessionStorage.setItem('api_session_token', sessionToken);
-                console.log('API authentication successful');
+                this.setUser(result.user);
+                console.log(`API authentication successful (${result.user.username}, ${result.user.role})`);
                 return result;
             } catch (error) {
                 console.error('API login failed:', error);
@@ -66,8 +69,7 @@
             } catch (error) {
                 console.error('Logout error:', error);
             } finally {
-                sessionToken = null;
-                sessionStorage.removeItem('api_session_token');
+                this.clearSession();
             }
         },
 
@@ -114,6 +116,8 @@
                 });
 
                 if (response.ok) {
+                    const result = await response.json();
+                    this.setUser(result.user);
                     return true;
                 }
 
@@ -135,7 +139,41 @@
          */
         clearSession() {
             sessionToken = null;
+            currentUser = null;
             sessionStorage.removeItem('api_session_token');
+            sessionStorage.removeItem('api_session_user');
+        },
+
+        /**
+         * Remember the logged-in user
+         * @param {Object} user - User summary from the server
+         */
+        setUser(user) {
+            currentUser = user || null;
+            if (currentUser) {
+                sessionStorage.setItem('api_session_user', JSON.stringify(currentUser));
+            } else {
+                sessionStorage.removeItem('api_session_user');
+            }
+        },
+
+        /**
+         * Get the logged-in user
+         * @returns {Object|null} {username, displayName, role, roleName} or null
+         */
+        getUser() {
+            return currentUser;
+        },
+
+        /**
+         * Check whether the logged-in user has one of the given roles
+         * Administrators have every role. UI checks only - the server enforces access.
+         * @param {...string} roles - Role names (e.g. 'content_editor')
+         * @returns {boolean} True if allowed
+         */
+        hasRole(...roles) {
+            if (!currentUser) return false;
+            return currentUser.role === 'admin' || roles.includes(currentUser.role);
         },
 
         /**
@@ -217,14 +255,16 @@
          * Save a specific setting key
          * @param {string} key - Setting key
          * @param {*} value - Setting value
+         * @param {string} [target] - 'group:<id>' or 'display:<id>' to save an override
+         *   for that group or display only (null value removes the override)
          * @returns {Promise<Object>} Response from server
          */
-        async save(key, value) {
+        async save(key, value, target) {
             try {
                 const response = await fetch(`${API_BASE}/${key}`, {
                     method: 'POST',
                     headers: this.getAuthHeaders(),
-                    body: JSON.stringify({ value })
+                    body: JSON.stringify(target ? { value, target } : { value })
                 });
 
                 if (!response.ok) {
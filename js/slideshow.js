@@ -5,12 +5,20 @@
  * (loaded from JSON) and HTML-based slides. Includes automatic advancement, manual navigation,
  * and graceful error handling for missing images.
  *
+ * Each slide stays up for the slideshow interval unless it sets its own time in seconds
+ * (data-duration). A slide with a video and no time of its own stays up until the video
+ * ends. Videos start from the beginning each time their slide is shown and play muted
+ * unless the slide asks for sound (data-sound), since kiosk browsers only autoplay muted
+ * video; if the browser blocks sound the video plays muted instead.
+ *
  * @example
  * // Module initializes automatically and provides public API
  * window.Slideshow.next(); // Advance to next slide
  * window.Slideshow.previous(); // Go to previous slide
  * window.Slideshow.show(); // Show slideshow
  * window.Slideshow.hide(); // Hide slideshow
+ * window.Slideshow.goTo(2); // Jump to the third slide
+ * window.Slideshow.pause(); // Stop auto-advancing (resume() to continue)
  *
  * @requires module:constants - For intervals, folders, and CSS classes
  * @requires module:error-handler - For error notifications
@@ -25,8 +33,11 @@
     // State
     let currentSlide = 0;
     let slides = [];
-    let slideshowInterval = null;
+    let advanceTimer = null;
+    let isAdvancing = false;
+    let videoListeners = null; // AbortController for the listeners on the current slide's video
     let imageSlides = [];
+    let isPaused = false;
 
     /**
      * Loads image slides from the slides folder
@@ -80,9 +91,9 @@
     }
 
     /**
-     * Creates image slide elements in the DOM
+     * Creates image and video slide elements in the DOM
      * @param {string} slidesFolder - Path to slides folder
-     * @param {Array} images - Array of image filenames
+     * @param {Array} images - Image or video filenames (.mp4, .webm), or {file, duration} objects
      */
     function createImageSlides(slidesFolder, images) {
         const slideshowContainer = document.getElementById(CONSTANTS.ELEMENT_IDS.SLIDESHOW_CONTAINER);
@@ -100,14 +111,23 @@
         slideshowContainer.innerHTML = '';
 
         // Create image slides with error handling
-        images.forEach((imageName, index) => {
+        images.forEach((entry, index) => {
+            const imageName = typeof entry === 'string' ? entry : entry.file;
             const slideDiv = document.createElement('div');
             slideDiv.className = CONSTANTS.CSS_CLASSES.SLIDE;
             if (index === 0) slideDiv.classList.add(CONSTANTS.CSS_CLASSES.SLIDE_ACTIVE);
+            if (entry.duration) slideDiv.dataset.duration = entry.duration;
 
-            const img = document.createElement('img');
+            const isVideo = /\.(mp4|webm)$/i.test(imageName);
+            const img = document.createElement(isVideo ? 'video' : 'img');
             img.src = `${slidesFolder}/${imageName}`;
-            img.alt = `Slide ${index + 1}`;
+            if (isVideo) {
+                img.muted = true;
+                img.playsInline = true;
+                img.preload = 'auto';
+            } else {
+                img.alt = `Slide ${index + 1}`;
+            }
             img.style.width = '100%';
             img.style.height = '100%';
             img.style.objectFit = 'contain';
@@ -144,10 +164,131 @@
         if (slides.length > 0) {
             showSlide(0);
 
-            // Auto-advance slides
-            const interval = (window.CONFIG && window.CONFIG.SLIDESHOW_INTERVAL) || CONSTANTS.SLIDESHOW_DEFAULT_INTERVAL_MS;
-            slideshowInterval = setInterval(nextSlide, interval);
+            // Auto-advance slides (unless paused remotely)
+            if (!isPaused) {
+                startAutoAdvance();
+            }
+        }
+    }
+
+    /**
+     * Starts advancing through the slides
+     */
+    function startAutoAdvance() {
+        isAdvancing = true;
+        scheduleAdvance();
+    }
+
+    /**
+     * Slideshow interval from the general settings
+     * @returns {number} Milliseconds
+     */
+    function getInterval() {
+        return (window.CONFIG && window.CONFIG.SLIDESHOW_INTERVAL) || CONSTANTS.SLIDESHOW_DEFAULT_INTERVAL_MS;
+    }
+
+    /**
+     * Cancels the pending move to the next slide
+     */
+    function clearAdvance() {
+        if (advanceTimer) {
+            clearTimeout(advanceTimer);
+            advanceTimer = null;
         }
+        if (videoListeners) {
+            videoListeners.abort();
+            videoListeners = null;
+        }
+    }
+
+    /**
+     * Sets up the move to the next slide for the current slide: after its own time,
+     * when its video ends, or after the slideshow interval
+     */
+    function scheduleAdvance() {
+        clearAdvance();
+        if (!isAdvancing || slides.length === 0) return;
+
+        const slide = slides[currentSlide];
+        const seconds = parseFloat(slide.dataset.duration);
+        const video = slide.querySelector('video');
+
+        if (seconds > 0) {
+            advanceTimer = setTimeout(nextSlide, seconds * 1000);
+        } else if (video) {
+            waitForVideo(video);
+        } else {
+            advanceTimer = setTimeout(nextSlide, getInterval());
+        }
+    }
+
+    /**
+     * Moves on when the video ends. A video that fails, or never loads or reports its end,
+     * can't hold up the playlist: it gets the slideshow interval, the load timeout or its
+     * length plus a grace period instead.
+     * @param {HTMLVideoElement} video - Video on the current slide
+     */
+    function waitForVideo(video) {
+        videoListeners = new AbortController();
+        const { signal } = videoListeners;
+        const moveOn = delay => {
+            clearTimeout(advanceTimer);
+            advanceTimer = setTimeout(nextSlide, delay);
+        };
+
+        video.addEventListener('ended', nextSlide, { signal });
+        video.addEventListener('error', () => moveOn(getInterval()), { signal });
+
+        const setEndTimer = () => {
+            if (Number.isFinite(video.duration)) {
+                moveOn(video.duration * 1000 + CONSTANTS.SLIDESHOW_VIDEO_END_GRACE_MS);
+            }
+        };
+        if (video.error) {
+            moveOn(getInterval());
+        } else if (video.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            setEndTimer();
+        } else {
+            video.addEventListener('loadedmetadata', setEndTimer, { signal });
+            moveOn(CONSTANTS.SLIDESHOW_VIDEO_LOAD_TIMEOUT_MS);
+        }
+    }
+
+    /**
+     * Plays the videos on a slide from the start
+     * @param {HTMLElement} slide - Slide being shown
+     */
+    function playMedia(slide) {
+        const hasDuration = parseFloat(slide.dataset.duration) > 0;
+        slide.querySelectorAll('video').forEach(video => {
+            video.loop = hasDuration; // a clip shorter than the slide's time repeats
+            video.muted = video.dataset.sound !== 'true';
+            video.playsInline = true;
+            try {
+                video.currentTime = 0;
+            } catch (error) {
+                // Not loaded yet; it starts from the beginning anyway
+            }
+
+            const playing = video.play();
+            if (playing) {
+                playing.catch(() => {
+                    // Browsers block autoplay with sound without a user gesture; play muted instead
+                    if (!video.muted) {
+                        video.muted = true;
+                        video.play().catch(error => console.warn('Video slide could not play:', error));
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Pauses the videos on a slide
+     * @param {HTMLElement} slide - Slide being hidden
+     */
+    function pauseMedia(slide) {
+        slide.querySelectorAll('video').forEach(video => video.pause());
     }
 
     /**
@@ -155,8 +296,6 @@
      * @param {number} index - Slide index to display
      */
     function showSlide(index) {
-        slides.forEach(slide => slide.classList.remove(CONSTANTS.CSS_CLASSES.SLIDE_ACTIVE));
-
         if (index >= slides.length) {
             currentSlide = 0;
         } else if (index < 0) {
@@ -165,7 +304,15 @@
             currentSlide = index;
         }
 
+        slides.forEach((slide, i) => {
+            if (i !== currentSlide) {
+                slide.classList.remove(CONSTANTS.CSS_CLASSES.SLIDE_ACTIVE);
+                pauseMedia(slide);
+            }
+        });
+
         slides[currentSlide].classList.add(CONSTANTS.CSS_CLASSES.SLIDE_ACTIVE);
+        playMedia(slides[currentSlide]);
     }
 
     /**
@@ -173,6 +320,7 @@
      */
     function nextSlide() {
         showSlide(currentSlide + 1);
+        scheduleAdvance();
     }
 
     /**
@@ -180,15 +328,47 @@
      */
     function previousSlide() {
         showSlide(currentSlide - 1);
+        scheduleAdvance();
     }
 
     /**
      * Stops the slideshow
      */
     function stopSlideshow() {
-        if (slideshowInterval) {
-            clearInterval(slideshowInterval);
-            slideshowInterval = null;
+        isAdvancing = false;
+        clearAdvance();
+    }
+
+    /**
+     * Jumps to a slide and restarts its timing so it gets its full time
+     * @param {number} index - Zero-based slide index
+     * @returns {boolean} False if the index is out of range
+     */
+    function goToSlide(index) {
+        if (index < 0 || index >= slides.length) {
+            return false;
+        }
+
+        showSlide(index);
+        scheduleAdvance();
+        return true;
+    }
+
+    /**
+     * Pauses auto-advance on the current slide
+     */
+    function pause() {
+        isPaused = true;
+        stopSlideshow();
+    }
+
+    /**
+     * Resumes auto-advance after a pause
+     */
+    function resume() {
+        isPaused = false;
+        if (!isAdvancing && slides.length > 0) {
+            startAutoAdvance();
         }
     }
 
@@ -220,6 +400,7 @@
             slideshowContainer.style.display = 'none';
         }
         stopSlideshow();
+        slides.forEach(pauseMedia);
     }
 
     /**
@@ -238,7 +419,13 @@
         previous: previousSlide,
         show,
         hide,
-        restart: restartSlideshow
+        restart: restartSlideshow,
+        goTo: goToSlide,
+        pause,
+        resume,
+        isPaused: () => isPaused,
+        getSlideCount: () => slides.length,
+        getCurrentIndex: () => currentSlide
     };
 
     // Initialize when DOM is ready
@@ -13,6 +13,12 @@
     let reconnectTimeout = null;
     let settings = {};
 
+    // Display ID assigned by the server; kept so this screen keeps its name across reloads
+    let displayId = localStorage.getItem('displayId');
+
+    // Slides currently rendered, so the minute schedule check only re-renders on a change
+    let renderedSlideKey = null;
+
     /**
      * Converts hex color to RGB object
      * @param {string} hex - Hex color code (e.g., '#1e3c72')
@@ -69,6 +75,14 @@
                 root.style.setProperty('--color-accent-gold', theme.accentColor);
             }
 
+            // Apply news ticker colors (the speed is passed to the ticker with its items)
+            if (theme.tickerBg) {
+                root.style.setProperty('--color-ticker-bg', theme.tickerBg);
+            }
+            if (theme.tickerTextColor) {
+                root.style.setProperty('--color-ticker-text', theme.tickerTextColor);
+            }
+
             console.log('✓ Custom theme applied');
         } catch (error) {
             console.error('Error applying custom theme:', error);
@@ -96,6 +110,9 @@
                 if (index === 0) slideElement.classList.add('active');
                 slideElement.setAttribute('role', 'article');
                 slideElement.setAttribute('aria-label', `Slide ${index + 1}`);
+                if (slide.duration > 0) {
+                    slideElement.dataset.duration = slide.duration; // seconds; otherwise the interval, or until its video ends
+                }
                 slideElement.innerHTML = slide.content;
                 slideshowContainer.appendChild(slideElement);
             });
@@ -111,6 +128,52 @@
         }
     }
 
+    /**
+     * Apply the custom slides whose schedule allows them right now
+     * @param {array} allSlides - All custom slides from settings
+     * @param {object} schedules - Slide schedules keyed by slide ID
+     */
+    function applyScheduledSlides(allSlides, schedules) {
+        if (!allSlides || !Array.isArray(allSlides) || allSlides.length === 0) return;
+
+        if (window.ScheduledSlides) {
+            window.ScheduledSlides.setSchedules(schedules);
+        }
+        renderedSlideKey = null;
+        checkSchedule();
+    }
+
+    /**
+     * Re-evaluate slide schedules and re-render if the visible slides changed
+     */
+    function checkSchedule() {
+        const allSlides = settings.customSlides;
+        if (!allSlides || !Array.isArray(allSlides) || allSlides.length === 0) return;
+
+        const visibleSlides = window.ScheduledSlides
+            ? window.ScheduledSlides.filterScheduledSlides(allSlides)
+            : allSlides;
+        const slideKey = visibleSlides.map(slide => allSlides.indexOf(slide)).join(',');
+
+        if (slideKey === renderedSlideKey) return;
+        renderedSlideKey = slideKey;
+
+        if (visibleSlides.length === 0) {
+            // Everything is scheduled and nothing is due - don't leave an expired slide up
+            const slideshowContainer = document.getElementById('slideshowContainer');
+            if (slideshowContainer) {
+                slideshowContainer.innerHTML = '';
+            }
+            if (window.Slideshow && window.Slideshow.restart) {
+                window.Slideshow.restart();
+            }
+            console.log('No scheduled slides are active right now');
+            return;
+        }
+
+        applySlides(visibleSlides);
+    }
+
     /**
      * Apply general settings
      * @param {object} config - General configuration object
@@ -200,11 +263,31 @@
         applyGeneralSettings(settings.generalConfig);
         applyLivestreamSettings(settings.livestreamConfig);
 
+        // Alert types are edited in the admin panel's emergency tab
+        if (settings.alertTypes && window.EmergencyAlert) {
+            window.EmergencyAlert.setTypes(settings.alertTypes);
+        }
+
+        // Lanes this display shows during dismissal (per group/display in the Display Manager)
+        if (settings.dismissalLanes && window.DismissalDisplay) {
+            window.DismissalDisplay.setLanes(settings.dismissalLanes, settings.dismissalView);
+        }
+
+        // Whether and how this display reads out called students (also per group/display)
+        if (window.DismissalAnnouncer) {
+            window.DismissalAnnouncer.configure(settings.dismissalAnnouncements);
+        }
+
+        // News ticker items are edited in the admin panel's slide tab
+        if (window.Ticker) {
+            window.Ticker.apply(settings.tickerItems, settings.customTheme && settings.customTheme.tickerSpeed);
+        }
+
         // Apply slides after DOM is ready
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => applySlides(settings.customSlides));
+            document.addEventListener('DOMContentLoaded', () => applyScheduledSlides(settings.customSlides, settings.slideSchedules));
         } else {
-            applySlides(settings.customSlides);
+            applyScheduledSlides(settings.customSlides, settings.slideSchedules);
         }
 
         // Apply slide mode
@@ -219,7 +302,9 @@
      */
     async function loadSettingsFromAPI() {
         try {
-            const response = await fetch('/api/settings');
+            // With the display ID the server returns this display's slides and overrides
+            const query = displayId ? `?displayId=${encodeURIComponent(displayId)}` : '';
+            const response = await fetch(`/api/settings${query}`);
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -240,6 +325,7 @@
     function loadFromLocalStorage() {
         const customTheme = localStorage.getItem('customTheme');
         const customSlides = localStorage.getItem('customSlides');
+        const slideSchedules = localStorage.getItem('slideSchedules');
         const generalConfig = localStorage.getItem('generalConfig');
         const livestreamConfig = localStorage.getItem('livestreamConfig');
         const useImageSlides = localStorage.getItem('USE_IMAGE_SLIDES');
@@ -249,10 +335,13 @@
         if (livestreamConfig) applyLivestreamSettings(JSON.parse(livestreamConfig));
 
         if (customSlides) {
+            settings.customSlides = JSON.parse(customSlides);
+            settings.slideSchedules = slideSchedules ? JSON.parse(slideSchedules) : {};
+
             if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', () => applySlides(JSON.parse(customSlides)));
+                document.addEventListener('DOMContentLoaded', () => applyScheduledSlides(settings.customSlides, settings.slideSchedules));
             } else {
-                applySlides(JSON.parse(customSlides));
+                applyScheduledSlides(settings.customSlides, settings.slideSchedules);
             }
         }
 
@@ -273,7 +362,15 @@
 
         console.log('Connecting to real-time settings stream...');
 
-        eventSource = new EventSource('/api/settings/stream');
+        const params = new URLSearchParams({
+            page: location.pathname.replace(/^\/|\.html$/g, '') || 'index',
+            resolution: `${window.screen.width}x${window.screen.height}`
+        });
+        if (displayId) {
+            params.set('displayId', displayId);
+        }
+
+        eventSource = new EventSource(`/api/settings/stream?${params.toString()}`);
 
         eventSource.onopen = function() {
             console.log('✓ Connected to real-time settings stream');
@@ -281,6 +378,9 @@
                 clearTimeout(reconnectTimeout);
                 reconnectTimeout = null;
             }
+            if (window.DismissalDisplay) {
+                window.DismissalDisplay.setStreamConnected(true);
+            }
         };
 
         eventSource.onmessage = function(event) {
@@ -289,10 +389,27 @@
 
                 if (data.type === 'initial') {
                     console.log('✓ Received initial settings from stream');
+                    if (data.displayId && data.displayId !== displayId) {
+                        displayId = data.displayId;
+                        localStorage.setItem('displayId', displayId);
+                    }
                     applyAllSettings(data.settings);
 
-                    // Check for active emergency alert on initial load
-                    checkEmergencyStatus();
+                    // Re-render any alert or dismissal that is active on the server
+                    if (data.emergency) {
+                        applyEmergencyState(data.emergency);
+                    } else {
+                        checkEmergencyStatus();
+                    }
+                    if (data.dismissal && window.DismissalDisplay) {
+                        window.DismissalDisplay.applyState(data.dismissal);
+                    }
+                    if (data.weather && window.Weather) {
+                        window.Weather.apply(data.weather);
+                    }
+                    if (data.weatherAlerts && window.WeatherAlerts) {
+                        window.WeatherAlerts.apply(data.weatherAlerts);
+                    }
                 } else if (data.type === 'settings_update') {
                     console.log('✓ Settings updated from server!');
                     console.log('Updated keys:', data.key || 'all settings');
@@ -314,6 +431,23 @@
                     if (window.EmergencyAlert) {
                         window.EmergencyAlert.hide();
                     }
+                } else if (data.type === 'dismissal_start' || data.type === 'dismissal_update' || data.type === 'dismissal_end') {
+                    if (window.DismissalDisplay) {
+                        window.DismissalDisplay.handleStreamEvent(data);
+                    }
+                } else if (data.type === 'weather_update') {
+                    if (window.Weather) {
+                        window.Weather.apply(data.weather);
+                    }
+                } else if (data.type === 'weather_alerts') {
+                    if (window.WeatherAlerts) {
+                        window.WeatherAlerts.apply(data.alerts);
+                    }
+                } else if (data.type === 'command') {
+                    // Remote command from the admin panel
+                    if ((data.targetDisplay === '*' || data.targetDisplay === displayId) && window.DisplayCommands) {
+                        window.DisplayCommands.handle(data);
+                    }
                 } else if (data.type === 'server_shutdown') {
                     console.log('Server is shutting down, will reconnect...');
                 }
@@ -326,6 +460,11 @@
             console.error('SSE connection error:', error);
             eventSource.close();
 
+            // Dismissal falls back to polling until the stream is back
+            if (window.DismissalDisplay) {
+                window.DismissalDisplay.setStreamConnected(false);
+            }
+
             // Reconnect after 5 seconds
             if (!reconnectTimeout) {
                 reconnectTimeout = setTimeout(() => {
@@ -341,18 +480,31 @@
      */
     async function checkEmergencyStatus() {
         try {
-            const response = await fetch('/api/emergency/status');
+            const query = displayId ? `?displayId=${encodeURIComponent(displayId)}` : '';
+            const response = await fetch(`/api/emergency/status${query}`);
             const data = await response.json();
-
-            if (data.active && data.alert && window.EmergencyAlert) {
-                console.log('⚠️ Active emergency alert found');
-                window.EmergencyAlert.show(data.alert);
-            }
+            applyEmergencyState(data);
         } catch (error) {
             console.error('Error checking emergency status:', error);
         }
     }
 
+    /**
+     * Show or clear the emergency overlay to match server state
+     * @param {object} state - {active, alert} from the server
+     */
+    function applyEmergencyState(state) {
+        if (!window.EmergencyAlert) return;
+
+        if (state.active && state.alert) {
+            console.log('⚠️ Active emergency alert found');
+            window.EmergencyAlert.show(state.alert);
+        } else if (window.EmergencyAlert.isActive()) {
+            // Alert was cancelled while we were disconnected
+            window.EmergencyAlert.hide();
+        }
+    }
+
     /**
      * Initialize theme loader
      */
@@ -367,6 +519,13 @@
     // Run immediately
     init();
 
+    // Expose for modules that talk back to the server (e.g. command acknowledgements)
+    window.ThemeLoader = {
+        getDisplayId: () => displayId,
+        reload: loadSettingsFromAPI,
+        checkSchedule
+    };
+
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
         if (eventSource) {
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview News Ticker - Scrolls short announcements along the bottom of the display
+ * @module ticker
+ * @description Ticker items ("Buses running 10 minutes late") are edited in the admin
+ * panel's slide tab and stored in the `tickerItems` setting, which the theme loader hands
+ * to this module on load and on every settings update. Each item can have a start and
+ * end time in school-local time, checked against the display's own clock. High priority
+ * items scroll first. Urgent items interrupt the crawl: while one is active only urgent
+ * items are shown, in the critical color, and the normal crawl resumes when they end.
+ * Colors come from the customTheme (--color-ticker-bg, --color-ticker-text) and so does
+ * the scroll speed (tickerSpeed, in pixels per second).
+ *
+ * @requires module:theme-loader - Forwards the ticker items and theme from the settings stream
+ */
+
+(function() {
+    'use strict';
+
+    const SCHEDULE_CHECK_MS = 15000;
+    const DEFAULT_SPEED = 100; // pixels per second
+    const PRIORITY_ORDER = { urgent: 0, high: 1, normal: 2 };
+
+    // State
+    let items = []; // [{id, text, priority, startsAt, endsAt, enabled}]
+    let speed = DEFAULT_SPEED;
+    let ticker = null;
+    let lastKey = null;
+
+    /**
+     * Create the ticker bar (hidden until an item is due)
+     */
+    function createTicker() {
+        if (ticker) return ticker;
+
+        ticker = document.createElement('div');
+        ticker.id = 'newsTicker';
+        ticker.className = 'news-ticker';
+        ticker.setAttribute('role', 'marquee');
+        ticker.style.display = 'none';
+        ticker.innerHTML = `
+            <div class="news-ticker-label">NEWS</div>
+            <div class="news-ticker-track"><div class="news-ticker-text"></div></div>
+        `;
+        document.body.appendChild(ticker);
+
+        if (!document.getElementById('newsTickerStyles')) {
+            const styles = document.createElement('style');
+            styles.id = 'newsTickerStyles';
+            styles.textContent = `
+                .news-ticker {
+                    position: fixed;
+                    left: 0;
+                    right: 0;
+                    bottom: 0;
+                    z-index: 8000;
+                    display: flex;
+                    align-items: stretch;
+                    height: 3.5rem;
+                    font-size: 1.75rem;
+                    font-weight: 600;
+                    color: var(--color-ticker-text);
+                    background: var(--color-ticker-bg);
+                    border-top: 3px solid var(--color-accent-gold);
+                }
+
+                .news-ticker.urgent {
+                    color: #fff;
+                    background: var(--color-critical);
+                    border-top-color: #fff;
+                }
+
+                .news-ticker-label {
+                    display: flex;
+                    align-items: center;
+                    padding: 0 1.25rem;
+                    white-space: nowrap;
+                    color: #000;
+                    background: var(--color-accent-gold);
+                    letter-spacing: 1px;
+                }
+
+                .news-ticker.urgent .news-ticker-label {
+                    color: var(--color-critical);
+                    background: #fff;
+                    animation: newsTickerPulse 1s ease-in-out infinite alternate;
+                }
+
+                .news-ticker-track {
+                    position: relative;
+                    flex: 1;
+                    overflow: hidden;
+                }
+
+                .news-ticker-text {
+                    position: absolute;
+                    top: 50%;
+                    left: 0;
+                    white-space: nowrap;
+                    transform: translateY(-50%);
+                    animation: newsTickerScroll var(--scroll-duration, 30s) linear infinite;
+                }
+
+                .news-ticker-item.high {
+                    color: var(--color-accent-gold);
+                }
+
+                .news-ticker.urgent .news-ticker-item.high {
+                    color: inherit;
+                }
+
+                .news-ticker-item + .news-ticker-item::before {
+                    content: '•';
+                    margin: 0 2rem;
+                    color: var(--color-ticker-text);
+                }
+
+                /* Keep the school name, clock and weather clear of the ticker */
+                body.news-ticker-active .bottom-panel,
+                body.news-ticker-active .weather-panel {
+                    padding-bottom: 3.5rem;
+                }
+
+                @keyframes newsTickerScroll {
+                    from { transform: translate(var(--scroll-start, 100vw), -50%); }
+                    to { transform: translate(-100%, -50%); }
+                }
+
+                @keyframes newsTickerPulse {
+                    from { opacity: 1; }
+                    to { opacity: 0.6; }
+                }
+            `;
+            document.head.appendChild(styles);
+        }
+
+        return ticker;
+    }
+
+    /**
+     * Replace the ticker items and speed (from the settings)
+     * @param {Array<Object>} list - The `tickerItems` setting
+     * @param {number} [pixelsPerSecond] - tickerSpeed from the customTheme
+     */
+    function applyItems(list, pixelsPerSecond) {
+        items = Array.isArray(list) ? list : [];
+
+        const newSpeed = Number(pixelsPerSecond) > 0 ? Math.min(400, Math.max(20, Number(pixelsPerSecond))) : DEFAULT_SPEED;
+        if (newSpeed !== speed) {
+            speed = newSpeed;
+            lastKey = null; // recalculate the scroll duration
+        }
+
+        render();
+    }
+
+    /**
+     * The current time as a school-local 'YYYY-MM-DDTHH:MM', the format items are saved in
+     */
+    function toLocalDateTimeString(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Items to show now: urgent items alone if there are any, otherwise all due items, high priority first
+     * @param {Date} [now] - Time to check against (defaults to the current time)
+     * @returns {Object} {urgent, items}
+     */
+    function getDueItems(now = new Date()) {
+        const current = toLocalDateTimeString(now);
+        const due = items.filter(item => item.enabled !== false && item.text &&
+            (!item.startsAt || item.startsAt <= current) &&
+            (!item.endsAt || current < item.endsAt));
+
+        const urgent = due.filter(item => item.priority === 'urgent');
+        if (urgent.length > 0) {
+            return { urgent: true, items: urgent };
+        }
+
+        const sorted = due.slice().sort((a, b) =>
+            (PRIORITY_ORDER[a.priority] ?? 2) - (PRIORITY_ORDER[b.priority] ?? 2));
+        return { urgent: false, items: sorted };
+    }
+
+    /**
+     * Show the items that are due, or hide the ticker if there are none
+     */
+    function render() {
+        const due = getDueItems();
+        const bar = createTicker();
+
+        if (due.items.length === 0) {
+            bar.style.display = 'none';
+            document.body.classList.remove('news-ticker-active');
+            lastKey = null;
+            return;
+        }
+
+        const html = due.items.map(item =>
+            `<span class="news-ticker-item ${item.priority === 'high' ? 'high' : ''}">${escapeHtml(item.text)}</span>`
+        ).join('');
+        bar.style.display = 'flex';
+        document.body.classList.add('news-ticker-active');
+
+        // Restarting the scroll on every check would make it jump back to the start;
+        // a new urgent item changes the text, so it interrupts straight away
+        const key = `${due.urgent}|${html}`;
+        if (key === lastKey) return;
+        lastKey = key;
+
+        bar.classList.toggle('urgent', due.urgent);
+        bar.querySelector('.news-ticker-label').textContent = due.urgent ? 'URGENT' : 'NEWS';
+
+        const text = bar.querySelector('.news-ticker-text');
+        text.innerHTML = html;
+        const track = bar.querySelector('.news-ticker-track');
+        const distance = track.clientWidth + text.scrollWidth;
+        text.style.setProperty('--scroll-start', `${track.clientWidth}px`);
+        text.style.setProperty('--scroll-duration', `${Math.max(5, distance / speed)}s`);
+
+        // Restart the animation so the new text starts from the right edge
+        text.style.animation = 'none';
+        void text.offsetWidth;
+        text.style.animation = '';
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Initialize the ticker
+     */
+    function init() {
+        createTicker();
+        render();
+        setInterval(render, SCHEDULE_CHECK_MS);
+    }
+
+    // Export public API
+    window.Ticker = {
+        apply: applyItems,
+        getDueItems
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
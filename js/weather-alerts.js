@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Weather Alerts Ticker - Scrolls active watches and warnings across the top
+ * @module weather-alerts
+ * @description The API server reads the severe weather alerts feed for the school's
+ * location and sends the active alerts with the initial stream message and as
+ * weather_alerts updates. Warnings show in red, watches and advisories in amber.
+ * The ticker hides itself when the list is empty and drops alerts as they expire,
+ * even if the server can't be reached. Raising the full-screen Severe Weather alert
+ * is up to the server (see emergency-alert.js); this module only shows the ticker.
+ *
+ * @requires module:theme-loader - Forwards the alert list from the settings stream
+ */
+
+(function() {
+    'use strict';
+
+    const EXPIRY_CHECK_MS = 60000;
+    const SCROLL_PIXELS_PER_SECOND = 120;
+
+    // State
+    let alerts = []; // [{id, event, headline, severity, warning, areaDesc, expires}]
+    let ticker = null;
+    let lastText = null;
+
+    /**
+     * Create the ticker bar (hidden until there is an alert)
+     */
+    function createTicker() {
+        if (ticker) return ticker;
+
+        ticker = document.createElement('div');
+        ticker.id = 'weatherAlertTicker';
+        ticker.className = 'weather-alert-ticker';
+        ticker.setAttribute('role', 'marquee');
+        ticker.style.display = 'none';
+        ticker.innerHTML = `
+            <div class="weather-alert-label">⛈️ WEATHER</div>
+            <div class="weather-alert-track"><div class="weather-alert-text"></div></div>
+        `;
+        document.body.appendChild(ticker);
+
+        if (!document.getElementById('weatherAlertStyles')) {
+            const styles = document.createElement('style');
+            styles.id = 'weatherAlertStyles';
+            styles.textContent = `
+                .weather-alert-ticker {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    z-index: 9000;
+                    display: flex;
+                    align-items: stretch;
+                    height: 3rem;
+                    font-size: 1.5rem;
+                    font-weight: 600;
+                    color: #fff;
+                    background: #b45309;
+                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+                }
+
+                .weather-alert-ticker.warning {
+                    background: #b91c1c;
+                }
+
+                .weather-alert-label {
+                    display: flex;
+                    align-items: center;
+                    padding: 0 1rem;
+                    white-space: nowrap;
+                    background: rgba(0, 0, 0, 0.3);
+                }
+
+                .weather-alert-track {
+                    position: relative;
+                    flex: 1;
+                    overflow: hidden;
+                }
+
+                .weather-alert-text {
+                    position: absolute;
+                    top: 50%;
+                    left: 0;
+                    white-space: nowrap;
+                    transform: translateY(-50%);
+                    animation: weatherAlertScroll var(--scroll-duration, 30s) linear infinite;
+                }
+
+                .weather-alert-item + .weather-alert-item::before {
+                    content: '•';
+                    margin: 0 2rem;
+                }
+
+                @keyframes weatherAlertScroll {
+                    from { transform: translate(var(--scroll-start, 100vw), -50%); }
+                    to { transform: translate(-100%, -50%); }
+                }
+            `;
+            document.head.appendChild(styles);
+        }
+
+        return ticker;
+    }
+
+    /**
+     * Replace the alert list (from the stream or GET /api/weather/alerts)
+     * @param {Array<Object>} list - Active alerts, most severe first
+     */
+    function applyAlerts(list) {
+        alerts = Array.isArray(list) ? list : [];
+        render();
+    }
+
+    /**
+     * Show the alerts that haven't expired, or hide the ticker if there are none
+     */
+    function render() {
+        const now = Date.now();
+        const active = alerts.filter(alert => !alert.expires || alert.expires > now);
+        const bar = createTicker();
+
+        if (active.length === 0) {
+            bar.style.display = 'none';
+            lastText = null;
+            return;
+        }
+
+        const html = active.map(alert => `<span class="weather-alert-item">${escapeHtml(describeAlert(alert))}</span>`).join('');
+        bar.classList.toggle('warning', active.some(alert => alert.warning));
+        bar.style.display = 'flex';
+
+        // Restarting the scroll on every update would make it jump back to the start
+        if (html === lastText) return;
+        lastText = html;
+
+        const text = bar.querySelector('.weather-alert-text');
+        text.innerHTML = html;
+        const track = bar.querySelector('.weather-alert-track');
+        const distance = track.clientWidth + text.scrollWidth;
+        text.style.setProperty('--scroll-start', `${track.clientWidth}px`);
+        text.style.setProperty('--scroll-duration', `${Math.max(10, distance / SCROLL_PIXELS_PER_SECOND)}s`);
+    }
+
+    /**
+     * One alert as ticker text, e.g. "TORNADO WARNING until 2:45 PM - Harford, MD"
+     */
+    function describeAlert(alert) {
+        let text = alert.event.toUpperCase();
+        if (alert.expires) {
+            text += ` until ${new Date(alert.expires).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+        }
+        if (alert.areaDesc) {
+            text += ` - ${alert.areaDesc}`;
+        }
+        return text;
+    }
+
+    /**
+     * Load the current alerts (covers pages where the stream hasn't connected yet)
+     */
+    async function fetchAlerts() {
+        try {
+            const response = await fetch('/api/weather/alerts');
+            if (!response.ok) return;
+            const data = await response.json();
+            applyAlerts(data.alerts);
+        } catch (error) {
+            console.warn('Could not load weather alerts:', error);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Initialize the ticker
+     */
+    function init() {
+        createTicker();
+        fetchAlerts();
+        setInterval(render, EXPIRY_CHECK_MS);
+    }
+
+    // Export public API
+    window.WeatherAlerts = {
+        apply: applyAlerts,
+        refresh: fetchAlerts
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -1,14 +1,16 @@
 /**
- * @fileoverview Weather Module - OpenWeatherMap API integration
+ * @fileoverview Weather Module - Shows the weather cached by the API server
  * @module weather
- * @description Manages weather data fetching, display updates, and error handling for current
- * conditions and 5-day forecast. Includes automatic retry logic for network failures.
+ * @description Displays current conditions and the 5-day forecast. The API server fetches
+ * them from the provider chosen in general settings (OpenWeatherMap, the National Weather
+ * Service or Open-Meteo), maps them to one model and pushes updates over the settings
+ * stream, so any API key stays on the server. Includes automatic retry logic for
+ * network failures.
  *
  * @example
- * // Module initializes automatically if API key is configured
- * // Updates weather every 10 minutes automatically
+ * // Module initializes automatically; the server refreshes weather every 10 minutes
  *
- * @requires module:constants - For API URLs, update intervals, and element IDs
+ * @requires module:constants - For the icon URL, update interval, and element IDs
  * @requires module:error-handler - For error handling and user notifications
  */
 
@@ -20,105 +22,62 @@
 
     /**
      * @typedef {Object} WeatherData
-     * @property {number} cod - HTTP status code from API
-     * @property {string} message - Error message if cod !== 200
-     * @property {Object} main - Main weather data
-     * @property {number} main.temp - Current temperature
-     * @property {number} main.feels_like - Feels like temperature
-     * @property {number} main.humidity - Humidity percentage
-     * @property {number} main.temp_max - Maximum temperature
-     * @property {number} main.temp_min - Minimum temperature
-     * @property {Array<Object>} weather - Weather condition array
-     * @property {string} weather[].description - Weather description
-     * @property {string} weather[].icon - Weather icon code
-     */
-
-    /**
-     * @typedef {Object} ForecastData
-     * @property {string} cod - HTTP status code from API
-     * @property {Array<Object>} list - Forecast items
-     * @property {number} list[].dt - Timestamp
-     * @property {Object} list[].main - Main weather data
-     * @property {Array<Object>} list[].weather - Weather conditions
-     */
-
-    /**
-     * Fetches weather data from OpenWeatherMap API with error handling and retry logic
+     * @property {string|null} location - Place name from the provider
+     * @property {string} provider - 'openweathermap', 'nws' or 'open-meteo' (the display doesn't care which)
+     * @property {string} units - 'imperial' (°F) or 'metric' (°C)
+     * @property {Object} current - Current conditions
+     * @property {number|null} current.temp - Current temperature (null when the provider has no reading)
+     * @property {number|null} current.feelsLike - Feels like temperature
+     * @property {number|null} current.humidity - Humidity percentage
+     * @property {string} current.description - Weather description
+     * @property {string} current.icon - OpenWeatherMap icon code
+     * @property {Array<Object>} forecast - One entry per day
+     * @property {string} forecast[].date - Day (YYYY-MM-DD)
+     * @property {number|null} forecast[].high - High temperature (null for an evening forecast's first day)
+     * @property {number|null} forecast[].low - Low temperature
+     * @property {string} forecast[].description - Weather description
+     * @property {string} forecast[].icon - OpenWeatherMap icon code
+     * @property {number} updatedAt - When the server fetched it
+     */
+
+    /**
+     * Fetches the server's cached weather with error handling and retry logic
      * @async
      * @function fetchWeather
      * @private
      * @returns {Promise<void>}
      * @throws {Error} Network errors are caught and handled by ErrorHandler
-     * @description Validates configuration, builds location parameters, and fetches both
-     * current weather and 5-day forecast. Includes automatic retry on network failures.
+     * @description The API server fetches from the weather provider on a schedule and
+     * pushes updates over the settings stream; this read covers page load and any
+     * updates missed while the stream was down.
      */
     async function fetchWeather() {
-        if (!validateConfig()) {
-            return;
-        }
-
-        const { WEATHER_API_KEY, LOCATION, CITY_ID } = window.CONFIG;
-        const locationParam = buildLocationParam(LOCATION, CITY_ID);
-
-        if (!locationParam) {
-            displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, CONSTANTS.ERROR_MESSAGES.LOCATION_NOT_SET);
-            window.ErrorHandler.handle('No location configured', {
-                level: window.ErrorLevel.WARNING,
-                module: 'Weather',
-                showNotification: true,
-                userMessage: 'Weather location not set. Please configure LOCATION or CITY_ID in config.js'
-            });
-            return;
-        }
-
-        // Check cache first (5-minute TTL for weather data)
-        const cacheKey = `weather_${locationParam}`;
-        const cachedData = window.Cache?.get(cacheKey);
-
-        if (cachedData) {
-            console.log('Using cached weather data');
-            if (cachedData.current) {
-                displayCurrentWeather(cachedData.current);
-            }
-            if (cachedData.forecast) {
-                displayWeatherForecast(cachedData.forecast);
-            }
-            return;
-        }
-
         try {
-            const weatherData = {};
-
-            const currentWeather = await window.ErrorHandler.handleNetworkError(
-                () => fetchCurrentWeather(locationParam, WEATHER_API_KEY),
+            const data = await window.ErrorHandler.handleNetworkError(
+                async () => {
+                    const response = await fetch('/api/weather');
+                    if (!response.ok) {
+                        throw new Error(`Weather request failed (${response.status})`);
+                    }
+                    return response.json();
+                },
                 {
                     maxRetries: 2,
                     module: 'Weather',
-                    userMessage: 'Failed to fetch current weather'
+                    userMessage: 'Failed to fetch weather'
                 }
             );
 
-            if (currentWeather) {
-                weatherData.current = currentWeather;
+            if (!data.configured) {
+                displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, CONSTANTS.ERROR_MESSAGES.WEATHER_NOT_CONFIGURED);
+                console.warn('Weather not configured on the server (WEATHER_API_KEY and WEATHER_LOCATION)');
+                return;
             }
 
-            const forecast = await window.ErrorHandler.handleNetworkError(
-                () => fetchWeatherForecast(locationParam, WEATHER_API_KEY),
-                {
-                    maxRetries: 2,
-                    module: 'Weather',
-                    userMessage: 'Failed to fetch weather forecast'
-                }
-            );
-
-            if (forecast) {
-                weatherData.forecast = forecast;
-            }
-
-            // Cache the weather data (5 minutes TTL)
-            if (Object.keys(weatherData).length > 0) {
-                window.Cache?.set(cacheKey, weatherData, 300000); // 5 minutes
-                console.log('Weather data cached for 5 minutes');
+            if (data.weather) {
+                applyWeather(data.weather);
+            } else if (data.error) {
+                displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, `Error: ${data.error}`);
             }
         } catch (error) {
             // Error already handled by ErrorHandler
@@ -130,205 +89,54 @@
     }
 
     /**
-     * Validates weather API configuration and displays user-friendly error messages
-     * @function validateConfig
-     * @private
-     * @returns {boolean} True if configuration is valid and ready to use
-     * @description Checks for presence and validity of WEATHER_API_KEY in window.CONFIG.
-     * Shows appropriate error notifications for missing or placeholder API keys.
-     * @example
-     * if (validateConfig()) {
-     *   // Safe to proceed with API calls
-     * }
-     */
-    function validateConfig() {
-        if (!window.CONFIG || !window.CONFIG.WEATHER_API_KEY) {
-            displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, CONSTANTS.ERROR_MESSAGES.API_KEY_MISSING);
-            window.ErrorHandler.handle('Weather API key not configured', {
-                level: window.ErrorLevel.WARNING,
-                module: 'Weather',
-                showNotification: true,
-                userMessage: 'Weather API key is missing. Please add your API key to config.js'
-            });
-            return false;
-        }
-
-        // Check if API key is still the placeholder
-        if (window.CONFIG.WEATHER_API_KEY === 'YOUR_API_KEY_HERE') {
-            displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, CONSTANTS.ERROR_MESSAGES.API_KEY_PLACEHOLDER);
-            displayError(CONSTANTS.ELEMENT_IDS.CURRENT_TEMP, '--°F');
-            displayError(CONSTANTS.ELEMENT_IDS.FEELS_LIKE, '--°F');
-            displayError(CONSTANTS.ELEMENT_IDS.HUMIDITY, '--%');
-            window.ErrorHandler.handle('Weather API key is placeholder', {
-                level: window.ErrorLevel.WARNING,
-                module: 'Weather',
-                showNotification: true,
-                userMessage: 'Please replace YOUR_API_KEY_HERE with your actual OpenWeatherMap API key in config.js'
-            });
-            return false;
-        }
-
-        return true;
-    }
-
-    /**
-     * Builds location parameter for API requests
-     * @param {string} location - City name location string
-     * @param {number|null} cityId - OpenWeatherMap city ID
-     * @returns {string|null} Location parameter string or null
+     * Shows weather from the server (a fetch, the initial stream message or a weather_update)
+     * @function applyWeather
+     * @param {WeatherData} weather - Normalized weather
      */
-    function buildLocationParam(location, cityId) {
-        if (cityId) {
-            console.log('Using city ID:', cityId);
-            return `id=${cityId}`;
-        } else if (location) {
-            console.log('Using city name:', location);
-            return `q=${location}`;
-        }
-        return null;
-    }
-
-    /**
-     * Fetches current weather conditions
-     * @param {string} locationParam - Location parameter for API
-     * @param {string} apiKey - OpenWeatherMap API key
-     * @returns {Promise<Object>} Weather data
-     */
-    async function fetchCurrentWeather(locationParam, apiKey) {
-        const url = `${CONSTANTS.WEATHER_API_CURRENT_URL}?${locationParam}&appid=${apiKey}&units=${CONSTANTS.WEATHER_API_UNITS}`;
-        console.log('Fetching weather from:', url.replace(apiKey, 'API_KEY_HIDDEN'));
-
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.cod === 200) {
-            displayCurrentWeather(data);
-            return data;
-        } else {
-            const errorMsg = data.message || 'Failed to fetch current weather';
-            displayError(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, `Error: ${errorMsg}`);
-
-            // Create detailed error with user-friendly message
-            const error = new Error(errorMsg);
-            error.code = data.cod;
-            throw error;
-        }
-    }
-
-    /**
-     * Fetches weather forecast
-     * @param {string} locationParam - Location parameter for API
-     * @param {string} apiKey - OpenWeatherMap API key
-     * @returns {Promise<Object>} Forecast data
-     */
-    async function fetchWeatherForecast(locationParam, apiKey) {
-        const url = `${CONSTANTS.WEATHER_API_FORECAST_URL}?${locationParam}&appid=${apiKey}&units=${CONSTANTS.WEATHER_API_UNITS}`;
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.cod === "200") {
-            displayWeatherForecast(data);
-            return data;
-        } else {
-            throw new Error(data.message || 'Failed to fetch forecast');
-        }
-    }
-
-    /**
-     * Displays current weather data (from cache or fresh API call)
-     * @param {Object} data - Weather data
-     */
-    function displayCurrentWeather(data) {
-        updateCurrentWeather(data);
-    }
-
-    /**
-     * Displays forecast data (from cache or fresh API call)
-     * @param {Object} data - Forecast data
-     */
-    function displayWeatherForecast(data) {
-        updateWeekForecast(data);
+    function applyWeather(weather) {
+        if (!weather) return;
+        updateCurrentWeather(weather.current, weather.units);
+        updateWeekForecast(weather.forecast);
     }
 
     /**
      * Updates the current weather display
-     * @param {Object} data - Weather data from API
+     * @param {Object} current - Current conditions
+     * @param {string} units - 'imperial' or 'metric'
      */
-    function updateCurrentWeather(data) {
-        const temp = Math.round(data.main.temp);
-        const feelsLike = Math.round(data.main.feels_like);
-        const humidity = data.main.humidity;
-        const description = data.weather[0].description;
-        const icon = data.weather[0].icon;
+    function updateCurrentWeather(current, units) {
+        const unit = units === 'metric' ? '°C' : '°F';
 
-        setElementText(CONSTANTS.ELEMENT_IDS.CURRENT_TEMP, `${temp}°F`);
-        setElementText(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, description);
-        setElementText(CONSTANTS.ELEMENT_IDS.FEELS_LIKE, `${feelsLike}°F`);
-        setElementText(CONSTANTS.ELEMENT_IDS.HUMIDITY, `${humidity}%`);
+        setElementText(CONSTANTS.ELEMENT_IDS.CURRENT_TEMP, `${formatReading(current.temp)}${unit}`);
+        setElementText(CONSTANTS.ELEMENT_IDS.CURRENT_DESC, current.description);
+        setElementText(CONSTANTS.ELEMENT_IDS.FEELS_LIKE, `${formatReading(current.feelsLike)}${unit}`);
+        setElementText(CONSTANTS.ELEMENT_IDS.HUMIDITY, `${formatReading(current.humidity)}%`);
 
         const iconElement = document.getElementById(CONSTANTS.ELEMENT_IDS.CURRENT_ICON);
-        if (iconElement) {
-            iconElement.src = `${CONSTANTS.WEATHER_ICON_BASE_URL}/${icon}@2x.png`;
-            iconElement.alt = description;
+        if (iconElement && current.icon) {
+            iconElement.src = `${CONSTANTS.WEATHER_ICON_BASE_URL}/${current.icon}@2x.png`;
+            iconElement.alt = current.description;
         }
     }
 
     /**
      * Updates the week forecast display
-     * @param {Object} data - Forecast data from API
+     * @param {Array} forecast - Daily forecasts from the server
      */
-    function updateWeekForecast(data) {
+    function updateWeekForecast(forecast) {
         const forecastContainer = document.getElementById(CONSTANTS.ELEMENT_IDS.WEEK_FORECAST);
         if (!forecastContainer) return;
 
         forecastContainer.innerHTML = '';
 
-        const dailyForecasts = aggregateDailyForecasts(data.list);
-        const days = Object.entries(dailyForecasts).slice(0, CONSTANTS.WEATHER_MAX_FORECAST_DAYS);
-
-        days.forEach(([day, forecast]) => {
-            const forecastElement = createForecastElement(day, forecast);
-            forecastContainer.appendChild(forecastElement);
-        });
-    }
-
-    /**
-     * Aggregates hourly forecast data into daily forecasts
-     * @param {Array} forecastList - List of forecast items from API
-     * @returns {Object} Daily forecasts keyed by date string
-     */
-    function aggregateDailyForecasts(forecastList) {
-        const dailyForecasts = {};
-
-        forecastList.forEach(item => {
-            const date = new Date(item.dt * 1000);
-            const dateKey = date.toLocaleDateString(
+        forecast.slice(0, CONSTANTS.WEATHER_MAX_FORECAST_DAYS).forEach(day => {
+            // Noon, so the label can't slip to the neighbouring day in any timezone
+            const label = new Date(`${day.date}T12:00:00`).toLocaleDateString(
                 CONSTANTS.LOCALE,
                 CONSTANTS.FORECAST_DATE_FORMAT_OPTIONS
             );
-
-            // Use the 12:00 PM forecast for each day, or first available
-            if (!dailyForecasts[dateKey]) {
-                dailyForecasts[dateKey] = {
-                    temp_max: item.main.temp_max,
-                    temp_min: item.main.temp_min,
-                    icon: item.weather[0].icon,
-                    description: item.weather[0].description
-                };
-            } else {
-                // Update min/max temps
-                dailyForecasts[dateKey].temp_max = Math.max(
-                    dailyForecasts[dateKey].temp_max,
-                    item.main.temp_max
-                );
-                dailyForecasts[dateKey].temp_min = Math.min(
-                    dailyForecasts[dateKey].temp_min,
-                    item.main.temp_min
-                );
-            }
+            forecastContainer.appendChild(createForecastElement(label, day));
         });
-
-        return dailyForecasts;
     }
 
     /**
@@ -348,14 +156,23 @@
                      alt="${forecast.description}">
             </div>
             <div class="${CONSTANTS.CSS_CLASSES.FORECAST_TEMPS}">
-                <span class="${CONSTANTS.CSS_CLASSES.FORECAST_HIGH}">${Math.round(forecast.temp_max)}°</span>
-                <span class="${CONSTANTS.CSS_CLASSES.FORECAST_LOW}">${Math.round(forecast.temp_min)}°</span>
+                <span class="${CONSTANTS.CSS_CLASSES.FORECAST_HIGH}">${formatReading(forecast.high)}°</span>
+                <span class="${CONSTANTS.CSS_CLASSES.FORECAST_LOW}">${formatReading(forecast.low)}°</span>
             </div>
         `;
 
         return forecastDay;
     }
 
+    /**
+     * Rounds a reading for display, or '--' when the provider didn't give one
+     * @param {number|null} value - Temperature or humidity
+     * @returns {string|number} Rounded value or '--'
+     */
+    function formatReading(value) {
+        return typeof value === 'number' ? Math.round(value) : '--';
+    }
+
     /**
      * Sets text content of an element by ID
      * @param {string} elementId - Element ID
@@ -381,15 +198,17 @@
      * Initializes weather module
      */
     function init() {
-        if (window.CONFIG && window.CONFIG.WEATHER_API_KEY) {
-            fetchWeather();
-            setInterval(fetchWeather, CONSTANTS.WEATHER_UPDATE_INTERVAL_MS);
-            console.log('Weather module initialized');
-        } else {
-            console.warn('Weather module not initialized - no API key configured');
-        }
+        fetchWeather();
+        setInterval(fetchWeather, CONSTANTS.WEATHER_UPDATE_INTERVAL_MS);
+        console.log('Weather module initialized');
     }
 
+    // Export public API (the theme loader passes on weather pushed over the stream)
+    window.Weather = {
+        apply: applyWeather,
+        refresh: fetchWeather
+    };
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
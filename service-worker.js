@@ -16,11 +16,13 @@ const CRITICAL_ASSETS = [
     '/js/error-handler.js',
     '/js/config-validator.js',
     '/js/cache.js',
+    '/js/scheduled-slides.js',
     '/js/theme-loader.js',
     '/js/datetime.js',
     '/js/weather.js',
     '/js/slideshow.js',
     '/js/livestream.js',
+    '/js/display-commands.js',
     '/js/init.js',
     // Fonts
     'https://fonts.googleapis.com/css2?family=Poppins:wght@400;600;700&display=swap'
@@ -84,6 +86,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Skip video slides (range requests, and too large to cache)
+    if (request.destination === 'video' || request.headers.has('range')) {
+        return;
+    }
+
     // Strategy: Network first, cache fallback
     event.respondWith(
         fetch(request)